@@ -1,10 +1,22 @@
 import express from 'express';
-import { getDB, updateSubGroupDefaultEnabled, getConfiguration, saveConfiguration, getFileTorrentDownloads, getAutodownloadAnimes, getDownloadedTorrentIdsForAnime, getAnimeById, getAllScheduledJobs, getScheduledJobById, createScheduledJob, updateScheduledJob, deleteScheduledJob, updateScheduledJobRunTime } from '../../database/animeDB.js';
-import { scheduleUpdateQuarterTask, scheduleScanFolderTask } from '../../services/taskQueue.js';
+import { getDB, updateSubGroupDefaultEnabled, getConfiguration, saveConfiguration, getFileTorrentDownloads, getAutodownloadAnimes, getDownloadedTorrentIdsForAnime, getAnimeById, getAllScheduledJobs, getScheduledJobById, createScheduledJob, updateScheduledJob, deleteScheduledJob, updateScheduledJobRunTime, getGlobalQualityProfile, saveGlobalQualityProfile, getAnimeQualityProfile, getSupersededDownloads, saveIndexerProviderSettings, saveDownloadClientSettings, getGlobalSearchSettings, saveGlobalSearchSettings, getTorznabApiKey, regenerateTorznabApiKey, getSeedingPolicy, saveSeedingPolicy, getBandwidthSchedule, saveBandwidthSchedule, getLibraryOrganizerSettings, saveLibraryOrganizerSettings, getStorageSettings, saveStorageSettings } from '../../database/animeDB.js';
+import { scheduleUpdateQuarterTask, scheduleScanFolderTask, scheduleReorganizeLibraryTask, scheduleVerifyCrcTask, scheduleApplyRetentionTask, scheduleSyncAniListTask, scheduleImportListTask } from '../../services/taskQueue.js';
 import { getRecentTasks, getActiveQuarterUpdateTask, getTaskById, deleteTasksByStatuses, TASK_STATUS } from '../../database/tasksDB.js';
-import { getAllTorrents, updateSpeedLimits } from '../../services/torrentService.js';
+import { getAllTorrents, updateSpeedLimits, updateDownloadQueue, updateSeeding, pauseTorrent, resumeTorrent, removeTorrent, setTorrentPriority, reorderTorrents, getCurrentSpeedLimits, updateDiskSpaceGuard } from '../../services/torrentService.js';
+import { DOWNLOAD_PRIORITY } from '../../database/downloadsDB.js';
 import { reloadScheduledJobs, calculateNextRun, executeScheduledJob } from '../../services/scheduledJobsService.js';
+import { normalizeQualityProfile, validateQualityProfile, resolveQualityProfile, rankTorrents } from '../../services/qualityProfile.js';
+import { normalizeSearchSettings, validateSearchSettings } from '../../services/searchSettings.js';
+import { normalizeSeedingPolicy, validateSeedingPolicy } from '../../services/seedingPolicy.js';
+import { normalizeBandwidthSchedule, validateBandwidthSchedule } from '../../services/bandwidthSchedule.js';
+import { normalizeLibraryOrganizerSettings, validateLibraryOrganizerSettings, previewLibraryPaths, LIBRARY_LAYOUTS, ORGANIZE_MODES, TEMPLATE_TOKENS } from '../../services/libraryOrganizer.js';
+import { normalizeStorageSettings, validateStorageSettings, getStorageReport, getRetentionReport } from '../../services/storageManager.js';
+import { describeAniListAccount, linkAniListAccount, updateAniListSettings, unlinkAniListAccount } from '../../services/anilistSync.js';
+import { parseListExport } from '../../services/listImport.js';
+import { describeIndexerProviders, normalizeIndexerSettings, validateIndexerSettings, testIndexerProvider } from '../../services/indexers/index.js';
+import { describeDownloadClients, normalizeDownloadClientSettings, validateDownloadClientSettings, testDownloadClient, getActiveDownloadClient } from '../../services/downloadClients/index.js';
 import { getCurrentQuarter } from '../utils.js';
+import { MAX_ACTIVE_TORRENTS_LIMIT, FILE_TYPES } from '../../config/constants.js';
 
 const router = express.Router();
 
@@ -776,7 +788,7 @@ router.get('/config', async (req, res) => {
 /**
  * POST /api/admin/config
  * Saves the configuration
- * Body: { animeLocation, enableAutomaticAnimeFolderClassification, maxDownloadSpeed, maxUploadSpeed, setup }
+ * Body: { animeLocation, enableAutomaticAnimeFolderClassification, maxDownloadSpeed, maxUploadSpeed, maxActiveTorrents, prioritizeNewestEpisodes, keepFileTypes, setup }
  */
 router.post('/config', express.json(), async (req, res) => {
     try {
@@ -785,6 +797,9 @@ router.post('/config', express.json(), async (req, res) => {
             enableAutomaticAnimeFolderClassification,
             maxDownloadSpeed,
             maxUploadSpeed,
+            maxActiveTorrents,
+            prioritizeNewestEpisodes,
+            keepFileTypes,
             setup
         } = req.body;
         
@@ -813,6 +828,25 @@ router.post('/config', express.json(), async (req, res) => {
             }
         }
         
+        // Validate download queue fields (optional)
+        if (maxActiveTorrents !== undefined) {
+            const activeTorrents = Number(maxActiveTorrents);
+            if (!Number.isInteger(activeTorrents) || activeTorrents < 1 || activeTorrents > MAX_ACTIVE_TORRENTS_LIMIT) {
+                return res.status(400).json({ error: `maxActiveTorrents must be an integer between 1 and ${MAX_ACTIVE_TORRENTS_LIMIT}` });
+            }
+        }
+        
+        if (prioritizeNewestEpisodes !== undefined && typeof prioritizeNewestEpisodes !== 'boolean') {
+            return res.status(400).json({ error: 'prioritizeNewestEpisodes must be a boolean' });
+        }
+        
+        // Validate file types to keep (optional, non-empty list of known types)
+        if (keepFileTypes !== undefined) {
+            if (!Array.isArray(keepFileTypes) || keepFileTypes.length === 0 || keepFileTypes.some(type => !FILE_TYPES.includes(type))) {
+                return res.status(400).json({ error: `keepFileTypes must be a non-empty array of: ${FILE_TYPES.join(', ')}` });
+            }
+        }
+        
         // Validate setup field (optional, boolean)
         if (setup !== undefined && typeof setup !== 'boolean') {
             return res.status(400).json({ error: 'setup must be a boolean' });
@@ -823,11 +857,15 @@ router.post('/config', express.json(), async (req, res) => {
             enableAutomaticAnimeFolderClassification,
             maxDownloadSpeed: maxDownloadSpeed !== undefined ? (maxDownloadSpeed === null ? null : Number(maxDownloadSpeed)) : undefined,
             maxUploadSpeed: maxUploadSpeed !== undefined ? (maxUploadSpeed === null ? null : Number(maxUploadSpeed)) : undefined,
+            maxActiveTorrents: maxActiveTorrents !== undefined ? Number(maxActiveTorrents) : undefined,
+            prioritizeNewestEpisodes,
+            keepFileTypes,
             setup: setup !== undefined ? setup : undefined
         });
         
-        // Update speed limits on the WebTorrent client
+        // Update speed limits and the download queue on the WebTorrent client
         updateSpeedLimits();
+        updateDownloadQueue();
         
         res.json({
             success: true,
@@ -840,20 +878,709 @@ router.post('/config', express.json(), async (req, res) => {
     }
 });
 
+/**
+ * GET /api/admin/quality-profile
+ * Returns the global release-quality profile used by the auto-downloader
+ */
+router.get('/quality-profile', (req, res) => {
+    try {
+        res.json({ profile: normalizeQualityProfile(getGlobalQualityProfile()) });
+    } catch (error) {
+        console.error('Error fetching quality profile:', error);
+        res.status(500).json({ error: 'Failed to fetch quality profile' });
+    }
+});
+
+/**
+ * POST /api/admin/quality-profile
+ * Saves the global release-quality profile
+ * Body: { profile: { subGroups, resolutions, codecs, preferBatch, minSeeders } }
+ */
+router.post('/quality-profile', express.json(), (req, res) => {
+    try {
+        const { profile } = req.body;
+        
+        const validationError = validateQualityProfile(profile);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const saved = saveGlobalQualityProfile(normalizeQualityProfile(profile));
+        
+        res.json({
+            success: true,
+            message: 'Quality profile saved successfully',
+            profile: normalizeQualityProfile(saved)
+        });
+    } catch (error) {
+        console.error('Error saving quality profile:', error);
+        res.status(500).json({ error: 'Failed to save quality profile' });
+    }
+});
+
+/**
+ * GET /api/admin/search-settings
+ * Returns the global torrent search settings
+ */
+router.get('/search-settings', (req, res) => {
+    try {
+        res.json({ settings: normalizeSearchSettings(getGlobalSearchSettings()) });
+    } catch (error) {
+        console.error('Error fetching search settings:', error);
+        res.status(500).json({ error: 'Failed to fetch search settings' });
+    }
+});
+
+/**
+ * POST /api/admin/search-settings
+ * Saves the global torrent search settings
+ * Body: { settings: { resolution, category, filter, includeTerms, excludeTerms } }
+ */
+router.post('/search-settings', express.json(), (req, res) => {
+    try {
+        const { settings } = req.body;
+        
+        const validationError = validateSearchSettings(settings);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const saved = saveGlobalSearchSettings(normalizeSearchSettings(settings));
+        
+        res.json({
+            success: true,
+            message: 'Search settings saved successfully',
+            settings: normalizeSearchSettings(saved)
+        });
+    } catch (error) {
+        console.error('Error saving search settings:', error);
+        res.status(500).json({ error: 'Failed to save search settings' });
+    }
+});
+
+/**
+ * GET /api/admin/seeding-policy
+ * Returns the seeding policy of the built-in WebTorrent client
+ */
+router.get('/seeding-policy', (req, res) => {
+    try {
+        res.json({ policy: normalizeSeedingPolicy(getSeedingPolicy()) });
+    } catch (error) {
+        console.error('Error fetching seeding policy:', error);
+        res.status(500).json({ error: 'Failed to fetch seeding policy' });
+    }
+});
+
+/**
+ * POST /api/admin/seeding-policy
+ * Saves the seeding policy and applies it to the torrents being seeded
+ * Body: { policy: { enabled, ratio, durationHours, subGroups } }
+ */
+router.post('/seeding-policy', express.json(), (req, res) => {
+    try {
+        const { policy } = req.body;
+        
+        const validationError = validateSeedingPolicy(policy);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const saved = saveSeedingPolicy(normalizeSeedingPolicy(policy));
+        
+        // Stop seeding torrents that already reached the new targets
+        updateSeeding();
+        
+        res.json({
+            success: true,
+            message: 'Seeding policy saved successfully',
+            policy: normalizeSeedingPolicy(saved)
+        });
+    } catch (error) {
+        console.error('Error saving seeding policy:', error);
+        res.status(500).json({ error: 'Failed to save seeding policy' });
+    }
+});
+
+/**
+ * GET /api/admin/bandwidth-schedule
+ * Returns the bandwidth schedule and the speed limits currently in force
+ */
+router.get('/bandwidth-schedule', (req, res) => {
+    try {
+        res.json({
+            schedule: normalizeBandwidthSchedule(getBandwidthSchedule()),
+            current: getCurrentSpeedLimits()
+        });
+    } catch (error) {
+        console.error('Error fetching bandwidth schedule:', error);
+        res.status(500).json({ error: 'Failed to fetch bandwidth schedule' });
+    }
+});
+
+/**
+ * POST /api/admin/bandwidth-schedule
+ * Saves the bandwidth schedule and applies the speed limits it puts in force
+ * Body: { schedule: { enabled, windows: [{ name, days, start, end, maxDownloadSpeed, maxUploadSpeed }], turtleMode, turtleDownloadSpeed, turtleUploadSpeed } }
+ */
+router.post('/bandwidth-schedule', express.json(), (req, res) => {
+    try {
+        const { schedule } = req.body;
+        
+        const validationError = validateBandwidthSchedule(schedule);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const saved = saveBandwidthSchedule(normalizeBandwidthSchedule(schedule));
+        updateSpeedLimits();
+        
+        res.json({
+            success: true,
+            message: 'Bandwidth schedule saved successfully',
+            schedule: normalizeBandwidthSchedule(saved),
+            current: getCurrentSpeedLimits()
+        });
+    } catch (error) {
+        console.error('Error saving bandwidth schedule:', error);
+        res.status(500).json({ error: 'Failed to save bandwidth schedule' });
+    }
+});
+
+/**
+ * POST /api/admin/turtle-mode
+ * Turns turtle mode on or off; while on, the turtle speeds override the configured limits and the schedule
+ * Body: { enabled: boolean }
+ */
+router.post('/turtle-mode', express.json(), (req, res) => {
+    try {
+        const { enabled } = req.body;
+        
+        if (typeof enabled !== 'boolean') {
+            return res.status(400).json({ error: 'enabled must be a boolean' });
+        }
+        
+        const schedule = normalizeBandwidthSchedule(getBandwidthSchedule());
+        saveBandwidthSchedule({ ...schedule, turtleMode: enabled });
+        updateSpeedLimits();
+        
+        res.json({
+            success: true,
+            message: enabled ? 'Turtle mode enabled' : 'Turtle mode disabled',
+            current: getCurrentSpeedLimits()
+        });
+    } catch (error) {
+        console.error('Error toggling turtle mode:', error);
+        res.status(500).json({ error: 'Failed to toggle turtle mode' });
+    }
+});
+
+/**
+ * GET /api/admin/library-organizer
+ * Returns the library organizer settings with the available layouts, modes and template tokens
+ */
+router.get('/library-organizer', (req, res) => {
+    try {
+        res.json({
+            settings: normalizeLibraryOrganizerSettings(getLibraryOrganizerSettings()),
+            layouts: Object.entries(LIBRARY_LAYOUTS).map(([id, layout]) => ({ id, name: layout.name, template: layout.template })),
+            modes: ORGANIZE_MODES,
+            tokens: TEMPLATE_TOKENS
+        });
+    } catch (error) {
+        console.error('Error fetching library organizer settings:', error);
+        res.status(500).json({ error: 'Failed to fetch library organizer settings' });
+    }
+});
+
+/**
+ * POST /api/admin/library-organizer
+ * Saves the library organizer settings; they apply to the next completed downloads
+ * Body: { settings: { enabled, layout, template, mode } }
+ */
+router.post('/library-organizer', express.json(), (req, res) => {
+    try {
+        const { settings } = req.body;
+        
+        const validationError = validateLibraryOrganizerSettings(settings);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const saved = saveLibraryOrganizerSettings(normalizeLibraryOrganizerSettings(settings));
+        
+        res.json({
+            success: true,
+            message: 'Library organizer settings saved successfully',
+            settings: normalizeLibraryOrganizerSettings(saved)
+        });
+    } catch (error) {
+        console.error('Error saving library organizer settings:', error);
+        res.status(500).json({ error: 'Failed to save library organizer settings' });
+    }
+});
+
+/**
+ * POST /api/admin/library-organizer/preview
+ * Shows where the most recent library files would go with unsaved settings
+ * Body: { settings: { enabled, layout, template, mode } }
+ */
+router.post('/library-organizer/preview', express.json(), (req, res) => {
+    try {
+        const { settings } = req.body;
+        
+        const validationError = validateLibraryOrganizerSettings(settings);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        res.json({ files: previewLibraryPaths(normalizeLibraryOrganizerSettings(settings)) });
+    } catch (error) {
+        console.error('Error previewing library paths:', error);
+        res.status(500).json({ error: 'Failed to preview library paths' });
+    }
+});
+
+/**
+ * POST /api/admin/library-organizer/reorganize
+ * Queues a task that organizes every downloaded file with the saved settings
+ */
+router.post('/library-organizer/reorganize', (req, res) => {
+    try {
+        const task = scheduleReorganizeLibraryTask();
+        
+        res.status(202).json({
+            success: true,
+            taskId: task.id,
+            status: task.status,
+            message: 'Queued library reorganization'
+        });
+    } catch (error) {
+        console.error('Error queueing library reorganization:', error);
+        res.status(500).json({ error: error.message || 'Failed to queue library reorganization' });
+    }
+});
+
+/**
+ * POST /api/admin/verify-crc
+ * Queues a task that checks the CRC32 of downloaded files against their release tag
+ * Body: { recheck?: boolean } - also check files that were already checked
+ */
+router.post('/verify-crc', (req, res) => {
+    try {
+        const recheck = Boolean(req.body?.recheck);
+        const task = scheduleVerifyCrcTask({ recheck });
+        
+        res.status(202).json({
+            success: true,
+            taskId: task.id,
+            status: task.status,
+            message: recheck ? 'Queued CRC check of every downloaded file' : 'Queued CRC check of unchecked files'
+        });
+    } catch (error) {
+        console.error('Error queueing CRC check:', error);
+        res.status(500).json({ error: error.message || 'Failed to queue CRC check' });
+    }
+});
+
+/**
+ * GET /api/admin/storage
+ * Returns the storage settings with the disk usage of the anime location and of every anime
+ */
+router.get('/storage', async (req, res) => {
+    try {
+        res.json(await getStorageReport());
+    } catch (error) {
+        console.error('Error fetching storage report:', error);
+        res.status(500).json({ error: 'Failed to fetch storage report' });
+    }
+});
+
+/**
+ * POST /api/admin/storage
+ * Saves the storage settings; downloads are paused or resumed right away
+ * Body: { settings: { minFreeSpaceGB } }
+ */
+router.post('/storage', express.json(), async (req, res) => {
+    try {
+        const { settings } = req.body;
+        
+        const validationError = validateStorageSettings(settings);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const saved = saveStorageSettings(normalizeStorageSettings(settings));
+        const belowMinFreeSpace = await updateDiskSpaceGuard();
+        
+        res.json({
+            success: true,
+            message: 'Storage settings saved successfully',
+            settings: normalizeStorageSettings(saved),
+            belowMinFreeSpace
+        });
+    } catch (error) {
+        console.error('Error saving storage settings:', error);
+        res.status(500).json({ error: 'Failed to save storage settings' });
+    }
+});
+
+/**
+ * GET /api/admin/storage/retention-report
+ * Dry run of the retention policies: lists the files the next retention run would delete
+ */
+router.get('/storage/retention-report', async (req, res) => {
+    try {
+        res.json(await getRetentionReport());
+    } catch (error) {
+        console.error('Error building retention report:', error);
+        res.status(500).json({ error: 'Failed to build retention report' });
+    }
+});
+
+/**
+ * POST /api/admin/storage/retention/apply
+ * Queues a task that deletes the files matched by the retention policies
+ */
+router.post('/storage/retention/apply', (req, res) => {
+    try {
+        const task = scheduleApplyRetentionTask();
+        
+        res.status(202).json({
+            success: true,
+            taskId: task.id,
+            status: task.status,
+            message: 'Queued retention run'
+        });
+    } catch (error) {
+        console.error('Error queueing retention run:', error);
+        res.status(500).json({ error: error.message || 'Failed to queue retention run' });
+    }
+});
+
+/**
+ * GET /api/admin/anilist
+ * Returns the linked AniList account and its sync settings; the access token is never returned
+ */
+router.get('/anilist', (req, res) => {
+    try {
+        res.json(describeAniListAccount());
+    } catch (error) {
+        console.error('Error fetching AniList account:', error);
+        res.status(500).json({ error: 'Failed to fetch AniList account' });
+    }
+});
+
+/**
+ * POST /api/admin/anilist
+ * Links an AniList account by access token, or updates the sync settings of the linked account
+ * Body: { token?: string, pushProgress?: boolean }
+ */
+router.post('/anilist', express.json(), async (req, res) => {
+    try {
+        const { token, pushProgress } = req.body;
+        
+        if (pushProgress !== undefined && typeof pushProgress !== 'boolean') {
+            return res.status(400).json({ error: 'pushProgress must be a boolean' });
+        }
+        
+        if (token !== undefined) {
+            if (typeof token !== 'string' || !token.trim()) {
+                return res.status(400).json({ error: 'token must be a non-empty string' });
+            }
+            
+            let account;
+            try {
+                account = await linkAniListAccount(token.trim(), { pushProgress });
+            } catch (error) {
+                console.error('Error linking AniList account:', error);
+                return res.status(400).json({ error: error.message || 'Failed to link AniList account' });
+            }
+            
+            return res.json({
+                success: true,
+                message: `Linked AniList account ${account.userName}`,
+                account
+            });
+        }
+        
+        if (!describeAniListAccount().linked) {
+            return res.status(400).json({ error: 'token is required to link an AniList account' });
+        }
+        
+        res.json({
+            success: true,
+            message: 'AniList settings saved successfully',
+            account: updateAniListSettings({ pushProgress })
+        });
+    } catch (error) {
+        console.error('Error saving AniList account:', error);
+        res.status(500).json({ error: 'Failed to save AniList account' });
+    }
+});
+
+/**
+ * DELETE /api/admin/anilist
+ * Unlinks the AniList account; auto-download stays on for the anime it turned it on for
+ */
+router.delete('/anilist', (req, res) => {
+    try {
+        unlinkAniListAccount();
+        res.json({ success: true, message: 'AniList account unlinked' });
+    } catch (error) {
+        console.error('Error unlinking AniList account:', error);
+        res.status(500).json({ error: 'Failed to unlink AniList account' });
+    }
+});
+
+/**
+ * POST /api/admin/anilist/sync
+ * Queues a sync with the linked AniList account
+ */
+router.post('/anilist/sync', (req, res) => {
+    try {
+        if (!describeAniListAccount().linked) {
+            return res.status(400).json({ error: 'No AniList account is linked' });
+        }
+        
+        const task = scheduleSyncAniListTask();
+        
+        res.status(202).json({
+            success: true,
+            taskId: task.id,
+            status: task.status,
+            message: 'Queued AniList sync'
+        });
+    } catch (error) {
+        console.error('Error queueing AniList sync:', error);
+        res.status(500).json({ error: error.message || 'Failed to queue AniList sync' });
+    }
+});
+
+/**
+ * POST /api/admin/list-import?fileName=<name>
+ * Queues an import of a MyAnimeList XML export (or a Kitsu export in that format)
+ * Body: the export file, as .xml or .xml.gz
+ */
+router.post('/list-import', express.raw({ type: () => true, limit: '20mb' }), (req, res) => {
+    try {
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ error: 'The export file is required' });
+        }
+        
+        let entries;
+        try {
+            entries = parseListExport(req.body);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        
+        if (entries.length === 0) {
+            return res.status(400).json({ error: 'The export file has no anime entries' });
+        }
+        
+        const fileName = typeof req.query.fileName === 'string' ? req.query.fileName : null;
+        const task = scheduleImportListTask({ fileName, entries });
+        
+        res.status(202).json({
+            success: true,
+            taskId: task.id,
+            status: task.status,
+            entryCount: entries.length,
+            message: `Queued import of ${entries.length} list entries`
+        });
+    } catch (error) {
+        console.error('Error queueing list import:', error);
+        res.status(500).json({ error: error.message || 'Failed to queue list import' });
+    }
+});
+
+/**
+ * GET /api/admin/speed-limits
+ * Returns the speed limits currently in force
+ * Response: { maxDownloadSpeed, maxUploadSpeed, source: 'default' | 'schedule' | 'turtle', windowName }
+ */
+router.get('/speed-limits', (req, res) => {
+    try {
+        res.json(getCurrentSpeedLimits());
+    } catch (error) {
+        console.error('Error fetching speed limits:', error);
+        res.status(500).json({ error: 'Failed to fetch speed limits' });
+    }
+});
+
+/**
+ * GET /api/admin/torznab
+ * Returns the Torznab endpoint path and its API key
+ */
+router.get('/torznab', (req, res) => {
+    try {
+        res.json({
+            path: '/api/torznab',
+            apiKey: getTorznabApiKey()
+        });
+    } catch (error) {
+        console.error('Error fetching Torznab settings:', error);
+        res.status(500).json({ error: 'Failed to fetch Torznab settings' });
+    }
+});
+
+/**
+ * POST /api/admin/torznab/api-key
+ * Replaces the Torznab API key; clients using the old key stop working
+ */
+router.post('/torznab/api-key', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            path: '/api/torznab',
+            apiKey: regenerateTorznabApiKey()
+        });
+    } catch (error) {
+        console.error('Error regenerating Torznab API key:', error);
+        res.status(500).json({ error: 'Failed to regenerate Torznab API key' });
+    }
+});
+
+/**
+ * GET /api/admin/indexers
+ * Returns every torrent indexer provider in search order with its settings
+ */
+router.get('/indexers', (req, res) => {
+    try {
+        res.json({ providers: describeIndexerProviders() });
+    } catch (error) {
+        console.error('Error fetching indexers:', error);
+        res.status(500).json({ error: 'Failed to fetch indexers' });
+    }
+});
+
+/**
+ * POST /api/admin/indexers
+ * Saves which indexer providers are enabled, their order and their settings
+ * Body: { providers: [{ id, enabled, settings }] }
+ */
+router.post('/indexers', express.json(), (req, res) => {
+    try {
+        const { providers } = req.body;
+        
+        const validationError = validateIndexerSettings(providers);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        saveIndexerProviderSettings(normalizeIndexerSettings(providers));
+        
+        res.json({
+            success: true,
+            message: 'Indexers saved successfully',
+            providers: describeIndexerProviders()
+        });
+    } catch (error) {
+        console.error('Error saving indexers:', error);
+        res.status(500).json({ error: 'Failed to save indexers' });
+    }
+});
+
+/**
+ * POST /api/admin/indexers/:id/test
+ * Runs a search against a single indexer provider without saving its settings
+ * Body: { query: string, settings?: Object }
+ */
+router.post('/indexers/:id/test', express.json(), async (req, res) => {
+    try {
+        const { query, settings } = req.body;
+        
+        if (!query || typeof query !== 'string' || !query.trim()) {
+            return res.status(400).json({ error: 'query is required' });
+        }
+        
+        const result = await testIndexerProvider(req.params.id, settings, query.trim());
+        
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        console.error(`Error testing indexer ${req.params.id}:`, error);
+        res.status(500).json({ error: error.message || 'Failed to test indexer' });
+    }
+});
+
+/**
+ * GET /api/admin/download-client
+ * Returns the selected download client and the settings of every client
+ */
+router.get('/download-client', (req, res) => {
+    try {
+        res.json(describeDownloadClients());
+    } catch (error) {
+        console.error('Error fetching download client:', error);
+        res.status(500).json({ error: 'Failed to fetch download client' });
+    }
+});
+
+/**
+ * POST /api/admin/download-client
+ * Saves the selected download client and the client settings
+ * Body: { type: string, clients: { [id]: Object } }
+ */
+router.post('/download-client', express.json(), (req, res) => {
+    try {
+        const validationError = validateDownloadClientSettings(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        saveDownloadClientSettings(normalizeDownloadClientSettings(req.body));
+        
+        // Apply the speed limits to the newly selected client
+        updateSpeedLimits();
+        
+        res.json({
+            success: true,
+            message: 'Download client saved successfully',
+            ...describeDownloadClients()
+        });
+    } catch (error) {
+        console.error('Error saving download client:', error);
+        res.status(500).json({ error: 'Failed to save download client' });
+    }
+});
+
+/**
+ * POST /api/admin/download-client/:id/test
+ * Connects to an external download client without saving its settings
+ * Body: { settings?: Object }
+ */
+router.post('/download-client/:id/test', express.json(), async (req, res) => {
+    try {
+        const result = await testDownloadClient(req.params.id, req.body.settings);
+        
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        console.error(`Error testing download client ${req.params.id}:`, error);
+        res.status(500).json({ error: error.message || 'Failed to test download client' });
+    }
+});
+
 /**
  * POST /api/admin/scan-folder
  * Triggers a folder scan task
- * Body: { folderPath: string }
+ * Body: { folderPath: string, importOwned?: boolean }
+ * importOwned also records video files that match no torrent as owned episodes
  */
 router.post('/scan-folder', express.json(), async (req, res) => {
     try {
-        const { folderPath } = req.body;
+        const { folderPath, importOwned } = req.body;
         
         if (!folderPath || typeof folderPath !== 'string') {
             return res.status(400).json({ error: 'folderPath is required and must be a string' });
         }
         
-        const task = scheduleScanFolderTask({ folderPath });
+        const task = scheduleScanFolderTask({ folderPath, importOwned: Boolean(importOwned) });
         
         const statusCode = task.status === TASK_STATUS.COMPLETED ? 200 : 202;
         const responseMessage =
@@ -901,13 +1628,33 @@ router.get('/file-downloads', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/admin/superseded-downloads
+ * Returns the most recent downloads that were replaced by an upgrade
+ * Query params: limit (number, default 100)
+ */
+router.get('/superseded-downloads', (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit || '100', 10);
+        
+        if (isNaN(limit) || limit < 1 || limit > 500) {
+            return res.status(400).json({ error: 'Invalid limit (must be between 1 and 500)' });
+        }
+        
+        res.json(getSupersededDownloads(limit));
+    } catch (error) {
+        console.error('Error fetching superseded downloads:', error);
+        res.status(500).json({ error: 'Failed to fetch superseded downloads' });
+    }
+});
+
 /**
  * GET /api/admin/torrents
  * Returns all active torrents with their status
  */
-router.get('/torrents', (req, res) => {
+router.get('/torrents', async (req, res) => {
     try {
-        const torrents = getAllTorrents();
+        const torrents = await getAllTorrents();
         res.json(torrents);
     } catch (error) {
         console.error('Error fetching torrents:', error);
@@ -915,6 +1662,120 @@ router.get('/torrents', (req, res) => {
     }
 });
 
+/**
+ * POST /api/admin/torrents/reorder
+ * Reorders the download queue of the built-in WebTorrent client
+ * Torrents only move within their priority
+ * Body: { infoHashes: Array<string> } in the new queue order
+ */
+router.post('/torrents/reorder', express.json(), (req, res) => {
+    try {
+        const { infoHashes } = req.body;
+        
+        if (!Array.isArray(infoHashes) || infoHashes.some(infoHash => typeof infoHash !== 'string')) {
+            return res.status(400).json({ error: 'infoHashes must be an array of strings' });
+        }
+        
+        const external = getActiveDownloadClient();
+        if (external) {
+            return res.status(400).json({ error: `The download queue is managed by ${external.client.name}` });
+        }
+        
+        reorderTorrents(infoHashes);
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error reordering torrents:', error);
+        res.status(500).json({ error: 'Failed to reorder torrents' });
+    }
+});
+
+/**
+ * POST /api/admin/torrents/:infoHash/pause
+ * Pauses a torrent until it is resumed
+ */
+router.post('/torrents/:infoHash/pause', async (req, res) => {
+    try {
+        const found = await pauseTorrent(req.params.infoHash);
+        if (!found) {
+            return res.status(404).json({ error: 'Torrent not found' });
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error(`Error pausing torrent ${req.params.infoHash}:`, error);
+        res.status(500).json({ error: 'Failed to pause torrent' });
+    }
+});
+
+/**
+ * POST /api/admin/torrents/:infoHash/resume
+ * Resumes a paused torrent; it starts once it has a free slot in the queue
+ */
+router.post('/torrents/:infoHash/resume', async (req, res) => {
+    try {
+        const found = await resumeTorrent(req.params.infoHash);
+        if (!found) {
+            return res.status(404).json({ error: 'Torrent not found' });
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error(`Error resuming torrent ${req.params.infoHash}:`, error);
+        res.status(500).json({ error: 'Failed to resume torrent' });
+    }
+});
+
+/**
+ * PUT /api/admin/torrents/:infoHash/priority
+ * Sets the priority of a torrent in the download queue of the built-in WebTorrent client
+ * Body: { priority: number } (-1 low, 0 normal, 1 high)
+ */
+router.put('/torrents/:infoHash/priority', express.json(), (req, res) => {
+    try {
+        const { priority } = req.body;
+        
+        if (!Object.values(DOWNLOAD_PRIORITY).includes(priority)) {
+            return res.status(400).json({ error: `priority must be one of ${Object.values(DOWNLOAD_PRIORITY).join(', ')}` });
+        }
+        
+        const external = getActiveDownloadClient();
+        if (external) {
+            return res.status(400).json({ error: `The download queue is managed by ${external.client.name}` });
+        }
+        
+        const found = setTorrentPriority(req.params.infoHash, priority);
+        if (!found) {
+            return res.status(404).json({ error: 'Torrent not found in the download queue' });
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error(`Error setting priority of torrent ${req.params.infoHash}:`, error);
+        res.status(500).json({ error: 'Failed to set torrent priority' });
+    }
+});
+
+/**
+ * DELETE /api/admin/torrents/:infoHash
+ * Cancels a download and removes the torrent from the download client
+ * Query params: deleteData (optional, 'true' to also delete the downloaded data)
+ */
+router.delete('/torrents/:infoHash', async (req, res) => {
+    try {
+        const deleteData = req.query.deleteData === 'true';
+        const found = await removeTorrent(req.params.infoHash, { deleteData });
+        if (!found) {
+            return res.status(404).json({ error: 'Torrent not found' });
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error(`Error removing torrent ${req.params.infoHash}:`, error);
+        res.status(500).json({ error: 'Failed to remove torrent' });
+    }
+});
+
 /**
  * GET /api/admin/autodownload-animes
  * Returns all animes with autodownload enabled
@@ -950,6 +1811,8 @@ router.get('/autodownload-animes/:id/undownloaded-episodes', (req, res) => {
         // Get downloaded torrent IDs for this anime
         const downloadedTorrentIds = getDownloadedTorrentIdsForAnime(animeId);
         
+        const qualityProfile = resolveQualityProfile(getAnimeQualityProfile(animeId), getGlobalQualityProfile());
+        
         // Filter episodes to only those that are tracked (have torrents) but haven't been downloaded
         // An episode is considered undownloaded if:
         // 1. It has torrents (is tracked)
@@ -968,22 +1831,28 @@ router.get('/autodownload-animes/:id/undownloaded-episodes', (req, res) => {
             // Only include if it has torrents but none are downloaded
             return !hasDownloadedTorrent;
         }).map(episode => {
-            // Sort torrents by date (earliest first)
-            const sortedTorrents = episode.torrents ? [...episode.torrents].sort((a, b) => {
-                const dateA = a.date ? new Date(a.date).getTime() : 0;
-                const dateB = b.date ? new Date(b.date).getTime() : 0;
-                return dateA - dateB;
-            }) : [];
+            // Rank torrents against the quality profile (the auto-downloader's pick comes first)
+            const rankedTorrents = rankTorrents(episode.torrents, qualityProfile);
+            const pick = rankedTorrents.length > 0 && rankedTorrents[0].accepted ? rankedTorrents[0] : null;
             
             return {
                 episode: episode.episode,
                 airingAt: episode.airingAt,
-                torrents: sortedTorrents
+                torrents: rankedTorrents.map(({ torrent, accepted, score, reasons }) => ({
+                    ...torrent,
+                    accepted,
+                    score,
+                    reasons
+                })),
+                selection: pick
+                    ? { torrentId: pick.torrent.id, score: pick.score, reasons: pick.reasons }
+                    : null
             };
         });
         
         res.json({
             animeId: animeId,
+            qualityProfile: qualityProfile,
             episodes: undownloadedEpisodes
         });
     } catch (error) {
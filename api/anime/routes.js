@@ -1,5 +1,5 @@
 import express from 'express';
-import { getAnimeById, getAnimeSubGroups, setAnimeSubGroupEnabled, getDownloadedTorrentIdsForAnime, setAnimeAutodownload } from '../../database/animeDB.js';
+import { getAnimeById, getAnimeSubGroups, setAnimeSubGroupEnabled, getDownloadedTorrentIdsForAnime, getCrcStatusesForAnime, getOwnedEpisodeNumbersForAnime, setAnimeAutodownload, getAnimeQualityProfile, setAnimeQualityProfile, getGlobalQualityProfile, getAnimeSearchSettings, setAnimeSearchSettings, getGlobalSearchSettings, getAnimeRetentionPolicy, setAnimeRetentionPolicy } from '../../database/animeDB.js';
 import {
     scheduleScanTorrentsTask,
     getTaskById,
@@ -7,6 +7,13 @@ import {
     TASK_STATUS
 } from '../../services/taskQueue.js';
 import { downloadTorrent, getTorrentStatusByTorrentIdOrUrl } from '../../services/torrentService.js';
+import { normalizeQualityProfile, validateQualityProfile, resolveQualityProfile } from '../../services/qualityProfile.js';
+import { normalizeSearchSettings, validateSearchSettings, resolveSearchSettings } from '../../services/searchSettings.js';
+import { normalizeRetentionPolicy, validateRetentionPolicy, ensureRetentionJob } from '../../services/storageManager.js';
+import { getAnimeWatchState, getContinueWatching } from '../../services/watchProgress.js';
+import { pushAniListProgress } from '../../services/anilistSync.js';
+import { getEpisodeSources } from '../../services/mediaStreaming.js';
+import { setEpisodesWatched, saveWatchPosition, getWatchProgressForAnime } from '../../database/watchDB.js';
 
 const router = express.Router();
 
@@ -148,6 +155,19 @@ router.get('/tasks/:taskId', (req, res) => {
     }
 });
 
+/**
+ * GET /api/anime/continue-watching
+ * Lists the anime with unwatched downloaded episodes, most recently downloaded first
+ */
+router.get('/continue-watching', (req, res) => {
+    try {
+        res.json(getContinueWatching());
+    } catch (error) {
+        console.error('Error fetching continue watching list:', error);
+        res.status(500).json({ error: 'Failed to fetch continue watching list' });
+    }
+});
+
 /**
  * GET /api/anime/:id/scan-task
  * Returns the currently active torrent scan task for the anime if it exists
@@ -191,6 +211,7 @@ router.get('/:id/scan-task', (req, res) => {
 /**
  * GET /api/anime/:id/downloaded-torrents
  * Returns an array of torrent IDs that have been downloaded for this anime
+ * and the CRC check status of each of them, plus the episodes imported from the library without a torrent
  */
 router.get('/:id/downloaded-torrents', (req, res) => {
     try {
@@ -209,7 +230,9 @@ router.get('/:id/downloaded-torrents', (req, res) => {
         const downloadedTorrentIds = getDownloadedTorrentIdsForAnime(animeId);
         res.json({
             animeId,
-            downloadedTorrentIds: Array.from(downloadedTorrentIds)
+            downloadedTorrentIds: Array.from(downloadedTorrentIds),
+            crcStatuses: getCrcStatusesForAnime(animeId),
+            ownedEpisodes: Array.from(getOwnedEpisodeNumbersForAnime(animeId))
         });
     } catch (error) {
         console.error('Error fetching downloaded torrents:', error);
@@ -220,14 +243,14 @@ router.get('/:id/downloaded-torrents', (req, res) => {
 /**
  * POST /api/anime/:id/torrents/:torrentId/download
  * Downloads a torrent for an anime
- * Body: { torrentLink: string, torrentTitle: string }
+ * Body: { torrentLink: string, torrentTitle: string, infoHash?: string }
  */
 router.post('/:id/torrents/:torrentId/download', express.json(), async (req, res) => {
     try {
         const { id, torrentId } = req.params;
         const animeId = parseInt(id);
         const torrentIdNum = parseInt(torrentId);
-        const { torrentLink, torrentTitle } = req.body;
+        const { torrentLink, torrentTitle, infoHash } = req.body;
 
         if (isNaN(animeId)) {
             return res.status(400).json({ error: 'Invalid anime ID' });
@@ -252,7 +275,8 @@ router.post('/:id/torrents/:torrentId/download', express.json(), async (req, res
         const result = await downloadTorrent(torrentLink, {
             animeTitle,
             animeId,
-            torrentId: torrentIdNum
+            torrentId: torrentIdNum,
+            infoHash: infoHash || null
         });
 
         res.json({
@@ -269,8 +293,9 @@ router.post('/:id/torrents/:torrentId/download', express.json(), async (req, res
 /**
  * GET /api/anime/:id/torrents/:torrentId/status
  * Gets the download status of a torrent
+ * Query params: infoHash (optional), url (optional)
  */
-router.get('/:id/torrents/:torrentId/status', (req, res) => {
+router.get('/:id/torrents/:torrentId/status', async (req, res) => {
     try {
         const { torrentId } = req.params;
         const torrentIdNum = parseInt(torrentId);
@@ -279,17 +304,24 @@ router.get('/:id/torrents/:torrentId/status', (req, res) => {
             return res.status(400).json({ error: 'Invalid torrent ID' });
         }
 
-        // Try by URL first (more reliable since webtorrent tracks by URL)
-        const { url } = req.query;
+        // Try by info hash first (canonical torrent identity), then by URL
+        const { url, infoHash } = req.query;
+        if (infoHash) {
+            const statusByInfoHash = await getTorrentStatusByTorrentIdOrUrl(infoHash);
+            if (statusByInfoHash) {
+                return res.json(statusByInfoHash);
+            }
+        }
+        
         if (url) {
-            const statusByUrl = getTorrentStatusByTorrentIdOrUrl(url);
+            const statusByUrl = await getTorrentStatusByTorrentIdOrUrl(url);
             if (statusByUrl) {
                 return res.json(statusByUrl);
             }
         }
         
         // Fallback to torrentId
-        const status = getTorrentStatusByTorrentIdOrUrl(torrentIdNum);
+        const status = await getTorrentStatusByTorrentIdOrUrl(torrentIdNum);
         if (status) {
             return res.json(status);
         }
@@ -340,5 +372,388 @@ router.post('/:id/autodownload', express.json(), async (req, res) => {
     }
 });
 
+/**
+ * GET /api/anime/:id/watch-progress
+ * Returns the watch progress of the anime, its downloaded episodes and the episode to continue with
+ */
+router.get('/:id/watch-progress', (req, res) => {
+    try {
+        const { id } = req.params;
+        const animeId = parseInt(id);
+
+        if (isNaN(animeId)) {
+            return res.status(400).json({ error: 'Invalid anime ID' });
+        }
+
+        res.json(getAnimeWatchState(animeId));
+    } catch (error) {
+        console.error('Error fetching watch progress:', error);
+        res.status(500).json({ error: error.message || 'Failed to fetch watch progress' });
+    }
+});
+
+/**
+ * POST /api/anime/:id/watch-progress
+ * Marks several episodes as watched or unwatched
+ * Body: { episodes: number[], watched: boolean }
+ */
+router.post('/:id/watch-progress', express.json(), (req, res) => {
+    try {
+        const { id } = req.params;
+        const animeId = parseInt(id);
+        const { episodes, watched } = req.body;
+
+        if (isNaN(animeId)) {
+            return res.status(400).json({ error: 'Invalid anime ID' });
+        }
+
+        if (!Array.isArray(episodes) || episodes.length === 0 || !episodes.every(episode => Number.isInteger(episode) && episode >= 0)) {
+            return res.status(400).json({ error: 'episodes must be a non-empty array of episode numbers' });
+        }
+
+        if (typeof watched !== 'boolean') {
+            return res.status(400).json({ error: 'watched must be a boolean' });
+        }
+
+        setEpisodesWatched(animeId, episodes, watched);
+        if (watched) {
+            // Best effort; a failed push is retried by the next AniList sync
+            pushAniListProgress(animeId).catch(error => {
+                console.error(`Error pushing AniList progress for anime ID ${animeId}:`, error);
+            });
+        }
+
+        res.json({
+            success: true,
+            ...getAnimeWatchState(animeId)
+        });
+    } catch (error) {
+        console.error('Error saving watch progress:', error);
+        if (error.message === 'Anime not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message || 'Failed to save watch progress' });
+    }
+});
+
+/**
+ * POST /api/anime/:id/episodes/:episode/watched
+ * Marks one episode as watched or unwatched
+ * Body: { watched: boolean }
+ */
+router.post('/:id/episodes/:episode/watched', express.json(), (req, res) => {
+    try {
+        const { id, episode } = req.params;
+        const animeId = parseInt(id);
+        const episodeNumber = parseInt(episode);
+        const { watched } = req.body;
+
+        if (isNaN(animeId) || isNaN(episodeNumber)) {
+            return res.status(400).json({ error: 'Invalid anime ID or episode number' });
+        }
+
+        if (typeof watched !== 'boolean') {
+            return res.status(400).json({ error: 'watched must be a boolean' });
+        }
+
+        setEpisodesWatched(animeId, [episodeNumber], watched);
+        if (watched) {
+            // Best effort; a failed push is retried by the next AniList sync
+            pushAniListProgress(animeId).catch(error => {
+                console.error(`Error pushing AniList progress for anime ID ${animeId}:`, error);
+            });
+        }
+
+        res.json({
+            success: true,
+            ...getAnimeWatchState(animeId)
+        });
+    } catch (error) {
+        console.error('Error saving watch progress:', error);
+        if (error.message === 'Anime not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message || 'Failed to save watch progress' });
+    }
+});
+
+/**
+ * GET /api/anime/:id/episodes/:episode/sources
+ * Returns the sources the episode can be played from (downloaded files, imported files and torrents still
+ * downloading) with their subtitle tracks, and the saved playback position
+ */
+router.get('/:id/episodes/:episode/sources', async (req, res) => {
+    try {
+        const { id, episode } = req.params;
+        const animeId = parseInt(id);
+        const episodeNumber = parseInt(episode);
+
+        if (isNaN(animeId) || isNaN(episodeNumber)) {
+            return res.status(400).json({ error: 'Invalid anime ID or episode number' });
+        }
+
+        const anime = getAnimeById(animeId);
+        if (!anime) {
+            return res.status(404).json({ error: 'Anime not found' });
+        }
+
+        const progress = getWatchProgressForAnime(animeId).find(item => item.episodeNumber === episodeNumber) || null;
+        res.json({
+            animeId,
+            episodeNumber,
+            sources: await getEpisodeSources(animeId, episodeNumber),
+            progress
+        });
+    } catch (error) {
+        console.error('Error fetching episode sources:', error);
+        res.status(500).json({ error: error.message || 'Failed to fetch episode sources' });
+    }
+});
+
+/**
+ * POST /api/anime/:id/episodes/:episode/position
+ * Saves the playback position of an episode
+ * Body: { position: number, duration?: number } (seconds)
+ */
+router.post('/:id/episodes/:episode/position', express.json(), (req, res) => {
+    try {
+        const { id, episode } = req.params;
+        const animeId = parseInt(id);
+        const episodeNumber = parseInt(episode);
+        const { position, duration } = req.body;
+
+        if (isNaN(animeId) || isNaN(episodeNumber)) {
+            return res.status(400).json({ error: 'Invalid anime ID or episode number' });
+        }
+
+        if (typeof position !== 'number' || !Number.isFinite(position) || position < 0) {
+            return res.status(400).json({ error: 'position must be a non-negative number' });
+        }
+
+        if (duration !== undefined && duration !== null && (typeof duration !== 'number' || !Number.isFinite(duration) || duration <= 0)) {
+            return res.status(400).json({ error: 'duration must be a positive number' });
+        }
+
+        res.json({
+            success: true,
+            progress: saveWatchPosition(animeId, episodeNumber, Math.floor(position), duration ? Math.round(duration) : null)
+        });
+    } catch (error) {
+        console.error('Error saving playback position:', error);
+        if (error.message === 'Anime not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message || 'Failed to save playback position' });
+    }
+});
+
+/**
+ * GET /api/anime/:id/quality-profile
+ * Returns the anime's quality profile override together with the global and effective profiles
+ */
+router.get('/:id/quality-profile', (req, res) => {
+    try {
+        const { id } = req.params;
+        const animeId = parseInt(id);
+
+        if (isNaN(animeId)) {
+            return res.status(400).json({ error: 'Invalid anime ID' });
+        }
+
+        const profile = getAnimeQualityProfile(animeId);
+        const globalProfile = getGlobalQualityProfile();
+
+        res.json({
+            animeId,
+            profile: profile ? normalizeQualityProfile(profile) : null,
+            globalProfile: normalizeQualityProfile(globalProfile),
+            effectiveProfile: resolveQualityProfile(profile, globalProfile)
+        });
+    } catch (error) {
+        console.error('Error fetching anime quality profile:', error);
+        if (error.message === 'Anime not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message || 'Failed to fetch quality profile' });
+    }
+});
+
+/**
+ * POST /api/anime/:id/quality-profile
+ * Sets or clears the anime's quality profile override
+ * Body: { profile: { subGroups, resolutions, codecs, preferBatch, minSeeders } | null }
+ */
+router.post('/:id/quality-profile', express.json(), (req, res) => {
+    try {
+        const { id } = req.params;
+        const animeId = parseInt(id);
+        const { profile } = req.body;
+
+        if (isNaN(animeId)) {
+            return res.status(400).json({ error: 'Invalid anime ID' });
+        }
+
+        if (profile !== null) {
+            const validationError = validateQualityProfile(profile);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+        }
+
+        const saved = setAnimeQualityProfile(animeId, profile ? normalizeQualityProfile(profile) : null);
+
+        res.json({
+            success: true,
+            animeId,
+            profile: saved ? normalizeQualityProfile(saved) : null,
+            effectiveProfile: resolveQualityProfile(saved, getGlobalQualityProfile())
+        });
+    } catch (error) {
+        console.error('Error saving anime quality profile:', error);
+        if (error.message === 'Anime not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message || 'Failed to save quality profile' });
+    }
+});
+
+/**
+ * GET /api/anime/:id/retention-policy
+ * Returns the anime's retention policy; null keeps every downloaded episode
+ */
+router.get('/:id/retention-policy', (req, res) => {
+    try {
+        const { id } = req.params;
+        const animeId = parseInt(id);
+
+        if (isNaN(animeId)) {
+            return res.status(400).json({ error: 'Invalid anime ID' });
+        }
+
+        res.json({
+            animeId,
+            policy: normalizeRetentionPolicy(getAnimeRetentionPolicy(animeId))
+        });
+    } catch (error) {
+        console.error('Error fetching anime retention policy:', error);
+        if (error.message === 'Anime not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message || 'Failed to fetch retention policy' });
+    }
+});
+
+/**
+ * POST /api/anime/:id/retention-policy
+ * Sets or clears the anime's retention policy
+ * Body: { policy: { keepLastEpisodes, deleteFinishedAfterDays } | null }
+ */
+router.post('/:id/retention-policy', express.json(), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const animeId = parseInt(id);
+        const { policy } = req.body;
+
+        if (isNaN(animeId)) {
+            return res.status(400).json({ error: 'Invalid anime ID' });
+        }
+
+        if (policy !== null) {
+            const validationError = validateRetentionPolicy(policy);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+        }
+
+        const saved = setAnimeRetentionPolicy(animeId, normalizeRetentionPolicy(policy));
+        if (saved) {
+            // Retention policies are applied by a scheduled job
+            await ensureRetentionJob();
+        }
+
+        res.json({
+            success: true,
+            animeId,
+            policy: normalizeRetentionPolicy(saved)
+        });
+    } catch (error) {
+        console.error('Error saving anime retention policy:', error);
+        if (error.message === 'Anime not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message || 'Failed to save retention policy' });
+    }
+});
+
+/**
+ * GET /api/anime/:id/search-settings
+ * Returns the anime's torrent search settings override together with the global and effective settings
+ */
+router.get('/:id/search-settings', (req, res) => {
+    try {
+        const { id } = req.params;
+        const animeId = parseInt(id);
+
+        if (isNaN(animeId)) {
+            return res.status(400).json({ error: 'Invalid anime ID' });
+        }
+
+        const settings = getAnimeSearchSettings(animeId);
+        const globalSettings = getGlobalSearchSettings();
+
+        res.json({
+            animeId,
+            settings: settings ? normalizeSearchSettings(settings) : null,
+            globalSettings: normalizeSearchSettings(globalSettings),
+            effectiveSettings: resolveSearchSettings(settings, globalSettings)
+        });
+    } catch (error) {
+        console.error('Error fetching anime search settings:', error);
+        if (error.message === 'Anime not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message || 'Failed to fetch search settings' });
+    }
+});
+
+/**
+ * POST /api/anime/:id/search-settings
+ * Sets or clears the anime's torrent search settings override
+ * Body: { settings: { resolution, category, filter, includeTerms, excludeTerms } | null }
+ */
+router.post('/:id/search-settings', express.json(), (req, res) => {
+    try {
+        const { id } = req.params;
+        const animeId = parseInt(id);
+        const { settings } = req.body;
+
+        if (isNaN(animeId)) {
+            return res.status(400).json({ error: 'Invalid anime ID' });
+        }
+
+        if (settings !== null) {
+            const validationError = validateSearchSettings(settings);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+        }
+
+        const saved = setAnimeSearchSettings(animeId, settings ? normalizeSearchSettings(settings) : null);
+
+        res.json({
+            success: true,
+            animeId,
+            settings: saved ? normalizeSearchSettings(saved) : null,
+            effectiveSettings: resolveSearchSettings(saved, getGlobalSearchSettings())
+        });
+    } catch (error) {
+        console.error('Error saving anime search settings:', error);
+        if (error.message === 'Anime not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message || 'Failed to save search settings' });
+    }
+});
+
 export default router;
 
@@ -0,0 +1,205 @@
+import express from 'express';
+import { getAnimeById, getTorrentFeedItems } from '../../database/animeDB.js';
+import { escapeXml, xmlEmptyElement } from '../../utils/xml.js';
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const FEED_NAMESPACE = 'https://github.com/gogodr/AnimeSeasonDownloader/xmlns/feed';
+
+/**
+ * Formats the episode numbers of a feed item (e.g. "5" or "1-12")
+ * @param {Array<number>} episodeNumbers - Episode numbers covered by the torrent
+ * @returns {string} Episode label
+ */
+function formatEpisodes(episodeNumbers) {
+    if (episodeNumbers.length <= 1) {
+        return String(episodeNumbers[0] ?? '');
+    }
+    return `${episodeNumbers[0]}-${episodeNumbers[episodeNumbers.length - 1]}`;
+}
+
+/**
+ * Builds a human readable summary of a feed item
+ * @param {Object} torrent - Torrent from getTorrentFeedItems
+ * @returns {string} Summary text
+ */
+function buildSummary(torrent) {
+    const episodeLabel = torrent.episodeNumbers.length > 1 ? 'Episodes' : 'Episode';
+    const parts = [torrent.animeTitle, `${episodeLabel} ${formatEpisodes(torrent.episodeNumbers)}`];
+    if (torrent.subGroup) {
+        parts.push(torrent.subGroup);
+    }
+    return parts.join(' · ');
+}
+
+/**
+ * Builds an RSS 2.0 feed
+ * @param {Object} feed - { title, description, url }
+ * @param {Array} torrents - Torrents from getTorrentFeedItems
+ * @returns {string} RSS XML
+ */
+function buildRss(feed, torrents) {
+    const items = torrents.map(torrent => `
+        <item>
+            <title>${escapeXml(torrent.title)}</title>
+            <link>${escapeXml(torrent.link)}</link>
+            <guid isPermaLink="false">${escapeXml(torrent.infoHash || torrent.link)}</guid>
+            <pubDate>${escapeXml(torrent.addedAt.toUTCString())}</pubDate>
+            <description>${escapeXml(buildSummary(torrent))}</description>
+            ${torrent.subGroup ? `<category>${escapeXml(torrent.subGroup)}</category>` : ''}
+            ${xmlEmptyElement('enclosure', { url: torrent.link, length: torrent.size ?? 0, type: 'application/x-bittorrent' })}
+            <anime:animeId>${torrent.animeId}</anime:animeId>
+            <anime:episode>${escapeXml(formatEpisodes(torrent.episodeNumbers))}</anime:episode>
+            ${torrent.subGroup ? `<anime:subGroup>${escapeXml(torrent.subGroup)}</anime:subGroup>` : ''}
+            ${torrent.infoHash ? `<anime:infoHash>${torrent.infoHash}</anime:infoHash>` : ''}
+            ${torrent.magnet ? `<anime:magnet>${escapeXml(torrent.magnet)}</anime:magnet>` : ''}
+        </item>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:anime="${FEED_NAMESPACE}">
+    <channel>
+        <title>${escapeXml(feed.title)}</title>
+        <link>${escapeXml(feed.url)}</link>
+        <description>${escapeXml(feed.description)}</description>
+        ${xmlEmptyElement('atom:link', { href: feed.url, rel: 'self', type: 'application/rss+xml' })}${items}
+    </channel>
+</rss>`;
+}
+
+/**
+ * Builds an Atom feed
+ * @param {Object} feed - { title, description, url }
+ * @param {Array} torrents - Torrents from getTorrentFeedItems
+ * @returns {string} Atom XML
+ */
+function buildAtom(feed, torrents) {
+    const updated = torrents.length > 0 ? torrents[0].addedAt : new Date();
+    const entries = torrents.map(torrent => `
+    <entry>
+        <id>${escapeXml(torrent.infoHash ? `urn:btih:${torrent.infoHash}` : torrent.link)}</id>
+        <title>${escapeXml(torrent.title)}</title>
+        <updated>${torrent.addedAt.toISOString()}</updated>
+        <published>${torrent.date.toISOString()}</published>
+        <summary>${escapeXml(buildSummary(torrent))}</summary>
+        ${xmlEmptyElement('link', { href: torrent.link })}
+        ${xmlEmptyElement('link', { rel: 'enclosure', href: torrent.link, type: 'application/x-bittorrent', length: torrent.size })}
+        ${torrent.subGroup ? xmlEmptyElement('category', { term: torrent.subGroup }) : ''}
+        <anime:animeId>${torrent.animeId}</anime:animeId>
+        <anime:episode>${escapeXml(formatEpisodes(torrent.episodeNumbers))}</anime:episode>
+        ${torrent.subGroup ? `<anime:subGroup>${escapeXml(torrent.subGroup)}</anime:subGroup>` : ''}
+        ${torrent.infoHash ? `<anime:infoHash>${torrent.infoHash}</anime:infoHash>` : ''}
+        ${torrent.magnet ? `<anime:magnet>${escapeXml(torrent.magnet)}</anime:magnet>` : ''}
+    </entry>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:anime="${FEED_NAMESPACE}">
+    <id>${escapeXml(feed.url)}</id>
+    <title>${escapeXml(feed.title)}</title>
+    <subtitle>${escapeXml(feed.description)}</subtitle>
+    <updated>${updated.toISOString()}</updated>
+    ${xmlEmptyElement('link', { href: feed.url, rel: 'self' })}${entries}
+</feed>`;
+}
+
+/**
+ * Sends a feed in the format requested by the format query param (rss by default, or atom)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} feed - { title, description }
+ * @param {Object} scope - Scope passed to getTorrentFeedItems
+ */
+function sendFeed(req, res, feed, scope) {
+    const format = String(req.query.format || 'rss').toLowerCase();
+    if (format !== 'rss' && format !== 'atom') {
+        return res.status(400).json({ error: 'format must be rss or atom' });
+    }
+
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : DEFAULT_LIMIT;
+    if (isNaN(limit) || limit < 1) {
+        return res.status(400).json({ error: 'limit must be a positive number' });
+    }
+
+    const torrents = getTorrentFeedItems(scope, Math.min(limit, MAX_LIMIT));
+    const feedWithUrl = { ...feed, url: `${req.protocol}://${req.get('host')}${req.originalUrl}` };
+
+    if (format === 'atom') {
+        return res.type('application/atom+xml').send(buildAtom(feedWithUrl, torrents));
+    }
+    res.type('application/rss+xml').send(buildRss(feedWithUrl, torrents));
+}
+
+/**
+ * GET /api/feeds/anime/:id
+ * Feed of the torrents found for an anime, newest first
+ * Query params: format (rss or atom, default rss), limit (default 50, max 200)
+ */
+router.get('/anime/:id', (req, res) => {
+    try {
+        const animeId = parseInt(req.params.id);
+        if (isNaN(animeId)) {
+            return res.status(400).json({ error: 'Invalid anime ID' });
+        }
+
+        const anime = getAnimeById(animeId);
+        if (!anime) {
+            return res.status(404).json({ error: 'Anime not found' });
+        }
+
+        const title = anime.title.english || anime.title.romaji || anime.title.native;
+        sendFeed(req, res, {
+            title: `${title} - New Episodes`,
+            description: `Torrents found for ${title} from its enabled subgroups`
+        }, { animeId });
+    } catch (error) {
+        console.error('Error building anime feed:', error);
+        res.status(500).json({ error: 'Failed to build feed' });
+    }
+});
+
+/**
+ * GET /api/feeds/autodownload
+ * Feed of the torrents found for every anime marked for auto-download, newest first
+ * Query params: format (rss or atom, default rss), limit (default 50, max 200)
+ */
+router.get('/autodownload', (req, res) => {
+    try {
+        sendFeed(req, res, {
+            title: 'Auto-Download - New Episodes',
+            description: 'Torrents found for anime marked for auto-download, from their enabled subgroups'
+        }, { autodownload: true });
+    } catch (error) {
+        console.error('Error building auto-download feed:', error);
+        res.status(500).json({ error: 'Failed to build feed' });
+    }
+});
+
+/**
+ * GET /api/feeds/quarter/:quarter/:year
+ * Feed of the torrents found for every anime of a quarter, newest first
+ * Query params: format (rss or atom, default rss), limit (default 50, max 200)
+ */
+router.get('/quarter/:quarter/:year', (req, res) => {
+    try {
+        const quarter = req.params.quarter.toUpperCase();
+        const year = parseInt(req.params.year);
+
+        if (!['Q1', 'Q2', 'Q3', 'Q4'].includes(quarter)) {
+            return res.status(400).json({ error: 'Invalid quarter. Must be Q1, Q2, Q3, or Q4' });
+        }
+        if (isNaN(year)) {
+            return res.status(400).json({ error: 'Invalid year' });
+        }
+
+        sendFeed(req, res, {
+            title: `${quarter} ${year} - New Episodes`,
+            description: `Torrents found for anime of ${quarter} ${year}, from their enabled subgroups`
+        }, { quarter, year });
+    } catch (error) {
+        console.error('Error building quarter feed:', error);
+        res.status(500).json({ error: 'Failed to build feed' });
+    }
+});
+
+export default router;
@@ -0,0 +1,89 @@
+import express from 'express';
+import { getLibraryStreamFile, getSubtitleTrack, getTorrentStreamFile, sendVideoRange, createFileRangeStream } from '../../services/mediaStreaming.js';
+
+const router = express.Router();
+
+// URL segment of each kind of library file
+const FILE_SOURCES = {
+    files: 'file',
+    owned: 'owned'
+};
+
+/**
+ * GET /api/stream/:source/:id
+ * Streams a downloaded file (files) or an episode imported from the library (owned); supports range requests
+ */
+router.get('/:source(files|owned)/:id', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+
+        if (isNaN(id)) {
+            return res.status(400).json({ error: 'Invalid file ID' });
+        }
+
+        const file = await getLibraryStreamFile(FILE_SOURCES[req.params.source], id);
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        sendVideoRange(req, res, {
+            fileName: file.fileName,
+            size: file.size,
+            createStream: createFileRangeStream(file.filePath)
+        });
+    } catch (error) {
+        console.error('Error streaming file:', error);
+        res.status(500).json({ error: 'Failed to stream file' });
+    }
+});
+
+/**
+ * GET /api/stream/:source/:id/subtitles/:index
+ * Returns a subtitle file stored next to a downloaded or imported file, converted to WebVTT
+ */
+router.get('/:source(files|owned)/:id/subtitles/:index', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const index = parseInt(req.params.index);
+
+        if (isNaN(id) || isNaN(index)) {
+            return res.status(400).json({ error: 'Invalid file ID or subtitle index' });
+        }
+
+        const track = await getSubtitleTrack(FILE_SOURCES[req.params.source], id, index);
+        if (track === null) {
+            return res.status(404).json({ error: 'Subtitles not found' });
+        }
+
+        res.type('text/vtt').send(track);
+    } catch (error) {
+        console.error('Error fetching subtitles:', error);
+        res.status(500).json({ error: 'Failed to fetch subtitles' });
+    }
+});
+
+/**
+ * GET /api/stream/torrents/:infoHash/:fileIndex
+ * Streams a file of a torrent the built-in client is still downloading; the requested range is downloaded first
+ */
+router.get('/torrents/:infoHash/:fileIndex', (req, res) => {
+    try {
+        const fileIndex = parseInt(req.params.fileIndex);
+
+        if (isNaN(fileIndex)) {
+            return res.status(400).json({ error: 'Invalid file index' });
+        }
+
+        const file = getTorrentStreamFile(req.params.infoHash, fileIndex);
+        if (!file) {
+            return res.status(404).json({ error: 'Torrent file not found' });
+        }
+
+        sendVideoRange(req, res, file);
+    } catch (error) {
+        console.error('Error streaming torrent file:', error);
+        res.status(500).json({ error: 'Failed to stream torrent file' });
+    }
+});
+
+export default router;
@@ -0,0 +1,177 @@
+import express from 'express';
+import { getTorznabApiKey, searchTorrentIndex } from '../../database/animeDB.js';
+import { escapeXml, xmlEmptyElement } from '../../utils/xml.js';
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// Newznab/Torznab categories served by this indexer
+const CATEGORY_TV = 5000;
+const CATEGORY_ANIME = 5070;
+
+// Torznab error codes
+const ERROR_INCORRECT_CREDENTIALS = 100;
+const ERROR_INCORRECT_PARAMETER = 201;
+const ERROR_NO_SUCH_FUNCTION = 202;
+const ERROR_UNKNOWN = 900;
+
+/**
+ * Sends a Torznab error response
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {number} code - Torznab error code
+ * @param {string} description - Error description
+ */
+function sendError(res, status, code, description) {
+    res.status(status)
+        .type('application/xml')
+        .send(`<?xml version="1.0" encoding="UTF-8"?>\n${xmlEmptyElement('error', { code, description })}`);
+}
+
+/**
+ * Parses an optional non-negative integer query parameter
+ * @param {*} value - Query parameter value
+ * @returns {number|null|undefined} Parsed number, null if missing, undefined if invalid
+ */
+function parseOptionalInt(value) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    const number = parseInt(value, 10);
+    return isNaN(number) || number < 0 ? undefined : number;
+}
+
+/**
+ * Builds the caps document describing the supported functions and categories
+ * @returns {string} Caps XML
+ */
+function buildCaps() {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<caps>
+    ${xmlEmptyElement('server', { version: '1.0', title: 'AnimeSeasonDownloader' })}
+    ${xmlEmptyElement('limits', { max: MAX_LIMIT, default: DEFAULT_LIMIT })}
+    <searching>
+        ${xmlEmptyElement('search', { available: 'yes', supportedParams: 'q' })}
+        ${xmlEmptyElement('tv-search', { available: 'yes', supportedParams: 'q,season,ep' })}
+        ${xmlEmptyElement('movie-search', { available: 'no', supportedParams: 'q' })}
+    </searching>
+    <categories>
+        <category id="${CATEGORY_TV}" name="TV">
+            ${xmlEmptyElement('subcat', { id: CATEGORY_ANIME, name: 'Anime' })}
+        </category>
+    </categories>
+</caps>`;
+}
+
+/**
+ * Builds an RSS item for a stored torrent
+ * @param {Object} torrent - Torrent from searchTorrentIndex
+ * @returns {string} Item XML
+ */
+function buildItem(torrent) {
+    const attributes = [
+        ['category', CATEGORY_TV],
+        ['category', CATEGORY_ANIME],
+        ['size', torrent.size],
+        ['seeders', torrent.seeders],
+        ['peers', torrent.seeders !== null && torrent.leechers !== null ? torrent.seeders + torrent.leechers : null],
+        ['grabs', torrent.completed],
+        ['infohash', torrent.infoHash],
+        ['magneturl', torrent.magnet],
+        ['season', torrent.season],
+        // Batches cover several episodes, so they only carry the season
+        ['episode', torrent.batch ? null : torrent.episodeNumber]
+    ];
+
+    return `
+        <item>
+            <title>${escapeXml(torrent.title)}</title>
+            <guid isPermaLink="false">${escapeXml(torrent.infoHash || torrent.link)}</guid>
+            <link>${escapeXml(torrent.link)}</link>
+            <pubDate>${escapeXml(torrent.date.toUTCString())}</pubDate>
+            <category>${CATEGORY_ANIME}</category>
+            ${torrent.size !== null ? `<size>${torrent.size}</size>` : ''}
+            <description>${escapeXml(torrent.animeTitle)}</description>
+            ${xmlEmptyElement('enclosure', { url: torrent.link, length: torrent.size ?? 0, type: 'application/x-bittorrent' })}
+            ${attributes
+                .filter(([, value]) => value !== null && value !== undefined)
+                .map(([name, value]) => xmlEmptyElement('torznab:attr', { name, value }))
+                .join('\n            ')}
+        </item>`;
+}
+
+/**
+ * Builds the RSS search response
+ * @param {Object} result - Result of searchTorrentIndex
+ * @param {number} offset - Offset of the first item
+ * @returns {string} RSS XML
+ */
+function buildSearchResponse(result, offset) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:torznab="http://torznab.com/schemas/2015/feed">
+    <channel>
+        <title>AnimeSeasonDownloader</title>
+        <description>AnimeSeasonDownloader torrent index</description>
+        ${xmlEmptyElement('torznab:response', { offset, total: result.total })}${result.torrents.map(buildItem).join('')}
+    </channel>
+</rss>`;
+}
+
+/**
+ * GET /api/torznab (also /api/torznab/api)
+ * Torznab API over the stored torrent index
+ * Query params: t (caps, search, tvsearch), apikey, q, season, ep, cat, limit, offset
+ * caps doesn't need the API key; search and tvsearch do
+ */
+router.get(['/', '/api'], (req, res) => {
+    try {
+        const fn = String(req.query.t || '').toLowerCase();
+
+        if (fn === 'caps') {
+            return res.type('application/xml').send(buildCaps());
+        }
+
+        if (fn !== 'search' && fn !== 'tvsearch' && fn !== 'tv-search') {
+            return sendError(res, 400, ERROR_NO_SUCH_FUNCTION, `No such function: ${fn || '(none)'}`);
+        }
+
+        if (!req.query.apikey || req.query.apikey !== getTorznabApiKey()) {
+            return sendError(res, 401, ERROR_INCORRECT_CREDENTIALS, 'Incorrect user credentials');
+        }
+
+        // Only anime categories are indexed; a request for other categories gets no results
+        if (req.query.cat) {
+            const categories = String(req.query.cat).split(',').map(cat => parseInt(cat, 10));
+            if (!categories.includes(CATEGORY_TV) && !categories.includes(CATEGORY_ANIME)) {
+                return res.type('application/xml').send(buildSearchResponse({ total: 0, torrents: [] }, 0));
+            }
+        }
+
+        const limit = parseOptionalInt(req.query.limit);
+        const offset = parseOptionalInt(req.query.offset);
+        const season = fn === 'search' ? null : parseOptionalInt(req.query.season);
+        const episode = fn === 'search' ? null : parseOptionalInt(req.query.ep);
+        if ([limit, offset, season, episode].includes(undefined)) {
+            return sendError(res, 400, ERROR_INCORRECT_PARAMETER, 'limit, offset, season and ep must be non-negative integers');
+        }
+
+        const effectiveLimit = Math.min(limit || DEFAULT_LIMIT, MAX_LIMIT);
+        const effectiveOffset = offset || 0;
+        const result = searchTorrentIndex({
+            query: req.query.q ? String(req.query.q) : null,
+            season,
+            episode,
+            limit: effectiveLimit,
+            offset: effectiveOffset
+        });
+
+        res.type('application/xml').send(buildSearchResponse(result, effectiveOffset));
+    } catch (error) {
+        console.error('Error handling Torznab request:', error);
+        sendError(res, 500, ERROR_UNKNOWN, error.message || 'Failed to search torrents');
+    }
+});
+
+export default router;
@@ -1,9 +1,28 @@
-export const ANILIST_GRAPHQL_URL = 'https://graphql.anilist.co/';
+// Overridable to point the app at a mirror or a local stand-in of the API
+export const ANILIST_GRAPHQL_URL = process.env.ANILIST_GRAPHQL_URL || 'https://graphql.anilist.co/';
 export const NYAA_BASE_URL = 'https://nyaa.si';
 
 export const RATE_LIMIT_DELAY = 500; // milliseconds
 export const CACHE_EXPIRATION_DAYS = 14; // 2 weeks
 
+export const DEFAULT_MAX_ACTIVE_TORRENTS = 3;
+export const MAX_ACTIVE_TORRENTS_LIMIT = 20;
+
+/**
+ * File types of downloaded torrents, by extension
+ * Files matching none of them are of type 'other'
+ */
+export const FILE_TYPE_EXTENSIONS = {
+    video: ['.mkv', '.mp4', '.avi', '.m4v', '.webm', '.ts', '.m2ts', '.wmv', '.mov', '.ogm'],
+    subtitles: ['.ass', '.ssa', '.srt', '.vtt', '.sub', '.idx', '.sup'],
+    fonts: ['.ttf', '.otf', '.ttc', '.woff', '.woff2']
+};
+
+export const FILE_TYPES = ['video', 'subtitles', 'fonts', 'other'];
+
+// Every file of a torrent is kept unless the configuration says otherwise
+export const DEFAULT_KEEP_FILE_TYPES = FILE_TYPES;
+
 /**
  * Quarter to Season mapping (for AniList API)
  * Q1 = Winter, Q2 = Spring, Q3 = Summer, Q4 = Fall
@@ -2,11 +2,16 @@ import Database from 'better-sqlite3';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { existsSync, mkdirSync } from 'fs';
-import { seasonToQuarter } from '../config/constants.js';
+import { randomBytes } from 'crypto';
+import { seasonToQuarter, DEFAULT_MAX_ACTIVE_TORRENTS, DEFAULT_KEEP_FILE_TYPES } from '../config/constants.js';
+import { parseReleaseInfo } from '../parsers/releaseParser.js';
+import { parseCRC } from '../parsers/episodeParser.js';
+import { normalizeKeepFileTypes } from '../utils/fileTypes.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
-const dbPath = join(__dirname, '..', 'anime.db');
+// ANIME_DB_PATH moves the database file elsewhere (the tests use a temporary one)
+const dbPath = process.env.ANIME_DB_PATH || join(__dirname, '..', 'anime.db');
 
 // Ensure data directory exists if needed
 const dbDir = dirname(dbPath);
@@ -16,6 +21,9 @@ if (!existsSync(dbDir)) {
 
 let db = null;
 
+// A re-recorded file is a new file: its expected CRC comes from the new name and it has to be checked again
+const RESET_CRC_COLUMNS = 'crc_expected = ?, crc_actual = NULL, crc_status = NULL, crc_checked_at = NULL';
+
 /**
  * Initializes the database connection and creates tables if they don't exist
  */
@@ -172,6 +180,42 @@ function initializeDB() {
         console.warn('Migration warning (autodownload column):', error.message);
     }
     
+    // Add quality_profile column to existing anime table if it doesn't exist (migration)
+    try {
+        const tableInfo = db.prepare(`PRAGMA table_info(anime)`).all();
+        const hasQualityProfileColumn = tableInfo.some(col => col.name === 'quality_profile');
+        
+        if (!hasQualityProfileColumn) {
+            db.exec(`ALTER TABLE anime ADD COLUMN quality_profile TEXT`);
+        }
+    } catch (error) {
+        console.warn('Migration warning (quality_profile column):', error.message);
+    }
+    
+    // Add retention_policy column to existing anime table if it doesn't exist (migration)
+    try {
+        const tableInfo = db.prepare(`PRAGMA table_info(anime)`).all();
+        const hasRetentionPolicyColumn = tableInfo.some(col => col.name === 'retention_policy');
+        
+        if (!hasRetentionPolicyColumn) {
+            db.exec(`ALTER TABLE anime ADD COLUMN retention_policy TEXT`);
+        }
+    } catch (error) {
+        console.warn('Migration warning (retention_policy column):', error.message);
+    }
+    
+    // Add search_settings column to existing anime table if it doesn't exist (migration)
+    try {
+        const tableInfo = db.prepare(`PRAGMA table_info(anime)`).all();
+        const hasSearchSettingsColumn = tableInfo.some(col => col.name === 'search_settings');
+        
+        if (!hasSearchSettingsColumn) {
+            db.exec(`ALTER TABLE anime ADD COLUMN search_settings TEXT`);
+        }
+    } catch (error) {
+        console.warn('Migration warning (search_settings column):', error.message);
+    }
+    
     // Create genres table
     db.exec(`
         CREATE TABLE IF NOT EXISTS genres (
@@ -218,6 +262,29 @@ function initializeDB() {
             FOREIGN KEY (anime_id) REFERENCES anime(id) ON DELETE SET NULL
         )
     `);
+    
+    // Create downloads table to persist the download queue across restarts
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS downloads (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            anime_id INTEGER,
+            torrent_id INTEGER,
+            replaces_torrent_id INTEGER,
+            torrent_url TEXT NOT NULL,
+            info_hash TEXT,
+            anime_title TEXT,
+            download_path TEXT NOT NULL,
+            episodes TEXT,
+            priority INTEGER NOT NULL DEFAULT 0,
+            state TEXT NOT NULL,
+            error TEXT,
+            created_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL,
+            FOREIGN KEY (anime_id) REFERENCES anime(id) ON DELETE SET NULL,
+            FOREIGN KEY (torrent_id) REFERENCES torrents(id) ON DELETE SET NULL,
+            FOREIGN KEY (replaces_torrent_id) REFERENCES torrents(id) ON DELETE SET NULL
+        )
+    `);
 
     // Create sub_groups table
     db.exec(`
@@ -314,6 +381,101 @@ function initializeDB() {
         )
     `);
     
+    // Migration: Add release metadata columns to torrents and parse existing titles
+    try {
+        const tableInfo = db.prepare(`PRAGMA table_info(torrents)`).all();
+        const hasReleaseColumns = tableInfo.some(col => col.name === 'resolution');
+        
+        if (!hasReleaseColumns) {
+            db.exec(`ALTER TABLE torrents ADD COLUMN resolution TEXT`);
+            db.exec(`ALTER TABLE torrents ADD COLUMN video_codec TEXT`);
+            db.exec(`ALTER TABLE torrents ADD COLUMN source TEXT`);
+            db.exec(`ALTER TABLE torrents ADD COLUMN audio_codec TEXT`);
+            db.exec(`ALTER TABLE torrents ADD COLUMN dual_audio INTEGER NOT NULL DEFAULT 0`);
+            db.exec(`ALTER TABLE torrents ADD COLUMN release_version INTEGER`);
+            db.exec(`ALTER TABLE torrents ADD COLUMN is_batch INTEGER NOT NULL DEFAULT 0`);
+            db.exec(`ALTER TABLE torrents ADD COLUMN batch_start INTEGER`);
+            db.exec(`ALTER TABLE torrents ADD COLUMN batch_end INTEGER`);
+            db.exec(`ALTER TABLE torrents ADD COLUMN container TEXT`);
+            
+            const existingTorrents = db.prepare(`SELECT id, title FROM torrents`).all();
+            const updateReleaseStmt = db.prepare(`
+                UPDATE torrents SET
+                    resolution = ?, video_codec = ?, source = ?, audio_codec = ?, dual_audio = ?,
+                    release_version = ?, is_batch = ?, batch_start = ?, batch_end = ?, container = ?
+                WHERE id = ?
+            `);
+            db.transaction(() => {
+                for (const torrent of existingTorrents) {
+                    const release = parseReleaseInfo(torrent.title);
+                    updateReleaseStmt.run(
+                        release.resolution,
+                        release.videoCodec,
+                        release.source,
+                        release.audioCodec,
+                        release.dualAudio ? 1 : 0,
+                        release.version,
+                        release.batch ? 1 : 0,
+                        release.batchStart,
+                        release.batchEnd,
+                        release.container,
+                        torrent.id
+                    );
+                }
+            })();
+        }
+    } catch (error) {
+        console.warn('Migration warning (torrents release metadata):', error.message);
+    }
+    
+    // Migration: Add swarm statistics columns (size, seeders, leechers, completed, trusted/remake flags) to torrents
+    try {
+        const tableInfo = db.prepare(`PRAGMA table_info(torrents)`).all();
+        const hasSeeders = tableInfo.some(col => col.name === 'seeders');
+        
+        if (!hasSeeders) {
+            db.exec(`ALTER TABLE torrents ADD COLUMN size INTEGER`);
+            db.exec(`ALTER TABLE torrents ADD COLUMN seeders INTEGER`);
+            db.exec(`ALTER TABLE torrents ADD COLUMN leechers INTEGER`);
+            db.exec(`ALTER TABLE torrents ADD COLUMN completed INTEGER`);
+            db.exec(`ALTER TABLE torrents ADD COLUMN trusted INTEGER NOT NULL DEFAULT 0`);
+            db.exec(`ALTER TABLE torrents ADD COLUMN remake INTEGER NOT NULL DEFAULT 0`);
+            db.exec(`ALTER TABLE torrents ADD COLUMN stats_updated_at INTEGER`);
+        }
+    } catch (error) {
+        console.warn('Migration warning (torrents swarm statistics):', error.message);
+    }
+    
+    // Migration: Add magnet and info_hash columns to torrents
+    try {
+        const tableInfo = db.prepare(`PRAGMA table_info(torrents)`).all();
+        const hasMagnet = tableInfo.some(col => col.name === 'magnet');
+        const hasInfoHash = tableInfo.some(col => col.name === 'info_hash');
+        
+        if (!hasMagnet) {
+            db.exec(`ALTER TABLE torrents ADD COLUMN magnet TEXT`);
+        }
+        if (!hasInfoHash) {
+            db.exec(`ALTER TABLE torrents ADD COLUMN info_hash TEXT`);
+        }
+    } catch (error) {
+        console.warn('Migration warning (torrents magnet/info_hash):', error.message);
+    }
+    
+    // Migration: Add added_at column to torrents (when the torrent was first stored, used by the feeds)
+    try {
+        const tableInfo = db.prepare(`PRAGMA table_info(torrents)`).all();
+        const hasAddedAt = tableInfo.some(col => col.name === 'added_at');
+        
+        if (!hasAddedAt) {
+            db.exec(`ALTER TABLE torrents ADD COLUMN added_at INTEGER`);
+            // Existing torrents are assumed to have been found when they were published
+            db.exec(`UPDATE torrents SET added_at = date WHERE added_at IS NULL`);
+        }
+    } catch (error) {
+        console.warn('Migration warning (torrents added_at):', error.message);
+    }
+    
     // Create indexes for faster lookups
     db.exec(`
         CREATE INDEX IF NOT EXISTS idx_anime_quarter_year 
@@ -350,6 +512,45 @@ function initializeDB() {
         ON tasks(anime_id)
     `);
 
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_downloads_state 
+        ON downloads(state)
+    `);
+
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_downloads_info_hash 
+        ON downloads(info_hash)
+    `);
+
+    // Migration: Add queue_position column to downloads if it doesn't exist
+    try {
+        const tableInfo = db.prepare(`PRAGMA table_info(downloads)`).all();
+        const hasQueuePosition = tableInfo.some(col => col.name === 'queue_position');
+        
+        if (!hasQueuePosition) {
+            db.exec(`ALTER TABLE downloads ADD COLUMN queue_position INTEGER NOT NULL DEFAULT 0`);
+            db.exec(`UPDATE downloads SET queue_position = id`);
+        }
+    } catch (error) {
+        console.warn('Migration warning (downloads table queue position):', error.message);
+    }
+    
+    // Migration: Add seeding columns to downloads if they don't exist
+    try {
+        const tableInfo = db.prepare(`PRAGMA table_info(downloads)`).all();
+        const hasSeedingStartedAt = tableInfo.some(col => col.name === 'seeding_started_at');
+        const hasUploaded = tableInfo.some(col => col.name === 'uploaded');
+        
+        if (!hasSeedingStartedAt) {
+            db.exec(`ALTER TABLE downloads ADD COLUMN seeding_started_at INTEGER`);
+        }
+        if (!hasUploaded) {
+            db.exec(`ALTER TABLE downloads ADD COLUMN uploaded INTEGER NOT NULL DEFAULT 0`);
+        }
+    } catch (error) {
+        console.warn('Migration warning (downloads table seeding):', error.message);
+    }
+
     db.exec(`
         CREATE INDEX IF NOT EXISTS idx_anime_genres_anime_id 
         ON anime_genres(anime_id)
@@ -382,6 +583,45 @@ function initializeDB() {
         ON torrents(link)
     `);
     
+    // Create index for info_hash (canonical torrent identity)
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_torrents_info_hash 
+        ON torrents(info_hash)
+    `);
+    
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_torrents_added_at 
+        ON torrents(added_at)
+    `);
+    
+    // Create torrent_episodes table (episodes covered by each torrent, several for batches)
+    const hasTorrentEpisodesTable = db.prepare(`
+        SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'torrent_episodes'
+    `).get();
+    
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS torrent_episodes (
+            torrent_id INTEGER NOT NULL,
+            episode_id INTEGER NOT NULL,
+            PRIMARY KEY (torrent_id, episode_id),
+            FOREIGN KEY (torrent_id) REFERENCES torrents(id) ON DELETE CASCADE,
+            FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE
+        )
+    `);
+    
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_torrent_episodes_episode_id 
+        ON torrent_episodes(episode_id)
+    `);
+    
+    // Backfill the episode of every existing torrent when the table is first created
+    if (!hasTorrentEpisodesTable) {
+        db.exec(`
+            INSERT OR IGNORE INTO torrent_episodes (torrent_id, episode_id)
+            SELECT id, episode_id FROM torrents
+        `);
+    }
+    
     // Create alternative_titles table
     db.exec(`
         CREATE TABLE IF NOT EXISTS alternative_titles (
@@ -453,6 +693,101 @@ function initializeDB() {
         ON file_torrent_download(file_path)
     `);
     
+    // Migration: Add CRC32 verification columns to file_torrent_download
+    // crc_expected is taken from the release file name when the file is recorded, so it survives renames;
+    // crc_status is 'verified', 'mismatch' or 'no_crc', and NULL until the file is checked
+    try {
+        const tableInfo = db.prepare(`PRAGMA table_info(file_torrent_download)`).all();
+        const hasCrcStatus = tableInfo.some(col => col.name === 'crc_status');
+        
+        if (!hasCrcStatus) {
+            db.exec(`ALTER TABLE file_torrent_download ADD COLUMN crc_expected TEXT`);
+            db.exec(`ALTER TABLE file_torrent_download ADD COLUMN crc_actual TEXT`);
+            db.exec(`ALTER TABLE file_torrent_download ADD COLUMN crc_status TEXT`);
+            db.exec(`ALTER TABLE file_torrent_download ADD COLUMN crc_checked_at INTEGER`);
+            
+            const existingFiles = db.prepare(`SELECT id, file_name FROM file_torrent_download`).all();
+            const updateCrcStmt = db.prepare(`UPDATE file_torrent_download SET crc_expected = ? WHERE id = ?`);
+            db.transaction(() => {
+                for (const file of existingFiles) {
+                    const crc = parseCRC(file.file_name);
+                    if (crc) {
+                        updateCrcStmt.run(crc, file.id);
+                    }
+                }
+            })();
+        }
+    } catch (error) {
+        console.warn('Migration warning (file_torrent_download CRC columns):', error.message);
+    }
+    
+    // Create owned_episodes table for episodes found in the library without a matching torrent
+    // (renamed files, other sources); they count as downloaded for auto-download
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS owned_episodes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            anime_id INTEGER NOT NULL,
+            episode_number INTEGER NOT NULL,
+            file_path TEXT NOT NULL UNIQUE,
+            file_name TEXT NOT NULL,
+            imported_at INTEGER NOT NULL,
+            FOREIGN KEY (anime_id) REFERENCES anime(id) ON DELETE CASCADE
+        )
+    `);
+    
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_owned_episodes_anime_episode 
+        ON owned_episodes(anime_id, episode_number)
+    `);
+    
+    // Create retention_deletions table for episodes whose files a retention policy deleted
+    // They count as downloaded for auto-download, so deleted episodes are not downloaded again
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS retention_deletions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            anime_id INTEGER NOT NULL,
+            episode_number INTEGER NOT NULL,
+            file_name TEXT NOT NULL,
+            deleted_at INTEGER NOT NULL,
+            FOREIGN KEY (anime_id) REFERENCES anime(id) ON DELETE CASCADE
+        )
+    `);
+    
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_retention_deletions_anime_episode 
+        ON retention_deletions(anime_id, episode_number)
+    `);
+    
+    // Create watch_progress table for the watched state and playback position of each episode
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS watch_progress (
+            anime_id INTEGER NOT NULL,
+            episode_number INTEGER NOT NULL,
+            watched INTEGER NOT NULL DEFAULT 0,
+            position_seconds REAL NOT NULL DEFAULT 0,
+            duration_seconds REAL,
+            watched_at INTEGER,
+            updated_at INTEGER NOT NULL,
+            PRIMARY KEY (anime_id, episode_number),
+            FOREIGN KEY (anime_id) REFERENCES anime(id) ON DELETE CASCADE
+        )
+    `);
+    
+    // Create superseded_downloads table to keep a record of files replaced by upgrades
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS superseded_downloads (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            old_torrent_id INTEGER,
+            new_torrent_id INTEGER,
+            old_torrent_title TEXT,
+            file_path TEXT NOT NULL,
+            file_name TEXT NOT NULL,
+            superseded_at INTEGER NOT NULL,
+            FOREIGN KEY (old_torrent_id) REFERENCES torrents(id) ON DELETE SET NULL,
+            FOREIGN KEY (new_torrent_id) REFERENCES torrents(id) ON DELETE SET NULL
+        )
+    `);
+    
     // Create configuration table (single row table for app settings)
     db.exec(`
         CREATE TABLE IF NOT EXISTS configuration (
@@ -490,6 +825,154 @@ function initializeDB() {
         console.warn('Migration warning (configuration table setup):', error.message);
     }
     
+    // Migration: Add quality_profile column if it doesn't exist
+    try {
+        const tableInfo = db.prepare(`PRAGMA table_info(configuration)`).all();
+        const hasQualityProfile = tableInfo.some(col => col.name === 'quality_profile');
+        
+        if (!hasQualityProfile) {
+            db.exec(`ALTER TABLE configuration ADD COLUMN quality_profile TEXT`);
+        }
+    } catch (error) {
+        console.warn('Migration warning (configuration table quality profile):', error.message);
+    }
+    
+    // Migration: Add indexer_providers column if it doesn't exist
+    try {
+        const tableInfo = db.prepare(`PRAGMA table_info(configuration)`).all();
+        const hasIndexerProviders = tableInfo.some(col => col.name === 'indexer_providers');
+        
+        if (!hasIndexerProviders) {
+            db.exec(`ALTER TABLE configuration ADD COLUMN indexer_providers TEXT`);
+        }
+    } catch (error) {
+        console.warn('Migration warning (configuration table indexer providers):', error.message);
+    }
+    
+    // Migration: Add search_settings column if it doesn't exist
+    try {
+        const tableInfo = db.prepare(`PRAGMA table_info(configuration)`).all();
+        const hasSearchSettings = tableInfo.some(col => col.name === 'search_settings');
+        
+        if (!hasSearchSettings) {
+            db.exec(`ALTER TABLE configuration ADD COLUMN search_settings TEXT`);
+        }
+    } catch (error) {
+        console.warn('Migration warning (configuration table search settings):', error.message);
+    }
+    
+    // Migration: Add torznab_api_key column if it doesn't exist
+    try {
+        const tableInfo = db.prepare(`PRAGMA table_info(configuration)`).all();
+        const hasTorznabApiKey = tableInfo.some(col => col.name === 'torznab_api_key');
+        
+        if (!hasTorznabApiKey) {
+            db.exec(`ALTER TABLE configuration ADD COLUMN torznab_api_key TEXT`);
+        }
+    } catch (error) {
+        console.warn('Migration warning (configuration table torznab api key):', error.message);
+    }
+    
+    // Migration: Add download_client column if it doesn't exist
+    try {
+        const tableInfo = db.prepare(`PRAGMA table_info(configuration)`).all();
+        const hasDownloadClient = tableInfo.some(col => col.name === 'download_client');
+        
+        if (!hasDownloadClient) {
+            db.exec(`ALTER TABLE configuration ADD COLUMN download_client TEXT`);
+        }
+    } catch (error) {
+        console.warn('Migration warning (configuration table download client):', error.message);
+    }
+    
+    // Migration: Add download queue columns if they don't exist
+    try {
+        const tableInfo = db.prepare(`PRAGMA table_info(configuration)`).all();
+        const hasMaxActiveTorrents = tableInfo.some(col => col.name === 'max_active_torrents');
+        const hasPrioritizeNewestEpisodes = tableInfo.some(col => col.name === 'prioritize_newest_episodes');
+        
+        if (!hasMaxActiveTorrents) {
+            db.exec(`ALTER TABLE configuration ADD COLUMN max_active_torrents INTEGER NOT NULL DEFAULT 3`);
+        }
+        if (!hasPrioritizeNewestEpisodes) {
+            db.exec(`ALTER TABLE configuration ADD COLUMN prioritize_newest_episodes INTEGER NOT NULL DEFAULT 0`);
+        }
+    } catch (error) {
+        console.warn('Migration warning (configuration table download queue):', error.message);
+    }
+    
+    // Migration: Add keep_file_types column if it doesn't exist
+    try {
+        const tableInfo = db.prepare(`PRAGMA table_info(configuration)`).all();
+        const hasKeepFileTypes = tableInfo.some(col => col.name === 'keep_file_types');
+        
+        if (!hasKeepFileTypes) {
+            db.exec(`ALTER TABLE configuration ADD COLUMN keep_file_types TEXT`);
+        }
+    } catch (error) {
+        console.warn('Migration warning (configuration table keep file types):', error.message);
+    }
+    
+    // Migration: Add seeding_policy column if it doesn't exist
+    try {
+        const tableInfo = db.prepare(`PRAGMA table_info(configuration)`).all();
+        const hasSeedingPolicy = tableInfo.some(col => col.name === 'seeding_policy');
+        
+        if (!hasSeedingPolicy) {
+            db.exec(`ALTER TABLE configuration ADD COLUMN seeding_policy TEXT`);
+        }
+    } catch (error) {
+        console.warn('Migration warning (configuration table seeding policy):', error.message);
+    }
+    
+    // Migration: Add bandwidth_schedule column if it doesn't exist
+    try {
+        const tableInfo = db.prepare(`PRAGMA table_info(configuration)`).all();
+        const hasBandwidthSchedule = tableInfo.some(col => col.name === 'bandwidth_schedule');
+        
+        if (!hasBandwidthSchedule) {
+            db.exec(`ALTER TABLE configuration ADD COLUMN bandwidth_schedule TEXT`);
+        }
+    } catch (error) {
+        console.warn('Migration warning (configuration table bandwidth schedule):', error.message);
+    }
+    
+    // Migration: Add library_organizer column if it doesn't exist
+    try {
+        const tableInfo = db.prepare(`PRAGMA table_info(configuration)`).all();
+        const hasLibraryOrganizer = tableInfo.some(col => col.name === 'library_organizer');
+        
+        if (!hasLibraryOrganizer) {
+            db.exec(`ALTER TABLE configuration ADD COLUMN library_organizer TEXT`);
+        }
+    } catch (error) {
+        console.warn('Migration warning (configuration table library organizer):', error.message);
+    }
+    
+    // Migration: Add storage_settings column if it doesn't exist
+    try {
+        const tableInfo = db.prepare(`PRAGMA table_info(configuration)`).all();
+        const hasStorageSettings = tableInfo.some(col => col.name === 'storage_settings');
+        
+        if (!hasStorageSettings) {
+            db.exec(`ALTER TABLE configuration ADD COLUMN storage_settings TEXT`);
+        }
+    } catch (error) {
+        console.warn('Migration warning (configuration table storage settings):', error.message);
+    }
+    
+    // Migration: Add anilist_account column if it doesn't exist
+    try {
+        const tableInfo = db.prepare(`PRAGMA table_info(configuration)`).all();
+        const hasAniListAccount = tableInfo.some(col => col.name === 'anilist_account');
+        
+        if (!hasAniListAccount) {
+            db.exec(`ALTER TABLE configuration ADD COLUMN anilist_account TEXT`);
+        }
+    } catch (error) {
+        console.warn('Migration warning (configuration table AniList account):', error.message);
+    }
+    
     // Initialize configuration with default values if it doesn't exist
     const configExists = db.prepare(`SELECT id FROM configuration WHERE id = 1`).get();
     if (!configExists) {
@@ -647,7 +1130,8 @@ export function getCachedAnime(quarter, year) {
                sg.name as sub_group_name,
                asg.enabled as sub_group_enabled
         FROM episodes e
-        LEFT JOIN torrents t ON e.id = t.episode_id
+        LEFT JOIN torrent_episodes te ON te.episode_id = e.id
+        LEFT JOIN torrents t ON t.id = te.torrent_id
         LEFT JOIN sub_groups sg ON t.sub_group_id = sg.id
         LEFT JOIN anime_sub_groups asg ON asg.anime_id = e.anime_id AND asg.sub_group_id = t.sub_group_id
         WHERE e.anime_id IN (SELECT id FROM anime WHERE quarter = ? AND year = ?)
@@ -691,7 +1175,8 @@ export function getCachedAnime(quarter, year) {
     const lastEpisodeQuery = database.prepare(`
         SELECT DISTINCT e.anime_id, e.episode_number, e.airingAt
         FROM episodes e
-        INNER JOIN torrents t ON e.id = t.episode_id
+        INNER JOIN torrent_episodes te ON te.episode_id = e.id
+        INNER JOIN torrents t ON t.id = te.torrent_id
         WHERE e.anime_id IN (SELECT id FROM anime WHERE quarter = ? AND year = ?)
           AND (t.sub_group_id IS NULL OR EXISTS (
               SELECT 1
@@ -703,7 +1188,8 @@ export function getCachedAnime(quarter, year) {
           AND e.episode_number = (
               SELECT MAX(e2.episode_number)
               FROM episodes e2
-              INNER JOIN torrents t2 ON e2.id = t2.episode_id
+              INNER JOIN torrent_episodes te2 ON te2.episode_id = e2.id
+              INNER JOIN torrents t2 ON t2.id = te2.torrent_id
               WHERE e2.anime_id = e.anime_id
                 AND (t2.sub_group_id IS NULL OR EXISTS (
                     SELECT 1
@@ -1039,6 +1525,7 @@ export function storeAlternativeTitles(animeId, titles) {
  * Stores torrents for an anime (used by scanAnimeTorrents)
  * @param {number} animeId - Anime ID
  * @param {Object} torrentsByEpisode - Object mapping episode numbers to arrays of torrent objects
+ *                                     (batch torrents list the episode numbers they cover in coveredEpisodes)
  * @returns {number} Number of torrents processed
  */
 export function storeAnimeTorrents(animeId, torrentsByEpisode) {
@@ -1080,43 +1567,75 @@ export function storeAnimeTorrents(animeId, torrentsByEpisode) {
 
         // Insert torrent statement
         const torrentStmt = database.prepare(`
-            INSERT INTO torrents (episode_id, title, link, date, episode_number, sub_group_id)
-            VALUES (?, ?, ?, ?, ?, ?)
+            INSERT INTO torrents (
+                episode_id, title, link, magnet, info_hash, date, episode_number, sub_group_id,
+                resolution, video_codec, source, audio_codec, dual_audio,
+                release_version, is_batch, batch_start, batch_end, container,
+                size, seeders, leechers, completed, trusted, remake, stats_updated_at, added_at
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
         
-        // Update torrent statement (updates all fields except link)
+        // Update torrent statement (matched by id, magnet and info hash are kept if the listing has none)
         const torrentUpdateStmt = database.prepare(`
             UPDATE torrents SET
                 episode_id = ?,
                 title = ?,
+                link = ?,
+                magnet = COALESCE(?, magnet),
+                info_hash = COALESCE(?, info_hash),
                 date = ?,
                 episode_number = ?,
-                sub_group_id = ?
-            WHERE link = ?
+                sub_group_id = ?,
+                resolution = ?,
+                video_codec = ?,
+                source = ?,
+                audio_codec = ?,
+                dual_audio = ?,
+                release_version = ?,
+                is_batch = ?,
+                batch_start = ?,
+                batch_end = ?,
+                container = ?,
+                size = COALESCE(?, size),
+                seeders = COALESCE(?, seeders),
+                leechers = COALESCE(?, leechers),
+                completed = COALESCE(?, completed),
+                trusted = COALESCE(?, trusted),
+                remake = COALESCE(?, remake),
+                stats_updated_at = COALESCE(?, stats_updated_at)
+            WHERE id = ?
         `);
         
-        // Check if torrent already exists
+        // Check if torrent already exists, by info hash first and by link otherwise
+        const checkTorrentByInfoHashStmt = database.prepare(`SELECT id FROM torrents WHERE info_hash = ?`);
         const checkTorrentExistsStmt = database.prepare(`SELECT id FROM torrents WHERE link = ?`);
         
+        // Episodes covered by a torrent (all episodes of the range for batches)
+        const clearTorrentEpisodesStmt = database.prepare(`DELETE FROM torrent_episodes WHERE torrent_id = ?`);
+        const insertTorrentEpisodeStmt = database.prepare(`
+            INSERT OR IGNORE INTO torrent_episodes (torrent_id, episode_id) VALUES (?, ?)
+        `);
+        
+        function getOrCreateEpisodeIdLocal(episodeNumber) {
+            const existingEpisode = getEpisodeIdStmt.get(animeId, episodeNumber);
+            if (existingEpisode) {
+                return existingEpisode.id;
+            }
+            
+            // Create episode with estimated airing date (use current date as fallback)
+            const estimatedAiringAt = Date.now();
+            createEpisodeStmt.run(animeId, episodeNumber, estimatedAiringAt);
+            const newEpisode = getEpisodeIdStmt.get(animeId, episodeNumber);
+            return newEpisode ? newEpisode.id : null;
+        }
+        
         // Process each episode
         for (const [episodeNumStr, episodeTorrents] of Object.entries(torrentsByEpisode)) {
             const episodeNumber = parseInt(episodeNumStr, 10);
             
             // Get or create episode
-            let episodeId = null;
-            const existingEpisode = getEpisodeIdStmt.get(animeId, episodeNumber);
-            
-            if (existingEpisode) {
-                episodeId = existingEpisode.id;
-            } else {
-                // Create episode with estimated airing date (use current date as fallback)
-                const estimatedAiringAt = Date.now();
-                createEpisodeStmt.run(animeId, episodeNumber, estimatedAiringAt);
-                const newEpisode = getEpisodeIdStmt.get(animeId, episodeNumber);
-                if (newEpisode) {
-                    episodeId = newEpisode.id;
-                }
-            }
+            const episodeId = getOrCreateEpisodeIdLocal(episodeNumber);
             
             if (!episodeId) continue;
             
@@ -1132,29 +1651,89 @@ export function storeAnimeTorrents(animeId, torrentsByEpisode) {
                 // Get or create subgroup
                 const subGroupId = getOrCreateSubGroupIdLocal(torrent.subGroup);
                 
+                const release = parseReleaseInfo(torrent.title);
+                const releaseValues = [
+                    release.resolution,
+                    release.videoCodec,
+                    release.source,
+                    release.audioCodec,
+                    release.dualAudio ? 1 : 0,
+                    release.version,
+                    release.batch ? 1 : 0,
+                    release.batchStart,
+                    release.batchEnd,
+                    release.container
+                ];
+                
+                // Swarm statistics are only known for listings that carry them; keep the stored values otherwise
+                const hasStats = torrent.seeders !== undefined && torrent.seeders !== null;
+                const trusted = typeof torrent.trusted === 'boolean' ? (torrent.trusted ? 1 : 0) : null;
+                const remake = typeof torrent.remake === 'boolean' ? (torrent.remake ? 1 : 0) : null;
+                const statsValues = [
+                    torrent.size ?? null,
+                    torrent.seeders ?? null,
+                    torrent.leechers ?? null,
+                    torrent.completed ?? null,
+                    trusted,
+                    remake,
+                    hasStats ? Date.now() : null
+                ];
+                
+                // Batch torrents are attached to the first episode they cover and linked to all of them
+                const coveredEpisodeIds = Array.isArray(torrent.coveredEpisodes) && torrent.coveredEpisodes.length > 0
+                    ? torrent.coveredEpisodes.map(getOrCreateEpisodeIdLocal).filter(Boolean)
+                    : [episodeId];
+                const torrentEpisodeId = coveredEpisodeIds[0] || episodeId;
+                
                 // Check if torrent already exists
-                const existingTorrent = checkTorrentExistsStmt.get(torrent.link);
+                const infoHash = torrent.infoHash || null;
+                const existingTorrent = (infoHash && checkTorrentByInfoHashStmt.get(infoHash))
+                    || checkTorrentExistsStmt.get(torrent.link);
+                let torrentId;
                 if (existingTorrent) {
-                    // Torrent with this link already exists, update all fields except link
+                    torrentId = existingTorrent.id;
+                    // Torrent already exists, update all fields
                     torrentUpdateStmt.run(
-                        episodeId,
+                        torrentEpisodeId,
                         torrent.title || "",
+                        torrent.link,
+                        torrent.magnet || null,
+                        infoHash,
                         torrentDate,
                         torrent.episode || null,
                         subGroupId,
-                        torrent.link
+                        ...releaseValues,
+                        ...statsValues,
+                        torrentId
                     );
                 } else {
                     // New torrent - insert it
-                    torrentStmt.run(
-                        episodeId,
+                    const insertResult = torrentStmt.run(
+                        torrentEpisodeId,
                         torrent.title || "",
                         torrent.link,
+                        torrent.magnet || null,
+                        infoHash,
                         torrentDate,
                         torrent.episode || null,
-                        subGroupId
+                        subGroupId,
+                        ...releaseValues,
+                        torrent.size ?? null,
+                        torrent.seeders ?? null,
+                        torrent.leechers ?? null,
+                        torrent.completed ?? null,
+                        trusted ?? 0,
+                        remake ?? 0,
+                        hasStats ? Date.now() : null,
+                        Date.now()
                     );
+                    torrentId = insertResult.lastInsertRowid;
                 }
+                
+                clearTorrentEpisodesStmt.run(torrentId);
+                coveredEpisodeIds.forEach(coveredEpisodeId => {
+                    insertTorrentEpisodeStmt.run(torrentId, coveredEpisodeId);
+                });
 
                 if (subGroupId) {
                     ensureAnimeSubGroupStmt.run(animeId, subGroupId, subGroupId);
@@ -1250,17 +1829,21 @@ export function getAnimeById(animeId) {
     // Get torrents with subgroups
     const torrentsQuery = database.prepare(`
         SELECT t.id as torrent_id, t.title as torrent_title,
-               t.link as torrent_link,
+               t.link as torrent_link, t.magnet as torrent_magnet, t.info_hash,
                t.date as torrent_date, t.episode_number as torrent_episode_number,
-               t.episode_id,
+               te.episode_id,
+               t.resolution, t.video_codec, t.source, t.audio_codec, t.dual_audio,
+               t.release_version, t.is_batch, t.batch_start, t.batch_end, t.container,
+               t.size, t.seeders, t.leechers, t.completed, t.trusted, t.remake, t.stats_updated_at,
                sg.name as sub_group_name
-        FROM torrents t
-        INNER JOIN episodes e ON t.episode_id = e.id
+        FROM torrent_episodes te
+        INNER JOIN torrents t ON t.id = te.torrent_id
+        INNER JOIN episodes e ON te.episode_id = e.id
         LEFT JOIN sub_groups sg ON t.sub_group_id = sg.id
         LEFT JOIN anime_sub_groups asg ON asg.anime_id = e.anime_id AND asg.sub_group_id = t.sub_group_id
         WHERE e.anime_id = ?
           AND (asg.enabled = 1)
-        ORDER BY t.episode_id, t.date DESC
+        ORDER BY te.episode_id, t.date DESC
     `);
     
     const torrentRecords = torrentsQuery.all(animeId);
@@ -1277,9 +1860,28 @@ export function getAnimeById(animeId) {
             id: tr.torrent_id,
             title: tr.torrent_title,
             link: tr.torrent_link,
+            magnet: tr.torrent_magnet || null,
+            infoHash: tr.info_hash || null,
             date: new Date(tr.torrent_date),
             episode: tr.torrent_episode_number,
-            subGroup: tr.sub_group_name || null
+            subGroup: tr.sub_group_name || null,
+            resolution: tr.resolution,
+            videoCodec: tr.video_codec,
+            source: tr.source,
+            audioCodec: tr.audio_codec,
+            dualAudio: tr.dual_audio === 1,
+            version: tr.release_version,
+            batch: tr.is_batch === 1,
+            batchStart: tr.batch_start,
+            batchEnd: tr.batch_end,
+            container: tr.container,
+            size: tr.size,
+            seeders: tr.seeders,
+            leechers: tr.leechers,
+            completed: tr.completed,
+            trusted: tr.trusted === 1,
+            remake: tr.remake === 1,
+            statsUpdatedAt: tr.stats_updated_at ? new Date(tr.stats_updated_at) : null
         });
     });
     
@@ -1590,6 +2192,9 @@ export function getConfiguration() {
             enable_automatic_anime_folder_classification,
             max_download_speed,
             max_upload_speed,
+            max_active_torrents,
+            prioritize_newest_episodes,
+            keep_file_types,
             setup
         FROM configuration
         WHERE id = 1
@@ -1604,15 +2209,30 @@ export function getConfiguration() {
             enableAutomaticAnimeFolderClassification: false,
             maxDownloadSpeed: null,
             maxUploadSpeed: null,
+            maxActiveTorrents: DEFAULT_MAX_ACTIVE_TORRENTS,
+            prioritizeNewestEpisodes: false,
+            keepFileTypes: DEFAULT_KEEP_FILE_TYPES,
             setup: true
         };
     }
     
-    return {
-        animeLocation: result.anime_location || null,
+    let keepFileTypes = null;
+    if (result.keep_file_types) {
+        try {
+            keepFileTypes = normalizeKeepFileTypes(JSON.parse(result.keep_file_types));
+        } catch (error) {
+            console.warn('Invalid keep file types stored in database:', error.message);
+        }
+    }
+    
+    return {
+        animeLocation: result.anime_location || null,
         enableAutomaticAnimeFolderClassification: Boolean(result.enable_automatic_anime_folder_classification),
         maxDownloadSpeed: result.max_download_speed || null,
         maxUploadSpeed: result.max_upload_speed || null,
+        maxActiveTorrents: result.max_active_torrents || DEFAULT_MAX_ACTIVE_TORRENTS,
+        prioritizeNewestEpisodes: Boolean(result.prioritize_newest_episodes),
+        keepFileTypes: keepFileTypes || DEFAULT_KEEP_FILE_TYPES,
         setup: result.setup !== undefined ? Boolean(result.setup) : true
     };
 }
@@ -1624,27 +2244,668 @@ export function getConfiguration() {
  */
 export function saveConfiguration(config) {
     const database = getDB();
+    const current = getConfiguration();
     const updateStmt = database.prepare(`
         UPDATE configuration SET
             anime_location = ?,
             enable_automatic_anime_folder_classification = ?,
             max_download_speed = ?,
             max_upload_speed = ?,
+            max_active_torrents = ?,
+            prioritize_newest_episodes = ?,
+            keep_file_types = ?,
             setup = ?
         WHERE id = 1
     `);
     
+    // Download queue and file type settings are left unchanged when omitted
     updateStmt.run(
         config.animeLocation || null,
         config.enableAutomaticAnimeFolderClassification ? 1 : 0,
         config.maxDownloadSpeed !== undefined && config.maxDownloadSpeed !== null ? config.maxDownloadSpeed : null,
         config.maxUploadSpeed !== undefined && config.maxUploadSpeed !== null ? config.maxUploadSpeed : null,
+        config.maxActiveTorrents !== undefined ? config.maxActiveTorrents : current.maxActiveTorrents,
+        (config.prioritizeNewestEpisodes !== undefined ? config.prioritizeNewestEpisodes : current.prioritizeNewestEpisodes) ? 1 : 0,
+        JSON.stringify(normalizeKeepFileTypes(config.keepFileTypes) || current.keepFileTypes),
         config.setup !== undefined ? (config.setup ? 1 : 0) : 1
     );
     
     return getConfiguration();
 }
 
+/**
+ * Parses a stored quality profile JSON value
+ * @param {string|null} value - JSON string from the database
+ * @returns {Object|null} Parsed profile or null
+ */
+function parseQualityProfile(value) {
+    if (!value) {
+        return null;
+    }
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        console.warn('Invalid quality profile stored in database:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Gets the global release-quality profile
+ * @returns {Object|null} Profile object or null if not configured
+ */
+export function getGlobalQualityProfile() {
+    const database = getDB();
+    const result = database.prepare(`SELECT quality_profile FROM configuration WHERE id = 1`).get();
+    return parseQualityProfile(result?.quality_profile);
+}
+
+/**
+ * Saves the global release-quality profile
+ * @param {Object|null} profile - Profile object (null to clear)
+ * @returns {Object|null} Saved profile
+ */
+export function saveGlobalQualityProfile(profile) {
+    const database = getDB();
+    database.prepare(`UPDATE configuration SET quality_profile = ? WHERE id = 1`)
+        .run(profile ? JSON.stringify(profile) : null);
+    return getGlobalQualityProfile();
+}
+
+/**
+ * Gets the per-anime release-quality profile override
+ * @param {number} animeId - Anime ID
+ * @returns {Object|null} Profile object or null if the anime uses the global profile
+ */
+export function getAnimeQualityProfile(animeId) {
+    const database = getDB();
+    const result = database.prepare(`SELECT quality_profile FROM anime WHERE id = ?`).get(animeId);
+    if (!result) {
+        throw new Error('Anime not found');
+    }
+    return parseQualityProfile(result.quality_profile);
+}
+
+/**
+ * Sets the per-anime release-quality profile override
+ * @param {number} animeId - Anime ID
+ * @param {Object|null} profile - Profile object (null to fall back to the global profile)
+ * @returns {Object|null} Saved profile
+ */
+export function setAnimeQualityProfile(animeId, profile) {
+    const database = getDB();
+    const result = database.prepare(`UPDATE anime SET quality_profile = ? WHERE id = ?`)
+        .run(profile ? JSON.stringify(profile) : null, animeId);
+    if (result.changes === 0) {
+        throw new Error('Anime not found');
+    }
+    return getAnimeQualityProfile(animeId);
+}
+
+/**
+ * Parses a stored search settings JSON value
+ * @param {string|null} value - JSON string from the database
+ * @returns {Object|null} Parsed settings or null
+ */
+function parseSearchSettings(value) {
+    if (!value) {
+        return null;
+    }
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        console.warn('Invalid search settings stored in database:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Gets the global torrent search settings
+ * @returns {Object|null} Settings object or null if not configured
+ */
+export function getGlobalSearchSettings() {
+    const database = getDB();
+    const result = database.prepare(`SELECT search_settings FROM configuration WHERE id = 1`).get();
+    return parseSearchSettings(result?.search_settings);
+}
+
+/**
+ * Saves the global torrent search settings
+ * @param {Object|null} settings - Settings object (null to clear)
+ * @returns {Object|null} Saved settings
+ */
+export function saveGlobalSearchSettings(settings) {
+    const database = getDB();
+    database.prepare(`UPDATE configuration SET search_settings = ? WHERE id = 1`)
+        .run(settings ? JSON.stringify(settings) : null);
+    return getGlobalSearchSettings();
+}
+
+/**
+ * Gets the per-anime torrent search settings override
+ * @param {number} animeId - Anime ID
+ * @returns {Object|null} Settings object or null if the anime uses the global settings
+ */
+export function getAnimeSearchSettings(animeId) {
+    const database = getDB();
+    const result = database.prepare(`SELECT search_settings FROM anime WHERE id = ?`).get(animeId);
+    if (!result) {
+        throw new Error('Anime not found');
+    }
+    return parseSearchSettings(result.search_settings);
+}
+
+/**
+ * Sets the per-anime torrent search settings override
+ * @param {number} animeId - Anime ID
+ * @param {Object|null} settings - Settings object (null to fall back to the global settings)
+ * @returns {Object|null} Saved settings
+ */
+export function setAnimeSearchSettings(animeId, settings) {
+    const database = getDB();
+    const result = database.prepare(`UPDATE anime SET search_settings = ? WHERE id = ?`)
+        .run(settings ? JSON.stringify(settings) : null, animeId);
+    if (result.changes === 0) {
+        throw new Error('Anime not found');
+    }
+    return getAnimeSearchSettings(animeId);
+}
+
+/**
+ * Gets the API key protecting the Torznab endpoint, generating one on first use
+ * @returns {string} API key
+ */
+export function getTorznabApiKey() {
+    const database = getDB();
+    const result = database.prepare(`SELECT torznab_api_key FROM configuration WHERE id = 1`).get();
+    if (result?.torznab_api_key) {
+        return result.torznab_api_key;
+    }
+    return regenerateTorznabApiKey();
+}
+
+/**
+ * Replaces the Torznab API key with a new random key
+ * @returns {string} New API key
+ */
+export function regenerateTorznabApiKey() {
+    const database = getDB();
+    const apiKey = randomBytes(16).toString('hex');
+    database.prepare(`UPDATE configuration SET torznab_api_key = ? WHERE id = 1`).run(apiKey);
+    return apiKey;
+}
+
+/**
+ * Escapes the LIKE wildcards of a search term, for a pattern matched with ESCAPE '\'
+ * @param {string} term - Search term
+ * @returns {string} Term matching only itself
+ */
+function escapeLikePattern(term) {
+    return term.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Searches the stored torrent index for the Torznab API
+ * Every word of the query must appear in the anime titles, alternative titles or torrent title
+ * @param {Object} options - Search options
+ * @param {string|null} options.query - Free text query
+ * @param {number|null} options.season - Anime season number
+ * @param {number|null} options.episode - Episode number (matches batches covering the episode)
+ * @param {number} options.limit - Maximum number of results
+ * @param {number} options.offset - Number of results to skip
+ * @returns {Object} { total, torrents } where torrents are ordered newest first
+ */
+export function searchTorrentIndex({ query = null, season = null, episode = null, limit = 100, offset = 0 }) {
+    const database = getDB();
+    const conditions = [];
+    const params = [];
+
+    const words = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    words.forEach(word => {
+        conditions.push(`
+            LOWER(
+                COALESCE(a.title_romaji, '') || ' ' || COALESCE(a.title_english, '') || ' ' ||
+                COALESCE(a.title_native, '') || ' ' || t.title || ' ' ||
+                COALESCE((SELECT GROUP_CONCAT(alt.title, ' ') FROM alternative_titles alt WHERE alt.anime_id = a.id), '')
+            ) LIKE ? ESCAPE '\\'
+        `);
+        params.push(`%${escapeLikePattern(word)}%`);
+    });
+
+    if (season !== null) {
+        conditions.push(`COALESCE(a.season, 1) = ?`);
+        params.push(season);
+    }
+
+    if (episode !== null) {
+        conditions.push(`
+            EXISTS (
+                SELECT 1 FROM torrent_episodes te
+                INNER JOIN episodes covered ON te.episode_id = covered.id
+                WHERE te.torrent_id = t.id AND covered.episode_number = ?
+            )
+        `);
+        params.push(episode);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const fromClause = `
+        FROM torrents t
+        INNER JOIN episodes e ON t.episode_id = e.id
+        INNER JOIN anime a ON e.anime_id = a.id
+        ${whereClause}
+    `;
+
+    const { total } = database.prepare(`SELECT COUNT(*) as total ${fromClause}`).get(...params);
+    const rows = database.prepare(`
+        SELECT
+            t.id,
+            t.title,
+            t.link,
+            t.magnet,
+            t.info_hash,
+            t.date,
+            t.size,
+            t.seeders,
+            t.leechers,
+            t.completed,
+            t.is_batch,
+            t.batch_start,
+            t.batch_end,
+            e.episode_number,
+            COALESCE(a.season, 1) as season,
+            a.id as anime_id,
+            COALESCE(a.title_english, a.title_romaji, a.title_native) as anime_title
+        ${fromClause}
+        ORDER BY t.date DESC
+        LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return {
+        total,
+        torrents: rows.map(row => ({
+            id: row.id,
+            title: row.title,
+            link: row.link,
+            magnet: row.magnet || null,
+            infoHash: row.info_hash || null,
+            date: new Date(row.date),
+            size: row.size ?? null,
+            seeders: row.seeders ?? null,
+            leechers: row.leechers ?? null,
+            completed: row.completed ?? null,
+            batch: Boolean(row.is_batch),
+            batchStart: row.batch_start ?? null,
+            batchEnd: row.batch_end ?? null,
+            episodeNumber: row.episode_number,
+            season: row.season,
+            animeId: row.anime_id,
+            animeTitle: row.anime_title
+        }))
+    };
+}
+
+/**
+ * Gets the most recently stored torrents for the feeds
+ * Only torrents from subgroups enabled for their anime (or without a subgroup) are returned
+ * @param {Object} scope - Which torrents to include (one of animeId, autodownload or quarter/year)
+ * @param {number} scope.animeId - Torrents of a single anime
+ * @param {boolean} scope.autodownload - Torrents of every auto-download anime
+ * @param {string} scope.quarter - Quarter (Q1-Q4), together with year
+ * @param {number} scope.year - Year, together with quarter
+ * @param {number} limit - Maximum number of torrents
+ * @returns {Array} Torrents ordered by when they were stored, newest first
+ */
+export function getTorrentFeedItems({ animeId = null, autodownload = false, quarter = null, year = null }, limit = 50) {
+    const database = getDB();
+    const conditions = ['(t.sub_group_id IS NULL OR asg.enabled = 1)'];
+    const params = [];
+
+    if (animeId !== null) {
+        conditions.push('a.id = ?');
+        params.push(animeId);
+    }
+    if (autodownload) {
+        conditions.push('a.autodownload = 1');
+    }
+    if (quarter && year) {
+        conditions.push('a.quarter = ? AND a.year = ?');
+        params.push(quarter, year);
+    }
+
+    const rows = database.prepare(`
+        SELECT
+            t.id,
+            t.title,
+            t.link,
+            t.magnet,
+            t.info_hash,
+            t.date,
+            COALESCE(t.added_at, t.date) as added_at,
+            t.size,
+            t.is_batch,
+            e.episode_number,
+            sg.name as sub_group,
+            a.id as anime_id,
+            COALESCE(a.title_english, a.title_romaji, a.title_native) as anime_title,
+            (
+                SELECT GROUP_CONCAT(covered.episode_number)
+                FROM torrent_episodes te
+                INNER JOIN episodes covered ON te.episode_id = covered.id
+                WHERE te.torrent_id = t.id
+            ) as covered_episodes
+        FROM torrents t
+        INNER JOIN episodes e ON t.episode_id = e.id
+        INNER JOIN anime a ON e.anime_id = a.id
+        LEFT JOIN sub_groups sg ON sg.id = t.sub_group_id
+        LEFT JOIN anime_sub_groups asg ON asg.anime_id = a.id AND asg.sub_group_id = t.sub_group_id
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY COALESCE(t.added_at, t.date) DESC, t.date DESC
+        LIMIT ?
+    `).all(...params, limit);
+
+    return rows.map(row => ({
+        id: row.id,
+        title: row.title,
+        link: row.link,
+        magnet: row.magnet || null,
+        infoHash: row.info_hash || null,
+        date: new Date(row.date),
+        addedAt: new Date(row.added_at),
+        size: row.size ?? null,
+        batch: Boolean(row.is_batch),
+        episodeNumbers: row.covered_episodes
+            ? row.covered_episodes.split(',').map(number => parseInt(number, 10)).sort((a, b) => a - b)
+            : [row.episode_number],
+        subGroup: row.sub_group || null,
+        animeId: row.anime_id,
+        animeTitle: row.anime_title
+    }));
+}
+
+/**
+ * Gets the stored indexer provider settings
+ * @returns {Array|null} Ordered array of { id, enabled, settings } or null if not configured
+ */
+export function getIndexerProviderSettings() {
+    const database = getDB();
+    const result = database.prepare(`SELECT indexer_providers FROM configuration WHERE id = 1`).get();
+    if (!result?.indexer_providers) {
+        return null;
+    }
+    try {
+        return JSON.parse(result.indexer_providers);
+    } catch (error) {
+        console.warn('Invalid indexer providers stored in database:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Saves the indexer provider settings
+ * @param {Array} providers - Ordered array of { id, enabled, settings }
+ * @returns {Array|null} Saved provider settings
+ */
+export function saveIndexerProviderSettings(providers) {
+    const database = getDB();
+    database.prepare(`UPDATE configuration SET indexer_providers = ? WHERE id = 1`)
+        .run(providers ? JSON.stringify(providers) : null);
+    return getIndexerProviderSettings();
+}
+
+/**
+ * Gets the stored download client settings
+ * @returns {Object|null} { type, clients: { [id]: settings } } or null if not configured
+ */
+export function getDownloadClientSettings() {
+    const database = getDB();
+    const result = database.prepare(`SELECT download_client FROM configuration WHERE id = 1`).get();
+    if (!result?.download_client) {
+        return null;
+    }
+    try {
+        return JSON.parse(result.download_client);
+    } catch (error) {
+        console.warn('Invalid download client settings stored in database:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Saves the download client settings
+ * @param {Object} settings - { type, clients: { [id]: settings } }
+ * @returns {Object|null} Saved download client settings
+ */
+export function saveDownloadClientSettings(settings) {
+    const database = getDB();
+    database.prepare(`UPDATE configuration SET download_client = ? WHERE id = 1`)
+        .run(settings ? JSON.stringify(settings) : null);
+    return getDownloadClientSettings();
+}
+
+/**
+ * Gets the seeding policy
+ * @returns {Object|null} Policy object or null if not configured
+ */
+export function getSeedingPolicy() {
+    const database = getDB();
+    const result = database.prepare(`SELECT seeding_policy FROM configuration WHERE id = 1`).get();
+    if (!result?.seeding_policy) {
+        return null;
+    }
+    try {
+        return JSON.parse(result.seeding_policy);
+    } catch (error) {
+        console.warn('Invalid seeding policy stored in database:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Saves the seeding policy
+ * @param {Object|null} policy - Policy object (null to clear)
+ * @returns {Object|null} Saved policy
+ */
+export function saveSeedingPolicy(policy) {
+    const database = getDB();
+    database.prepare(`UPDATE configuration SET seeding_policy = ? WHERE id = 1`)
+        .run(policy ? JSON.stringify(policy) : null);
+    return getSeedingPolicy();
+}
+
+/**
+ * Gets the bandwidth schedule (speed limit windows and turtle mode)
+ * @returns {Object|null} Schedule object or null if not set
+ */
+export function getBandwidthSchedule() {
+    const database = getDB();
+    const result = database.prepare(`SELECT bandwidth_schedule FROM configuration WHERE id = 1`).get();
+    if (!result?.bandwidth_schedule) {
+        return null;
+    }
+    try {
+        return JSON.parse(result.bandwidth_schedule);
+    } catch (error) {
+        console.warn('Invalid bandwidth schedule stored in database:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Saves the bandwidth schedule
+ * @param {Object|null} schedule - Schedule object (null to clear)
+ * @returns {Object|null} Saved schedule
+ */
+export function saveBandwidthSchedule(schedule) {
+    const database = getDB();
+    database.prepare(`UPDATE configuration SET bandwidth_schedule = ? WHERE id = 1`)
+        .run(schedule ? JSON.stringify(schedule) : null);
+    return getBandwidthSchedule();
+}
+
+/**
+ * Gets the library organizer settings (naming template, layout and file mode)
+ * @returns {Object|null} Settings object or null if not set
+ */
+export function getLibraryOrganizerSettings() {
+    const database = getDB();
+    const result = database.prepare(`SELECT library_organizer FROM configuration WHERE id = 1`).get();
+    if (!result?.library_organizer) {
+        return null;
+    }
+    try {
+        return JSON.parse(result.library_organizer);
+    } catch (error) {
+        console.warn('Invalid library organizer settings stored in database:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Saves the library organizer settings
+ * @param {Object|null} settings - Settings object (null to clear)
+ * @returns {Object|null} Saved settings
+ */
+export function saveLibraryOrganizerSettings(settings) {
+    const database = getDB();
+    database.prepare(`UPDATE configuration SET library_organizer = ? WHERE id = 1`)
+        .run(settings ? JSON.stringify(settings) : null);
+    return getLibraryOrganizerSettings();
+}
+
+/**
+ * Gets the storage settings (minimum free space)
+ * @returns {Object|null} Settings object or null if not set
+ */
+export function getStorageSettings() {
+    const database = getDB();
+    const result = database.prepare(`SELECT storage_settings FROM configuration WHERE id = 1`).get();
+    if (!result?.storage_settings) {
+        return null;
+    }
+    try {
+        return JSON.parse(result.storage_settings);
+    } catch (error) {
+        console.warn('Invalid storage settings stored in database:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Saves the storage settings
+ * @param {Object|null} settings - Settings object (null to clear)
+ * @returns {Object|null} Saved settings
+ */
+export function saveStorageSettings(settings) {
+    const database = getDB();
+    database.prepare(`UPDATE configuration SET storage_settings = ? WHERE id = 1`)
+        .run(settings ? JSON.stringify(settings) : null);
+    return getStorageSettings();
+}
+
+/**
+ * Gets the linked AniList account (access token, user and sync settings)
+ * @returns {Object|null} Account object or null if no account is linked
+ */
+export function getAniListAccount() {
+    const database = getDB();
+    const result = database.prepare(`SELECT anilist_account FROM configuration WHERE id = 1`).get();
+    if (!result?.anilist_account) {
+        return null;
+    }
+    try {
+        return JSON.parse(result.anilist_account);
+    } catch (error) {
+        console.warn('Invalid AniList account stored in database:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Saves the linked AniList account
+ * @param {Object|null} account - Account object (null to unlink)
+ * @returns {Object|null} Saved account
+ */
+export function saveAniListAccount(account) {
+    const database = getDB();
+    database.prepare(`UPDATE configuration SET anilist_account = ? WHERE id = 1`)
+        .run(account ? JSON.stringify(account) : null);
+    return getAniListAccount();
+}
+
+/**
+ * Parses a stored retention policy JSON value
+ * @param {string|null} value - JSON string from the database
+ * @returns {Object|null} Parsed policy or null
+ */
+function parseRetentionPolicy(value) {
+    if (!value) {
+        return null;
+    }
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        console.warn('Invalid retention policy stored in database:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Gets the retention policy of an anime
+ * @param {number} animeId - Anime ID
+ * @returns {Object|null} Policy object or null if its files are kept
+ */
+export function getAnimeRetentionPolicy(animeId) {
+    const database = getDB();
+    const result = database.prepare(`SELECT retention_policy FROM anime WHERE id = ?`).get(animeId);
+    if (!result) {
+        throw new Error('Anime not found');
+    }
+    return parseRetentionPolicy(result.retention_policy);
+}
+
+/**
+ * Sets the retention policy of an anime
+ * @param {number} animeId - Anime ID
+ * @param {Object|null} policy - Policy object (null to keep every file)
+ * @returns {Object|null} Saved policy
+ */
+export function setAnimeRetentionPolicy(animeId, policy) {
+    const database = getDB();
+    const result = database.prepare(`UPDATE anime SET retention_policy = ? WHERE id = ?`)
+        .run(policy ? JSON.stringify(policy) : null, animeId);
+    if (result.changes === 0) {
+        throw new Error('Anime not found');
+    }
+    return getAnimeRetentionPolicy(animeId);
+}
+
+/**
+ * Gets every anime with a retention policy, with what the policy rules need
+ * @returns {Array} Array of { animeId, policy, episodeCount, lastAiringAt }
+ */
+export function getAnimeRetentionPolicies() {
+    const database = getDB();
+    const rows = database.prepare(`
+        SELECT 
+            a.id,
+            a.retention_policy,
+            COUNT(e.id) as episode_count,
+            MAX(e.airingAt) as last_airing_at
+        FROM anime a
+        LEFT JOIN episodes e ON e.anime_id = a.id
+        WHERE a.retention_policy IS NOT NULL
+        GROUP BY a.id
+    `).all();
+    
+    return rows.map(row => ({
+        animeId: row.id,
+        policy: parseRetentionPolicy(row.retention_policy),
+        episodeCount: row.episode_count,
+        lastAiringAt: row.last_airing_at || null
+    })).filter(row => row.policy);
+}
+
 /**
  * Inserts or updates a file_torrent_download record
  * Updates existing record if same file_path or same torrent_id exists
@@ -1672,26 +2933,304 @@ export function upsertFileTorrentDownload(torrentId, filePath, fileName) {
         // Update existing record with same file_path
         const updateStmt = database.prepare(`
             UPDATE file_torrent_download 
-            SET torrent_id = ?, file_name = ?, scanned_at = ?
+            SET torrent_id = ?, file_name = ?, scanned_at = ?, ${RESET_CRC_COLUMNS}
             WHERE id = ?
         `);
-        updateStmt.run(torrentId, fileName, scannedAt, existingByFilePath.id);
+        updateStmt.run(torrentId, fileName, scannedAt, parseCRC(fileName), existingByFilePath.id);
     } else if (existingByTorrentId) {
         // Update existing record with same torrent_id
         const updateStmt = database.prepare(`
             UPDATE file_torrent_download 
-            SET file_path = ?, file_name = ?, scanned_at = ?
+            SET file_path = ?, file_name = ?, scanned_at = ?, ${RESET_CRC_COLUMNS}
             WHERE id = ?
         `);
-        updateStmt.run(filePath, fileName, scannedAt, existingByTorrentId.id);
+        updateStmt.run(filePath, fileName, scannedAt, parseCRC(fileName), existingByTorrentId.id);
     } else {
         // Insert new record
         const insertStmt = database.prepare(`
-            INSERT INTO file_torrent_download (torrent_id, file_path, file_name, scanned_at)
-            VALUES (?, ?, ?, ?)
+            INSERT INTO file_torrent_download (torrent_id, file_path, file_name, scanned_at, crc_expected)
+            VALUES (?, ?, ?, ?, ?)
         `);
-        insertStmt.run(torrentId, filePath, fileName, scannedAt);
+        insertStmt.run(torrentId, filePath, fileName, scannedAt, parseCRC(fileName));
+    }
+}
+
+/**
+ * Records every file of a downloaded torrent in file_torrent_download
+ * Unlike upsertFileTorrentDownload, other files of the same torrent are kept, so multi-file torrents
+ * get one record per file; a record with the same file_path is moved to this torrent
+ * @param {number} torrentId - Torrent ID
+ * @param {Array} files - Array of { filePath, fileName }
+ */
+export function upsertFileTorrentDownloads(torrentId, files) {
+    const database = getDB();
+    const scannedAt = Date.now();
+    
+    const findByFilePathStmt = database.prepare(`
+        SELECT id FROM file_torrent_download WHERE file_path = ?
+    `);
+    const updateStmt = database.prepare(`
+        UPDATE file_torrent_download 
+        SET torrent_id = ?, file_name = ?, scanned_at = ?, ${RESET_CRC_COLUMNS}
+        WHERE id = ?
+    `);
+    const insertStmt = database.prepare(`
+        INSERT INTO file_torrent_download (torrent_id, file_path, file_name, scanned_at, crc_expected)
+        VALUES (?, ?, ?, ?, ?)
+    `);
+    
+    const transaction = database.transaction(() => {
+        files.forEach(file => {
+            const existing = findByFilePathStmt.get(file.filePath);
+            if (existing) {
+                updateStmt.run(torrentId, file.fileName, scannedAt, parseCRC(file.fileName), existing.id);
+            } else {
+                insertStmt.run(torrentId, file.filePath, file.fileName, scannedAt, parseCRC(file.fileName));
+            }
+        });
+    });
+    
+    transaction();
+}
+
+/**
+ * Gets file_torrent_download records with what the library organizer needs to name them
+ * @param {number|null} torrentId - Only get the files of this torrent (all files when null)
+ * @returns {Array} Array of { id, torrentId, filePath, fileName, torrentTitle, episodeNumber, resolution, subGroupName, animeId, animeTitle, animeSeason, animeYear }
+ */
+export function getLibraryFiles(torrentId = null) {
+    const database = getDB();
+    const rows = database.prepare(`
+        SELECT 
+            ftd.id,
+            ftd.torrent_id,
+            ftd.file_path,
+            ftd.file_name,
+            t.title as torrent_title,
+            t.episode_number,
+            t.resolution,
+            e.anime_id,
+            a.title_romaji,
+            a.title_english,
+            a.title_native,
+            a.season as anime_season,
+            a.startDate_year,
+            a.year,
+            sg.name as sub_group_name
+        FROM file_torrent_download ftd
+        INNER JOIN torrents t ON ftd.torrent_id = t.id
+        INNER JOIN episodes e ON t.episode_id = e.id
+        INNER JOIN anime a ON e.anime_id = a.id
+        LEFT JOIN sub_groups sg ON t.sub_group_id = sg.id
+        ${torrentId ? 'WHERE ftd.torrent_id = ?' : ''}
+        ORDER BY ftd.id ASC
+    `).all(...(torrentId ? [torrentId] : []));
+    
+    return rows.map(row => ({
+        id: row.id,
+        torrentId: row.torrent_id,
+        filePath: row.file_path,
+        fileName: row.file_name,
+        torrentTitle: row.torrent_title,
+        episodeNumber: row.episode_number,
+        resolution: row.resolution || null,
+        subGroupName: row.sub_group_name || null,
+        animeId: row.anime_id,
+        animeTitle: row.title_english || row.title_romaji || row.title_native || `Anime ${row.anime_id}`,
+        animeSeason: row.anime_season || 1,
+        animeYear: row.startDate_year || row.year || null
+    }));
+}
+
+/**
+ * Updates the path of a file_torrent_download record after its file was organized
+ * @param {number} id - Record ID
+ * @param {string} filePath - New full file path
+ * @param {string} fileName - New file name
+ */
+export function updateFileTorrentDownloadPath(id, filePath, fileName) {
+    const database = getDB();
+    database.prepare(`
+        UPDATE file_torrent_download
+        SET file_path = ?, file_name = ?, scanned_at = ?
+        WHERE id = ?
+    `).run(filePath, fileName, Date.now(), id);
+}
+
+/**
+ * Gets file_torrent_download records with what the CRC check needs
+ * @param {Object} options - { torrentId } to only get the files of one torrent, { unchecked } to skip files already checked
+ * @returns {Array} Array of { id, torrentId, filePath, fileName, crcExpected, crcStatus, torrentTitle, torrentLink, infoHash, isBatch, animeId, animeTitle }
+ */
+export function getCrcCheckFiles({ torrentId = null, unchecked = false } = {}) {
+    const database = getDB();
+    const conditions = [];
+    const params = [];
+    if (torrentId) {
+        conditions.push('ftd.torrent_id = ?');
+        params.push(torrentId);
+    }
+    if (unchecked) {
+        conditions.push('ftd.crc_status IS NULL');
     }
+    
+    const rows = database.prepare(`
+        SELECT 
+            ftd.id,
+            ftd.torrent_id,
+            ftd.file_path,
+            ftd.file_name,
+            ftd.crc_expected,
+            ftd.crc_status,
+            t.title as torrent_title,
+            t.link,
+            t.info_hash,
+            t.is_batch,
+            e.anime_id,
+            COALESCE(a.title_english, a.title_romaji, a.title_native) as anime_title
+        FROM file_torrent_download ftd
+        INNER JOIN torrents t ON ftd.torrent_id = t.id
+        INNER JOIN episodes e ON t.episode_id = e.id
+        INNER JOIN anime a ON e.anime_id = a.id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY ftd.id ASC
+    `).all(...params);
+    
+    return rows.map(row => ({
+        id: row.id,
+        torrentId: row.torrent_id,
+        filePath: row.file_path,
+        fileName: row.file_name,
+        crcExpected: row.crc_expected || null,
+        crcStatus: row.crc_status || null,
+        torrentTitle: row.torrent_title,
+        torrentLink: row.link || null,
+        infoHash: row.info_hash || null,
+        isBatch: Boolean(row.is_batch),
+        animeId: row.anime_id,
+        animeTitle: row.anime_title
+    }));
+}
+
+/**
+ * Stores the result of the CRC check of a file_torrent_download record
+ * @param {number} id - file_torrent_download ID
+ * @param {Object} result - { status ('verified', 'mismatch' or 'no_crc'), expected, actual }
+ */
+export function updateFileCrcStatus(id, { status, expected = null, actual = null }) {
+    const database = getDB();
+    database.prepare(`
+        UPDATE file_torrent_download
+        SET crc_status = ?, crc_expected = ?, crc_actual = ?, crc_checked_at = ?
+        WHERE id = ?
+    `).run(status, expected, actual, Date.now(), id);
+}
+
+/**
+ * Deletes a file_torrent_download record
+ * @param {number} id - file_torrent_download ID
+ */
+export function deleteFileTorrentDownload(id) {
+    const database = getDB();
+    database.prepare(`DELETE FROM file_torrent_download WHERE id = ?`).run(id);
+}
+
+/**
+ * Deletes the file_torrent_download record of a file deleted by a retention policy and records the deletion
+ * Files whose episode is unknown are only deleted
+ * @param {Object} file - { id, animeId, episode, fileName }
+ */
+export function recordRetentionDeletion({ id, animeId, episode, fileName }) {
+    const database = getDB();
+    const insertStmt = database.prepare(`
+        INSERT INTO retention_deletions (anime_id, episode_number, file_name, deleted_at)
+        VALUES (?, ?, ?, ?)
+    `);
+    database.transaction(() => {
+        database.prepare(`DELETE FROM file_torrent_download WHERE id = ?`).run(id);
+        if (episode !== null && episode !== undefined) {
+            insertStmt.run(animeId, episode, fileName, Date.now());
+        }
+    })();
+}
+
+/**
+ * Replaces the file_torrent_download records of a torrent that was upgraded
+ * The old records are deleted and copied to superseded_downloads
+ * @param {number} oldTorrentId - Torrent ID of the superseded download
+ * @param {number} newTorrentId - Torrent ID of the download replacing it
+ * @returns {Array} Array of superseded files ({ filePath, fileName })
+ */
+export function supersedeFileTorrentDownloads(oldTorrentId, newTorrentId) {
+    const database = getDB();
+    
+    const oldFiles = database.prepare(`
+        SELECT ftd.file_path, ftd.file_name, t.title as torrent_title
+        FROM file_torrent_download ftd
+        LEFT JOIN torrents t ON ftd.torrent_id = t.id
+        WHERE ftd.torrent_id = ?
+    `).all(oldTorrentId);
+    
+    const insertStmt = database.prepare(`
+        INSERT INTO superseded_downloads (old_torrent_id, new_torrent_id, old_torrent_title, file_path, file_name, superseded_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const deleteStmt = database.prepare(`DELETE FROM file_torrent_download WHERE torrent_id = ?`);
+    
+    const transaction = database.transaction(() => {
+        const supersededAt = Date.now();
+        oldFiles.forEach(file => {
+            insertStmt.run(oldTorrentId, newTorrentId, file.torrent_title || null, file.file_path, file.file_name, supersededAt);
+        });
+        deleteStmt.run(oldTorrentId);
+    });
+    
+    transaction();
+    
+    return oldFiles.map(file => ({
+        filePath: file.file_path,
+        fileName: file.file_name
+    }));
+}
+
+/**
+ * Gets the most recent superseded downloads
+ * @param {number} limit - Maximum number of records to return
+ * @returns {Array} Array of superseded download records
+ */
+export function getSupersededDownloads(limit = 100) {
+    const database = getDB();
+    const query = database.prepare(`
+        SELECT 
+            sd.id,
+            sd.old_torrent_id,
+            sd.new_torrent_id,
+            sd.old_torrent_title,
+            sd.file_path,
+            sd.file_name,
+            sd.superseded_at,
+            t.title as new_torrent_title,
+            t.episode_number,
+            e.anime_id
+        FROM superseded_downloads sd
+        LEFT JOIN torrents t ON sd.new_torrent_id = t.id
+        LEFT JOIN episodes e ON t.episode_id = e.id
+        ORDER BY sd.superseded_at DESC
+        LIMIT ?
+    `);
+    
+    return query.all(limit).map(row => ({
+        id: row.id,
+        oldTorrentId: row.old_torrent_id,
+        newTorrentId: row.new_torrent_id,
+        oldTorrentTitle: row.old_torrent_title,
+        newTorrentTitle: row.new_torrent_title || null,
+        filePath: row.file_path,
+        fileName: row.file_name,
+        episodeNumber: row.episode_number || null,
+        animeId: row.anime_id || null,
+        supersededAt: new Date(row.superseded_at)
+    }));
 }
 
 /**
@@ -1785,6 +3324,173 @@ export function getDownloadedTorrentIdsForAnime(animeId) {
     return new Set(results.map(row => row.torrent_id));
 }
 
+/**
+ * Gets the CRC check status of the downloaded torrents of an anime
+ * A torrent with several files takes the worst status of its files: a mismatch, then files still
+ * waiting to be checked ('pending'), then verified files
+ * @param {number} animeId - Anime ID
+ * @returns {Object} Map of torrent ID to 'verified', 'mismatch', 'no_crc' or 'pending'
+ */
+export function getCrcStatusesForAnime(animeId) {
+    const database = getDB();
+    const rows = database.prepare(`
+        SELECT ftd.torrent_id, ftd.crc_status
+        FROM file_torrent_download ftd
+        INNER JOIN torrents t ON ftd.torrent_id = t.id
+        INNER JOIN episodes e ON t.episode_id = e.id
+        WHERE e.anime_id = ?
+    `).all(animeId);
+    
+    const statusOrder = ['mismatch', 'pending', 'verified', 'no_crc'];
+    const statuses = {};
+    rows.forEach(row => {
+        const status = row.crc_status || 'pending';
+        const current = statuses[row.torrent_id];
+        if (!current || statusOrder.indexOf(status) < statusOrder.indexOf(current)) {
+            statuses[row.torrent_id] = status;
+        }
+    });
+    return statuses;
+}
+
+/**
+ * Gets the episode numbers of an anime found in the library without a matching torrent
+ * @param {number} animeId - Anime ID
+ * @returns {Set<number>} Owned episode numbers
+ */
+export function getOwnedEpisodeNumbersForAnime(animeId) {
+    const database = getDB();
+    const rows = database.prepare(`
+        SELECT DISTINCT episode_number FROM owned_episodes WHERE anime_id = ?
+    `).all(animeId);
+    return new Set(rows.map(row => row.episode_number));
+}
+
+/**
+ * Gets the episode numbers of an anime whose files a retention policy deleted
+ * @param {number} animeId - Anime ID
+ * @returns {Set<number>} Episode numbers
+ */
+export function getRetentionDeletedEpisodeNumbersForAnime(animeId) {
+    const database = getDB();
+    const rows = database.prepare(`
+        SELECT DISTINCT episode_number FROM retention_deletions WHERE anime_id = ?
+    `).all(animeId);
+    return new Set(rows.map(row => row.episode_number));
+}
+
+/**
+ * Gets every anime with the titles and episode numbers used to recognize library files
+ * @returns {Array} Array of { id, season, titles, episodeNumbers } (titles include alternative titles)
+ */
+export function getAnimeForLibraryImport() {
+    const database = getDB();
+    const animeRows = database.prepare(`
+        SELECT id, season, title_romaji, title_english, title_native FROM anime
+    `).all();
+    const alternativeTitleRows = database.prepare(`
+        SELECT anime_id, title FROM alternative_titles
+    `).all();
+    const episodeRows = database.prepare(`
+        SELECT anime_id, episode_number FROM episodes
+    `).all();
+    
+    const animeById = new Map(animeRows.map(row => [row.id, {
+        id: row.id,
+        season: row.season || 1,
+        titles: [row.title_romaji, row.title_english, row.title_native].filter(Boolean),
+        episodeNumbers: new Set()
+    }]));
+    alternativeTitleRows.forEach(row => {
+        animeById.get(row.anime_id)?.titles.push(row.title);
+    });
+    episodeRows.forEach(row => {
+        animeById.get(row.anime_id)?.episodeNumbers.add(row.episode_number);
+    });
+    
+    return Array.from(animeById.values());
+}
+
+/**
+ * Gets every anime with the MyAnimeList ID and titles used to match list import entries
+ * @returns {Array} Array of { id, idMal, titles } (titles include alternative titles)
+ */
+export function getAnimeForListImport() {
+    const database = getDB();
+    const animeRows = database.prepare(`
+        SELECT id, idMal, title_romaji, title_english, title_native FROM anime
+    `).all();
+    const alternativeTitleRows = database.prepare(`
+        SELECT anime_id, title FROM alternative_titles
+    `).all();
+
+    const animeById = new Map(animeRows.map(row => [row.id, {
+        id: row.id,
+        idMal: row.idMal || null,
+        titles: [row.title_romaji, row.title_english, row.title_native].filter(Boolean)
+    }]));
+    alternativeTitleRows.forEach(row => {
+        animeById.get(row.anime_id)?.titles.push(row.title);
+    });
+
+    return Array.from(animeById.values());
+}
+
+/**
+ * Records an episode found in the library without a matching torrent
+ * A record with the same file_path is replaced
+ * @param {Object} episode - { animeId, episodeNumber, filePath, fileName }
+ */
+export function upsertOwnedEpisode({ animeId, episodeNumber, filePath, fileName }) {
+    const database = getDB();
+    database.prepare(`
+        INSERT INTO owned_episodes (anime_id, episode_number, file_path, file_name, imported_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(file_path) DO UPDATE SET
+            anime_id = excluded.anime_id,
+            episode_number = excluded.episode_number,
+            file_name = excluded.file_name,
+            imported_at = excluded.imported_at
+    `).run(animeId, episodeNumber, filePath, fileName, Date.now());
+}
+
+/**
+ * Gets the files of every owned episode
+ * @returns {Array} Array of { id, filePath }
+ */
+export function getOwnedEpisodeFiles() {
+    const database = getDB();
+    return database.prepare(`SELECT id, file_path FROM owned_episodes`).all()
+        .map(row => ({ id: row.id, filePath: row.file_path }));
+}
+
+/**
+ * Deletes an owned episode record
+ * @param {number} id - owned_episodes ID
+ */
+export function deleteOwnedEpisode(id) {
+    const database = getDB();
+    database.prepare(`DELETE FROM owned_episodes WHERE id = ?`).run(id);
+}
+
+/**
+ * Gets the auto-download setting of anime
+ * @param {Array<number>} animeIds - Anime IDs (AniList media IDs)
+ * @returns {Map<number, boolean>} Map of anime ID to its auto-download setting; anime missing from the database are left out
+ */
+export function getAnimeAutodownloadStates(animeIds) {
+    if (animeIds.length === 0) {
+        return new Map();
+    }
+    
+    const database = getDB();
+    const placeholders = animeIds.map(() => '?').join(', ');
+    const rows = database.prepare(`
+        SELECT id, autodownload FROM anime WHERE id IN (${placeholders})
+    `).all(...animeIds);
+    return new Map(rows.map(row => [row.id, row.autodownload === 1]));
+}
+
 /**
  * Toggles the autodownload setting for an anime
  * @param {number} animeId - Anime ID
@@ -1861,6 +3567,16 @@ export async function setAnimeAutodownload(animeId, autodownload) {
     };
 }
 
+/**
+ * Gets the IDs of all animes with autodownload enabled, including fully downloaded ones
+ * @returns {Array<number>} Array of anime IDs
+ */
+export function getAutodownloadAnimeIds() {
+    const database = getDB();
+    const rows = database.prepare(`SELECT id FROM anime WHERE autodownload = 1 ORDER BY id ASC`).all();
+    return rows.map(row => row.id);
+}
+
 /**
  * Gets all animes with autodownload enabled
  * Returns anime name, episodes tracked/total, and next episode airing date
@@ -1894,7 +3610,8 @@ export function getAutodownloadAnimes() {
     const getTrackedEpisodesStmt = database.prepare(`
         SELECT COUNT(DISTINCT e.episode_number) as tracked
         FROM episodes e
-        INNER JOIN torrents t ON e.id = t.episode_id
+        INNER JOIN torrent_episodes te ON te.episode_id = e.id
+        INNER JOIN torrents t ON t.id = te.torrent_id
         LEFT JOIN anime_sub_groups asg ON asg.anime_id = e.anime_id AND asg.sub_group_id = t.sub_group_id
         WHERE e.anime_id = ?
           AND (t.sub_group_id IS NULL OR asg.enabled = 1)
@@ -1904,7 +3621,8 @@ export function getAutodownloadAnimes() {
     const getHighestTrackedEpisodeStmt = database.prepare(`
         SELECT MAX(e.episode_number) as max_episode
         FROM episodes e
-        INNER JOIN torrents t ON e.id = t.episode_id
+        INNER JOIN torrent_episodes te ON te.episode_id = e.id
+        INNER JOIN torrents t ON t.id = te.torrent_id
         LEFT JOIN anime_sub_groups asg ON asg.anime_id = e.anime_id AND asg.sub_group_id = t.sub_group_id
         WHERE e.anime_id = ?
           AND (t.sub_group_id IS NULL OR asg.enabled = 1)
@@ -1919,7 +3637,8 @@ export function getAutodownloadAnimes() {
           AND NOT EXISTS (
               SELECT 1
               FROM torrents t
-              INNER JOIN episodes e2 ON t.episode_id = e2.id
+              INNER JOIN torrent_episodes te ON te.torrent_id = t.id
+              INNER JOIN episodes e2 ON te.episode_id = e2.id
               LEFT JOIN anime_sub_groups asg ON asg.anime_id = e2.anime_id AND asg.sub_group_id = t.sub_group_id
               WHERE e2.anime_id = e.anime_id
                 AND e2.episode_number = e.episode_number
@@ -1939,7 +3658,8 @@ export function getAutodownloadAnimes() {
           AND NOT EXISTS (
               SELECT 1
               FROM torrents t
-              INNER JOIN episodes e2 ON t.episode_id = e2.id
+              INNER JOIN torrent_episodes te ON te.torrent_id = t.id
+              INNER JOIN episodes e2 ON te.episode_id = e2.id
               LEFT JOIN anime_sub_groups asg ON asg.anime_id = e2.anime_id AND asg.sub_group_id = t.sub_group_id
               WHERE e2.anime_id = e.anime_id
                 AND e2.episode_number = e.episode_number
@@ -1958,20 +3678,28 @@ export function getAutodownloadAnimes() {
           AND EXISTS (
               SELECT 1
               FROM torrents t
+              INNER JOIN torrent_episodes te ON te.torrent_id = t.id
               LEFT JOIN anime_sub_groups asg ON asg.anime_id = e.anime_id AND asg.sub_group_id = t.sub_group_id
-              WHERE t.episode_id = e.id
+              WHERE te.episode_id = e.id
                 AND (t.sub_group_id IS NULL OR asg.enabled = 1)
           )
           AND NOT EXISTS (
               SELECT 1
               FROM torrents t2
-              INNER JOIN episodes e2 ON t2.episode_id = e2.id
+              INNER JOIN torrent_episodes te2 ON te2.torrent_id = t2.id
+              INNER JOIN episodes e2 ON te2.episode_id = e2.id
               LEFT JOIN anime_sub_groups asg2 ON asg2.anime_id = e2.anime_id AND asg2.sub_group_id = t2.sub_group_id
               INNER JOIN file_torrent_download ftd ON ftd.torrent_id = t2.id
               WHERE e2.anime_id = e.anime_id
                 AND e2.episode_number = e.episode_number
                 AND (t2.sub_group_id IS NULL OR asg2.enabled = 1)
           )
+          AND NOT EXISTS (
+              SELECT 1
+              FROM owned_episodes oe
+              WHERE oe.anime_id = e.anime_id
+                AND oe.episode_number = e.episode_number
+          )
     `);
     
     const now = Date.now();
@@ -0,0 +1,389 @@
+import { getDB } from './animeDB.js';
+
+export const DOWNLOAD_STATE = {
+    QUEUED: 'queued',
+    DOWNLOADING: 'downloading',
+    PAUSED: 'paused',
+    SEEDING: 'seeding',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+// Download priorities; higher priorities are downloaded first
+export const DOWNLOAD_PRIORITY = {
+    LOW: -1,
+    NORMAL: 0,
+    HIGH: 1
+};
+
+// States of downloads that still have to be restored after a restart
+// Paused downloads were paused by the user and stay paused until resumed
+const UNFINISHED_STATES = [DOWNLOAD_STATE.QUEUED, DOWNLOAD_STATE.DOWNLOADING, DOWNLOAD_STATE.PAUSED];
+
+function mapDownloadRow(row) {
+    if (!row) {
+        return null;
+    }
+
+    let episodes = null;
+    if (row.episodes) {
+        try {
+            episodes = JSON.parse(row.episodes);
+        } catch (error) {
+            episodes = null;
+        }
+    }
+
+    return {
+        id: row.id,
+        animeId: row.anime_id,
+        torrentId: row.torrent_id,
+        replacesTorrentId: row.replaces_torrent_id,
+        torrentUrl: row.torrent_url,
+        infoHash: row.info_hash,
+        animeTitle: row.anime_title,
+        downloadPath: row.download_path,
+        episodes: episodes,
+        priority: row.priority,
+        queuePosition: row.queue_position,
+        latestAiringAt: row.latest_airing_at ?? null,
+        subGroupName: row.sub_group_name ?? null,
+        seedingStartedAt: row.seeding_started_at ?? null,
+        uploaded: row.uploaded || 0,
+        state: row.state,
+        error: row.error || null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Records a requested download
+ * @param {Object} download - { animeId, torrentId, replacesTorrentId, torrentUrl, infoHash, animeTitle, downloadPath, episodes, priority, state }
+ * @returns {Object} Created download
+ */
+export function createDownload({
+    animeId = null,
+    torrentId = null,
+    replacesTorrentId = null,
+    torrentUrl,
+    infoHash = null,
+    animeTitle = null,
+    downloadPath,
+    episodes = null,
+    priority = 0,
+    state = DOWNLOAD_STATE.QUEUED
+}) {
+    if (!torrentUrl) {
+        throw new Error('Torrent URL is required');
+    }
+
+    if (!downloadPath) {
+        throw new Error('Download path is required');
+    }
+
+    const database = getDB();
+    const now = Date.now();
+
+    // New downloads go to the end of the queue
+    const insertStmt = database.prepare(`
+        INSERT INTO downloads (
+            anime_id, torrent_id, replaces_torrent_id, torrent_url, info_hash, anime_title,
+            download_path, episodes, priority, queue_position, state, error, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, (SELECT COALESCE(MAX(queue_position), 0) + 1 FROM downloads), ?, NULL, ?, ?)
+    `);
+
+    const result = insertStmt.run(
+        animeId ?? null,
+        torrentId ?? null,
+        replacesTorrentId ?? null,
+        torrentUrl,
+        infoHash,
+        animeTitle,
+        downloadPath,
+        Array.isArray(episodes) && episodes.length > 0 ? JSON.stringify(episodes) : null,
+        priority,
+        state,
+        now,
+        now
+    );
+
+    return getDownloadById(result.lastInsertRowid);
+}
+
+export function getDownloadById(id) {
+    if (!id) {
+        return null;
+    }
+
+    const database = getDB();
+    const row = database.prepare(`SELECT * FROM downloads WHERE id = ?`).get(id);
+    return mapDownloadRow(row);
+}
+
+/**
+ * Gets the downloads that haven't finished yet, in queue order
+ * @param {Object} options - { prioritizeNewestEpisodes }; when set, downloads of the most recently aired
+ *                           episodes come first within the same priority
+ * @returns {Array} Downloads ordered by priority (highest first), then by queue position
+ */
+export function getUnfinishedDownloads({ prioritizeNewestEpisodes = false } = {}) {
+    const database = getDB();
+    const placeholders = UNFINISHED_STATES.map(() => '?').join(', ');
+    const rows = database.prepare(`
+        SELECT d.*, (
+            SELECT MAX(e.airingAt)
+            FROM torrent_episodes te
+            JOIN episodes e ON e.id = te.episode_id
+            WHERE te.torrent_id = d.torrent_id
+        ) AS latest_airing_at
+        FROM downloads d
+        WHERE d.state IN (${placeholders})
+        ORDER BY d.priority DESC, ${prioritizeNewestEpisodes ? 'latest_airing_at DESC, ' : ''}d.queue_position ASC, d.id ASC
+    `).all(...UNFINISHED_STATES);
+    return rows.map(mapDownloadRow);
+}
+
+/**
+ * Finds an unfinished download of a torrent
+ * @param {Object} identity - { infoHash, torrentUrl }; the info hash is checked first
+ * @returns {Object|null} Download or null if none is unfinished
+ */
+export function findUnfinishedDownload({ infoHash = null, torrentUrl = null }) {
+    const database = getDB();
+    const placeholders = UNFINISHED_STATES.map(() => '?').join(', ');
+
+    if (infoHash) {
+        const row = database.prepare(`
+            SELECT * FROM downloads
+            WHERE info_hash = ? AND state IN (${placeholders})
+            ORDER BY id ASC
+            LIMIT 1
+        `).get(infoHash, ...UNFINISHED_STATES);
+        if (row) {
+            return mapDownloadRow(row);
+        }
+    }
+
+    if (torrentUrl) {
+        const row = database.prepare(`
+            SELECT * FROM downloads
+            WHERE torrent_url = ? AND state IN (${placeholders})
+            ORDER BY id ASC
+            LIMIT 1
+        `).get(torrentUrl, ...UNFINISHED_STATES);
+        return mapDownloadRow(row);
+    }
+
+    return null;
+}
+
+/**
+ * Updates the state of a download
+ * @param {number} id - Download ID
+ * @param {string} state - New state (see DOWNLOAD_STATE)
+ * @param {Object} options - { infoHash, error }; omitted values are left unchanged
+ * @returns {Object|null} Updated download
+ */
+export function updateDownloadState(id, state, { infoHash, error } = {}) {
+    if (!id) {
+        throw new Error('Download ID is required');
+    }
+
+    const current = getDownloadById(id);
+    if (!current) {
+        return null;
+    }
+
+    const database = getDB();
+    database.prepare(`
+        UPDATE downloads
+        SET state = ?, info_hash = ?, error = ?, updated_at = ?
+        WHERE id = ?
+    `).run(
+        state,
+        infoHash === undefined ? current.infoHash : infoHash,
+        error === undefined ? current.error : error,
+        Date.now(),
+        id
+    );
+
+    return getDownloadById(id);
+}
+
+/**
+ * Updates the state of the unfinished downloads of a torrent
+ * @param {string} infoHash - Info hash of the torrent
+ * @param {string} state - New state (see DOWNLOAD_STATE)
+ * @returns {number} Number of updated downloads
+ */
+export function updateDownloadStateByInfoHash(infoHash, state) {
+    if (!infoHash) {
+        return 0;
+    }
+
+    const database = getDB();
+    const placeholders = UNFINISHED_STATES.map(() => '?').join(', ');
+    const result = database.prepare(`
+        UPDATE downloads
+        SET state = ?, updated_at = ?
+        WHERE info_hash = ? AND state IN (${placeholders})
+    `).run(state, Date.now(), infoHash, ...UNFINISHED_STATES);
+    return result.changes;
+}
+
+/**
+ * Deletes the unfinished downloads of a torrent (when it is removed from the client)
+ * @param {string} infoHash - Info hash of the torrent
+ * @returns {number} Number of deleted downloads
+ */
+export function deleteUnfinishedDownloadsByInfoHash(infoHash) {
+    if (!infoHash) {
+        return 0;
+    }
+
+    const database = getDB();
+    const placeholders = UNFINISHED_STATES.map(() => '?').join(', ');
+    const result = database.prepare(`
+        DELETE FROM downloads
+        WHERE info_hash = ? AND state IN (${placeholders})
+    `).run(infoHash, ...UNFINISHED_STATES);
+    return result.changes;
+}
+
+/**
+ * Sets the priority of the unfinished downloads of a torrent
+ * @param {string} infoHash - Info hash of the torrent
+ * @param {number} priority - New priority (see DOWNLOAD_PRIORITY)
+ * @returns {number} Number of updated downloads
+ */
+export function updateDownloadPriorityByInfoHash(infoHash, priority) {
+    if (!Object.values(DOWNLOAD_PRIORITY).includes(priority)) {
+        throw new Error(`Invalid download priority: ${priority}`);
+    }
+
+    const database = getDB();
+    const placeholders = UNFINISHED_STATES.map(() => '?').join(', ');
+    const result = database.prepare(`
+        UPDATE downloads
+        SET priority = ?, updated_at = ?
+        WHERE info_hash = ? AND state IN (${placeholders})
+    `).run(priority, Date.now(), infoHash, ...UNFINISHED_STATES);
+    return result.changes;
+}
+
+/**
+ * Reorders the unfinished downloads
+ * The listed torrents are moved to the front of the queue in the given order; the others keep their order after them
+ * @param {Array<string>} infoHashes - Info hashes of the torrents in their new order
+ */
+export function reorderDownloads(infoHashes) {
+    const database = getDB();
+    const placeholders = UNFINISHED_STATES.map(() => '?').join(', ');
+    const downloads = database.prepare(`
+        SELECT id, info_hash FROM downloads
+        WHERE state IN (${placeholders})
+        ORDER BY queue_position ASC, id ASC
+    `).all(...UNFINISHED_STATES);
+
+    const positions = new Map(infoHashes.map((infoHash, index) => [infoHash, index]));
+    const reordered = [
+        ...downloads
+            .filter(download => positions.has(download.info_hash))
+            .sort((a, b) => positions.get(a.info_hash) - positions.get(b.info_hash)),
+        ...downloads.filter(download => !positions.has(download.info_hash))
+    ];
+
+    const updateStmt = database.prepare(`UPDATE downloads SET queue_position = ? WHERE id = ?`);
+    database.transaction(() => {
+        reordered.forEach((download, index) => {
+            updateStmt.run(index + 1, download.id);
+        });
+    })();
+}
+
+/**
+ * Gets the subgroup of the torrent of a download
+ * @param {number} id - Download ID
+ * @returns {string|null} Subgroup name, or null if unknown
+ */
+export function getDownloadSubGroupName(id) {
+    const database = getDB();
+    const row = database.prepare(`
+        SELECT sg.name
+        FROM downloads d
+        JOIN torrents t ON t.id = d.torrent_id
+        JOIN sub_groups sg ON sg.id = t.sub_group_id
+        WHERE d.id = ?
+    `).get(id);
+    return row ? row.name : null;
+}
+
+/**
+ * Gets the downloads being seeded, in the order they started seeding
+ * @returns {Array} Seeding downloads
+ */
+export function getSeedingDownloads() {
+    const database = getDB();
+    const rows = database.prepare(`
+        SELECT * FROM downloads
+        WHERE state = ?
+        ORDER BY seeding_started_at ASC, id ASC
+    `).all(DOWNLOAD_STATE.SEEDING);
+    return rows.map(mapDownloadRow);
+}
+
+/**
+ * Marks a completed download as seeding
+ * @param {number} id - Download ID
+ * @param {number} uploaded - Bytes uploaded while downloading
+ */
+export function startDownloadSeeding(id, uploaded) {
+    const database = getDB();
+    const now = Date.now();
+    database.prepare(`
+        UPDATE downloads
+        SET state = ?, seeding_started_at = ?, uploaded = ?, updated_at = ?
+        WHERE id = ?
+    `).run(DOWNLOAD_STATE.SEEDING, now, uploaded, now, id);
+}
+
+/**
+ * Records the bytes uploaded by a download
+ * @param {number} id - Download ID
+ * @param {number} uploaded - Total bytes uploaded
+ */
+export function updateDownloadUploaded(id, uploaded) {
+    const database = getDB();
+    database.prepare(`
+        UPDATE downloads SET uploaded = ?, updated_at = ? WHERE id = ?
+    `).run(uploaded, Date.now(), id);
+}
+
+/**
+ * Counts the downloads recorded for a torrent
+ * @param {number} torrentId - Torrent ID
+ * @returns {number} Number of downloads of the torrent
+ */
+export function countDownloadsForTorrent(torrentId) {
+    const database = getDB();
+    const row = database.prepare(`
+        SELECT COUNT(*) as count FROM downloads WHERE torrent_id = ?
+    `).get(torrentId);
+    return row ? row.count : 0;
+}
+
+/**
+ * Gets the torrents that are still being downloaded or seeded
+ * @returns {Set<number>} Torrent IDs of unfinished and seeding downloads
+ */
+export function getActiveDownloadTorrentIds() {
+    const database = getDB();
+    const states = [...UNFINISHED_STATES, DOWNLOAD_STATE.SEEDING];
+    const placeholders = states.map(() => '?').join(', ');
+    const rows = database.prepare(`
+        SELECT DISTINCT torrent_id FROM downloads
+        WHERE torrent_id IS NOT NULL AND state IN (${placeholders})
+    `).all(...states);
+    return new Set(rows.map(row => row.torrent_id));
+}
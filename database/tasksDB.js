@@ -13,7 +13,12 @@ export const TASK_TYPES = {
     UPDATE_QUARTER: 'UPDATE_QUARTER',
     SCAN_FOLDER: 'SCAN_FOLDER',
     SCAN_AUTODOWNLOAD: 'SCAN_AUTODOWNLOAD',
-    QUEUE_AUTODOWNLOAD: 'QUEUE_AUTODOWNLOAD'
+    QUEUE_AUTODOWNLOAD: 'QUEUE_AUTODOWNLOAD',
+    REORGANIZE_LIBRARY: 'REORGANIZE_LIBRARY',
+    VERIFY_CRC: 'VERIFY_CRC',
+    APPLY_RETENTION: 'APPLY_RETENTION',
+    SYNC_ANILIST: 'SYNC_ANILIST',
+    IMPORT_LIST: 'IMPORT_LIST'
 };
 
 function parseValue(value) {
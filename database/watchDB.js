@@ -0,0 +1,226 @@
+import { getDB } from './animeDB.js';
+import { matchEpisode } from '../parsers/episodeParser.js';
+import { getFileType } from '../utils/fileTypes.js';
+
+function mapWatchRow(row) {
+    return {
+        animeId: row.anime_id,
+        episodeNumber: row.episode_number,
+        watched: row.watched === 1,
+        position: row.position_seconds || 0,
+        duration: row.duration_seconds ?? null,
+        watchedAt: row.watched_at ?? null,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Gets the watch progress of the episodes of an anime
+ * Episodes without a row were never watched
+ * @param {number} animeId - Anime ID
+ * @returns {Array} Array of { animeId, episodeNumber, watched, position, duration, watchedAt, updatedAt }
+ */
+export function getWatchProgressForAnime(animeId) {
+    const database = getDB();
+    return database.prepare(`
+        SELECT * FROM watch_progress WHERE anime_id = ? ORDER BY episode_number ASC
+    `).all(animeId).map(mapWatchRow);
+}
+
+/**
+ * Gets the watch progress of every anime
+ * @returns {Array} Array of { animeId, episodeNumber, watched, position, duration, watchedAt, updatedAt }
+ */
+export function getAllWatchProgress() {
+    const database = getDB();
+    return database.prepare(`SELECT * FROM watch_progress`).all().map(mapWatchRow);
+}
+
+/**
+ * Marks episodes of an anime as watched or unwatched
+ * Marking an episode unwatched also clears its playback position
+ * @param {number} animeId - Anime ID
+ * @param {Array<number>} episodeNumbers - Episode numbers
+ * @param {boolean} watched - New watched state
+ * @returns {Array} Watch progress of the anime after the update
+ */
+export function setEpisodesWatched(animeId, episodeNumbers, watched) {
+    const database = getDB();
+    if (!database.prepare(`SELECT id FROM anime WHERE id = ?`).get(animeId)) {
+        throw new Error('Anime not found');
+    }
+
+    const now = Date.now();
+    const upsert = watched
+        ? database.prepare(`
+            INSERT INTO watch_progress (anime_id, episode_number, watched, watched_at, updated_at)
+            VALUES (?, ?, 1, ?, ?)
+            ON CONFLICT(anime_id, episode_number) DO UPDATE SET
+                watched = 1,
+                watched_at = COALESCE(watch_progress.watched_at, excluded.watched_at),
+                updated_at = excluded.updated_at
+        `)
+        : database.prepare(`
+            INSERT INTO watch_progress (anime_id, episode_number, watched, watched_at, updated_at)
+            VALUES (?, ?, 0, NULL, ?)
+            ON CONFLICT(anime_id, episode_number) DO UPDATE SET
+                watched = 0,
+                watched_at = NULL,
+                position_seconds = 0,
+                updated_at = excluded.updated_at
+        `);
+
+    database.transaction(() => {
+        episodeNumbers.forEach(episodeNumber => {
+            if (watched) {
+                upsert.run(animeId, episodeNumber, now, now);
+            } else {
+                upsert.run(animeId, episodeNumber, now);
+            }
+        });
+    })();
+
+    return getWatchProgressForAnime(animeId);
+}
+
+/**
+ * Saves the playback position of an episode
+ * The watched state of the episode is left unchanged
+ * @param {number} animeId - Anime ID
+ * @param {number} episodeNumber - Episode number
+ * @param {number} position - Playback position in seconds
+ * @param {number|null} duration - Duration of the episode in seconds, if known
+ * @returns {Object} Watch progress of the episode
+ */
+export function saveWatchPosition(animeId, episodeNumber, position, duration = null) {
+    const database = getDB();
+    if (!database.prepare(`SELECT id FROM anime WHERE id = ?`).get(animeId)) {
+        throw new Error('Anime not found');
+    }
+
+    database.prepare(`
+        INSERT INTO watch_progress (anime_id, episode_number, watched, position_seconds, duration_seconds, updated_at)
+        VALUES (?, ?, 0, ?, ?, ?)
+        ON CONFLICT(anime_id, episode_number) DO UPDATE SET
+            position_seconds = excluded.position_seconds,
+            duration_seconds = COALESCE(excluded.duration_seconds, watch_progress.duration_seconds),
+            updated_at = excluded.updated_at
+    `).run(animeId, episodeNumber, position, duration, Date.now());
+
+    return mapWatchRow(database.prepare(`
+        SELECT * FROM watch_progress WHERE anime_id = ? AND episode_number = ?
+    `).get(animeId, episodeNumber));
+}
+
+/**
+ * Gets the video files of an episode
+ * Covers the files of downloaded torrents (batch files by the episode in their name) and the episodes
+ * imported from the library
+ * @param {number} animeId - Anime ID
+ * @param {number} episodeNumber - Episode number
+ * @returns {Array} Array of { source: 'file' | 'owned', id, filePath, fileName, downloadedAt }, newest first
+ */
+export function getEpisodeVideoFiles(animeId, episodeNumber) {
+    const database = getDB();
+    const rows = database.prepare(`
+        SELECT 'file' AS source, ftd.id, ftd.file_path, ftd.file_name, t.episode_number, ftd.scanned_at AS downloaded_at
+        FROM file_torrent_download ftd
+        INNER JOIN torrents t ON ftd.torrent_id = t.id
+        INNER JOIN episodes e ON t.episode_id = e.id
+        WHERE e.anime_id = ?
+        UNION ALL
+        SELECT 'owned' AS source, id, file_path, file_name, episode_number, imported_at AS downloaded_at
+        FROM owned_episodes
+        WHERE anime_id = ? AND episode_number = ?
+    `).all(animeId, animeId, episodeNumber);
+
+    return rows
+        .filter(row => getFileType(row.file_name) === 'video')
+        .filter(row => (row.source === 'owned' ? row.episode_number : (matchEpisode(row.file_name) ?? row.episode_number)) === episodeNumber)
+        .sort((a, b) => b.downloaded_at - a.downloaded_at)
+        .map(row => ({
+            source: row.source,
+            id: row.id,
+            filePath: row.file_path,
+            fileName: row.file_name,
+            downloadedAt: row.downloaded_at
+        }));
+}
+
+/**
+ * Gets a downloaded or imported file by its record
+ * @param {string} source - 'file' for file_torrent_download, 'owned' for owned_episodes
+ * @param {number} id - Record ID
+ * @returns {Object|null} { source, id, filePath, fileName } or null if there is no such record
+ */
+export function getPlayableFile(source, id) {
+    const database = getDB();
+    const table = source === 'owned' ? 'owned_episodes' : 'file_torrent_download';
+    const row = database.prepare(`SELECT id, file_path, file_name FROM ${table} WHERE id = ?`).get(id);
+    return row ? { source, id: row.id, filePath: row.file_path, fileName: row.file_name } : null;
+}
+
+/**
+ * Gets the downloaded episodes with when they were downloaded
+ * Covers the video files of downloaded torrents and the episodes imported from the library
+ * @param {number|null} animeId - Only the episodes of this anime (null for every anime)
+ * @returns {Array} Array of { animeId, episodeNumber, downloadedAt }, latest download per episode
+ */
+export function getDownloadedEpisodes(animeId = null) {
+    const database = getDB();
+    const rows = database.prepare(`
+        SELECT e.anime_id, t.episode_number, ftd.file_name, ftd.scanned_at AS downloaded_at, 0 AS owned
+        FROM file_torrent_download ftd
+        INNER JOIN torrents t ON ftd.torrent_id = t.id
+        INNER JOIN episodes e ON t.episode_id = e.id
+        ${animeId ? 'WHERE e.anime_id = ?' : ''}
+        UNION ALL
+        SELECT anime_id, episode_number, file_name, imported_at AS downloaded_at, 1 AS owned
+        FROM owned_episodes
+        ${animeId ? 'WHERE anime_id = ?' : ''}
+    `).all(...(animeId ? [animeId, animeId] : []));
+
+    const episodes = new Map();
+    rows.forEach(row => {
+        if (getFileType(row.file_name) !== 'video') {
+            return;
+        }
+        // Batch torrents hold several episodes; the file name tells which one
+        const episodeNumber = row.owned ? row.episode_number : (matchEpisode(row.file_name) ?? row.episode_number);
+        if (episodeNumber === null || episodeNumber === undefined) {
+            return;
+        }
+        const key = `${row.anime_id}-${episodeNumber}`;
+        const existing = episodes.get(key);
+        if (!existing || row.downloaded_at > existing.downloadedAt) {
+            episodes.set(key, { animeId: row.anime_id, episodeNumber, downloadedAt: row.downloaded_at });
+        }
+    });
+
+    return Array.from(episodes.values());
+}
+
+/**
+ * Gets the title and cover image of anime
+ * @param {Array<number>} animeIds - Anime IDs
+ * @returns {Map<number, Object>} Map of anime ID to { id, title, image }
+ */
+export function getAnimeTitlesAndImages(animeIds) {
+    if (animeIds.length === 0) {
+        return new Map();
+    }
+
+    const database = getDB();
+    const placeholders = animeIds.map(() => '?').join(', ');
+    const rows = database.prepare(`
+        SELECT id, title_romaji, title_english, title_native, image
+        FROM anime
+        WHERE id IN (${placeholders})
+    `).all(...animeIds);
+
+    return new Map(rows.map(row => [row.id, {
+        id: row.id,
+        title: row.title_english || row.title_romaji || row.title_native || `Anime ${row.id}`,
+        image: row.image || null
+    }]));
+}
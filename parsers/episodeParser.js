@@ -17,18 +17,34 @@ export function parseEpisode(title) {
     if (!title || typeof title !== 'string') return null;
     console.log("Parsing episode from title: " + title);
     
+    const n = matchEpisode(title);
+    if (n !== null) {
+        console.log("Episode found in title: " + n);
+        return n;
+    }
+    
+    console.log("No episode found in title: " + title);
+    return null;
+}
+
+/**
+ * Parses episode number from a title without logging, for lists of files parsed on every request
+ * @param {string} title - Torrent or file title to parse
+ * @returns {number|null} Episode number or null if not found
+ */
+export function matchEpisode(title) {
+    if (!title || typeof title !== 'string') return null;
+    
     const t = title.replace(/。/g, '.');
 
     for (const re of episodePatterns) {
         const m = re.exec(t);
         if (m && m[1]) {
             const n = parseInt(m[1].replace(/^0+/, '') || m[1], 10);
-            console.log("Episode found in title: " + n);
             if (!Number.isNaN(n)) return n;
         }
     }
     
-    console.log("No episode found in title: " + title);
     return null;
 }
 
@@ -0,0 +1,207 @@
+import { parseSubGroup } from './subGroupParser.js';
+import { parseCRC } from './episodeParser.js';
+
+const RESOLUTION_PATTERNS = [
+    // Some groups glue the source to the resolution ("BD1080p")
+    { pattern: /(?:\b|(?<=BD))(2160|1080|720|576|480)[pi]\b/i, resolve: m => `${m[1]}p` },
+    { pattern: /\b(?:3840|4096)x2160\b/i, resolve: () => '2160p' },
+    { pattern: /\b1920x1080\b/i, resolve: () => '1080p' },
+    { pattern: /\b1280x720\b/i, resolve: () => '720p' },
+    { pattern: /\b(?:4K|UHD)\b/i, resolve: () => '2160p' }
+];
+
+const VIDEO_CODEC_PATTERNS = [
+    { pattern: /\b(?:HEVC|[xh]\.?265)\b/i, value: 'HEVC' },
+    { pattern: /\bAV1\b/i, value: 'AV1' },
+    { pattern: /\b(?:AVC|[xh]\.?264|Hi10P?)\b/i, value: 'AVC' },
+    { pattern: /\bVP9\b/i, value: 'VP9' }
+];
+
+// Order matters: rips are checked before the plain source names they contain
+const SOURCE_PATTERNS = [
+    { pattern: /\bBD-?Rip\b|\bBR-?Rip\b/i, value: 'BDRip' },
+    { pattern: /\b(?:BD(?:-?Remux|MV)?|Blu-?Ray)\b|\bBD(?=\d{3,4}p\b)/i, value: 'BD' },
+    { pattern: /\bWEB-?Rip\b/i, value: 'WEBRip' },
+    { pattern: /\bWEB(?:-?DL)?\b|\b(?:CR|AMZN|NF|ADN|DSNP|HIDIVE|B-Global|Baha)\b/i, value: 'WEB' },
+    { pattern: /\bDVD(?:-?Rip)?\b/i, value: 'DVD' },
+    { pattern: /\b(?:HDTV|TV-?Rip)\b/i, value: 'TV' }
+];
+
+const AUDIO_CODEC_PATTERNS = [
+    { pattern: /\bFLAC(?:x\d)?\b/i, value: 'FLAC' },
+    { pattern: /\bTrue-?HD\b/i, value: 'TrueHD' },
+    { pattern: /\bDTS(?:-?HD)?(?:-?MA)?\b/i, value: 'DTS' },
+    { pattern: /\b(?:E-?AC-?3|DDP|DD\+)(?:\d\.\d)?(?=\W|$)/i, value: 'EAC3' },
+    { pattern: /\b(?:AC-?3|DD)(?:\d\.\d)?\b/i, value: 'AC3' },
+    { pattern: /\bOpus\b/i, value: 'Opus' },
+    { pattern: /\bAAC(?:\d\.\d)?\b/i, value: 'AAC' },
+    { pattern: /\bMP3\b/i, value: 'MP3' }
+];
+
+const CONTAINERS = ['mkv', 'mp4', 'avi', 'webm', 'ts'];
+
+/**
+ * Returns the value of the first pattern matching the title
+ * @param {string} title - Title to test
+ * @param {Array} patterns - Array of { pattern, value } objects
+ * @returns {string|null} Matched value or null
+ */
+function matchFirst(title, patterns) {
+    const entry = patterns.find(({ pattern }) => pattern.test(title));
+    return entry ? entry.value : null;
+}
+
+/**
+ * Parses the resolution from a torrent title
+ * @param {string} title - Torrent title to parse
+ * @returns {string|null} Resolution (e.g. "1080p") or null if not found
+ */
+export function parseResolution(title) {
+    if (!title || typeof title !== 'string') return null;
+
+    for (const { pattern, resolve } of RESOLUTION_PATTERNS) {
+        const m = title.match(pattern);
+        if (m) {
+            return resolve(m);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Parses the release version from a torrent title
+ * Examples: "Show - 05v2 (1080p)" -> 2, "Show - 05 v3" -> 3
+ * @param {string} title - Torrent title to parse
+ * @returns {number|null} Version number or null if the title has no version tag
+ */
+export function parseVersion(title) {
+    if (!title || typeof title !== 'string') return null;
+
+    const match = title.match(/(?:\b|\d)v(\d{1,2})\b/i);
+    if (match && match[1]) {
+        const n = parseInt(match[1], 10);
+        if (!Number.isNaN(n) && n > 0) return n;
+    }
+
+    return null;
+}
+
+/**
+ * Parses a batch episode range from a torrent title
+ * Examples: "Show (01-12) [Batch]" -> { start: 1, end: 12 }, "Show S01E01-E12" -> { start: 1, end: 12 }
+ * Spaced ranges ("01 - 12") must be zero padded to the same width so "Show 2 - 05" stays a single episode
+ * @param {string} title - Torrent title to parse
+ * @returns {Object|null} { start, end } or null if the title has no episode range
+ */
+export function parseBatchRange(title) {
+    if (!title || typeof title !== 'string') return null;
+
+    // Resolutions and dimensions look like ranges to the patterns below
+    const t = title
+        .replace(/。/g, '.')
+        .replace(/\b\d{3,4}x\d{3,4}\b/gi, ' ')
+        .replace(/(?:\b|(?<=BD))\d{3,4}[pi]\b/gi, ' ');
+
+    const patterns = [
+        /\bS\d{1,2}E(\d{1,4})\s?-\s?(?:S\d{1,2})?E(\d{1,4})\b/i,
+        /\b(?:Episodes?|Eps?\.?)\s*(\d{1,4})\s?(?:-|~|to)\s?(\d{1,4})\b/i,
+        /(?:^|[\s\[(_])(\d{1,4})(?:v\d)?(-|~|\s-\s|\s~\s)(\d{1,4})(?:v\d)?(?=[\s\])_]|$)/
+    ];
+
+    for (const pattern of patterns) {
+        // A rejected match ("Part 3 - 01") can overlap the real range ("01 ~ 02"), so the search goes on from the next character
+        const re = new RegExp(pattern.source, `${pattern.flags}g`);
+        let m;
+        while ((m = re.exec(t)) !== null) {
+            re.lastIndex = m.index + 1;
+
+            const startText = m[1];
+            const endText = m.length === 4 ? m[3] : m[2];
+            const separator = m.length === 4 ? m[2] : '';
+
+            if (separator.startsWith(' ') && (startText.length !== endText.length || startText.length < 2)) {
+                continue;
+            }
+
+            const start = parseInt(startText, 10);
+            const end = parseInt(endText, 10);
+            if (!Number.isNaN(start) && !Number.isNaN(end) && end > start) {
+                return { start, end };
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Parses the container hint from a torrent title (file extension or tag)
+ * @param {string} title - Torrent title to parse
+ * @returns {string|null} Container (e.g. "mkv") or null if not found
+ */
+export function parseContainer(title) {
+    if (!title || typeof title !== 'string') return null;
+
+    const extensionMatch = title.match(/\.([a-z0-9]{2,4})\s*$/i);
+    if (extensionMatch && CONTAINERS.includes(extensionMatch[1].toLowerCase())) {
+        return extensionMatch[1].toLowerCase();
+    }
+
+    const tagMatch = title.match(new RegExp(`[\\[(\\s](${CONTAINERS.join('|')})[\\])\\s]`, 'i'));
+    if (tagMatch && tagMatch[1]) {
+        return tagMatch[1].toLowerCase();
+    }
+
+    return null;
+}
+
+/**
+ * Parses the full release metadata from a torrent title
+ * @param {string} title - Torrent title to parse
+ * @returns {Object} { resolution, videoCodec, source, audioCodec, dualAudio, version, batch, batchStart, batchEnd, container }
+ */
+export function parseReleaseInfo(title) {
+    if (!title || typeof title !== 'string') {
+        return {
+            resolution: null,
+            videoCodec: null,
+            source: null,
+            audioCodec: null,
+            dualAudio: false,
+            version: null,
+            batch: false,
+            batchStart: null,
+            batchEnd: null,
+            container: null
+        };
+    }
+
+    const batchRange = parseBatchRange(title);
+
+    return {
+        resolution: parseResolution(title),
+        videoCodec: matchFirst(title, VIDEO_CODEC_PATTERNS),
+        source: matchFirst(title, SOURCE_PATTERNS),
+        audioCodec: matchFirst(title, AUDIO_CODEC_PATTERNS),
+        dualAudio: /\b(?:dual|multi)[\s._-]?audio\b/i.test(title),
+        version: parseVersion(title),
+        batch: Boolean(batchRange) || /\b(?:batch|complete(?:\s+series)?)\b/i.test(title),
+        batchStart: batchRange ? batchRange.start : null,
+        batchEnd: batchRange ? batchRange.end : null,
+        container: parseContainer(title)
+    };
+}
+
+/**
+ * Parses a torrent title into its release group, CRC and release metadata
+ * @param {string} title - Torrent title to parse
+ * @returns {Object} { group, crc } and the fields of parseReleaseInfo
+ */
+export function parseRelease(title) {
+    return {
+        group: parseSubGroup(title),
+        crc: parseCRC(title),
+        ...parseReleaseInfo(title)
+    };
+}
@@ -4,6 +4,9 @@ import { dirname, join } from 'path';
 import quarterRoutes from './api/quarter/routes.js';
 import animeRoutes from './api/anime/routes.js';
 import adminRoutes from './api/admin/routes.js';
+import torznabRoutes from './api/torznab/routes.js';
+import feedsRoutes from './api/feeds/routes.js';
+import streamRoutes from './api/stream/routes.js';
 import { initializeTaskQueue } from './services/taskQueue.js';
 import { initializeTorrentClient } from './services/torrentService.js';
 import { initializeScheduledJobs } from './services/scheduledJobsService.js';
@@ -42,6 +45,9 @@ initializeScheduledJobs();
 app.use('/api/quarter', quarterRoutes);
 app.use('/api/anime', animeRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/torznab', torznabRoutes);
+app.use('/api/feeds', feedsRoutes);
+app.use('/api/stream', streamRoutes);
 
 // Serve React app for all other routes
 app.get('*', (req, res) => {
@@ -135,3 +135,130 @@ export async function fetchUpcomingAnimeData(season, year, prevSeason, prevYear)
     ];
 }
 
+
+/**
+ * Runs a GraphQL query or mutation as the user of an AniList access token
+ * @param {Object} payload - GraphQL query payload
+ * @param {string} token - AniList access token
+ * @returns {Promise<Object>} Response data
+ */
+export async function fetchAniListAsUser(payload, token) {
+    const response = await fetch(ANILIST_GRAPHQL_URL, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(payload)
+    });
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok || body?.errors?.length) {
+        const message = body?.errors?.[0]?.message || `HTTP ${response.status}`;
+        throw new Error(`AniList request failed: ${message}`);
+    }
+    return body.data;
+}
+
+/**
+ * Fetches the AniList user an access token belongs to
+ * @param {string} token - AniList access token
+ * @returns {Promise<Object>} { id, name }
+ */
+export async function fetchViewer(token) {
+    const data = await fetchAniListAsUser({
+        query: `query {
+            Viewer {
+                id
+                name
+            }
+        }`
+    }, token);
+    return { id: data.Viewer.id, name: data.Viewer.name };
+}
+
+/**
+ * Fetches the anime list entries of a user with the given statuses
+ * @param {string} token - AniList access token
+ * @param {number} userId - AniList user ID
+ * @param {Array<string>} statuses - Media list statuses (e.g. CURRENT, PLANNING)
+ * @returns {Promise<Array>} Array of { mediaId, status, progress, episodes }
+ */
+export async function fetchUserAnimeList(token, userId, statuses) {
+    const data = await fetchAniListAsUser({
+        query: `query ($userId: Int, $statuses: [MediaListStatus]) {
+            MediaListCollection(userId: $userId, type: ANIME, status_in: $statuses) {
+                lists {
+                    entries {
+                        mediaId
+                        status
+                        progress
+                        media {
+                            episodes
+                        }
+                    }
+                }
+            }
+        }`,
+        variables: { userId, statuses }
+    }, token);
+
+    return (data.MediaListCollection?.lists || [])
+        .flatMap(list => list.entries || [])
+        .map(entry => ({
+            mediaId: entry.mediaId,
+            status: entry.status,
+            progress: entry.progress || 0,
+            episodes: entry.media?.episodes ?? null
+        }));
+}
+
+/**
+ * Fetches the list entry of the token's user for an anime
+ * @param {string} token - AniList access token
+ * @param {number} mediaId - AniList media ID
+ * @returns {Promise<Object>} { episodes, entry: { status, progress } | null }
+ */
+export async function fetchMediaListEntry(token, mediaId) {
+    const data = await fetchAniListAsUser({
+        query: `query ($mediaId: Int) {
+            Media(id: $mediaId, type: ANIME) {
+                episodes
+                mediaListEntry {
+                    status
+                    progress
+                }
+            }
+        }`,
+        variables: { mediaId }
+    }, token);
+
+    return {
+        episodes: data.Media?.episodes ?? null,
+        entry: data.Media?.mediaListEntry
+            ? { status: data.Media.mediaListEntry.status, progress: data.Media.mediaListEntry.progress || 0 }
+            : null
+    };
+}
+
+/**
+ * Saves the progress and status of an anime on the token user's list
+ * @param {string} token - AniList access token
+ * @param {number} mediaId - AniList media ID
+ * @param {number} progress - Number of watched episodes
+ * @param {string} status - Media list status (e.g. CURRENT, COMPLETED)
+ * @returns {Promise<Object>} { progress, status } as saved
+ */
+export async function saveMediaListProgress(token, mediaId, progress, status) {
+    const data = await fetchAniListAsUser({
+        query: `mutation ($mediaId: Int, $progress: Int, $status: MediaListStatus) {
+            SaveMediaListEntry(mediaId: $mediaId, progress: $progress, status: $status) {
+                progress
+                status
+            }
+        }`,
+        variables: { mediaId, progress, status }
+    }, token);
+    return data.SaveMediaListEntry;
+}
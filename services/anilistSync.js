@@ -0,0 +1,206 @@
+/**
+ * AniList list sync
+ * Links an AniList account by access token, turns auto-download on for the anime on its Watching and Planning
+ * lists and pushes the episodes marked watched back as list progress.
+ */
+
+import {
+    getAniListAccount,
+    saveAniListAccount,
+    getAnimeAutodownloadStates,
+    setAnimeAutodownload,
+    getAllScheduledJobs,
+    createScheduledJob
+} from '../database/animeDB.js';
+import { getWatchProgressForAnime, getAllWatchProgress } from '../database/watchDB.js';
+import { fetchViewer, fetchUserAnimeList, fetchMediaListEntry, saveMediaListProgress } from './anilist.js';
+
+// Lists whose anime get auto-download turned on
+export const ANILIST_IMPORT_STATUSES = ['CURRENT', 'PLANNING'];
+
+const DEFAULT_SYNC_JOB_CRON = '0 */6 * * *';
+
+/**
+ * Describes the linked AniList account without its access token
+ * @returns {Object} { linked, userId, userName, pushProgress, linkedAt, lastSyncAt }
+ */
+export function describeAniListAccount() {
+    const account = getAniListAccount();
+    if (!account?.token) {
+        return { linked: false };
+    }
+    return {
+        linked: true,
+        userId: account.userId,
+        userName: account.userName,
+        pushProgress: account.pushProgress !== false,
+        linkedAt: account.linkedAt ?? null,
+        lastSyncAt: account.lastSyncAt ?? null
+    };
+}
+
+/**
+ * Links an AniList account by access token
+ * @param {string} token - AniList access token
+ * @param {Object} options - { pushProgress } to push watched episodes to the account (default true)
+ * @returns {Promise<Object>} Account description from describeAniListAccount
+ */
+export async function linkAniListAccount(token, { pushProgress = true } = {}) {
+    const viewer = await fetchViewer(token);
+    saveAniListAccount({
+        token,
+        userId: viewer.id,
+        userName: viewer.name,
+        pushProgress: pushProgress !== false,
+        linkedAt: Date.now(),
+        lastSyncAt: null
+    });
+    console.log(`[anilistSync] Linked AniList account ${viewer.name} (${viewer.id})`);
+
+    await ensureAniListSyncJob();
+    return describeAniListAccount();
+}
+
+/**
+ * Updates the sync settings of the linked AniList account
+ * @param {Object} settings - { pushProgress }
+ * @returns {Object} Account description from describeAniListAccount
+ */
+export function updateAniListSettings({ pushProgress }) {
+    const account = getAniListAccount();
+    if (!account?.token) {
+        throw new Error('No AniList account is linked');
+    }
+    saveAniListAccount({ ...account, pushProgress: pushProgress !== false });
+    return describeAniListAccount();
+}
+
+/**
+ * Unlinks the AniList account; the auto-download settings it turned on are kept
+ */
+export function unlinkAniListAccount() {
+    saveAniListAccount(null);
+}
+
+/**
+ * Gets the number of episodes of an anime watched in the app
+ * @param {Array} progress - Watch progress of the anime
+ * @returns {number} Highest watched episode number (0 if none)
+ */
+function getWatchedProgress(progress) {
+    return Math.max(0, ...progress.filter(item => item.watched).map(item => item.episodeNumber));
+}
+
+/**
+ * Pushes the watched episodes of an anime to the linked AniList account
+ * The list progress is only ever raised; anime watched to their last episode are marked completed
+ * @param {number} animeId - Anime ID (AniList media ID)
+ * @returns {Promise<number|null>} Progress pushed, or null if nothing was pushed
+ */
+export async function pushAniListProgress(animeId) {
+    const account = getAniListAccount();
+    if (!account?.token || account.pushProgress === false) {
+        return null;
+    }
+
+    const progress = getWatchedProgress(getWatchProgressForAnime(animeId));
+    if (progress === 0) {
+        return null;
+    }
+
+    const { episodes, entry } = await fetchMediaListEntry(account.token, animeId);
+    if (entry && entry.progress >= progress) {
+        return null;
+    }
+
+    const status = episodes && progress >= episodes ? 'COMPLETED' : 'CURRENT';
+    await saveMediaListProgress(account.token, animeId, progress, status);
+    console.log(`[anilistSync] Pushed progress ${progress} (${status}) for anime ID ${animeId}`);
+    return progress;
+}
+
+/**
+ * Syncs the linked AniList account both ways
+ * Anime on the Watching and Planning lists get auto-download turned on, and watched episodes are pushed as progress
+ * @returns {Promise<Object>} Summary { message, enabled, alreadyEnabled, notInLibrary, progressPushed, errors }
+ */
+export async function syncAniList() {
+    const account = getAniListAccount();
+    if (!account?.token) {
+        throw new Error('No AniList account is linked');
+    }
+
+    const summary = { enabled: 0, alreadyEnabled: 0, notInLibrary: 0, progressPushed: 0, errors: [] };
+    const entries = await fetchUserAnimeList(account.token, account.userId, ANILIST_IMPORT_STATUSES);
+    const autodownloadStates = getAnimeAutodownloadStates(entries.map(entry => entry.mediaId));
+
+    for (const entry of entries) {
+        if (!autodownloadStates.has(entry.mediaId)) {
+            // Only anime of fetched seasons are in the database
+            summary.notInLibrary++;
+        } else if (autodownloadStates.get(entry.mediaId)) {
+            summary.alreadyEnabled++;
+        } else {
+            try {
+                await setAnimeAutodownload(entry.mediaId, true);
+                summary.enabled++;
+            } catch (error) {
+                summary.errors.push(`Anime ID ${entry.mediaId}: ${error.message}`);
+            }
+        }
+    }
+
+    if (account.pushProgress !== false) {
+        const remoteProgress = new Map(entries.map(entry => [entry.mediaId, entry.progress]));
+        const watchedAnimeIds = [...new Set(getAllWatchProgress()
+            .filter(item => item.watched)
+            .map(item => item.animeId))];
+
+        for (const animeId of watchedAnimeIds) {
+            const progress = getWatchedProgress(getWatchProgressForAnime(animeId));
+            if (remoteProgress.has(animeId) && remoteProgress.get(animeId) >= progress) {
+                continue;
+            }
+            try {
+                if (await pushAniListProgress(animeId) !== null) {
+                    summary.progressPushed++;
+                }
+            } catch (error) {
+                summary.errors.push(`Anime ID ${animeId}: ${error.message}`);
+                console.error(`[anilistSync] Error pushing progress for anime ID ${animeId}:`, error);
+            }
+        }
+    }
+
+    saveAniListAccount({ ...account, lastSyncAt: Date.now() });
+
+    return {
+        message: `Turned on auto-download for ${summary.enabled} anime (${summary.alreadyEnabled} already on, ${summary.notInLibrary} not in a fetched season), pushed progress for ${summary.progressPushed} anime`,
+        ...summary,
+        // Task results are stored in the database; keep them small
+        errors: summary.errors.slice(0, 50)
+    };
+}
+
+/**
+ * Creates the default scheduled job that syncs the AniList account, unless one exists
+ * Call this once an account is linked
+ */
+export async function ensureAniListSyncJob() {
+    const hasSyncJob = getAllScheduledJobs().some(job => job.jobType === 'SYNC_ANILIST');
+    if (hasSyncJob) {
+        return;
+    }
+
+    // Imported when needed; the scheduled jobs service queues the sync task that uses this module
+    const { calculateNextRun, reloadScheduledJobs } = await import('./scheduledJobsService.js');
+    createScheduledJob({
+        name: 'Default - Sync AniList',
+        jobType: 'SYNC_ANILIST',
+        cronSchedule: DEFAULT_SYNC_JOB_CRON,
+        jobConfig: null,
+        nextRun: calculateNextRun(DEFAULT_SYNC_JOB_CRON)
+    });
+    console.log(`Created default scheduled job: Sync AniList (${DEFAULT_SYNC_JOB_CRON})`);
+    reloadScheduledJobs();
+}
@@ -1,15 +1,23 @@
 import PQueue from 'p-queue';
 import { fetchUpcomingAnimeData } from './anilist.js';
-import { torrentSearch } from './nyaa.js';
+import { searchIndexers } from './indexers/index.js';
+import { resolveSearchSettings } from './searchSettings.js';
 import { getAnidbID, getAnidbGroupID, getEpisodeByCRC } from './anidb.js';
 import { parseEpisode, parseSeason, parseCRC, episodePatterns } from '../parsers/episodeParser.js';
 import { parseSubGroup } from '../parsers/subGroupParser.js';
+import { parseReleaseInfo } from '../parsers/releaseParser.js';
 import { createAnimeFromMedia } from '../models/anime.js';
-import { isCacheValid, getCachedAnime, storeAnime, getAnimeById, storeAnimeTorrents, getAlternativeTitles, deleteTorrentsForAnime, getOrCreateSubGroupId, getSubGroupByName, updateSubGroupAnidbID, storeAlternativeTitles } from '../database/animeDB.js';
+import { isCacheValid, getCachedAnime, storeAnime, getAnimeById, storeAnimeTorrents, getAlternativeTitles, deleteTorrentsForAnime, getOrCreateSubGroupId, getSubGroupByName, updateSubGroupAnidbID, storeAlternativeTitles, getGlobalSearchSettings, getAnimeSearchSettings } from '../database/animeDB.js';
 import { quarterToSeason } from '../config/constants.js';
 import { getAnimeAlternateTitles } from './subsplease.js';
+import { resolveQualityProfile, selectBestTorrent, selectBatchTorrent, findUpgrade } from './qualityProfile.js';
 
-function normalizeTitleTerm(term) {
+/**
+ * Normalizes a title for comparison (lowercase, without brackets, parentheses and punctuation)
+ * @param {string} term - Title to normalize
+ * @returns {string} Normalized title
+ */
+export function normalizeTitleTerm(term) {
     if (!term) {
         return '';
     }
@@ -24,7 +32,12 @@ function normalizeTitleTerm(term) {
         .trim();
 }
 
-function extractAnimeNameFromTorrentTitle(title) {
+/**
+ * Extracts the anime name from a release title: the part before the episode number, without tags
+ * @param {string} title - Torrent title or file name
+ * @returns {string} Anime name
+ */
+export function extractAnimeNameFromTorrentTitle(title) {
     if (!title) {
         return '';
     }
@@ -55,7 +68,7 @@ function extractAnimeNameFromTorrentTitle(title) {
  * @param {string} animeTitle - The anime title to match against
  * @returns {number} Match ratio (0-1), where 0 means no match and 1 means perfect match
  */
-function matchesAnimeTitle(alternateTitle, animeTitle) {
+export function matchesAnimeTitle(alternateTitle, animeTitle) {
     if (!alternateTitle || !animeTitle) {
         return 0;
     }
@@ -113,12 +126,32 @@ function getPreviousQuarter(quarter, year) {
     return quarterMap[quarter] || { quarter: 'Q3', year: year };
 }
 
+/**
+ * Resolves the torrent search settings that apply to an anime
+ * Anime that aren't stored yet (first fetch of a season) use the global settings
+ * @param {number} animeId - Anime ID
+ * @returns {Object} Effective search settings
+ */
+function getEffectiveSearchSettings(animeId) {
+    let animeSettings = null;
+    if (animeId) {
+        try {
+            animeSettings = getAnimeSearchSettings(animeId);
+        } catch (error) {
+            animeSettings = null;
+        }
+    }
+    return resolveSearchSettings(animeSettings, getGlobalSearchSettings());
+}
+
 /**
  * Fetches and processes torrents for an anime
  * @param {Object} anime - Anime object
+ * @param {boolean} deepSearch - If true, indexers read every search results page
+ * @param {boolean} incremental - If true, only asks indexers for torrents newer than anime.lastTorrentScan
  * @returns {Promise<Array>} Array of processed torrents
  */
-async function fetchAnimeTorrents(anime, deepSearch = false) {
+async function fetchAnimeTorrents(anime, deepSearch = false, incremental = false) {
     console.log(`Fetching torrents for ${anime.title.english || anime.title.romaji}`);
     const subQueue = new PQueue({ concurrency: 2 });
 
@@ -183,22 +216,26 @@ async function fetchAnimeTorrents(anime, deepSearch = false) {
         normalizedTitleSet.add(nativeNormalized);
     }
 
-    // Search for torrents using all search terms
+    // Incremental scans only need what was published since the last scan (Nyaa answers those from its RSS feed)
+    const since = incremental && !deepSearch && anime.lastTorrentScan ? anime.lastTorrentScan : null;
+    const searchSettings = getEffectiveSearchSettings(anime.id);
+
+    // Search for torrents on every enabled indexer using all search terms
     const torrentsData = await Promise.all(
         uniqueSearchTerms.map(term =>
-            subQueue.add(() => term ? torrentSearch(term, deepSearch) : Promise.resolve({ items: [] }))
+            subQueue.add(() => term ? searchIndexers(term, { deepSearch, since, searchSettings }) : Promise.resolve({ items: [] }))
         )
     );
 
     // Flatten torrents data using flatMap for optimal performance
     let torrents = torrentsData.flatMap(torrentList => torrentList?.items || []);
 
-    // Deduplicate torrents by title (case-insensitive)
+    // Deduplicate torrents by info hash, or by title (case-insensitive) when the listing has no info hash
     const uniqueTorrentsMap = new Map();
     torrents.forEach(torrent => {
-        const titleKey = torrent.title.toLowerCase();
-        if (!uniqueTorrentsMap.has(titleKey)) {
-            uniqueTorrentsMap.set(titleKey, torrent);
+        const dedupeKey = torrent.infoHash || torrent.title.toLowerCase();
+        if (!uniqueTorrentsMap.has(dedupeKey)) {
+            uniqueTorrentsMap.set(dedupeKey, torrent);
         }
     });
 
@@ -223,6 +260,9 @@ async function fetchAnimeTorrents(anime, deepSearch = false) {
                 // Parse episode
                 torrent.episode = parseEpisode(torrent.title);
 
+                // Parse release metadata (resolution, codecs, batch range, ...)
+                Object.assign(torrent, parseReleaseInfo(torrent.title));
+
                 // Parse season from title
                 let parsedSeason = parseSeason(torrent.title);
 
@@ -341,6 +381,47 @@ async function fetchAnimeTorrents(anime, deepSearch = false) {
     return torrents;
 }
 
+/**
+ * Gets the episode numbers covered by a batch torrent
+ * @param {Object} torrent - Processed torrent (with parsed release info)
+ * @param {number|null} episodeCount - Number of episodes of the anime, if known
+ * @returns {Array<number>|null} Covered episode numbers, or null if the torrent holds a single episode
+ */
+function getCoveredEpisodes(torrent, episodeCount) {
+    if (!torrent.batch) {
+        return null;
+    }
+
+    let episodes = [];
+    if (torrent.batchStart !== null && torrent.batchEnd !== null) {
+        for (let n = torrent.batchStart; n <= torrent.batchEnd; n++) {
+            episodes.push(n);
+        }
+        if (episodeCount) {
+            episodes = episodes.filter(n => n <= episodeCount);
+        }
+    } else if (!torrent.episode && episodeCount) {
+        // Season pack without an episode range covers the whole season
+        for (let n = 1; n <= episodeCount; n++) {
+            episodes.push(n);
+        }
+    }
+
+    return episodes.length > 1 ? episodes : null;
+}
+
+/**
+ * Checks whether every episode of an anime has already aired
+ * @param {Object} anime - Anime object with episodes
+ * @returns {boolean} True if the season has finished airing
+ */
+function isSeasonFinished(anime) {
+    const now = Date.now();
+    return anime.episodes.length > 0 && anime.episodes.every(episode =>
+        episode.airingAt && new Date(episode.airingAt).getTime() <= now
+    );
+}
+
 /**
  * Creates episode structure for anime
  * @param {Object} media - Media data from AniList
@@ -362,6 +443,15 @@ function createEpisodes(media, torrents) {
         });
     }
 
+    // Batch torrents are listed under every episode they cover
+    torrents.forEach(torrent => {
+        const coveredEpisodes = getCoveredEpisodes(torrent, episodeCount);
+        if (coveredEpisodes) {
+            torrent.coveredEpisodes = coveredEpisodes;
+            torrent.episode = coveredEpisodes[0];
+        }
+    });
+
     for (let i = 0; i < episodeCount; i++) {
         const episodeNumber = i + 1;
         
@@ -381,7 +471,9 @@ function createEpisodes(media, torrents) {
         const episode = {
             episode: episodeNumber,
             airingAt: airingAt,
-            torrents: torrents.filter(t => t.episode === episodeNumber)
+            torrents: torrents.filter(t => t.coveredEpisodes
+                ? t.coveredEpisodes.includes(episodeNumber)
+                : t.episode === episodeNumber)
         };
         episodes.push(episode);
     }
@@ -514,9 +606,11 @@ export async function getUpcomingAnime(quarter = "Q4", year = 2025, forceRefresh
  * Scans and updates torrents for a specific anime by ID
  * @param {number} animeId - Anime ID
  * @param {boolean} wipePrevious - If true, delete all existing torrents before scanning
+ * @param {boolean} deepSearch - If true, scrapes every search results page
+ * @param {boolean} incremental - If true, only fetches torrents published since the last scan from the RSS feed
  * @returns {Promise<Object>} Result object with success status and message
  */
-export async function scanAnimeTorrents(animeId, wipePrevious = false, deepSearch = false) {
+export async function scanAnimeTorrents(animeId, wipePrevious = false, deepSearch = false, incremental = false) {
     // Get anime from database
     const anime = getAnimeById(animeId);
     if (!anime) {
@@ -533,11 +627,17 @@ export async function scanAnimeTorrents(animeId, wipePrevious = false, deepSearc
     }
 
     // Fetch torrents for the anime
-    const torrents = await fetchAnimeTorrents(anime, deepSearch);
+    const torrents = await fetchAnimeTorrents(anime, deepSearch, incremental && !wipePrevious);
 
     // Group torrents by episode number
+    // Batch torrents are grouped under the first episode they cover and linked to the rest when stored
     const torrentsByEpisode = {};
     torrents.forEach(torrent => {
+        const coveredEpisodes = getCoveredEpisodes(torrent, anime.totalEpisodes);
+        if (coveredEpisodes) {
+            torrent.coveredEpisodes = coveredEpisodes;
+            torrent.episode = coveredEpisodes[0];
+        }
         if (torrent.episode) {
             if (!torrentsByEpisode[torrent.episode]) {
                 torrentsByEpisode[torrent.episode] = [];
@@ -612,7 +712,8 @@ export async function scanAutodownloadAnimes() {
                     const { scheduleScanTorrentsTask } = await import('./taskQueue.js');
                     const task = scheduleScanTorrentsTask({ 
                         animeId: animeInfo.id, 
-                        wipePrevious: false 
+                        wipePrevious: false,
+                        incremental: true
                     });
                     totalTasksScheduled++;
                     tasksScheduled.push({
@@ -643,6 +744,33 @@ export async function scanAutodownloadAnimes() {
     };
 }
 
+/**
+ * Gets the episodes auto-download still has to download
+ * @param {Array} episodes - Episodes of the anime, with their torrents
+ * @param {Set<number>} downloadedTorrentIds - IDs of the anime's downloaded torrents
+ * @param {Set<number>} skippedEpisodeNumbers - Episode numbers that count as downloaded without a downloaded torrent
+ * @returns {Array} Episodes with torrents, none of them downloaded
+ */
+export function getUndownloadedEpisodes(episodes, downloadedTorrentIds, skippedEpisodeNumbers) {
+    return episodes.filter(episode => {
+        if (!episode.torrents || episode.torrents.length === 0) {
+            return false; // Skip episodes with no torrents
+        }
+        
+        if (skippedEpisodeNumbers.has(episode.episode)) {
+            return false;
+        }
+        
+        // Check if any torrent for this episode has been downloaded
+        const hasDownloadedTorrent = episode.torrents.some(torrent => 
+            torrent.id && downloadedTorrentIds.has(torrent.id)
+        );
+        
+        // Include if it has torrents but none are downloaded
+        return !hasDownloadedTorrent;
+    });
+}
+
 /**
  * Queues torrents for download for auto-download animes with undownloaded episodes
  * @returns {Promise<Object>} Queue result with statistics
@@ -650,12 +778,14 @@ export async function scanAutodownloadAnimes() {
 export async function queueAutodownloadTorrents() {
     console.log('Queueing torrents for auto-download animes...');
     
-    const { getAutodownloadAnimes, getAnimeById, getDownloadedTorrentIdsForAnime } = await import('../database/animeDB.js');
+    const { getAutodownloadAnimeIds, getAnimeById, getDownloadedTorrentIdsForAnime, getOwnedEpisodeNumbersForAnime, getRetentionDeletedEpisodeNumbersForAnime, getGlobalQualityProfile, getAnimeQualityProfile } = await import('../database/animeDB.js');
     const { downloadTorrent, getAllTorrents } = await import('./torrentService.js');
     
-    const autodownloadAnimes = getAutodownloadAnimes();
+    // Fully downloaded animes are included so their episodes can still be upgraded
+    const autodownloadAnimeIds = getAutodownloadAnimeIds();
+    const globalQualityProfile = getGlobalQualityProfile();
     
-    if (autodownloadAnimes.length === 0) {
+    if (autodownloadAnimeIds.length === 0) {
         console.log('No auto-download animes found');
         return {
             success: true,
@@ -670,83 +800,139 @@ export async function queueAutodownloadTorrents() {
     let animesWithUndownloadedEpisodes = 0;
     let totalTorrentsQueued = 0;
     let totalTorrentsSkipped = 0;
+    let totalUpgradesQueued = 0;
     const torrentsQueued = [];
     const torrentsSkipped = [];
     const errors = [];
     
     // Get all currently queued torrents to avoid duplicates
-    const activeTorrents = getAllTorrents();
+    const activeTorrents = await getAllTorrents();
     const queuedTorrentUrls = new Set(
         activeTorrents.map(t => t.magnetURI || '').filter(url => url)
     );
+    // Info hash is the canonical identity; URLs are only a fallback for torrents scraped without one
+    const queuedInfoHashes = new Set(
+        activeTorrents.map(t => t.infoHash).filter(Boolean)
+    );
 
-    console.log(`Found ${queuedTorrentUrls.size} currently queued torrents`);
-    console.log(queuedTorrentUrls);
-    for (const animeInfo of autodownloadAnimes) {
+    console.log(`Found ${queuedInfoHashes.size} currently queued torrents`);
+    for (const animeId of autodownloadAnimeIds) {
         try {
             // Get full anime object with episodes and torrents
-            const anime = getAnimeById(animeInfo.id);
+            const anime = getAnimeById(animeId);
             if (!anime || !anime.episodes || anime.episodes.length === 0) {
                 continue;
             }
             
             // Get downloaded torrent IDs for this anime
             const downloadedTorrentIds = getDownloadedTorrentIdsForAnime(anime.id);
+            // Episodes imported from the library without a torrent are already owned, and episodes
+            // deleted by a retention policy were downloaded once already
+            const skippedEpisodeNumbers = new Set([
+                ...getOwnedEpisodeNumbersForAnime(anime.id),
+                ...getRetentionDeletedEpisodeNumbersForAnime(anime.id)
+            ]);
             
-            // Find episodes with undownloaded torrents
-            const undownloadedEpisodes = anime.episodes.filter(episode => {
-                if (!episode.torrents || episode.torrents.length === 0) {
-                    return false; // Skip episodes with no torrents
-                }
-                
-                // Check if any torrent for this episode has been downloaded
-                const hasDownloadedTorrent = episode.torrents.some(torrent => 
-                    torrent.id && downloadedTorrentIds.has(torrent.id)
-                );
-                
-                // Include if it has torrents but none are downloaded
-                return !hasDownloadedTorrent;
-            });
+            const undownloadedEpisodes = getUndownloadedEpisodes(anime.episodes, downloadedTorrentIds, skippedEpisodeNumbers);
+            
+            // Per-anime profile overrides the global one
+            const qualityProfile = resolveQualityProfile(getAnimeQualityProfile(anime.id), globalQualityProfile);
             
-            if (undownloadedEpisodes.length === 0) {
-                continue; // No undownloaded episodes for this anime
+            // Downloaded episodes are only revisited when the profile allows upgrades
+            const upgradableEpisodes = qualityProfile.allowUpgrades
+                ? anime.episodes.filter(episode => 
+                    episode.torrents && episode.torrents.length > 0 && !undownloadedEpisodes.includes(episode)
+                )
+                : [];
+            
+            if (undownloadedEpisodes.length === 0 && upgradableEpisodes.length === 0) {
+                continue; // Nothing to download or upgrade for this anime
             }
             
-            animesWithUndownloadedEpisodes++;
+            if (undownloadedEpisodes.length > 0) {
+                animesWithUndownloadedEpisodes++;
+            }
             const animeTitle = anime.title?.english || anime.title?.romaji || anime.title?.native || 'Unknown';
             
-            // For each undownloaded episode, pick the first torrent (sorted by date, earliest first)
-            for (const episode of undownloadedEpisodes) {
-                if (!episode.torrents || episode.torrents.length === 0) {
+            const selections = [];
+            let singleEpisodes = undownloadedEpisodes;
+            
+            // Once the season has finished airing, prefer a batch covering the missing episodes
+            if (qualityProfile.preferBatchWhenFinished && undownloadedEpisodes.length > 1 && isSeasonFinished(anime)) {
+                const batchSelection = selectBatchTorrent(undownloadedEpisodes, qualityProfile);
+                if (batchSelection) {
+                    selections.push({ episodes: batchSelection.episodes, selection: batchSelection, replaces: null });
+                    singleEpisodes = undownloadedEpisodes.filter(episode => !batchSelection.episodes.includes(episode.episode));
+                }
+            }
+            
+            // For each remaining undownloaded episode, pick the best torrent according to the quality profile
+            for (const episode of singleEpisodes) {
+                const selection = selectBestTorrent(episode.torrents, qualityProfile);
+                
+                if (!selection) {
+                    totalTorrentsSkipped++;
+                    torrentsSkipped.push({
+                        animeId: anime.id,
+                        animeTitle: animeTitle,
+                        episodeNumber: episode.episode,
+                        reason: 'No torrent matches the quality profile'
+                    });
+                    console.log(`Skipped episode (no torrent matches the quality profile) for anime ID ${anime.id}: ${animeTitle} - Episode ${episode.episode}`);
                     continue;
                 }
                 
-                // Sort torrents by date (earliest first) and pick the first one
-                const sortedTorrents = [...episode.torrents].sort((a, b) => {
-                    const dateA = a.date ? new Date(a.date).getTime() : 0;
-                    const dateB = b.date ? new Date(b.date).getTime() : 0;
-                    return dateA - dateB; // Ascending order - earliest first
-                });
+                // A batch picked for one episode is downloaded for every undownloaded episode it covers
+                const existing = selections.find(entry => !entry.replaces && entry.selection.torrent.id === selection.torrent.id);
+                if (existing) {
+                    if (!existing.episodes.includes(episode.episode)) {
+                        existing.episodes.push(episode.episode);
+                    }
+                    continue;
+                }
                 
-                const selectedTorrent = sortedTorrents[0];
+                const episodes = selection.torrent.batch
+                    ? undownloadedEpisodes
+                        .filter(ep => ep.torrents.some(torrent => torrent.id === selection.torrent.id))
+                        .map(ep => ep.episode)
+                    : [episode.episode];
+                selections.push({ episodes, selection, replaces: null });
+            }
+            
+            // Look for strictly better releases of episodes that were already downloaded
+            // Batches are skipped since they would count as a download of every episode they cover
+            for (const episode of upgradableEpisodes) {
+                const upgrade = findUpgrade(episode.torrents, downloadedTorrentIds, qualityProfile);
+                if (upgrade && !upgrade.torrent.batch) {
+                    selections.push({ episodes: [episode.episode], selection: upgrade, replaces: upgrade.replaces });
+                }
+            }
+            
+            for (const { episodes, selection, replaces } of selections) {
+                const selectedTorrent = selection.torrent;
+                const episodeLabel = episodes.length > 1 ? `Episodes ${episodes.join(', ')}` : `Episode ${episodes[0]}`;
                 
-                if (!selectedTorrent || !selectedTorrent.link) {
+                if (!selectedTorrent.link) {
                     continue; // Skip if no valid torrent link
                 }
                 
                 // Check if torrent is already queued in the client
-                if (queuedTorrentUrls.has(selectedTorrent.link)) {
+                const alreadyQueued = selectedTorrent.infoHash
+                    ? queuedInfoHashes.has(selectedTorrent.infoHash)
+                    : queuedTorrentUrls.has(selectedTorrent.link);
+                if (alreadyQueued) {
                     totalTorrentsSkipped++;
                     torrentsSkipped.push({
                         animeId: anime.id,
                         animeTitle: animeTitle,
-                        episodeNumber: episode.episode,
+                        episodeNumber: episodes[0],
+                        episodeNumbers: episodes,
                         torrentId: selectedTorrent.id,
                         torrentTitle: selectedTorrent.title,
                         torrentLink: selectedTorrent.link,
                         reason: 'Already queued in torrent client'
                     });
-                    console.log(`Skipped torrent (already queued) for anime ID ${anime.id}: ${animeTitle} - Episode ${episode.episode}`);
+                    console.log(`Skipped torrent (already queued) for anime ID ${anime.id}: ${animeTitle} - ${episodeLabel}`);
                     continue;
                 }
                 
@@ -755,53 +941,70 @@ export async function queueAutodownloadTorrents() {
                     const result = await downloadTorrent(selectedTorrent.link, {
                         animeTitle: animeTitle,
                         animeId: anime.id,
-                        torrentId: selectedTorrent.id || null
+                        torrentId: selectedTorrent.id || null,
+                        infoHash: selectedTorrent.infoHash || null,
+                        replacesTorrentId: replaces ? replaces.id : null,
+                        // Only the files of these episodes are downloaded from a batch
+                        episodes: selectedTorrent.batch ? episodes : null
                     });
                     
                     // Add to set to avoid queueing duplicates in the same run
                     queuedTorrentUrls.add(selectedTorrent.link);
+                    if (selectedTorrent.infoHash) {
+                        queuedInfoHashes.add(selectedTorrent.infoHash);
+                    }
                     
                     totalTorrentsQueued++;
+                    if (replaces) {
+                        totalUpgradesQueued++;
+                    }
                     torrentsQueued.push({
                         animeId: anime.id,
                         animeTitle: animeTitle,
-                        episodeNumber: episode.episode,
+                        episodeNumber: episodes[0],
+                        episodeNumbers: episodes,
                         torrentId: selectedTorrent.id,
                         torrentTitle: selectedTorrent.title,
-                        torrentLink: selectedTorrent.link
+                        torrentLink: selectedTorrent.link,
+                        score: selection.score,
+                        reasons: selection.reasons,
+                        replacesTorrentId: replaces ? replaces.id : null,
+                        replacesTorrentTitle: replaces ? replaces.title : null
                     });
                     
-                    console.log(`Queued torrent for anime ID ${anime.id}: ${animeTitle} - Episode ${episode.episode}`);
+                    console.log(`Queued ${replaces ? 'upgrade' : 'torrent'} for anime ID ${anime.id}: ${animeTitle} - ${episodeLabel} (${selection.reasons.join(', ')})`);
                 } catch (error) {
-                    console.error(`Error queueing torrent for anime ID ${anime.id}, episode ${episode.episode}:`, error);
+                    console.error(`Error queueing torrent for anime ID ${anime.id}, ${episodeLabel.toLowerCase()}:`, error);
                     errors.push({
                         animeId: anime.id,
                         animeTitle: animeTitle,
-                        episodeNumber: episode.episode,
+                        episodeNumber: episodes[0],
+                        episodeNumbers: episodes,
                         error: error.message
                     });
                 }
             }
         } catch (error) {
-            console.error(`Error processing auto-download anime ID ${animeInfo.id}:`, error);
+            console.error(`Error processing auto-download anime ID ${animeId}:`, error);
             errors.push({
-                animeId: animeInfo.id,
+                animeId: animeId,
                 error: error.message
             });
         }
     }
     
-    const message = `Checked ${autodownloadAnimes.length} auto-download anime(s). Found ${animesWithUndownloadedEpisodes} anime(s) with undownloaded episodes. Queued ${totalTorrentsQueued} torrent(s) for download.${totalTorrentsSkipped > 0 ? ` Skipped ${totalTorrentsSkipped} torrent(s) (already queued).` : ''}${errors.length > 0 ? ` ${errors.length} error(s) occurred.` : ''}`;
+    const message = `Checked ${autodownloadAnimeIds.length} auto-download anime(s). Found ${animesWithUndownloadedEpisodes} anime(s) with undownloaded episodes. Queued ${totalTorrentsQueued} torrent(s) for download${totalUpgradesQueued > 0 ? ` (${totalUpgradesQueued} upgrade(s))` : ''}.${totalTorrentsSkipped > 0 ? ` Skipped ${totalTorrentsSkipped} episode(s) (already queued or no torrent matches the quality profile).` : ''}${errors.length > 0 ? ` ${errors.length} error(s) occurred.` : ''}`;
     
     console.log(message);
     
     return {
         success: true,
         message: message,
-        animesChecked: autodownloadAnimes.length,
+        animesChecked: autodownloadAnimeIds.length,
         animesWithUndownloadedEpisodes: animesWithUndownloadedEpisodes,
         totalTorrentsQueued: totalTorrentsQueued,
         totalTorrentsSkipped: totalTorrentsSkipped,
+        totalUpgradesQueued: totalUpgradesQueued,
         torrentsQueued: torrentsQueued,
         torrentsSkipped: torrentsSkipped,
         errors: errors
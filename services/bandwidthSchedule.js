@@ -0,0 +1,242 @@
+/**
+ * Bandwidth schedule
+ * Time windows override the configured speed limits on some days and hours, e.g. 2 MB/s during work
+ * hours and unlimited overnight. Turtle mode is a manual switch to slow limits that overrides both.
+ * Windows use the server's local time; a window whose end is before its start runs past midnight and
+ * belongs to the day it starts on. Speeds are in bytes per second, null for unlimited.
+ */
+
+export const DEFAULT_BANDWIDTH_SCHEDULE = {
+    enabled: false,
+    windows: [],
+    turtleMode: false,
+    turtleDownloadSpeed: 512 * 1024,
+    turtleUploadSpeed: 128 * 1024
+};
+
+export const SPEED_LIMIT_SOURCE = {
+    DEFAULT: 'default',
+    SCHEDULE: 'schedule',
+    TURTLE: 'turtle'
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+/**
+ * Normalizes a speed (positive number of bytes per second, or null for unlimited)
+ * @param {*} value - Raw value
+ * @returns {number|null} Normalized speed
+ */
+function normalizeSpeed(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const number = Number(value);
+    if (isNaN(number) || number <= 0) {
+        return null;
+    }
+    return Math.round(number);
+}
+
+/**
+ * Converts a HH:MM time to minutes since midnight
+ * @param {string} time - Time in HH:MM format
+ * @returns {number} Minutes since midnight
+ */
+function toMinutes(time) {
+    const [, hours, minutes] = time.match(TIME_PATTERN);
+    return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Normalizes a schedule window, or returns null if it can't be used
+ * @param {Object} window - Raw window
+ * @returns {Object|null} { name, days, start, end, maxDownloadSpeed, maxUploadSpeed }
+ */
+function normalizeWindow(window) {
+    if (!window || typeof window !== 'object') {
+        return null;
+    }
+    if (!TIME_PATTERN.test(window.start || '') || !TIME_PATTERN.test(window.end || '')) {
+        return null;
+    }
+
+    const days = Array.isArray(window.days)
+        ? ALL_DAYS.filter(day => window.days.includes(day))
+        : ALL_DAYS;
+
+    return {
+        name: typeof window.name === 'string' ? window.name.trim() : '',
+        days: days.length > 0 ? days : ALL_DAYS,
+        start: window.start,
+        end: window.end,
+        maxDownloadSpeed: normalizeSpeed(window.maxDownloadSpeed),
+        maxUploadSpeed: normalizeSpeed(window.maxUploadSpeed)
+    };
+}
+
+/**
+ * Normalizes a schedule object, dropping unusable windows and filling in defaults
+ * @param {Object|null} schedule - Raw schedule object
+ * @returns {Object} Normalized schedule
+ */
+export function normalizeBandwidthSchedule(schedule) {
+    if (!schedule || typeof schedule !== 'object') {
+        return { ...DEFAULT_BANDWIDTH_SCHEDULE, windows: [] };
+    }
+
+    return {
+        enabled: Boolean(schedule.enabled),
+        windows: Array.isArray(schedule.windows)
+            ? schedule.windows.map(normalizeWindow).filter(Boolean)
+            : [],
+        turtleMode: Boolean(schedule.turtleMode),
+        turtleDownloadSpeed: schedule.turtleDownloadSpeed === undefined
+            ? DEFAULT_BANDWIDTH_SCHEDULE.turtleDownloadSpeed
+            : normalizeSpeed(schedule.turtleDownloadSpeed),
+        turtleUploadSpeed: schedule.turtleUploadSpeed === undefined
+            ? DEFAULT_BANDWIDTH_SCHEDULE.turtleUploadSpeed
+            : normalizeSpeed(schedule.turtleUploadSpeed)
+    };
+}
+
+/**
+ * Validates a speed coming from the API
+ * @param {*} value - Speed to validate
+ * @param {string} field - Field name for the error message
+ * @returns {string|null} Error message or null if valid
+ */
+function validateSpeed(value, field) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const number = Number(value);
+    if (isNaN(number) || number <= 0) {
+        return `${field} must be a number of bytes per second greater than 0, or null for unlimited`;
+    }
+    return null;
+}
+
+/**
+ * Validates a schedule coming from the API
+ * @param {*} schedule - Schedule object to validate
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateBandwidthSchedule(schedule) {
+    if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+        return 'schedule must be an object';
+    }
+
+    for (const field of ['enabled', 'turtleMode']) {
+        if (schedule[field] !== undefined && typeof schedule[field] !== 'boolean') {
+            return `${field} must be a boolean`;
+        }
+    }
+
+    for (const field of ['turtleDownloadSpeed', 'turtleUploadSpeed']) {
+        const error = validateSpeed(schedule[field], field);
+        if (error) {
+            return error;
+        }
+    }
+
+    if (schedule.windows === undefined) {
+        return null;
+    }
+    if (!Array.isArray(schedule.windows)) {
+        return 'windows must be an array';
+    }
+
+    for (const [index, window] of schedule.windows.entries()) {
+        const label = `Window ${index + 1}`;
+        if (!window || typeof window !== 'object' || Array.isArray(window)) {
+            return `${label} must be an object`;
+        }
+        if (window.name !== undefined && typeof window.name !== 'string') {
+            return `${label}: name must be a string`;
+        }
+        if (!TIME_PATTERN.test(window.start || '') || !TIME_PATTERN.test(window.end || '')) {
+            return `${label}: start and end must be times in HH:MM format`;
+        }
+        if (window.days !== undefined) {
+            if (!Array.isArray(window.days) || window.days.length === 0) {
+                return `${label}: days must be a non-empty array`;
+            }
+            if (window.days.some(day => !ALL_DAYS.includes(day))) {
+                return `${label}: days must be numbers from 0 (Sunday) to 6 (Saturday)`;
+            }
+        }
+        for (const field of ['maxDownloadSpeed', 'maxUploadSpeed']) {
+            const error = validateSpeed(window[field], `${label}: ${field}`);
+            if (error) {
+                return error;
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Checks whether a window is in force at a given time
+ * @param {Object} window - Normalized window
+ * @param {Date} date - Time to check
+ * @returns {boolean} True if the window is in force
+ */
+function isWindowActive(window, date) {
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    const now = date.getHours() * 60 + date.getMinutes();
+    const today = date.getDay();
+
+    // A window with the same start and end lasts the whole day
+    if (start === end) {
+        return window.days.includes(today);
+    }
+    if (start < end) {
+        return window.days.includes(today) && now >= start && now < end;
+    }
+
+    // Past midnight: the evening part belongs to today, the morning part to yesterday
+    const yesterday = (today + 6) % 7;
+    return (now >= start && window.days.includes(today)) || (now < end && window.days.includes(yesterday));
+}
+
+/**
+ * Works out the speed limits in force at a given time
+ * Turtle mode wins over the schedule, and the first matching window wins over the configured limits
+ * @param {Object} schedule - Normalized schedule
+ * @param {Object} defaults - { maxDownloadSpeed, maxUploadSpeed } from the configuration
+ * @param {Date} date - Time to check (defaults to now)
+ * @returns {Object} { maxDownloadSpeed, maxUploadSpeed, source, windowName }
+ */
+export function getEffectiveSpeedLimits(schedule, defaults, date = new Date()) {
+    if (schedule.turtleMode) {
+        return {
+            maxDownloadSpeed: schedule.turtleDownloadSpeed,
+            maxUploadSpeed: schedule.turtleUploadSpeed,
+            source: SPEED_LIMIT_SOURCE.TURTLE,
+            windowName: null
+        };
+    }
+
+    if (schedule.enabled) {
+        const window = schedule.windows.find(candidate => isWindowActive(candidate, date));
+        if (window) {
+            return {
+                maxDownloadSpeed: window.maxDownloadSpeed,
+                maxUploadSpeed: window.maxUploadSpeed,
+                source: SPEED_LIMIT_SOURCE.SCHEDULE,
+                windowName: window.name || `${window.start}-${window.end}`
+            };
+        }
+    }
+
+    return {
+        maxDownloadSpeed: defaults.maxDownloadSpeed ?? null,
+        maxUploadSpeed: defaults.maxUploadSpeed ?? null,
+        source: SPEED_LIMIT_SOURCE.DEFAULT,
+        windowName: null
+    };
+}
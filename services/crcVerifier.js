@@ -0,0 +1,175 @@
+/**
+ * CRC32 verification
+ * Checks completed downloads against the CRC32 in their release tag (e.g. "[6A4FD99F]") and downloads
+ * the files that don't match again.
+ */
+
+import { existsSync } from 'fs';
+import { unlink } from 'fs/promises';
+import { getCrcCheckFiles, updateFileCrcStatus, deleteFileTorrentDownload } from '../database/animeDB.js';
+import { countDownloadsForTorrent } from '../database/downloadsDB.js';
+import { matchEpisode, parseCRC } from '../parsers/episodeParser.js';
+import { getFileType } from '../utils/fileTypes.js';
+import { computeFileCrc32 } from '../utils/crc32.js';
+import { downloadTorrent, removeTorrent } from './torrentService.js';
+
+export const CRC_STATUS = {
+    VERIFIED: 'verified',
+    MISMATCH: 'mismatch',
+    NO_CRC: 'no_crc'
+};
+
+// A torrent is downloaded at most this many times in total before a mismatch is left for the user
+export const MAX_CRC_DOWNLOAD_ATTEMPTS = 3;
+
+/**
+ * Gets the CRC32 a file is expected to have
+ * @param {Object} file - File from getCrcCheckFiles
+ * @returns {string|null} Expected CRC32, or null if the release doesn't tag one
+ */
+function getExpectedCrc(file) {
+    if (file.crcExpected) {
+        return file.crcExpected;
+    }
+    // Single-episode releases tag the torrent title; that CRC only describes the video file
+    if (!file.isBatch && getFileType(file.fileName) === 'video') {
+        return parseCRC(file.torrentTitle);
+    }
+    return null;
+}
+
+/**
+ * Computes and stores the CRC check result of a file
+ * @param {Object} file - File from getCrcCheckFiles
+ * @returns {Promise<string>} One of CRC_STATUS
+ */
+async function verifyFile(file) {
+    const expected = getExpectedCrc(file);
+    if (!expected) {
+        updateFileCrcStatus(file.id, { status: CRC_STATUS.NO_CRC });
+        return CRC_STATUS.NO_CRC;
+    }
+
+    const actual = await computeFileCrc32(file.filePath);
+    const status = actual === expected ? CRC_STATUS.VERIFIED : CRC_STATUS.MISMATCH;
+    updateFileCrcStatus(file.id, { status, expected, actual });
+    return status;
+}
+
+/**
+ * Deletes the corrupt files of a torrent and downloads them again
+ * Batch torrents only download the episodes of the corrupt files
+ * @param {Array} files - Mismatched files of the same torrent
+ * @returns {Promise<string|null>} Reason the files were not downloaded again, or null once they are queued
+ */
+async function redownloadFiles(files) {
+    const [{ torrentId, torrentLink, infoHash, isBatch, animeId, animeTitle }] = files;
+
+    if (!torrentLink) {
+        return 'the torrent has no link';
+    }
+    if (countDownloadsForTorrent(torrentId) >= MAX_CRC_DOWNLOAD_ATTEMPTS) {
+        return `the torrent was already downloaded ${MAX_CRC_DOWNLOAD_ATTEMPTS} times`;
+    }
+
+    let episodes = null;
+    if (isBatch) {
+        episodes = [...new Set(files.map(file => matchEpisode(file.fileName)))];
+        if (episodes.some(episode => episode === null)) {
+            return 'the episode of a file in the batch is unknown';
+        }
+    }
+
+    for (const file of files) {
+        deleteFileTorrentDownload(file.id);
+        try {
+            await unlink(file.filePath);
+            console.log(`[crcVerifier] Deleted corrupt file: ${file.filePath}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`[crcVerifier] Error deleting corrupt file ${file.filePath}:`, error);
+            }
+        }
+    }
+
+    // Stop seeding the corrupt copy; the other files of the torrent are kept
+    if (infoHash) {
+        try {
+            await removeTorrent(infoHash);
+        } catch (error) {
+            console.error(`[crcVerifier] Error removing torrent ${infoHash} before downloading it again:`, error);
+        }
+    }
+
+    await downloadTorrent(torrentLink, {
+        animeTitle,
+        animeId,
+        torrentId,
+        infoHash,
+        episodes
+    });
+    console.log(`[crcVerifier] Downloading torrent ID ${torrentId} again${episodes ? ` for episode(s) ${episodes.join(', ')}` : ''}`);
+    return null;
+}
+
+/**
+ * Checks the CRC32 of downloaded files against their release tag
+ * Files that don't match are deleted and downloaded again, up to MAX_CRC_DOWNLOAD_ATTEMPTS downloads per torrent
+ * @param {Object} options - { torrentId } to only check the files of one torrent,
+ *                           { recheck } to also check files that were already checked
+ * @returns {Promise<Object>} Summary { message, verified, mismatched, noCrc, skipped, failed, redownloaded, errors }
+ */
+export async function verifyLibraryFiles({ torrentId = null, recheck = false } = {}) {
+    const files = getCrcCheckFiles({ torrentId, unchecked: !recheck });
+    const summary = { verified: 0, mismatched: 0, noCrc: 0, skipped: 0, failed: 0, redownloaded: 0, errors: [] };
+    const mismatchesByTorrent = new Map();
+
+    for (const file of files) {
+        if (!existsSync(file.filePath)) {
+            summary.skipped++;
+            continue;
+        }
+
+        try {
+            const status = await verifyFile(file);
+            if (status === CRC_STATUS.VERIFIED) {
+                summary.verified++;
+            } else if (status === CRC_STATUS.NO_CRC) {
+                summary.noCrc++;
+            } else {
+                summary.mismatched++;
+                console.warn(`[crcVerifier] CRC mismatch for ${file.filePath}`);
+                if (!mismatchesByTorrent.has(file.torrentId)) {
+                    mismatchesByTorrent.set(file.torrentId, []);
+                }
+                mismatchesByTorrent.get(file.torrentId).push(file);
+            }
+        } catch (error) {
+            summary.failed++;
+            summary.errors.push(`${file.fileName}: ${error.message}`);
+            console.error(`[crcVerifier] Error checking ${file.filePath}:`, error);
+        }
+    }
+
+    for (const [mismatchTorrentId, mismatchedFiles] of mismatchesByTorrent) {
+        try {
+            const reason = await redownloadFiles(mismatchedFiles);
+            if (reason) {
+                console.warn(`[crcVerifier] Not downloading torrent ID ${mismatchTorrentId} again: ${reason}`);
+                summary.errors.push(`${mismatchedFiles[0].torrentTitle}: not downloaded again, ${reason}`);
+            } else {
+                summary.redownloaded += mismatchedFiles.length;
+            }
+        } catch (error) {
+            console.error(`[crcVerifier] Error downloading torrent ID ${mismatchTorrentId} again:`, error);
+            summary.errors.push(`${mismatchedFiles[0].torrentTitle}: ${error.message}`);
+        }
+    }
+
+    return {
+        message: `Checked ${files.length - summary.skipped} file(s): ${summary.verified} verified, ${summary.mismatched} mismatched (${summary.redownloaded} downloading again), ${summary.noCrc} without CRC`,
+        ...summary,
+        // Task results are stored in the database; keep them small
+        errors: summary.errors.slice(0, 50)
+    };
+}
@@ -0,0 +1,298 @@
+import { normalizeInfoHash } from '../../utils/magnet.js';
+
+// Session cookies by Web UI URL
+const sessions = new Map();
+
+// Deluge speed limits are in KiB/s
+const SPEED_UNIT = 1024;
+
+const TORRENT_KEYS = [
+    'name', 'save_path', 'state', 'progress', 'is_finished', 'download_payload_rate', 'upload_payload_rate',
+    'num_peers', 'num_seeds', 'total_done', 'total_wanted', 'eta', 'label'
+];
+
+/**
+ * Gets the JSON-RPC endpoint of the Web UI
+ * @param {Object} settings - Client settings
+ * @returns {string} Endpoint URL
+ */
+function getEndpoint(settings) {
+    return `${settings.url.replace(/\/+$/, '')}/json`;
+}
+
+/**
+ * Sends a JSON-RPC call with the current session cookie
+ * @param {Object} settings - Client settings
+ * @param {string} method - RPC method
+ * @param {Array} params - Method parameters
+ * @returns {Promise<Object>} { result, cookie }
+ */
+async function send(settings, method, params) {
+    const endpoint = getEndpoint(settings);
+    const cookie = sessions.get(endpoint);
+    const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(cookie ? { 'Cookie': cookie } : {})
+        },
+        body: JSON.stringify({ method, params, id: Date.now() })
+    });
+
+    if (!response.ok) {
+        throw new Error(`Deluge request ${method} failed: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    if (data.error) {
+        const error = new Error(`Deluge request ${method} failed: ${data.error.message}`);
+        error.code = data.error.code;
+        throw error;
+    }
+    return { result: data.result, cookie: (response.headers.get('set-cookie') || '').split(';')[0] };
+}
+
+/**
+ * Logs in to the Web UI and connects it to a daemon when it isn't connected yet
+ * @param {Object} settings - Client settings
+ */
+async function login(settings) {
+    const endpoint = getEndpoint(settings);
+    sessions.delete(endpoint);
+
+    const { result, cookie } = await send(settings, 'auth.login', [settings.password || '']);
+    if (!result) {
+        throw new Error('Deluge login failed: wrong password');
+    }
+    sessions.set(endpoint, cookie);
+
+    const { result: connected } = await send(settings, 'web.connected', []);
+    if (!connected) {
+        const { result: hosts } = await send(settings, 'web.get_hosts', []);
+        if (!hosts || hosts.length === 0) {
+            throw new Error('Deluge Web UI has no daemon configured');
+        }
+        await send(settings, 'web.connect', [hosts[0][0]]);
+    }
+}
+
+/**
+ * Calls an RPC method, logging in first (or again when the session expired)
+ * @param {Object} settings - Client settings
+ * @param {string} method - RPC method
+ * @param {Array} params - Method parameters
+ * @returns {Promise<*>} Method result
+ */
+async function rpc(settings, method, params = []) {
+    if (!sessions.has(getEndpoint(settings))) {
+        await login(settings);
+    }
+
+    try {
+        return (await send(settings, method, params)).result;
+    } catch (error) {
+        // Error code 1 means the session is not authenticated
+        if (error.code !== 1) {
+            throw error;
+        }
+        await login(settings);
+        return (await send(settings, method, params)).result;
+    }
+}
+
+/**
+ * Maps a Deluge torrent onto the shape used by the app
+ * @param {string} infoHash - Info hash of the torrent
+ * @param {Object} torrent - Torrent status from core.get_torrents_status
+ * @returns {Object} Client torrent
+ */
+function mapTorrent(infoHash, torrent) {
+    let state = 'downloading';
+    if (torrent.state === 'Error') {
+        state = 'error';
+    } else if (torrent.is_finished || torrent.state === 'Seeding') {
+        state = 'completed';
+    } else if (torrent.state === 'Paused' || torrent.state === 'Queued') {
+        state = 'queued';
+    } else if (torrent.state === 'Checking' || torrent.state === 'Allocating') {
+        state = 'initializing';
+    }
+
+    return {
+        infoHash: normalizeInfoHash(infoHash),
+        name: torrent.name,
+        savePath: torrent.save_path,
+        magnetURI: '',
+        state: state,
+        progress: (torrent.progress || 0) / 100,
+        downloadSpeed: torrent.download_payload_rate || 0,
+        uploadSpeed: torrent.upload_payload_rate || 0,
+        numPeers: (torrent.num_peers || 0) + (torrent.num_seeds || 0),
+        downloaded: torrent.total_done || 0,
+        length: torrent.total_wanted || 0,
+        timeRemaining: torrent.eta > 0 ? torrent.eta * 1000 : Infinity
+    };
+}
+
+/**
+ * Deluge Web UI JSON-RPC download client
+ */
+export const delugeClient = {
+    id: 'deluge',
+    name: 'Deluge',
+    description: 'Sends downloads to Deluge through the JSON-RPC API of its Web UI',
+    defaultSettings: {
+        url: 'http://localhost:8112',
+        password: 'deluge',
+        label: '',
+        remotePath: '',
+        applySpeedLimits: 'no'
+    },
+    fields: [
+        { key: 'url', label: 'Web UI URL', type: 'text' },
+        { key: 'password', label: 'Web UI password', type: 'password' },
+        { key: 'label', label: 'Label (optional, needs the Label plugin)', type: 'text' },
+        { key: 'remotePath', label: 'Anime location as seen by the client (leave empty if it is the same path)', type: 'text' },
+        {
+            key: 'applySpeedLimits',
+            label: 'Apply the configured speed limits to the client',
+            type: 'select',
+            options: [
+                { value: 'no', label: 'No' },
+                { value: 'yes', label: 'Yes' }
+            ]
+        }
+    ],
+
+    /**
+     * Validates the client settings
+     * @param {Object} settings - Client settings
+     * @returns {string|null} Error message or null if valid
+     */
+    validate(settings) {
+        if (!settings.url) {
+            return 'Deluge Web UI URL is required';
+        }
+        try {
+            new URL(settings.url);
+        } catch (error) {
+            return 'Deluge Web UI URL is not a valid URL';
+        }
+        return null;
+    },
+
+    /**
+     * Checks that the client can be reached with the given settings
+     * @param {Object} settings - Client settings
+     * @returns {Promise<Object>} { version }
+     */
+    async testConnection(settings) {
+        await login(settings);
+        const version = await rpc(settings, 'daemon.get_version').catch(() => null);
+        return { version: version || null };
+    },
+
+    /**
+     * Adds a torrent
+     * @param {Object} settings - Client settings
+     * @param {Object} torrent - { url, savePath, infoHash }
+     * @returns {Promise<string|null>} Info hash of the added torrent
+     */
+    async addTorrent(settings, { url, savePath, infoHash = null }) {
+        const options = { download_location: savePath };
+        const addedInfoHash = url.startsWith('magnet:')
+            ? await rpc(settings, 'core.add_torrent_magnet', [url, options])
+            : await rpc(settings, 'core.add_torrent_url', [url, options]);
+
+        if (addedInfoHash && settings.label) {
+            const labels = await rpc(settings, 'label.get_labels');
+            if (!labels.includes(settings.label)) {
+                await rpc(settings, 'label.add', [settings.label]);
+            }
+            await rpc(settings, 'label.set_torrent', [addedInfoHash, settings.label]);
+        }
+        return normalizeInfoHash(addedInfoHash) || infoHash;
+    },
+
+    /**
+     * Lists the torrents in the client
+     * @param {Object} settings - Client settings
+     * @returns {Promise<Array>} Client torrents
+     */
+    async listTorrents(settings) {
+        const filter = settings.label ? { label: settings.label } : {};
+        const torrents = await rpc(settings, 'core.get_torrents_status', [filter, TORRENT_KEYS]);
+        return Object.entries(torrents || {}).map(([infoHash, torrent]) => mapTorrent(infoHash, torrent));
+    },
+
+    /**
+     * Lists the files of a torrent
+     * @param {Object} settings - Client settings
+     * @param {string} infoHash - Info hash of the torrent
+     * @returns {Promise<Array>} Array of { index, path, name, length, selected }; path is relative to the save path
+     */
+    async getFiles(settings, infoHash) {
+        const status = await rpc(settings, 'core.get_torrent_status', [infoHash, ['files', 'file_priorities']]);
+        const priorities = status?.file_priorities || [];
+        return (status?.files || []).map(file => ({
+            index: file.index,
+            path: file.path,
+            name: file.path.split('/').pop(),
+            length: file.size,
+            selected: priorities[file.index] === undefined || priorities[file.index] > 0
+        }));
+    },
+
+    /**
+     * Downloads only some files of a torrent
+     * @param {Object} settings - Client settings
+     * @param {string} infoHash - Info hash of the torrent
+     * @param {Array<number>} fileIndexes - Indexes of the files to download
+     * @param {number} fileCount - Number of files in the torrent
+     */
+    async selectFiles(settings, infoHash, fileIndexes, fileCount) {
+        const wanted = new Set(fileIndexes);
+        const priorities = [...Array(fileCount).keys()].map(index => (wanted.has(index) ? 4 : 0));
+        await rpc(settings, 'core.set_torrent_options', [[infoHash], { file_priorities: priorities }]);
+    },
+
+    /**
+     * Pauses a torrent
+     * @param {Object} settings - Client settings
+     * @param {string} infoHash - Info hash of the torrent
+     */
+    async pauseTorrent(settings, infoHash) {
+        await rpc(settings, 'core.pause_torrent', [infoHash]);
+    },
+
+    /**
+     * Resumes a paused torrent
+     * @param {Object} settings - Client settings
+     * @param {string} infoHash - Info hash of the torrent
+     */
+    async resumeTorrent(settings, infoHash) {
+        await rpc(settings, 'core.resume_torrent', [infoHash]);
+    },
+
+    /**
+     * Removes a torrent
+     * @param {Object} settings - Client settings
+     * @param {string} infoHash - Info hash of the torrent
+     * @param {boolean} deleteFiles - Also delete the downloaded data
+     */
+    async removeTorrent(settings, infoHash, deleteFiles = false) {
+        await rpc(settings, 'core.remove_torrent', [infoHash, deleteFiles]);
+    },
+
+    /**
+     * Sets the global speed limits
+     * @param {Object} settings - Client settings
+     * @param {Object} limits - { download, upload } in bytes per second, null for unlimited
+     */
+    async setSpeedLimits(settings, { download, upload }) {
+        await rpc(settings, 'core.set_config', [{
+            max_download_speed: download ? download / SPEED_UNIT : -1,
+            max_upload_speed: upload ? upload / SPEED_UNIT : -1
+        }]);
+    }
+};
@@ -0,0 +1,187 @@
+import { getConfiguration, getDownloadClientSettings } from '../../database/animeDB.js';
+import { qBittorrentClient } from './qbittorrent.js';
+import { transmissionClient } from './transmission.js';
+import { delugeClient } from './deluge.js';
+
+export const WEBTORRENT_CLIENT_ID = 'webtorrent';
+
+/**
+ * The built-in WebTorrent client is driven directly by torrentService.js; this entry only describes it
+ */
+const webTorrentClient = {
+    id: WEBTORRENT_CLIENT_ID,
+    name: 'WebTorrent (built-in)',
+    description: 'Downloads inside this app. Downloads in progress are lost when the app restarts',
+    defaultSettings: {},
+    fields: []
+};
+
+/**
+ * Registered download clients
+ * External clients expose { id, name, description, defaultSettings, fields, validate(settings),
+ * testConnection(settings), addTorrent(settings, { url, savePath, infoHash }) resolving to the info hash,
+ * listTorrents(settings), getFiles(settings, infoHash), selectFiles(settings, infoHash, fileIndexes, fileCount),
+ * pauseTorrent(settings, infoHash), resumeTorrent(settings, infoHash), removeTorrent(settings, infoHash, deleteFiles)
+ * and setSpeedLimits(settings, { download, upload }) }
+ * listTorrents returns torrents as { infoHash, name, savePath, magnetURI, state, progress, downloadSpeed,
+ * uploadSpeed, numPeers, downloaded, length, timeRemaining }, with state one of queued, initializing,
+ * downloading, completed or error
+ */
+const CLIENTS = [
+    webTorrentClient,
+    qBittorrentClient,
+    transmissionClient,
+    delugeClient
+];
+
+/**
+ * Gets a registered download client by ID
+ * @param {string} id - Client ID
+ * @returns {Object|null} Client or null if unknown
+ */
+export function getDownloadClient(id) {
+    return CLIENTS.find(client => client.id === id) || null;
+}
+
+/**
+ * Normalizes stored download client settings
+ * Settings are kept for every client so switching back and forth doesn't lose them
+ * @param {Object|null} stored - Stored { type, clients: { [id]: settings } }
+ * @returns {Object} { type, clients } with settings for every client; WebTorrent is selected when nothing is stored
+ */
+export function normalizeDownloadClientSettings(stored) {
+    const type = getDownloadClient(stored?.type) ? stored.type : WEBTORRENT_CLIENT_ID;
+    const clients = {};
+    CLIENTS.forEach(client => {
+        clients[client.id] = { ...client.defaultSettings, ...(stored?.clients?.[client.id] || {}) };
+    });
+    return { type, clients };
+}
+
+/**
+ * Validates download client settings submitted by the client
+ * Only the selected client's settings have to be complete
+ * @param {Object} settings - { type, clients: { [id]: settings } }
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateDownloadClientSettings(settings) {
+    if (!settings || typeof settings !== 'object') {
+        return 'Download client settings must be an object';
+    }
+
+    const client = getDownloadClient(settings.type);
+    if (!client) {
+        return `Unknown download client: ${settings.type}`;
+    }
+
+    if (settings.clients !== undefined && (typeof settings.clients !== 'object' || settings.clients === null)) {
+        return 'clients must be an object';
+    }
+
+    for (const [id, clientSettings] of Object.entries(settings.clients || {})) {
+        if (!getDownloadClient(id)) {
+            return `Unknown download client: ${id}`;
+        }
+        if (typeof clientSettings !== 'object' || clientSettings === null) {
+            return `Settings for ${getDownloadClient(id).name} must be an object`;
+        }
+    }
+
+    if (client.validate) {
+        return client.validate({ ...client.defaultSettings, ...(settings.clients?.[client.id] || {}) });
+    }
+
+    return null;
+}
+
+/**
+ * Describes every download client with its current settings for the configuration UI
+ * @returns {Object} { type, clients: [{ id, name, description, fields, settings }] }
+ */
+export function describeDownloadClients() {
+    const { type, clients } = normalizeDownloadClientSettings(getDownloadClientSettings());
+    return {
+        type,
+        clients: CLIENTS.map(client => ({
+            id: client.id,
+            name: client.name,
+            description: client.description,
+            fields: client.fields,
+            settings: clients[client.id]
+        }))
+    };
+}
+
+/**
+ * Gets the selected external download client
+ * @returns {Object|null} { client, settings }, or null when the built-in WebTorrent client is selected
+ */
+export function getActiveDownloadClient() {
+    const { type, clients } = normalizeDownloadClientSettings(getDownloadClientSettings());
+    if (type === WEBTORRENT_CLIENT_ID) {
+        return null;
+    }
+    return { client: getDownloadClient(type), settings: clients[type] };
+}
+
+/**
+ * Checks that an external download client can be reached, without saving its settings
+ * @param {string} id - Client ID
+ * @param {Object} settings - Client settings to test
+ * @returns {Promise<Object>} { version, torrentCount, durationMs }
+ */
+export async function testDownloadClient(id, settings) {
+    const client = getDownloadClient(id);
+    if (!client) {
+        throw new Error(`Unknown download client: ${id}`);
+    }
+    if (id === WEBTORRENT_CLIENT_ID) {
+        throw new Error('The built-in WebTorrent client has nothing to test');
+    }
+
+    const mergedSettings = { ...client.defaultSettings, ...(settings || {}) };
+    const validationError = client.validate(mergedSettings);
+    if (validationError) {
+        throw new Error(validationError);
+    }
+
+    const startedAt = Date.now();
+    const { version } = await client.testConnection(mergedSettings);
+    const torrents = await client.listTorrents(mergedSettings);
+
+    return {
+        version,
+        torrentCount: torrents.length,
+        durationMs: Date.now() - startedAt
+    };
+}
+
+/**
+ * Maps a local path under the anime location to the path the client sees
+ * Used when the client runs on another machine or in a container with the anime location mounted elsewhere
+ * @param {string} localPath - Local path
+ * @param {Object} settings - Client settings
+ * @returns {string} Path as seen by the client
+ */
+export function toClientPath(localPath, settings) {
+    const { animeLocation } = getConfiguration();
+    if (!settings.remotePath || !animeLocation || !localPath.startsWith(animeLocation)) {
+        return localPath;
+    }
+    return settings.remotePath.replace(/[\\/]+$/, '') + localPath.slice(animeLocation.replace(/[\\/]+$/, '').length);
+}
+
+/**
+ * Maps a path reported by the client back to the local path
+ * @param {string} clientPath - Path as seen by the client
+ * @param {Object} settings - Client settings
+ * @returns {string} Local path
+ */
+export function toLocalPath(clientPath, settings) {
+    const { animeLocation } = getConfiguration();
+    const remotePath = (settings.remotePath || '').replace(/[\\/]+$/, '');
+    if (!remotePath || !animeLocation || !clientPath || !clientPath.startsWith(remotePath)) {
+        return clientPath;
+    }
+    return animeLocation.replace(/[\\/]+$/, '') + clientPath.slice(remotePath.length);
+}
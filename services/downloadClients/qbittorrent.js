@@ -0,0 +1,367 @@
+import { normalizeInfoHash } from '../../utils/magnet.js';
+import { sleep } from '../../utils/helpers.js';
+
+// Session cookies by Web UI URL and username; empty when qBittorrent lets the app in without logging in
+// (localhost or whitelisted subnets), as it then sends no cookie
+const sessions = new Map();
+
+// qBittorrent states mapped onto the download statuses used by the app
+const QUEUED_STATES = new Set(['pausedDL', 'stoppedDL', 'queuedDL']);
+const INITIALIZING_STATES = new Set(['metaDL', 'forcedMetaDL', 'checkingDL', 'checkingResumeData', 'allocating']);
+const ERROR_STATES = new Set(['error', 'missingFiles', 'unknown']);
+
+// How long to wait for a torrent added without a known info hash to show up
+const TAG_LOOKUP_ATTEMPTS = 10;
+const TAG_LOOKUP_DELAY = 1000;
+// How long a torrent that showed up too late to be tracked is waited for before giving up on removing it
+const LATE_TORRENT_ATTEMPTS = 60;
+const LATE_TORRENT_DELAY = 5000;
+
+/**
+ * Gets the base URL of the Web UI without a trailing slash
+ * @param {Object} settings - Client settings
+ * @returns {string} Base URL
+ */
+function getBaseUrl(settings) {
+    return settings.url.replace(/\/+$/, '');
+}
+
+/**
+ * Logs in to the Web UI and stores the session cookie
+ * @param {Object} settings - Client settings
+ * @returns {Promise<string>} Session cookie, empty if qBittorrent didn't send one
+ */
+async function login(settings) {
+    const baseUrl = getBaseUrl(settings);
+    const response = await fetch(`${baseUrl}/api/v2/auth/login`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            // qBittorrent rejects logins whose Referer doesn't match its host
+            'Referer': baseUrl
+        },
+        body: new URLSearchParams({ username: settings.username || '', password: settings.password || '' })
+    });
+
+    const text = await response.text();
+    if (!response.ok || text.trim() !== 'Ok.') {
+        throw new Error(`qBittorrent login failed: ${response.status === 403 ? 'IP banned after too many failed logins' : 'wrong username or password'}`);
+    }
+
+    const cookie = (response.headers.get('set-cookie') || '').split(';')[0];
+    sessions.set(`${baseUrl}|${settings.username}`, cookie);
+    return cookie;
+}
+
+/**
+ * Calls a Web API method, logging in first (or again when the session expired)
+ * @param {Object} settings - Client settings
+ * @param {string} path - API path (e.g. /api/v2/torrents/info)
+ * @param {Object} options - { query, form }; requests with a form are sent as POST
+ * @returns {Promise<*>} Parsed JSON response, or text for non-JSON responses
+ */
+async function request(settings, path, { query = null, form = null } = {}) {
+    const baseUrl = getBaseUrl(settings);
+    const sessionKey = `${baseUrl}|${settings.username}`;
+    const url = `${baseUrl}${path}${query ? `?${new URLSearchParams(query)}` : ''}`;
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+        const cookie = sessions.has(sessionKey) ? sessions.get(sessionKey) : await login(settings);
+        const response = await fetch(url, {
+            method: form ? 'POST' : 'GET',
+            headers: {
+                ...(cookie ? { 'Cookie': cookie } : {}),
+                'Referer': baseUrl,
+                ...(form ? { 'Content-Type': 'application/x-www-form-urlencoded' } : {})
+            },
+            body: form ? new URLSearchParams(form) : undefined
+        });
+
+        if (response.status === 403 && attempt === 0) {
+            sessions.delete(sessionKey);
+            continue;
+        }
+        if (!response.ok) {
+            const error = new Error(`qBittorrent request ${path} failed: ${response.status} ${response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        return contentType.includes('application/json') ? response.json() : response.text();
+    }
+}
+
+/**
+ * Calls a torrent action renamed in qBittorrent 5 (pause/resume became stop/start)
+ * Falls back to the old name when the new one doesn't exist
+ * @param {Object} settings - Client settings
+ * @param {string} action - qBittorrent 5 action
+ * @param {string} legacyAction - qBittorrent 4 action
+ * @param {string} infoHash - Info hash of the torrent
+ */
+async function renamedTorrentAction(settings, action, legacyAction, infoHash) {
+    try {
+        await request(settings, `/api/v2/torrents/${action}`, { form: { hashes: infoHash } });
+    } catch (error) {
+        if (error.status !== 404) {
+            throw error;
+        }
+        await request(settings, `/api/v2/torrents/${legacyAction}`, { form: { hashes: infoHash } });
+    }
+}
+
+/**
+ * Finds the torrent added with a lookup tag
+ * @param {Object} settings - Client settings
+ * @param {string} tag - Lookup tag
+ * @returns {Promise<Object|null>} Torrent from /api/v2/torrents/info, or null if it hasn't shown up yet
+ */
+async function findTaggedTorrent(settings, tag) {
+    const [torrent] = await request(settings, '/api/v2/torrents/info', { query: { tag } });
+    return torrent || null;
+}
+
+/**
+ * Removes the torrent added with a lookup tag once it shows up, then the tag itself
+ * The app gave up on the torrent, so it would otherwise download in qBittorrent without being tracked
+ * @param {Object} settings - Client settings
+ * @param {string} tag - Lookup tag
+ */
+async function removeLateTorrent(settings, tag) {
+    try {
+        for (let attempt = 0; attempt < LATE_TORRENT_ATTEMPTS; attempt++) {
+            const torrent = await findTaggedTorrent(settings, tag);
+            if (torrent) {
+                await request(settings, '/api/v2/torrents/delete', { form: { hashes: torrent.hash, deleteFiles: 'true' } });
+                console.log(`[qBittorrent] Removed torrent ${torrent.hash}, it showed up too late to be tracked`);
+                break;
+            }
+            await sleep(LATE_TORRENT_DELAY);
+        }
+        await request(settings, '/api/v2/torrents/deleteTags', { form: { tags: tag } });
+    } catch (error) {
+        console.error(`[qBittorrent] Error removing the torrent tagged ${tag}:`, error);
+    }
+}
+
+/**
+ * Maps a qBittorrent torrent onto the shape used by the app
+ * @param {Object} torrent - Torrent from /api/v2/torrents/info
+ * @returns {Object} Client torrent
+ */
+function mapTorrent(torrent) {
+    let state = 'downloading';
+    if (ERROR_STATES.has(torrent.state)) {
+        state = 'error';
+    } else if (torrent.progress >= 1) {
+        state = 'completed';
+    } else if (QUEUED_STATES.has(torrent.state)) {
+        state = 'queued';
+    } else if (INITIALIZING_STATES.has(torrent.state)) {
+        state = 'initializing';
+    }
+
+    return {
+        infoHash: normalizeInfoHash(torrent.hash),
+        name: torrent.name,
+        savePath: torrent.save_path,
+        magnetURI: torrent.magnet_uri || '',
+        state: state,
+        progress: torrent.progress || 0,
+        downloadSpeed: torrent.dlspeed || 0,
+        uploadSpeed: torrent.upspeed || 0,
+        numPeers: (torrent.num_seeds || 0) + (torrent.num_leechs || 0),
+        downloaded: torrent.completed || 0,
+        length: torrent.size || 0,
+        // qBittorrent reports 8640000 seconds when the ETA is unknown
+        timeRemaining: torrent.eta >= 0 && torrent.eta < 8640000 ? torrent.eta * 1000 : Infinity
+    };
+}
+
+/**
+ * qBittorrent Web API download client
+ */
+export const qBittorrentClient = {
+    id: 'qbittorrent',
+    name: 'qBittorrent',
+    description: 'Sends downloads to qBittorrent through its Web UI API',
+    defaultSettings: {
+        url: 'http://localhost:8080',
+        username: 'admin',
+        password: '',
+        category: 'anime',
+        remotePath: '',
+        applySpeedLimits: 'no'
+    },
+    fields: [
+        { key: 'url', label: 'Web UI URL', type: 'text' },
+        { key: 'username', label: 'Username', type: 'text' },
+        { key: 'password', label: 'Password', type: 'password' },
+        { key: 'category', label: 'Category (optional)', type: 'text' },
+        { key: 'remotePath', label: 'Anime location as seen by the client (leave empty if it is the same path)', type: 'text' },
+        {
+            key: 'applySpeedLimits',
+            label: 'Apply the configured speed limits to the client',
+            type: 'select',
+            options: [
+                { value: 'no', label: 'No' },
+                { value: 'yes', label: 'Yes' }
+            ]
+        }
+    ],
+
+    /**
+     * Validates the client settings
+     * @param {Object} settings - Client settings
+     * @returns {string|null} Error message or null if valid
+     */
+    validate(settings) {
+        if (!settings.url) {
+            return 'qBittorrent Web UI URL is required';
+        }
+        try {
+            new URL(settings.url);
+        } catch (error) {
+            return 'qBittorrent Web UI URL is not a valid URL';
+        }
+        return null;
+    },
+
+    /**
+     * Checks that the client can be reached with the given settings
+     * @param {Object} settings - Client settings
+     * @returns {Promise<Object>} { version }
+     */
+    async testConnection(settings) {
+        const version = await request(settings, '/api/v2/app/version');
+        return { version: String(version).trim() };
+    },
+
+    /**
+     * Adds a torrent
+     * When the info hash isn't known, the torrent is added with a temporary tag to look it up afterwards;
+     * if it doesn't show up in time it is removed as soon as it does, since the download isn't recorded
+     * @param {Object} settings - Client settings
+     * @param {Object} torrent - { url, savePath, infoHash }
+     * @returns {Promise<string|null>} Info hash of the added torrent, or null if it didn't show up in time
+     */
+    async addTorrent(settings, { url, savePath, infoHash = null }) {
+        const lookupTag = infoHash ? null : `asd-${Date.now()}`;
+        const result = await request(settings, '/api/v2/torrents/add', {
+            form: {
+                urls: url,
+                savepath: savePath,
+                ...(settings.category ? { category: settings.category } : {}),
+                ...(lookupTag ? { tags: lookupTag } : {})
+            }
+        });
+        if (typeof result === 'string' && result.trim() === 'Fails.') {
+            throw new Error('qBittorrent refused the torrent');
+        }
+        if (infoHash) {
+            return infoHash;
+        }
+
+        // .torrent URLs are fetched by qBittorrent in the background, so the torrent may take a moment to show up
+        for (let attempt = 0; attempt < TAG_LOOKUP_ATTEMPTS; attempt++) {
+            const torrent = await findTaggedTorrent(settings, lookupTag);
+            if (torrent) {
+                await request(settings, '/api/v2/torrents/deleteTags', { form: { tags: lookupTag } });
+                return normalizeInfoHash(torrent.hash);
+            }
+            await sleep(TAG_LOOKUP_DELAY);
+        }
+
+        // Not awaited: the caller reports the failure right away
+        removeLateTorrent(settings, lookupTag);
+        return null;
+    },
+
+    /**
+     * Lists the torrents in the client
+     * @param {Object} settings - Client settings
+     * @returns {Promise<Array>} Client torrents
+     */
+    async listTorrents(settings) {
+        const torrents = await request(settings, '/api/v2/torrents/info', {
+            query: settings.category ? { category: settings.category } : null
+        });
+        return torrents.map(mapTorrent);
+    },
+
+    /**
+     * Lists the files of a torrent
+     * @param {Object} settings - Client settings
+     * @param {string} infoHash - Info hash of the torrent
+     * @returns {Promise<Array>} Array of { index, path, name, length, selected }; path is relative to the save path
+     */
+    async getFiles(settings, infoHash) {
+        const files = await request(settings, '/api/v2/torrents/files', { query: { hash: infoHash } });
+        return files.map((file, position) => ({
+            index: file.index ?? position,
+            path: file.name,
+            name: file.name.split('/').pop(),
+            length: file.size,
+            selected: file.priority > 0
+        }));
+    },
+
+    /**
+     * Downloads only some files of a torrent
+     * @param {Object} settings - Client settings
+     * @param {string} infoHash - Info hash of the torrent
+     * @param {Array<number>} fileIndexes - Indexes of the files to download
+     * @param {number} fileCount - Number of files in the torrent
+     */
+    async selectFiles(settings, infoHash, fileIndexes, fileCount) {
+        const wanted = new Set(fileIndexes);
+        const unwanted = [...Array(fileCount).keys()].filter(index => !wanted.has(index));
+        if (unwanted.length === 0) {
+            return;
+        }
+        await request(settings, '/api/v2/torrents/filePrio', {
+            form: { hash: infoHash, id: unwanted.join('|'), priority: '0' }
+        });
+    },
+
+    /**
+     * Pauses a torrent
+     * @param {Object} settings - Client settings
+     * @param {string} infoHash - Info hash of the torrent
+     */
+    async pauseTorrent(settings, infoHash) {
+        await renamedTorrentAction(settings, 'stop', 'pause', infoHash);
+    },
+
+    /**
+     * Resumes a paused torrent
+     * @param {Object} settings - Client settings
+     * @param {string} infoHash - Info hash of the torrent
+     */
+    async resumeTorrent(settings, infoHash) {
+        await renamedTorrentAction(settings, 'start', 'resume', infoHash);
+    },
+
+    /**
+     * Removes a torrent
+     * @param {Object} settings - Client settings
+     * @param {string} infoHash - Info hash of the torrent
+     * @param {boolean} deleteFiles - Also delete the downloaded data
+     */
+    async removeTorrent(settings, infoHash, deleteFiles = false) {
+        await request(settings, '/api/v2/torrents/delete', {
+            form: { hashes: infoHash, deleteFiles: String(deleteFiles) }
+        });
+    },
+
+    /**
+     * Sets the global speed limits
+     * @param {Object} settings - Client settings
+     * @param {Object} limits - { download, upload } in bytes per second, null for unlimited
+     */
+    async setSpeedLimits(settings, { download, upload }) {
+        await request(settings, '/api/v2/transfer/setDownloadLimit', { form: { limit: String(download || 0) } });
+        await request(settings, '/api/v2/transfer/setUploadLimit', { form: { limit: String(upload || 0) } });
+    }
+};
@@ -0,0 +1,263 @@
+import { normalizeInfoHash } from '../../utils/magnet.js';
+
+// CSRF session IDs by RPC URL
+const sessionIds = new Map();
+
+// Transmission torrent statuses
+const STATUS_STOPPED = 0;
+const STATUS_CHECK_WAIT = 1;
+const STATUS_CHECKING = 2;
+const STATUS_DOWNLOAD_WAIT = 3;
+
+// Transmission speed limits are in kB/s
+const SPEED_UNIT = 1000;
+
+const TORRENT_FIELDS = [
+    'hashString', 'name', 'downloadDir', 'status', 'error', 'percentDone', 'metadataPercentComplete',
+    'rateDownload', 'rateUpload', 'peersConnected', 'haveValid', 'sizeWhenDone', 'eta', 'magnetLink', 'labels'
+];
+
+/**
+ * Calls an RPC method
+ * Transmission answers 409 with a new session ID when the current one is missing or expired
+ * @param {Object} settings - Client settings
+ * @param {string} method - RPC method
+ * @param {Object} args - Method arguments
+ * @returns {Promise<Object>} Method result arguments
+ */
+async function rpc(settings, method, args = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (settings.username) {
+        headers['Authorization'] = `Basic ${Buffer.from(`${settings.username}:${settings.password || ''}`).toString('base64')}`;
+    }
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+        const sessionId = sessionIds.get(settings.url);
+        const response = await fetch(settings.url, {
+            method: 'POST',
+            headers: sessionId ? { ...headers, 'X-Transmission-Session-Id': sessionId } : headers,
+            body: JSON.stringify({ method, arguments: args })
+        });
+
+        if (response.status === 409 && attempt === 0) {
+            sessionIds.set(settings.url, response.headers.get('x-transmission-session-id'));
+            continue;
+        }
+        if (response.status === 401) {
+            throw new Error('Transmission login failed: wrong username or password');
+        }
+        if (!response.ok) {
+            throw new Error(`Transmission request ${method} failed: ${response.status} ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        if (data.result !== 'success') {
+            throw new Error(`Transmission request ${method} failed: ${data.result}`);
+        }
+        return data.arguments || {};
+    }
+}
+
+/**
+ * Maps a Transmission torrent onto the shape used by the app
+ * @param {Object} torrent - Torrent from torrent-get
+ * @returns {Object} Client torrent
+ */
+function mapTorrent(torrent) {
+    let state = 'downloading';
+    if (torrent.error > 0) {
+        state = 'error';
+    } else if (torrent.percentDone >= 1) {
+        state = 'completed';
+    } else if (torrent.status === STATUS_STOPPED || torrent.status === STATUS_DOWNLOAD_WAIT) {
+        state = 'queued';
+    } else if (torrent.status === STATUS_CHECK_WAIT || torrent.status === STATUS_CHECKING || torrent.metadataPercentComplete < 1) {
+        state = 'initializing';
+    }
+
+    return {
+        infoHash: normalizeInfoHash(torrent.hashString),
+        name: torrent.name,
+        savePath: torrent.downloadDir,
+        magnetURI: torrent.magnetLink || '',
+        state: state,
+        progress: torrent.percentDone || 0,
+        downloadSpeed: torrent.rateDownload || 0,
+        uploadSpeed: torrent.rateUpload || 0,
+        numPeers: torrent.peersConnected || 0,
+        downloaded: torrent.haveValid || 0,
+        length: torrent.sizeWhenDone || 0,
+        // Transmission reports negative values when the ETA is unknown
+        timeRemaining: torrent.eta >= 0 ? torrent.eta * 1000 : Infinity
+    };
+}
+
+/**
+ * Transmission RPC download client
+ */
+export const transmissionClient = {
+    id: 'transmission',
+    name: 'Transmission',
+    description: 'Sends downloads to Transmission through its RPC interface',
+    defaultSettings: {
+        url: 'http://localhost:9091/transmission/rpc',
+        username: '',
+        password: '',
+        label: 'anime',
+        remotePath: '',
+        applySpeedLimits: 'no'
+    },
+    fields: [
+        { key: 'url', label: 'RPC URL', type: 'text' },
+        { key: 'username', label: 'Username (optional)', type: 'text' },
+        { key: 'password', label: 'Password (optional)', type: 'password' },
+        { key: 'label', label: 'Label (optional, Transmission 3.0+)', type: 'text' },
+        { key: 'remotePath', label: 'Anime location as seen by the client (leave empty if it is the same path)', type: 'text' },
+        {
+            key: 'applySpeedLimits',
+            label: 'Apply the configured speed limits to the client',
+            type: 'select',
+            options: [
+                { value: 'no', label: 'No' },
+                { value: 'yes', label: 'Yes' }
+            ]
+        }
+    ],
+
+    /**
+     * Validates the client settings
+     * @param {Object} settings - Client settings
+     * @returns {string|null} Error message or null if valid
+     */
+    validate(settings) {
+        if (!settings.url) {
+            return 'Transmission RPC URL is required';
+        }
+        try {
+            new URL(settings.url);
+        } catch (error) {
+            return 'Transmission RPC URL is not a valid URL';
+        }
+        return null;
+    },
+
+    /**
+     * Checks that the client can be reached with the given settings
+     * @param {Object} settings - Client settings
+     * @returns {Promise<Object>} { version }
+     */
+    async testConnection(settings) {
+        const session = await rpc(settings, 'session-get', { fields: ['version'] });
+        return { version: session.version || null };
+    },
+
+    /**
+     * Adds a torrent
+     * @param {Object} settings - Client settings
+     * @param {Object} torrent - { url, savePath, infoHash }
+     * @returns {Promise<string|null>} Info hash of the added torrent
+     */
+    async addTorrent(settings, { url, savePath, infoHash = null }) {
+        const result = await rpc(settings, 'torrent-add', {
+            filename: url,
+            'download-dir': savePath
+        });
+
+        const added = result['torrent-added'] || result['torrent-duplicate'];
+        if (added && settings.label) {
+            await rpc(settings, 'torrent-set', { ids: [added.hashString], labels: [settings.label] });
+        }
+        return normalizeInfoHash(added?.hashString) || infoHash;
+    },
+
+    /**
+     * Lists the torrents in the client
+     * @param {Object} settings - Client settings
+     * @returns {Promise<Array>} Client torrents
+     */
+    async listTorrents(settings) {
+        const { torrents = [] } = await rpc(settings, 'torrent-get', { fields: TORRENT_FIELDS });
+        return torrents
+            .filter(torrent => !settings.label || (torrent.labels || []).includes(settings.label))
+            .map(mapTorrent);
+    },
+
+    /**
+     * Lists the files of a torrent
+     * @param {Object} settings - Client settings
+     * @param {string} infoHash - Info hash of the torrent
+     * @returns {Promise<Array>} Array of { index, path, name, length, selected }; path is relative to the save path
+     */
+    async getFiles(settings, infoHash) {
+        const { torrents = [] } = await rpc(settings, 'torrent-get', { ids: [infoHash], fields: ['files', 'wanted'] });
+        const torrent = torrents[0];
+        if (!torrent) {
+            return [];
+        }
+        return (torrent.files || []).map((file, index) => ({
+            index: index,
+            path: file.name,
+            name: file.name.split('/').pop(),
+            length: file.length,
+            selected: torrent.wanted ? Boolean(torrent.wanted[index]) : true
+        }));
+    },
+
+    /**
+     * Downloads only some files of a torrent
+     * @param {Object} settings - Client settings
+     * @param {string} infoHash - Info hash of the torrent
+     * @param {Array<number>} fileIndexes - Indexes of the files to download
+     * @param {number} fileCount - Number of files in the torrent
+     */
+    async selectFiles(settings, infoHash, fileIndexes, fileCount) {
+        const wanted = new Set(fileIndexes);
+        const unwanted = [...Array(fileCount).keys()].filter(index => !wanted.has(index));
+        if (unwanted.length === 0) {
+            return;
+        }
+        await rpc(settings, 'torrent-set', { ids: [infoHash], 'files-unwanted': unwanted });
+    },
+
+    /**
+     * Pauses a torrent
+     * @param {Object} settings - Client settings
+     * @param {string} infoHash - Info hash of the torrent
+     */
+    async pauseTorrent(settings, infoHash) {
+        await rpc(settings, 'torrent-stop', { ids: [infoHash] });
+    },
+
+    /**
+     * Resumes a paused torrent
+     * @param {Object} settings - Client settings
+     * @param {string} infoHash - Info hash of the torrent
+     */
+    async resumeTorrent(settings, infoHash) {
+        await rpc(settings, 'torrent-start', { ids: [infoHash] });
+    },
+
+    /**
+     * Removes a torrent
+     * @param {Object} settings - Client settings
+     * @param {string} infoHash - Info hash of the torrent
+     * @param {boolean} deleteFiles - Also delete the downloaded data
+     */
+    async removeTorrent(settings, infoHash, deleteFiles = false) {
+        await rpc(settings, 'torrent-remove', { ids: [infoHash], 'delete-local-data': deleteFiles });
+    },
+
+    /**
+     * Sets the global speed limits
+     * @param {Object} settings - Client settings
+     * @param {Object} limits - { download, upload } in bytes per second, null for unlimited
+     */
+    async setSpeedLimits(settings, { download, upload }) {
+        await rpc(settings, 'session-set', {
+            'speed-limit-down-enabled': Boolean(download),
+            'speed-limit-up-enabled': Boolean(upload),
+            ...(download ? { 'speed-limit-down': Math.max(1, Math.round(download / SPEED_UNIT)) } : {}),
+            ...(upload ? { 'speed-limit-up': Math.max(1, Math.round(upload / SPEED_UNIT)) } : {})
+        });
+    }
+};
@@ -1,8 +1,17 @@
 import { readdir, stat } from 'fs/promises';
-import { join, basename } from 'path';
+import { join, basename, dirname, extname, relative, sep } from 'path';
 import { getDB } from '../database/animeDB.js';
-import { upsertFileTorrentDownload } from '../database/animeDB.js';
-import { downloadTorrent } from './torrentService.js';
+import { upsertFileTorrentDownload, getAnimeForLibraryImport, upsertOwnedEpisode, getOwnedEpisodeFiles, deleteOwnedEpisode } from '../database/animeDB.js';
+import { parseEpisode, parseSeason } from '../parsers/episodeParser.js';
+import { getFileType } from '../utils/fileTypes.js';
+import { downloadTorrent, hasClientTorrent } from './torrentService.js';
+import { normalizeTitleTerm, extractAnimeNameFromTorrentTitle, matchesAnimeTitle } from './animeService.js';
+
+// Share of the words of a show name parsed from a file that must appear in an anime title
+const MIN_TITLE_MATCH_RATIO = 0.75;
+
+// Season folders such as "Season 02", "S2" or "Specials" name no show
+const SEASON_FOLDER_PATTERN = /^(?:season\s*\d{1,2}|s\d{1,2}|specials?)$/i;
 
 
 /**
@@ -37,12 +46,134 @@ async function scanDirectory(dirPath, fileList = []) {
     return fileList;
 }
 
+/**
+ * Gets the folders of a file below the scanned folder, closest first
+ * @param {string} filePath - File path
+ * @param {string} rootPath - Scanned folder
+ * @returns {Array<string>} Folder names
+ */
+function getFolderNames(filePath, rootPath) {
+    const relativeDir = relative(rootPath, dirname(filePath));
+    if (!relativeDir || relativeDir.startsWith('..')) {
+        return [];
+    }
+    return relativeDir.split(sep).filter(Boolean).reverse();
+}
+
+/**
+ * Scores how well a show name parsed from a file matches an anime
+ * @param {string} showName - Show name from a file or folder name
+ * @param {Object} anime - Anime from getAnimeForLibraryImport
+ * @returns {number} 0 if it doesn't match, 1 for the same normalized title
+ */
+function scoreAnimeMatch(showName, anime) {
+    const normalizedName = normalizeTitleTerm(showName);
+    let bestScore = 0;
+    
+    for (const title of anime.titles) {
+        if (normalizeTitleTerm(title) === normalizedName) {
+            return 1;
+        }
+        
+        // Most words of the show name have to be in the title; titles that add fewer words rank higher
+        const nameInTitle = matchesAnimeTitle(showName, title);
+        if (nameInTitle >= MIN_TITLE_MATCH_RATIO) {
+            const titleInName = matchesAnimeTitle(title, showName);
+            bestScore = Math.max(bestScore, nameInTitle * 0.7 + titleInName * 0.3);
+        }
+    }
+    
+    return bestScore;
+}
+
+/**
+ * Records video files that match no torrent as owned episodes
+ * The show name, season and episode are parsed from the file name; when the show name doesn't
+ * match an anime, the names of the folders are tried ("Show/Season 02/Episode 03.mkv")
+ * @param {Array<string>} filePaths - Files that match no torrent
+ * @param {string} rootPath - Scanned folder
+ * @returns {Object} { importedCount, unrecognizedCount }
+ */
+function importOwnedEpisodes(filePaths, rootPath) {
+    const animeList = getAnimeForLibraryImport();
+    // Files of the same show share their names; rank the anime once per name
+    const rankedAnimeByName = new Map();
+    const rankAnime = (showName) => {
+        const key = normalizeTitleTerm(showName);
+        if (!rankedAnimeByName.has(key)) {
+            const ranked = key
+                ? animeList
+                    .map(anime => ({ anime, score: scoreAnimeMatch(showName, anime) }))
+                    .filter(entry => entry.score > 0)
+                    .sort((a, b) => b.score - a.score)
+                : [];
+            rankedAnimeByName.set(key, ranked);
+        }
+        return rankedAnimeByName.get(key);
+    };
+    
+    let importedCount = 0;
+    let unrecognizedCount = 0;
+    
+    for (const filePath of filePaths) {
+        const fileName = basename(filePath);
+        if (getFileType(fileName) !== 'video') {
+            continue;
+        }
+        
+        const name = basename(fileName, extname(fileName));
+        const episodeNumber = parseEpisode(name);
+        if (episodeNumber === null) {
+            unrecognizedCount++;
+            continue;
+        }
+        
+        const folderNames = getFolderNames(filePath, rootPath);
+        const seasonFolder = folderNames.find(folder => SEASON_FOLDER_PATTERN.test(folder.trim()));
+        // parseSeason falls back to season 1, so a season folder wins over it
+        const fileSeason = parseSeason(name);
+        const season = fileSeason === 1 && seasonFolder ? (parseSeason(seasonFolder) || 1) : fileSeason;
+        
+        const showNames = [
+            extractAnimeNameFromTorrentTitle(name),
+            ...folderNames.filter(folder => !SEASON_FOLDER_PATTERN.test(folder.trim()))
+        ].filter(Boolean);
+        
+        let match = null;
+        for (const showName of showNames) {
+            match = rankAnime(showName).find(({ anime }) =>
+                anime.season === season &&
+                (anime.episodeNumbers.size === 0 || anime.episodeNumbers.has(episodeNumber))
+            );
+            if (match) {
+                break;
+            }
+        }
+        
+        if (!match) {
+            unrecognizedCount++;
+            continue;
+        }
+        
+        upsertOwnedEpisode({
+            animeId: match.anime.id,
+            episodeNumber,
+            filePath,
+            fileName
+        });
+        importedCount++;
+    }
+    
+    return { importedCount, unrecognizedCount };
+}
+
 /**
  * Matches files with torrents in the database
  * @param {string} folderPath - Path to the folder to scan
+ * @param {Object} options - { importOwned } to also record video files that match no torrent as owned episodes
  * @returns {Promise<Object>} Result object with matched count
  */
-export async function scanFolderForTorrents(folderPath) {
+export async function scanFolderForTorrents(folderPath, { importOwned = false } = {}) {
     if (!folderPath) {
         throw new Error('Folder path is required');
     }
@@ -60,6 +191,7 @@ export async function scanFolderForTorrents(folderPath) {
             t.id,
             t.title,
             t.link,
+            t.info_hash,
             e.anime_id,
             COALESCE(a.title_english, a.title_romaji, a.title_native) as anime_title
         FROM torrents t
@@ -68,7 +200,18 @@ export async function scanFolderForTorrents(folderPath) {
         WHERE t.link IS NOT NULL AND t.link != ''
     `);
     
-    const torrents = torrentsQuery.all();
+    // The same release can be tracked under several links; the info hash identifies it
+    const seenInfoHashes = new Set();
+    const torrents = torrentsQuery.all().filter(torrent => {
+        if (!torrent.info_hash) {
+            return true;
+        }
+        if (seenInfoHashes.has(torrent.info_hash)) {
+            return false;
+        }
+        seenInfoHashes.add(torrent.info_hash);
+        return true;
+    });
     console.log(`Found ${torrents.length} torrents in database`);
     
     // Get all existing records from database
@@ -117,12 +260,24 @@ export async function scanFolderForTorrents(folderPath) {
         }
     }
     
+    // Owned episodes whose file is gone are no longer owned
+    for (const ownedFile of getOwnedEpisodeFiles()) {
+        try {
+            await stat(ownedFile.filePath);
+        } catch (err) {
+            deleteOwnedEpisode(ownedFile.id);
+            deletedCount++;
+        }
+    }
+    
     if (deletedCount > 0) {
         console.log(`Deleted ${deletedCount} records for files that no longer exist`);
     }
     
     let matchedCount = 0;
     let resumedCount = 0;
+    // Torrents resumed during this scan (multi-file torrents have several files in .torrent-chunks)
+    const resumedTorrents = new Set();
     
     // Match files with torrents (only for files that don't already have records)
     for (const filePath of files) {
@@ -147,12 +302,18 @@ export async function scanFolderForTorrents(folderPath) {
             if (titleMatches) {
                 if (isInChunksFolder) {
                     // File is in .torrent-chunks folder - treat as incomplete and resume download
+                    const resumeKey = torrent.info_hash || torrent.link;
+                    if (resumedTorrents.has(resumeKey) || (torrent.info_hash && await hasClientTorrent(torrent.info_hash))) {
+                        break; // Already resumed or still in the torrent client
+                    }
+                    resumedTorrents.add(resumeKey);
                     try {
                         console.log(`Found incomplete file ${fileName} in .torrent-chunks, resuming download for torrent ${torrent.id}`);
                         await downloadTorrent(torrent.link, {
                             animeTitle: torrent.anime_title,
                             animeId: torrent.anime_id,
-                            torrentId: torrent.id
+                            torrentId: torrent.id,
+                            infoHash: torrent.info_hash
                         });
                         resumedCount++;
                     } catch (error) {
@@ -161,6 +322,7 @@ export async function scanFolderForTorrents(folderPath) {
                 } else {
                     // File is complete - create database record
                     upsertFileTorrentDownload(torrent.id, filePath, fileName);
+                    existingFilePaths.add(filePath);
                     matchedCount++;
                 }
                 break; // Only match one torrent per file
@@ -170,12 +332,25 @@ export async function scanFolderForTorrents(folderPath) {
     
     console.log(`Matched ${matchedCount} new files, resumed ${resumedCount} incomplete downloads`);
     
+    let importedCount = 0;
+    let unrecognizedCount = 0;
+    if (importOwned) {
+        const unmatchedFiles = files.filter(filePath => 
+            !existingFilePaths.has(filePath) && !filePath.includes('.torrent-chunks')
+        );
+        ({ importedCount, unrecognizedCount } = importOwnedEpisodes(unmatchedFiles, folderPath));
+        console.log(`Imported ${importedCount} owned episodes, ${unrecognizedCount} video files not recognized`);
+    }
+    
     return {
-        message: `Scanned folder and matched ${matchedCount} new files, resumed ${resumedCount} incomplete downloads`,
+        message: `Scanned folder and matched ${matchedCount} new files, resumed ${resumedCount} incomplete downloads` +
+            (importOwned ? `, imported ${importedCount} owned episodes (${unrecognizedCount} not recognized)` : ''),
         filesScanned: files.length,
         torrentsChecked: torrents.length,
         matchedCount,
         resumedCount,
+        importedCount,
+        unrecognizedCount,
         deletedCount
     };
 }
@@ -0,0 +1,87 @@
+import { normalizeInfoHash, parseInfoHashFromMagnet } from '../../utils/magnet.js';
+import { sleep } from '../../utils/helpers.js';
+import { DEFAULT_SEARCH_SETTINGS, getQuerySuffix } from '../searchSettings.js';
+
+const ANIMETOSHO_FEED_URL = 'https://feed.animetosho.org/json';
+
+/**
+ * Converts an AnimeTosho feed entry into a torrent item
+ * @param {Object} entry - Entry from the JSON feed
+ * @returns {Object|null} Torrent item or null if the entry has no torrent
+ */
+function parseEntry(entry) {
+    const link = entry.torrent_url || entry.magnet_uri;
+    if (!entry.title || !link) {
+        return null;
+    }
+
+    return {
+        title: entry.title.trim(),
+        link: link,
+        magnet: entry.magnet_uri || null,
+        infoHash: normalizeInfoHash(entry.info_hash) || parseInfoHashFromMagnet(entry.magnet_uri),
+        date: new Date(entry.timestamp * 1000),
+        size: entry.total_size ?? null,
+        seeders: entry.seeders ?? null,
+        leechers: entry.leechers ?? null,
+        completed: entry.torrent_downloaded_count ?? null,
+        trusted: false,
+        remake: false
+    };
+}
+
+/**
+ * AnimeTosho indexer provider
+ * Uses the JSON feed, which mirrors Nyaa and TokyoTosho anime releases
+ */
+export const animeToshoProvider = {
+    id: 'animetosho',
+    name: 'AnimeTosho',
+    description: 'Searches the animetosho.org JSON feed (mirrors Nyaa and TokyoTosho releases)',
+    defaultSettings: {
+        maxPages: 5
+    },
+    fields: [
+        { key: 'maxPages', label: 'Pages to read on deep searches', type: 'number', min: 1, max: 20 }
+    ],
+
+    /**
+     * Searches AnimeTosho for a title
+     * @param {string} term - Search term
+     * @param {Object} options - { deepSearch, since, searchSettings }
+     * @param {Object} settings - Provider settings
+     * @returns {Promise<Array>} Torrent items
+     */
+    async search(term, { deepSearch = false, since = null, searchSettings = DEFAULT_SEARCH_SETTINGS } = {}, settings = {}) {
+        const query = `${term} ${getQuerySuffix(searchSettings)}`.trim();
+        const maxPages = deepSearch ? Math.max(1, parseInt(settings.maxPages, 10) || 1) : 1;
+        const sinceTime = since ? new Date(since).getTime() : null;
+        const items = [];
+
+        for (let page = 1; page <= maxPages; page++) {
+            const url = `${ANIMETOSHO_FEED_URL}?q=${encodeURIComponent(query)}&page=${page}`;
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const entries = await response.json();
+            if (!Array.isArray(entries) || entries.length === 0) {
+                break;
+            }
+
+            const pageItems = entries.map(parseEntry).filter(Boolean);
+            items.push(...pageItems);
+
+            // The feed is sorted newest first, so older pages can't contain anything newer
+            if (sinceTime !== null && pageItems.some(item => item.date.getTime() <= sinceTime)) {
+                break;
+            }
+
+            await sleep(500); // to avoid rate limiting
+        }
+
+        console.log(`Fetched ${items.length} torrent(s) from AnimeTosho for "${query}"`);
+        return items;
+    }
+};
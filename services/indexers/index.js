@@ -0,0 +1,207 @@
+import { getIndexerProviderSettings, getGlobalSearchSettings } from '../../database/animeDB.js';
+import { normalizeSearchSettings, isExcludedTitle } from '../searchSettings.js';
+import { nyaaProvider } from './nyaa.js';
+import { animeToshoProvider } from './animetosho.js';
+import { tokyoToshoProvider } from './tokyotosho.js';
+import { subsPleaseProvider } from './subsplease.js';
+import { torznabProvider } from './torznab.js';
+
+/**
+ * Registered indexer providers
+ * Each provider exposes { id, name, description, defaultSettings, fields, search(term, options, settings) }
+ * and optionally validate(settings); options are { deepSearch, since, searchSettings }
+ */
+const PROVIDERS = [
+    nyaaProvider,
+    animeToshoProvider,
+    tokyoToshoProvider,
+    subsPleaseProvider,
+    torznabProvider
+];
+
+/**
+ * Gets a registered provider by ID
+ * @param {string} id - Provider ID
+ * @returns {Object|null} Provider or null if unknown
+ */
+export function getIndexerProvider(id) {
+    return PROVIDERS.find(provider => provider.id === id) || null;
+}
+
+/**
+ * Normalizes stored provider settings into a complete ordered list
+ * Unknown providers are dropped and missing ones are appended disabled; Nyaa is enabled when nothing is stored
+ * @param {Array|null} stored - Stored array of { id, enabled, settings }
+ * @returns {Array} Ordered array of { id, enabled, settings } covering every provider
+ */
+export function normalizeIndexerSettings(stored) {
+    const entries = Array.isArray(stored) ? stored : [];
+    const seen = new Set();
+    const normalized = [];
+
+    entries.forEach(entry => {
+        const provider = getIndexerProvider(entry?.id);
+        if (!provider || seen.has(provider.id)) {
+            return;
+        }
+        seen.add(provider.id);
+        normalized.push({
+            id: provider.id,
+            enabled: Boolean(entry.enabled),
+            settings: { ...provider.defaultSettings, ...(entry.settings || {}) }
+        });
+    });
+
+    PROVIDERS.forEach(provider => {
+        if (seen.has(provider.id)) {
+            return;
+        }
+        normalized.push({
+            id: provider.id,
+            enabled: entries.length === 0 && provider.id === nyaaProvider.id,
+            settings: { ...provider.defaultSettings }
+        });
+    });
+
+    return normalized;
+}
+
+/**
+ * Validates provider settings submitted by the client
+ * @param {Array} providers - Array of { id, enabled, settings }
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateIndexerSettings(providers) {
+    if (!Array.isArray(providers)) {
+        return 'providers must be an array';
+    }
+
+    for (const entry of providers) {
+        const provider = getIndexerProvider(entry?.id);
+        if (!provider) {
+            return `Unknown indexer provider: ${entry?.id}`;
+        }
+        if (entry.settings !== undefined && (typeof entry.settings !== 'object' || entry.settings === null)) {
+            return `Settings for ${provider.name} must be an object`;
+        }
+        if (entry.enabled && provider.validate) {
+            const error = provider.validate({ ...provider.defaultSettings, ...(entry.settings || {}) });
+            if (error) {
+                return error;
+            }
+        }
+    }
+
+    if (!providers.some(entry => entry.enabled)) {
+        return 'At least one indexer provider must be enabled';
+    }
+
+    return null;
+}
+
+/**
+ * Describes every provider with its current settings for the admin UI
+ * @returns {Array} Ordered array of { id, name, description, fields, enabled, settings }
+ */
+export function describeIndexerProviders() {
+    return normalizeIndexerSettings(getIndexerProviderSettings()).map(entry => {
+        const provider = getIndexerProvider(entry.id);
+        return {
+            id: provider.id,
+            name: provider.name,
+            description: provider.description,
+            fields: provider.fields,
+            enabled: entry.enabled,
+            settings: entry.settings
+        };
+    });
+}
+
+/**
+ * Filters items published after a date
+ * @param {Array} items - Torrent items
+ * @param {Date|number|null} since - Cutoff date (null keeps everything)
+ * @returns {Array} Filtered items
+ */
+function filterSince(items, since) {
+    if (!since) {
+        return items;
+    }
+    const sinceTime = new Date(since).getTime();
+    return items.filter(item => !item.date || isNaN(item.date.getTime()) || item.date.getTime() > sinceTime);
+}
+
+/**
+ * Searches every enabled provider in order and merges the results
+ * Results are deduplicated by info hash (or link when a provider has no info hash); the first provider wins
+ * Results whose title contains an exclude term are dropped
+ * A failing provider is skipped unless every provider fails
+ * @param {string} term - Search term
+ * @param {Object} options - Search options
+ * @param {boolean} options.deepSearch - If true, providers read their full history
+ * @param {Date|number|null} options.since - Only return torrents published after this date
+ * @param {Object} options.searchSettings - Effective search settings (defaults to the global settings)
+ * @returns {Promise<Object>} Object with items array
+ */
+export async function searchIndexers(term, { deepSearch = false, since = null, searchSettings = null } = {}) {
+    const enabled = normalizeIndexerSettings(getIndexerProviderSettings()).filter(entry => entry.enabled);
+    const effectiveSearchSettings = searchSettings || normalizeSearchSettings(getGlobalSearchSettings());
+    const merged = new Map();
+    const errors = [];
+
+    for (const entry of enabled) {
+        const provider = getIndexerProvider(entry.id);
+        try {
+            const items = await provider.search(term, { deepSearch, since, searchSettings: effectiveSearchSettings }, entry.settings);
+            filterSince(items, since).forEach(item => {
+                const key = item.infoHash || item.link;
+                if (!merged.has(key) && !isExcludedTitle(item.title, effectiveSearchSettings)) {
+                    merged.set(key, item);
+                }
+            });
+        } catch (error) {
+            console.error(`Indexer ${provider.name} failed for "${term}": ${error.message}`);
+            errors.push(error);
+        }
+    }
+
+    if (enabled.length > 0 && errors.length === enabled.length) {
+        throw errors[0];
+    }
+
+    return { items: [...merged.values()] };
+}
+
+/**
+ * Runs a single provider search with the given settings, without saving them
+ * Uses the global search settings
+ * @param {string} id - Provider ID
+ * @param {Object} settings - Provider settings to test
+ * @param {string} query - Search term
+ * @returns {Promise<Object>} { count, durationMs, items }
+ */
+export async function testIndexerProvider(id, settings, query) {
+    const provider = getIndexerProvider(id);
+    if (!provider) {
+        throw new Error(`Unknown indexer provider: ${id}`);
+    }
+
+    const mergedSettings = { ...provider.defaultSettings, ...(settings || {}) };
+    if (provider.validate) {
+        const error = provider.validate(mergedSettings);
+        if (error) {
+            throw new Error(error);
+        }
+    }
+
+    const startedAt = Date.now();
+    const searchSettings = normalizeSearchSettings(getGlobalSearchSettings());
+    const items = (await provider.search(query, { deepSearch: false, since: null, searchSettings }, mergedSettings))
+        .filter(item => !isExcludedTitle(item.title, searchSettings));
+
+    return {
+        count: items.length,
+        durationMs: Date.now() - startedAt,
+        items: items.slice(0, 20)
+    };
+}
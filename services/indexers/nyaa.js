@@ -0,0 +1,33 @@
+import { torrentSearch, torrentRssSearch } from '../nyaa.js';
+import { DEFAULT_SEARCH_SETTINGS, getQuerySuffix } from '../searchSettings.js';
+
+/**
+ * Nyaa.si indexer provider
+ * Deep and first-time searches scrape the HTML listing; incremental searches read the RSS feed
+ * Category and trusted filter come from the search settings, so the provider has no settings of its own
+ */
+export const nyaaProvider = {
+    id: 'nyaa',
+    name: 'Nyaa',
+    description: 'Scrapes nyaa.si search results (HTML for full history, RSS for routine checks)',
+    defaultSettings: {},
+    fields: [],
+
+    /**
+     * Searches Nyaa for a title
+     * @param {string} term - Search term
+     * @param {Object} options - { deepSearch, since, searchSettings }
+     * @returns {Promise<Array>} Torrent items
+     */
+    async search(term, { deepSearch = false, since = null, searchSettings = DEFAULT_SEARCH_SETTINGS } = {}) {
+        const options = {
+            category: searchSettings.category,
+            filter: searchSettings.filter,
+            querySuffix: getQuerySuffix(searchSettings)
+        };
+        const result = since && !deepSearch
+            ? await torrentRssSearch(term, since, options)
+            : await torrentSearch(term, deepSearch, options);
+        return result.items;
+    }
+};
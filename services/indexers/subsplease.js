@@ -0,0 +1,76 @@
+import Parser from 'rss-parser';
+import { parseInfoHashFromMagnet } from '../../utils/magnet.js';
+import { DEFAULT_SEARCH_SETTINGS } from '../searchSettings.js';
+
+const SUBSPLEASE_RSS_URL = 'https://subsplease.org/rss/';
+
+// SubsPlease feed resolutions keyed by search settings resolution
+const FEED_RESOLUTIONS = {
+    '1080p': '1080',
+    '720p': '720',
+    '480p': 'sd'
+};
+
+const rssParser = new Parser();
+
+/**
+ * Normalizes a title for loose comparison (lowercase alphanumerics only)
+ * @param {string} value - Title to normalize
+ * @returns {string} Normalized title
+ */
+function normalizeTitle(value) {
+    return (value || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+/**
+ * SubsPlease indexer provider
+ * The RSS feed can't be searched, so the latest releases are filtered by title locally
+ */
+export const subsPleaseProvider = {
+    id: 'subsplease',
+    name: 'SubsPlease RSS',
+    description: 'Reads the latest releases from the subsplease.org RSS feed (no search or history, 1080p unless the search resolution is 720p or 480p)',
+    defaultSettings: {},
+    fields: [],
+
+    /**
+     * Finds releases of a title in the SubsPlease feed
+     * @param {string} term - Search term
+     * @param {Object} options - { deepSearch, since, searchSettings } (deepSearch has no effect)
+     * @returns {Promise<Array>} Torrent items
+     */
+    async search(term, { searchSettings = DEFAULT_SEARCH_SETTINGS } = {}) {
+        // Without the "t" flag the item links are magnet links
+        const resolution = FEED_RESOLUTIONS[searchSettings.resolution] || FEED_RESOLUTIONS['1080p'];
+        const url = `${SUBSPLEASE_RSS_URL}?r=${resolution}`;
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const feed = await rssParser.parseString(await response.text());
+        const normalizedTerm = normalizeTitle(term);
+        if (!normalizedTerm) {
+            return [];
+        }
+
+        const items = (feed.items || [])
+            .filter(item => item.title && item.link && normalizeTitle(item.title).includes(normalizedTerm))
+            .map(item => ({
+                title: item.title.trim(),
+                link: item.link,
+                magnet: item.link.startsWith('magnet:') ? item.link : null,
+                infoHash: parseInfoHashFromMagnet(item.link),
+                date: new Date(item.pubDate),
+                size: null,
+                seeders: null,
+                leechers: null,
+                completed: null,
+                trusted: false,
+                remake: false
+            }));
+
+        console.log(`Found ${items.length} torrent(s) in the SubsPlease feed for "${term}"`);
+        return items;
+    }
+};
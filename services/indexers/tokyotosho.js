@@ -0,0 +1,94 @@
+import Parser from 'rss-parser';
+import { parseInfoHashFromMagnet } from '../../utils/magnet.js';
+import { DEFAULT_SEARCH_SETTINGS, getQuerySuffix } from '../searchSettings.js';
+
+const TOKYOTOSHO_RSS_URL = 'https://www.tokyotosho.info/rss.php';
+
+const SIZE_MULTIPLIERS = {
+    B: 1,
+    KB: 1024,
+    MB: 1024 ** 2,
+    GB: 1024 ** 3,
+    TB: 1024 ** 4
+};
+
+const rssParser = new Parser();
+
+/**
+ * Parses the "Size: 1.2GB" part of a TokyoTosho item description
+ * @param {string} description - Item description
+ * @returns {number|null} Size in bytes or null if not found
+ */
+function parseDescriptionSize(description) {
+    const match = (description || '').match(/Size:\s*([\d.]+)\s*(B|KB|MB|GB|TB)/i);
+    if (!match) {
+        return null;
+    }
+    return Math.round(parseFloat(match[1]) * SIZE_MULTIPLIERS[match[2].toUpperCase()]);
+}
+
+/**
+ * TokyoTosho indexer provider
+ * The RSS search only returns recent results, so it never pages through history
+ */
+export const tokyoToshoProvider = {
+    id: 'tokyotosho',
+    name: 'TokyoTosho',
+    description: 'Searches the tokyotosho.info RSS feed (recent releases only)',
+    defaultSettings: {
+        type: '1'
+    },
+    fields: [
+        {
+            key: 'type',
+            label: 'Category',
+            type: 'select',
+            options: [
+                { value: '1', label: 'Anime' },
+                { value: '10', label: 'Non-English' },
+                { value: '7', label: 'Raws' }
+            ]
+        }
+    ],
+
+    /**
+     * Searches TokyoTosho for a title
+     * @param {string} term - Search term
+     * @param {Object} options - { deepSearch, since, searchSettings } (deepSearch has no effect)
+     * @param {Object} settings - Provider settings
+     * @returns {Promise<Array>} Torrent items
+     */
+    async search(term, { searchSettings = DEFAULT_SEARCH_SETTINGS } = {}, settings = {}) {
+        const query = `${term} ${getQuerySuffix(searchSettings)}`.trim();
+        const url = `${TOKYOTOSHO_RSS_URL}?terms=${encodeURIComponent(query)}&type=${encodeURIComponent(settings.type || '1')}`;
+
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const feed = await rssParser.parseString(await response.text());
+        const items = (feed.items || [])
+            .filter(item => item.title && item.link)
+            .map(item => {
+                const description = item.content || '';
+                const magnet = (description.match(/href="(magnet:[^"]+)"/i) || [])[1] || null;
+                return {
+                    title: item.title.trim(),
+                    link: item.link,
+                    magnet: magnet ? magnet.replaceAll('&amp;', '&') : null,
+                    infoHash: parseInfoHashFromMagnet(magnet),
+                    date: new Date(item.pubDate),
+                    size: parseDescriptionSize(description),
+                    seeders: null,
+                    leechers: null,
+                    completed: null,
+                    trusted: false,
+                    remake: false
+                };
+            });
+
+        console.log(`Fetched ${items.length} torrent(s) from TokyoTosho for "${query}"`);
+        return items;
+    }
+};
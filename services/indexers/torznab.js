@@ -0,0 +1,156 @@
+import Parser from 'rss-parser';
+import { normalizeInfoHash, parseInfoHashFromMagnet } from '../../utils/magnet.js';
+import { DEFAULT_SEARCH_SETTINGS, getQuerySuffix } from '../searchSettings.js';
+
+const PAGE_SIZE = 100;
+
+const rssParser = new Parser({
+    customFields: {
+        item: [
+            ['torznab:attr', 'torznabAttrs', { keepArray: true }],
+            'size'
+        ]
+    }
+});
+
+/**
+ * Collects the torznab:attr elements of an item into a name -> value map
+ * @param {Object} item - Item parsed by rss-parser
+ * @returns {Object} Attribute values keyed by name
+ */
+function getAttributes(item) {
+    const attributes = {};
+    (item.torznabAttrs || []).forEach(attr => {
+        if (attr?.$?.name) {
+            attributes[attr.$.name] = attr.$.value;
+        }
+    });
+    return attributes;
+}
+
+/**
+ * Parses an optional integer attribute
+ * @param {string} value - Attribute value
+ * @returns {number|null} Parsed number or null
+ */
+function parseNumber(value) {
+    const number = parseInt(value, 10);
+    return isNaN(number) ? null : number;
+}
+
+/**
+ * Converts a Torznab item into a torrent item
+ * @param {Object} item - Item parsed by rss-parser
+ * @returns {Object|null} Torrent item or null if the item has no download link
+ */
+function parseItem(item) {
+    const attributes = getAttributes(item);
+    const magnet = attributes.magneturl || (item.link?.startsWith('magnet:') ? item.link : null);
+    const link = item.enclosure?.url || item.link || magnet;
+    if (!item.title || !link) {
+        return null;
+    }
+
+    const seeders = parseNumber(attributes.seeders);
+    const peers = parseNumber(attributes.peers);
+
+    return {
+        title: item.title.trim(),
+        link: link,
+        magnet: magnet,
+        infoHash: normalizeInfoHash(attributes.infohash) || parseInfoHashFromMagnet(magnet),
+        date: new Date(item.pubDate),
+        size: parseNumber(item.size) ?? parseNumber(attributes.size) ?? parseNumber(item.enclosure?.length),
+        seeders: seeders,
+        leechers: peers !== null && seeders !== null ? Math.max(0, peers - seeders) : null,
+        completed: parseNumber(attributes.grabs),
+        trusted: false,
+        remake: false
+    };
+}
+
+/**
+ * Generic Torznab indexer provider (Jackett, Prowlarr, ...)
+ */
+export const torznabProvider = {
+    id: 'torznab',
+    name: 'Torznab',
+    description: 'Queries any Torznab-compatible endpoint, such as a Jackett or Prowlarr indexer',
+    defaultSettings: {
+        url: '',
+        apiKey: '',
+        categories: '5070',
+        maxPages: 3
+    },
+    fields: [
+        { key: 'url', label: 'API URL (e.g. http://localhost:9117/api/v2.0/indexers/all/results/torznab/api)', type: 'text' },
+        { key: 'apiKey', label: 'API key', type: 'text' },
+        { key: 'categories', label: 'Categories (comma separated)', type: 'text' },
+        { key: 'maxPages', label: 'Pages to read on deep searches', type: 'number', min: 1, max: 20 }
+    ],
+
+    /**
+     * Validates the provider settings
+     * @param {Object} settings - Provider settings
+     * @returns {string|null} Error message or null if valid
+     */
+    validate(settings) {
+        if (!settings.url) {
+            return 'Torznab API URL is required';
+        }
+        try {
+            new URL(settings.url);
+        } catch (error) {
+            return 'Torznab API URL is not a valid URL';
+        }
+        return null;
+    },
+
+    /**
+     * Searches the Torznab endpoint for a title
+     * @param {string} term - Search term
+     * @param {Object} options - { deepSearch, since, searchSettings }
+     * @param {Object} settings - Provider settings
+     * @returns {Promise<Array>} Torrent items
+     */
+    async search(term, { deepSearch = false, searchSettings = DEFAULT_SEARCH_SETTINGS } = {}, settings = {}) {
+        const validationError = this.validate(settings);
+        if (validationError) {
+            throw new Error(validationError);
+        }
+
+        const query = `${term} ${getQuerySuffix(searchSettings)}`.trim();
+        const maxPages = deepSearch ? Math.max(1, parseInt(settings.maxPages, 10) || 1) : 1;
+        const items = [];
+
+        for (let page = 0; page < maxPages; page++) {
+            const url = new URL(settings.url);
+            url.searchParams.set('t', 'search');
+            url.searchParams.set('q', query);
+            url.searchParams.set('limit', String(PAGE_SIZE));
+            url.searchParams.set('offset', String(page * PAGE_SIZE));
+            if (settings.categories) {
+                url.searchParams.set('cat', settings.categories);
+            }
+            if (settings.apiKey) {
+                url.searchParams.set('apikey', settings.apiKey);
+            }
+
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const feed = await rssParser.parseString(await response.text());
+            const pageItems = (feed.items || []).map(parseItem).filter(Boolean);
+            items.push(...pageItems);
+
+            if ((feed.items || []).length < PAGE_SIZE) {
+                break;
+            }
+        }
+
+        console.log(`Fetched ${items.length} torrent(s) from Torznab for "${query}"`);
+        return items;
+    }
+};
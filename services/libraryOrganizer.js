@@ -0,0 +1,399 @@
+/**
+ * Library organizer
+ * Renames completed episodes with a naming template and places them under the anime location, e.g. the
+ * Plex/Jellyfin layout "Show/Season 01/Show - S01E03.mkv". Files are moved, copied, hardlinked or symlinked
+ * and their file_torrent_download records are pointed at the new paths.
+ */
+
+import { copyFile, link, mkdir, readdir, rename, rmdir, stat, symlink, unlink } from 'fs/promises';
+import { constants as fsConstants } from 'fs';
+import { basename, dirname, extname, relative, resolve, isAbsolute } from 'path';
+import { getConfiguration, getLibraryOrganizerSettings, getLibraryFiles, updateFileTorrentDownloadPath } from '../database/animeDB.js';
+import { matchEpisode, parseCRC } from '../parsers/episodeParser.js';
+import { parseResolution } from '../parsers/releaseParser.js';
+import { parseSubGroup } from '../parsers/subGroupParser.js';
+import { getFileType } from '../utils/fileTypes.js';
+
+// Layout presets; the custom layout uses the template from the settings
+export const LIBRARY_LAYOUTS = {
+    plex: {
+        name: 'Plex / Jellyfin',
+        template: '{title}/Season {season:00}/{title} - S{season:00}E{episode:00}'
+    },
+    folder: {
+        name: 'Anime folder',
+        template: '{title}/{title} - {episode:00} [{group}][{resolution}]'
+    },
+    custom: {
+        name: 'Custom',
+        template: null
+    }
+};
+
+export const ORGANIZE_MODES = ['move', 'copy', 'hardlink', 'symlink'];
+
+export const TEMPLATE_TOKENS = ['title', 'season', 'episode', 'group', 'resolution', 'crc', 'year'];
+
+export const DEFAULT_LIBRARY_ORGANIZER = {
+    enabled: false,
+    layout: 'plex',
+    template: LIBRARY_LAYOUTS.plex.template,
+    mode: 'move'
+};
+
+const TOKEN_PATTERN = /\{(\w+)(?::(0+))?\}/g;
+
+// Subtitle file names often carry a language tag before the extension, e.g. "Show - 03.en.ass"
+const SUBTITLE_LANGUAGE_PATTERN = /\.([a-z]{2,3}(?:-[a-z]{2,4})?)$/i;
+
+/**
+ * Normalizes settings, dropping unknown values and filling in defaults
+ * @param {Object|null} settings - Raw settings object
+ * @returns {Object} Normalized settings
+ */
+export function normalizeLibraryOrganizerSettings(settings) {
+    if (!settings || typeof settings !== 'object') {
+        return { ...DEFAULT_LIBRARY_ORGANIZER };
+    }
+
+    const layout = LIBRARY_LAYOUTS[settings.layout] ? settings.layout : DEFAULT_LIBRARY_ORGANIZER.layout;
+    const customTemplate = typeof settings.template === 'string' && settings.template.trim()
+        ? settings.template.trim()
+        : DEFAULT_LIBRARY_ORGANIZER.template;
+
+    return {
+        enabled: Boolean(settings.enabled),
+        layout: layout,
+        template: LIBRARY_LAYOUTS[layout].template || customTemplate,
+        mode: ORGANIZE_MODES.includes(settings.mode) ? settings.mode : DEFAULT_LIBRARY_ORGANIZER.mode
+    };
+}
+
+/**
+ * Validates settings coming from the API
+ * @param {*} settings - Settings object to validate
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateLibraryOrganizerSettings(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return 'settings must be an object';
+    }
+
+    if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') {
+        return 'enabled must be a boolean';
+    }
+
+    if (settings.layout !== undefined && !LIBRARY_LAYOUTS[settings.layout]) {
+        return `layout must be one of: ${Object.keys(LIBRARY_LAYOUTS).join(', ')}`;
+    }
+
+    if (settings.mode !== undefined && !ORGANIZE_MODES.includes(settings.mode)) {
+        return `mode must be one of: ${ORGANIZE_MODES.join(', ')}`;
+    }
+
+    if (settings.layout === 'custom') {
+        return validateTemplate(settings.template);
+    }
+
+    return null;
+}
+
+/**
+ * Validates a naming template
+ * @param {*} template - Template to validate
+ * @returns {string|null} Error message or null if valid
+ */
+function validateTemplate(template) {
+    if (typeof template !== 'string' || !template.trim()) {
+        return 'template is required for the custom layout';
+    }
+
+    const unknownTokens = [...template.matchAll(TOKEN_PATTERN)]
+        .map(match => match[1])
+        .filter(token => !TEMPLATE_TOKENS.includes(token));
+    if (unknownTokens.length > 0) {
+        return `Unknown template token: {${unknownTokens[0]}}. Available tokens: ${TEMPLATE_TOKENS.map(token => `{${token}}`).join(', ')}`;
+    }
+
+    // Without the episode number every episode would get the same file name
+    const fileNamePart = template.split('/').pop();
+    if (!/\{episode(?::0+)?\}/.test(fileNamePart)) {
+        return 'The file name part of the template (after the last /) must contain {episode}';
+    }
+
+    if (isAbsolute(template) || template.split('/').some(segment => segment.trim() === '..')) {
+        return 'template must be a path relative to the anime location';
+    }
+
+    return null;
+}
+
+/**
+ * Cleans up a path segment after its tokens were replaced
+ * Drops brackets left empty by missing values and characters that are invalid in file names
+ * @param {string} segment - Rendered path segment
+ * @returns {string} Clean segment
+ */
+function cleanSegment(segment) {
+    return segment
+        .replace(/\[\s*\]|\(\s*\)|\{\s*\}/g, '')
+        .replace(/[<>:"\\|?*]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s.-]+|[\s.-]+$/g, '')
+        .trim();
+}
+
+/**
+ * Renders a naming template
+ * @param {string} template - Naming template; "/" separates folders
+ * @param {Object} values - Token values; missing values render as nothing
+ * @returns {string} Relative path without extension, or an empty string if nothing is left
+ */
+export function renderTemplate(template, values) {
+    return template
+        .split('/')
+        .map(segment => cleanSegment(segment.replace(TOKEN_PATTERN, (token, name, padding) => {
+            const value = values[name];
+            if (value === null || value === undefined || value === '') {
+                return '';
+            }
+            const text = String(value).replace(/\//g, ' ');
+            return padding && typeof value === 'number' ? text.padStart(padding.length, '0') : text;
+        })))
+        .filter(Boolean)
+        .join('/');
+}
+
+/**
+ * Works out the token values of a library file
+ * @param {Object} file - Record from getLibraryFiles
+ * @returns {Object} Token values
+ */
+function getTemplateValues(file) {
+    return {
+        title: file.animeTitle,
+        season: file.animeSeason,
+        episode: matchEpisode(file.fileName) ?? file.episodeNumber,
+        group: file.subGroupName || parseSubGroup(file.fileName),
+        resolution: parseResolution(file.fileName) || file.resolution,
+        crc: parseCRC(file.fileName),
+        year: file.animeYear
+    };
+}
+
+/**
+ * Builds the library path of a file
+ * Videos and subtitles are named after the template; fonts and other files are left where they are
+ * @param {Object} file - Record from getLibraryFiles
+ * @param {Object} settings - Normalized settings
+ * @param {string} root - Anime location
+ * @returns {string|null} Full target path, or null if the file is not organized
+ */
+export function buildLibraryPath(file, settings, root) {
+    const type = getFileType(file.fileName);
+    if (type !== 'video' && type !== 'subtitles') {
+        return null;
+    }
+
+    const values = getTemplateValues(file);
+    if (values.episode === null || values.episode === undefined) {
+        return null;
+    }
+
+    const relativePath = renderTemplate(settings.template, values);
+    if (!relativePath) {
+        return null;
+    }
+
+    let extension = extname(file.fileName).toLowerCase();
+    if (type === 'subtitles') {
+        const language = basename(file.fileName, extname(file.fileName)).match(SUBTITLE_LANGUAGE_PATTERN);
+        if (language) {
+            extension = `.${language[1]}${extension}`;
+        }
+    }
+
+    const target = resolve(root, relativePath + extension);
+    // Never place files outside the anime location
+    return relative(resolve(root), target).startsWith('..') ? null : target;
+}
+
+/**
+ * Checks whether a path exists
+ * @param {string} path - Path to check
+ * @returns {Promise<Object|null>} Stats, or null if the path doesn't exist
+ */
+async function statOrNull(path) {
+    try {
+        return await stat(path);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Places a file at its library path
+ * @param {string} source - Current file path
+ * @param {string} target - Library path
+ * @param {string} mode - move, copy, hardlink or symlink
+ */
+async function placeFile(source, target, mode) {
+    await mkdir(dirname(target), { recursive: true });
+
+    switch (mode) {
+        case 'copy':
+            await copyFile(source, target, fsConstants.COPYFILE_EXCL);
+            break;
+        case 'hardlink':
+            await link(source, target);
+            break;
+        case 'symlink':
+            await symlink(source, target);
+            break;
+        default:
+            try {
+                await rename(source, target);
+            } catch (error) {
+                // Renaming doesn't work across file systems
+                if (error.code !== 'EXDEV') {
+                    throw error;
+                }
+                await copyFile(source, target, fsConstants.COPYFILE_EXCL);
+                await unlink(source);
+            }
+    }
+}
+
+/**
+ * Removes folders left empty by moved files, up to the anime location
+ * @param {string} dir - Folder the file was moved out of
+ * @param {string} root - Anime location
+ */
+async function removeEmptyFolders(dir, root) {
+    const rootPath = resolve(root);
+    let current = resolve(dir);
+    while (current !== rootPath && !relative(rootPath, current).startsWith('..')) {
+        try {
+            const entries = await readdir(current);
+            if (entries.length > 0) {
+                return;
+            }
+            await rmdir(current);
+        } catch (error) {
+            return;
+        }
+        current = dirname(current);
+    }
+}
+
+/**
+ * Organizes library files
+ * @param {Array} files - Records from getLibraryFiles
+ * @param {Object} settings - Normalized settings
+ * @returns {Promise<Object>} { organized, unchanged, skipped, failed, errors }
+ */
+async function organizeFiles(files, settings) {
+    const { animeLocation } = getConfiguration();
+    if (!animeLocation) {
+        throw new Error('Anime location is not configured');
+    }
+
+    const summary = { organized: 0, unchanged: 0, skipped: 0, failed: 0, errors: [] };
+    // Paths already used by a record (the table doesn't allow a torrent to list a path twice)
+    const recordedPaths = new Set(getLibraryFiles().map(file => file.filePath));
+
+    for (const file of files) {
+        const target = buildLibraryPath(file, settings, animeLocation);
+        if (!target || target === resolve(file.filePath)) {
+            summary.unchanged++;
+            continue;
+        }
+
+        try {
+            if (!(await statOrNull(file.filePath))) {
+                summary.skipped++;
+                summary.errors.push(`${file.fileName}: file not found`);
+                continue;
+            }
+            if (recordedPaths.has(target) || (await statOrNull(target))) {
+                summary.skipped++;
+                summary.errors.push(`${file.fileName}: ${target} already exists`);
+                continue;
+            }
+
+            await placeFile(file.filePath, target, settings.mode);
+            updateFileTorrentDownloadPath(file.id, target, basename(target));
+            recordedPaths.delete(file.filePath);
+            recordedPaths.add(target);
+            console.log(`[libraryOrganizer] ${settings.mode} ${file.filePath} -> ${target}`);
+
+            if (settings.mode === 'move') {
+                await removeEmptyFolders(dirname(file.filePath), animeLocation);
+            }
+            summary.organized++;
+        } catch (error) {
+            console.error(`[libraryOrganizer] Error organizing ${file.filePath}:`, error);
+            summary.failed++;
+            summary.errors.push(`${file.fileName}: ${error.message}`);
+        }
+    }
+
+    return summary;
+}
+
+/**
+ * Organizes the files of a completed download when the organizer is enabled
+ * @param {number} torrentId - Torrent ID of the download
+ * @param {Object} options - { sourcesInUse }: the files are still seeded from where they are, so moving
+ *                           them is put off (call again once seeding stops)
+ * @returns {Promise<Object|null>} Summary, or null if nothing was done
+ */
+export async function organizeTorrentFiles(torrentId, { sourcesInUse = false } = {}) {
+    const settings = normalizeLibraryOrganizerSettings(getLibraryOrganizerSettings());
+    if (!settings.enabled || !torrentId) {
+        return null;
+    }
+    if (sourcesInUse && settings.mode === 'move') {
+        console.log(`[libraryOrganizer] Files of torrent ID ${torrentId} are being seeded, not moving them yet`);
+        return null;
+    }
+
+    return organizeFiles(getLibraryFiles(torrentId), settings);
+}
+
+/**
+ * Shows where some library files would go with the given settings, without touching them
+ * @param {Object} settings - Normalized settings
+ * @param {number} limit - Maximum number of files
+ * @returns {Array} Array of { from, to }; to is null for files that are left where they are
+ */
+export function previewLibraryPaths(settings, limit = 5) {
+    const { animeLocation } = getConfiguration();
+    if (!animeLocation) {
+        return [];
+    }
+    return getLibraryFiles()
+        .filter(file => ['video', 'subtitles'].includes(getFileType(file.fileName)))
+        .slice(-limit)
+        .map(file => ({
+            from: file.filePath,
+            to: buildLibraryPath(file, settings, animeLocation)
+        }));
+}
+
+/**
+ * Organizes every file in file_torrent_download with the current settings, even if the organizer is off
+ * @returns {Promise<Object>} { message, organized, unchanged, skipped, failed, errors }
+ */
+export async function reorganizeLibrary() {
+    const settings = normalizeLibraryOrganizerSettings(getLibraryOrganizerSettings());
+    const files = getLibraryFiles();
+    const summary = await organizeFiles(files, settings);
+
+    return {
+        message: `Organized ${summary.organized} of ${files.length} file(s) (${summary.skipped} skipped, ${summary.failed} failed)`,
+        ...summary,
+        // Task results are stored in the database; keep them small
+        errors: summary.errors.slice(0, 50)
+    };
+}
@@ -0,0 +1,189 @@
+/**
+ * MyAnimeList and Kitsu list import
+ * Reads MyAnimeList XML exports (Kitsu exports its library in the same format), matches the entries to anime by
+ * MyAnimeList ID or title, then turns auto-download on and marks the watched episodes.
+ */
+
+import { gunzipSync } from 'zlib';
+import * as cheerio from 'cheerio';
+import { getAnimeForListImport, getAnimeAutodownloadStates, setAnimeAutodownload } from '../database/animeDB.js';
+import { getWatchProgressForAnime, setEpisodesWatched } from '../database/watchDB.js';
+import { normalizeTitleTerm } from './animeService.js';
+
+// List statuses whose anime get auto-download turned on
+export const LIST_IMPORT_AUTODOWNLOAD_STATUSES = ['watching', 'plan_to_watch'];
+
+// Exports written by some tools use the numeric status codes of the MyAnimeList API
+const MAL_STATUS_CODES = {
+    1: 'watching',
+    2: 'completed',
+    3: 'on_hold',
+    4: 'dropped',
+    6: 'plan_to_watch'
+};
+
+// How many entries are imported between two progress updates
+const PROGRESS_INTERVAL = 25;
+
+/**
+ * Normalizes a list status ("Plan to Watch", "On-Hold", "6", ...)
+ * @param {string} value - Status from the export
+ * @returns {string|null} watching, completed, on_hold, dropped, plan_to_watch or null if unknown
+ */
+function normalizeListStatus(value) {
+    const trimmed = String(value || '').trim();
+    if (/^\d+$/.test(trimmed)) {
+        return MAL_STATUS_CODES[trimmed] || null;
+    }
+
+    const status = trimmed.toLowerCase().replace(/[\s-]+/g, '_');
+    return Object.values(MAL_STATUS_CODES).includes(status) ? status : null;
+}
+
+/**
+ * Parses a MyAnimeList XML export, gzipped or not
+ * @param {Buffer|string} content - Content of the export file
+ * @returns {Array} Array of { malId, title, status, watchedEpisodes, totalEpisodes }
+ */
+export function parseListExport(content) {
+    let buffer = Buffer.isBuffer(content) ? content : Buffer.from(String(content || ''), 'utf8');
+    // MyAnimeList hands out its exports as .xml.gz
+    if (buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+        try {
+            buffer = gunzipSync(buffer);
+        } catch (error) {
+            throw new Error('The file could not be decompressed');
+        }
+    }
+
+    const $ = cheerio.load(buffer.toString('utf8'), { xmlMode: true });
+    if ($('myanimelist').length === 0) {
+        throw new Error('The file is not a MyAnimeList XML export');
+    }
+
+    return $('myanimelist > anime').map((index, element) => {
+        const field = (name) => $(element).children(name).first().text().trim();
+        const malId = parseInt(field('series_animedb_id'), 10);
+        const watchedEpisodes = parseInt(field('my_watched_episodes'), 10);
+        const totalEpisodes = parseInt(field('series_episodes'), 10);
+
+        return {
+            malId: malId > 0 ? malId : null,
+            title: field('series_title'),
+            status: normalizeListStatus(field('my_status')),
+            watchedEpisodes: watchedEpisodes > 0 ? watchedEpisodes : 0,
+            totalEpisodes: totalEpisodes > 0 ? totalEpisodes : null
+        };
+    }).get();
+}
+
+/**
+ * Builds the lookups used to match list entries to anime
+ * Titles shared by several anime are left out of the title lookup
+ * @returns {Object} { byMalId, byTitle } Maps of MyAnimeList ID and normalized title to anime ID
+ */
+function buildAnimeLookups() {
+    const byMalId = new Map();
+    const titleMatches = new Map();
+
+    for (const anime of getAnimeForListImport()) {
+        if (anime.idMal) {
+            byMalId.set(anime.idMal, anime.id);
+        }
+        for (const title of anime.titles) {
+            const key = normalizeTitleTerm(title);
+            if (!key) {
+                continue;
+            }
+            if (!titleMatches.has(key)) {
+                titleMatches.set(key, new Set());
+            }
+            titleMatches.get(key).add(anime.id);
+        }
+    }
+
+    const byTitle = new Map();
+    titleMatches.forEach((animeIds, key) => {
+        if (animeIds.size === 1) {
+            byTitle.set(key, [...animeIds][0]);
+        }
+    });
+
+    return { byMalId, byTitle };
+}
+
+/**
+ * Imports list entries into the library
+ * Entries are matched by MyAnimeList ID, or by title when the entry has none. Watching and Plan to Watch entries
+ * get auto-download turned on, and the watched episodes of every entry are marked watched; nothing is ever
+ * turned off or marked unwatched
+ * @param {Array} entries - Entries from parseListExport
+ * @param {Object} options - { onProgress(processed, total) } called while entries are imported
+ * @returns {Promise<Object>} Summary { message, total, matched, autodownloadEnabled, episodesMarkedWatched, unmatchedCount, unmatched, errors }
+ */
+export async function importListEntries(entries, { onProgress = null } = {}) {
+    const { byMalId, byTitle } = buildAnimeLookups();
+    const summary = { matched: 0, autodownloadEnabled: 0, episodesMarkedWatched: 0, unmatched: [], errors: [] };
+
+    const matches = [];
+    for (const entry of entries) {
+        const animeId = entry.malId
+            ? byMalId.get(entry.malId)
+            : byTitle.get(normalizeTitleTerm(entry.title));
+
+        if (animeId) {
+            matches.push({ entry, animeId });
+        } else {
+            summary.unmatched.push(entry.malId ? `${entry.title} (MAL ID ${entry.malId})` : entry.title);
+        }
+    }
+    summary.matched = matches.length;
+
+    const autodownloadStates = getAnimeAutodownloadStates([...new Set(matches.map(match => match.animeId))]);
+
+    for (const [index, { entry, animeId }] of matches.entries()) {
+        try {
+            if (LIST_IMPORT_AUTODOWNLOAD_STATUSES.includes(entry.status) && !autodownloadStates.get(animeId)) {
+                await setAnimeAutodownload(animeId, true);
+                autodownloadStates.set(animeId, true);
+                summary.autodownloadEnabled++;
+            }
+
+            // Completed entries of older exports can leave the watched count at 0
+            const watchedEpisodes = entry.status === 'completed' && entry.totalEpisodes
+                ? Math.max(entry.watchedEpisodes, entry.totalEpisodes)
+                : entry.watchedEpisodes;
+            if (watchedEpisodes > 0) {
+                const alreadyWatched = new Set(getWatchProgressForAnime(animeId)
+                    .filter(item => item.watched)
+                    .map(item => item.episodeNumber));
+                const episodeNumbers = Array.from({ length: watchedEpisodes }, (_, i) => i + 1)
+                    .filter(episodeNumber => !alreadyWatched.has(episodeNumber));
+
+                if (episodeNumbers.length > 0) {
+                    setEpisodesWatched(animeId, episodeNumbers, true);
+                    summary.episodesMarkedWatched += episodeNumbers.length;
+                }
+            }
+        } catch (error) {
+            summary.errors.push(`${entry.title}: ${error.message}`);
+            console.error(`[listImport] Error importing ${entry.title}:`, error);
+        }
+
+        if (onProgress && ((index + 1) % PROGRESS_INTERVAL === 0 || index + 1 === matches.length)) {
+            onProgress(index + 1, matches.length);
+        }
+    }
+
+    return {
+        message: `Matched ${summary.matched} of ${entries.length} entries, turned on auto-download for ${summary.autodownloadEnabled} anime and marked ${summary.episodesMarkedWatched} episodes watched`,
+        total: entries.length,
+        matched: summary.matched,
+        autodownloadEnabled: summary.autodownloadEnabled,
+        episodesMarkedWatched: summary.episodesMarkedWatched,
+        unmatchedCount: summary.unmatched.length,
+        // Task results are stored in the database; keep them small
+        unmatched: summary.unmatched.slice(0, 50),
+        errors: summary.errors.slice(0, 50)
+    };
+}
@@ -0,0 +1,270 @@
+/**
+ * Media streaming
+ * Lists the playable sources of an episode, serves them with HTTP range requests and converts the
+ * subtitle files found next to downloaded videos to WebVTT for the browser player.
+ */
+
+import { createReadStream } from 'fs';
+import { stat, readdir, readFile } from 'fs/promises';
+import { basename, dirname, extname, join } from 'path';
+import { getDB } from '../database/animeDB.js';
+import { getEpisodeVideoFiles, getPlayableFile } from '../database/watchDB.js';
+import { getUnfinishedDownloads } from '../database/downloadsDB.js';
+import { getStreamableTorrentFiles, getStreamableTorrentFile } from './torrentService.js';
+import { matchEpisode } from '../parsers/episodeParser.js';
+import { getFileType } from '../utils/fileTypes.js';
+import { toWebVtt, WEBVTT_CONVERTIBLE_EXTENSIONS } from '../utils/subtitles.js';
+
+const VIDEO_CONTENT_TYPES = {
+    '.mp4': 'video/mp4',
+    '.m4v': 'video/mp4',
+    '.webm': 'video/webm',
+    '.mkv': 'video/x-matroska',
+    '.ogm': 'video/ogg',
+    '.mov': 'video/quicktime',
+    '.avi': 'video/x-msvideo',
+    '.ts': 'video/mp2t',
+    '.m2ts': 'video/mp2t',
+    '.wmv': 'video/x-ms-wmv'
+};
+
+/**
+ * Gets the URL path that streams a downloaded or imported file
+ * @param {string} source - 'file' or 'owned'
+ * @param {number} id - Record ID
+ * @returns {string} URL path
+ */
+function getFileStreamPath(source, id) {
+    return `/api/stream/${source === 'owned' ? 'owned' : 'files'}/${id}`;
+}
+
+/**
+ * Finds the subtitle files stored next to a video
+ * Subtitle files share the name of the video, optionally followed by a language or track name
+ * ("Show - 01.mkv" → "Show - 01.srt", "Show - 01.en.ass")
+ * @param {string} videoPath - Video file path
+ * @returns {Promise<Array>} Array of { fileName, filePath, label }, by file name
+ */
+async function findSubtitleFiles(videoPath) {
+    const videoName = basename(videoPath, extname(videoPath));
+    let entries = [];
+    try {
+        entries = await readdir(dirname(videoPath));
+    } catch (error) {
+        return [];
+    }
+
+    return entries
+        .filter(entry => WEBVTT_CONVERTIBLE_EXTENSIONS.includes(extname(entry).toLowerCase()))
+        // "Show - 01" must not pick up the subtitles of "Show - 010"
+        .filter(entry => entry.startsWith(videoName) && /^(?:[\s._-]|$)/.test(entry.slice(videoName.length, entry.length - extname(entry).length)))
+        .sort()
+        .map(entry => {
+            const extension = extname(entry);
+            const suffix = entry.slice(videoName.length, entry.length - extension.length).replace(/^[\s._-]+/, '');
+            return {
+                fileName: entry,
+                filePath: join(dirname(videoPath), entry),
+                label: suffix || extension.slice(1).toUpperCase()
+            };
+        });
+}
+
+/**
+ * Gets the episode number a single-episode torrent was found for
+ * @param {number} torrentId - Torrent ID
+ * @returns {number|null} Episode number or null if unknown
+ */
+function getTorrentEpisodeNumber(torrentId) {
+    if (!torrentId) {
+        return null;
+    }
+    const database = getDB();
+    const row = database.prepare(`SELECT episode_number FROM torrents WHERE id = ?`).get(torrentId);
+    return row ? row.episode_number : null;
+}
+
+/**
+ * Gets the sources an episode can be played from
+ * Downloaded and imported files come first, newest first, followed by the files of torrents that are still
+ * being downloaded by the built-in client
+ * @param {number} animeId - Anime ID
+ * @param {number} episodeNumber - Episode number
+ * @returns {Promise<Array>} Array of { id, kind: 'file' | 'owned' | 'torrent', fileName, size, complete, progress, paused, url, subtitles }
+ */
+export async function getEpisodeSources(animeId, episodeNumber) {
+    const sources = [];
+
+    for (const file of getEpisodeVideoFiles(animeId, episodeNumber)) {
+        let fileStats;
+        try {
+            fileStats = await stat(file.filePath);
+        } catch (error) {
+            // Files deleted outside the app can't be played
+            continue;
+        }
+
+        const url = getFileStreamPath(file.source, file.id);
+        const subtitles = await findSubtitleFiles(file.filePath);
+        sources.push({
+            id: `${file.source}-${file.id}`,
+            kind: file.source,
+            fileName: file.fileName,
+            size: fileStats.size,
+            complete: true,
+            progress: 1,
+            paused: false,
+            url,
+            subtitles: subtitles.map((subtitle, index) => ({
+                label: subtitle.label,
+                url: `${url}/subtitles/${index}`
+            }))
+        });
+    }
+
+    const downloads = getUnfinishedDownloads().filter(download => download.animeId === animeId && download.infoHash);
+    for (const download of downloads) {
+        const videoFiles = (getStreamableTorrentFiles(download.infoHash) || [])
+            .filter(file => getFileType(file.name) === 'video');
+
+        for (const file of videoFiles) {
+            // Batch torrents hold several episodes; the file name tells which one
+            const fileEpisode = matchEpisode(file.name)
+                ?? (videoFiles.length === 1 ? getTorrentEpisodeNumber(download.torrentId) : null);
+            if (fileEpisode !== episodeNumber) {
+                continue;
+            }
+
+            sources.push({
+                id: `torrent-${download.infoHash}-${file.index}`,
+                kind: 'torrent',
+                fileName: file.name,
+                size: file.length,
+                complete: false,
+                progress: file.progress,
+                paused: file.paused,
+                url: `/api/stream/torrents/${download.infoHash}/${file.index}`,
+                subtitles: []
+            });
+        }
+    }
+
+    return sources;
+}
+
+/**
+ * Gets a downloaded or imported file to stream it
+ * @param {string} source - 'file' or 'owned'
+ * @param {number} id - Record ID
+ * @returns {Promise<Object|null>} { filePath, fileName, size }, or null if the record or its file is missing
+ */
+export async function getLibraryStreamFile(source, id) {
+    const file = getPlayableFile(source, id);
+    if (!file || getFileType(file.fileName) !== 'video') {
+        return null;
+    }
+
+    try {
+        const fileStats = await stat(file.filePath);
+        return { filePath: file.filePath, fileName: file.fileName, size: fileStats.size };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Gets a subtitle track of a downloaded or imported file as WebVTT
+ * @param {string} source - 'file' or 'owned'
+ * @param {number} id - Record ID
+ * @param {number} index - Index of the track in the subtitles of the source
+ * @returns {Promise<string|null>} WebVTT content, or null if there is no such track
+ */
+export async function getSubtitleTrack(source, id, index) {
+    const file = getPlayableFile(source, id);
+    if (!file) {
+        return null;
+    }
+
+    const subtitle = (await findSubtitleFiles(file.filePath))[index];
+    if (!subtitle) {
+        return null;
+    }
+
+    return toWebVtt(await readFile(subtitle.filePath, 'utf8'), subtitle.fileName);
+}
+
+/**
+ * Gets a file of a torrent that is still downloading to stream it
+ * @param {string} infoHash - Info hash of the torrent
+ * @param {number} fileIndex - Index of the file in the torrent
+ * @returns {Object|null} { fileName, size, createStream } or null if the file can't be streamed
+ */
+export function getTorrentStreamFile(infoHash, fileIndex) {
+    const file = getStreamableTorrentFile(infoHash, fileIndex);
+    if (!file || getFileType(file.name) !== 'video') {
+        return null;
+    }
+
+    return {
+        fileName: file.name,
+        size: file.length,
+        createStream: (start, end) => file.createReadStream({ start, end })
+    };
+}
+
+/**
+ * Sends a video, or the byte range of it the request asks for
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} file - { fileName, size, createStream(start, end) }; end is inclusive
+ */
+export function sendVideoRange(req, res, { fileName, size, createStream }) {
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Content-Type', VIDEO_CONTENT_TYPES[extname(fileName).toLowerCase()] || 'application/octet-stream');
+
+    let start = 0;
+    let end = size - 1;
+    // Range headers that can't be parsed are ignored and the whole file is sent
+    const match = /^bytes=(\d*)-(\d*)$/.exec((req.headers.range || '').trim());
+
+    if (match && (match[1] || match[2])) {
+        if (match[1]) {
+            start = parseInt(match[1], 10);
+            end = match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+        } else {
+            // Suffix range: the last N bytes
+            start = Math.max(size - parseInt(match[2], 10), 0);
+        }
+
+        if (start > end || start >= size) {
+            res.setHeader('Content-Range', `bytes */${size}`);
+            return res.status(416).end();
+        }
+
+        res.status(206);
+        res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+    }
+
+    res.setHeader('Content-Length', end - start + 1);
+    if (req.method === 'HEAD' || size === 0) {
+        return res.end();
+    }
+
+    const stream = createStream(start, end);
+    stream.on('error', (error) => {
+        console.error(`Error streaming ${fileName}:`, error.message);
+        res.destroy(error);
+    });
+    // Players drop connections whenever they seek
+    res.on('close', () => stream.destroy());
+    stream.pipe(res);
+}
+
+/**
+ * Creates a read stream for a byte range of a file on disk
+ * @param {string} filePath - File path
+ * @returns {Function} createStream(start, end) for sendVideoRange
+ */
+export function createFileRangeStream(filePath) {
+    return (start, end) => createReadStream(filePath, { start, end });
+}
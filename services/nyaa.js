@@ -1,10 +1,27 @@
 import * as cheerio from 'cheerio';
 import { NYAA_BASE_URL } from '../config/constants.js';
 import { sleep } from '../utils/helpers.js';
+import Parser from 'rss-parser';
+import { buildMagnet, normalizeInfoHash, parseInfoHashFromMagnet } from '../utils/magnet.js';
 
 const MAX_RETRIES = 3;
 const RETRY_DELAY_MS = 2000; // 2 seconds
 
+// Nyaa publishes the listing columns as nyaa:* elements on each RSS item
+const rssParser = new Parser({
+    customFields: {
+        item: [
+            ['nyaa:infoHash', 'infoHash'],
+            ['nyaa:size', 'size'],
+            ['nyaa:seeders', 'seeders'],
+            ['nyaa:leechers', 'leechers'],
+            ['nyaa:downloads', 'downloads'],
+            ['nyaa:trusted', 'trusted'],
+            ['nyaa:remake', 'remake']
+        ]
+    }
+});
+
 /**
  * Checks if an error is a 429 (Too Many Requests) error
  * @param {Error} error - The error object to check
@@ -21,6 +38,37 @@ function isRateLimitError(error) {
     );
 }
 
+const SIZE_UNITS = {
+    B: 1,
+    KiB: 1024,
+    MiB: 1024 ** 2,
+    GiB: 1024 ** 3,
+    TiB: 1024 ** 4
+};
+
+/**
+ * Parses a Nyaa size string (e.g. "1.4 GiB") into bytes
+ * @param {string} sizeText - Size text from the listing
+ * @returns {number|null} Size in bytes or null if it can't be parsed
+ */
+function parseSize(sizeText) {
+    const match = (sizeText || '').match(/^([\d.]+)\s*(B|KiB|MiB|GiB|TiB)$/);
+    if (!match) {
+        return null;
+    }
+    return Math.round(parseFloat(match[1]) * SIZE_UNITS[match[2]]);
+}
+
+/**
+ * Parses a numeric listing cell (seeders, leechers, completed)
+ * @param {string} text - Cell text
+ * @returns {number|null} Parsed number or null if it isn't a number
+ */
+function parseCount(text) {
+    const value = parseInt(text, 10);
+    return isNaN(value) ? null : value;
+}
+
 /**
  * Parses HTML content and extracts torrent items
  * @param {string} html - HTML content to parse
@@ -49,14 +97,21 @@ function parseTorrentHTML(html) {
             ? titleLink.text().trim() 
             : $titleCell.text().trim();
         
-        // Third td has 2 a links, first one is the torrent relative url
+        // Third td has 2 a links, first one is the torrent relative url, second one the magnet link
         const $thirdCell = $cells.eq(2);
         const $firstLink = $thirdCell.find('a').first();
         const relativeUrl = $firstLink.attr('href');
+        const magnet = $thirdCell.find('a[href^="magnet:"]').first().attr('href') || null;
         
-        // Fourth td has the torrent date
+        // Fourth td has the torrent size, fifth the date
+        const sizeText = $cells.eq(3).text().trim();
         const dateText = $cells.eq(4).text().trim();
         
+        // Then seeders, leechers and completed downloads
+        const seeders = parseCount($cells.eq(5).text().trim());
+        const leechers = parseCount($cells.eq(6).text().trim());
+        const completed = parseCount($cells.eq(7).text().trim());
+        
         if (title && relativeUrl) {
             // Append relative URL to NYAA_BASE_URL
             const fullLink = relativeUrl.startsWith('http') 
@@ -66,7 +121,16 @@ function parseTorrentHTML(html) {
             items.push({
                 title: title,
                 link: fullLink,
-                date: new Date(dateText)
+                magnet: magnet,
+                infoHash: parseInfoHashFromMagnet(magnet),
+                date: new Date(dateText),
+                size: parseSize(sizeText),
+                seeders: seeders,
+                leechers: leechers,
+                completed: completed,
+                // Trusted uploads are highlighted green, remakes red
+                trusted: $row.hasClass('success'),
+                remake: $row.hasClass('danger')
             });
         }
     });
@@ -96,12 +160,12 @@ function isLastPage(html) {
 }
 
 /**
- * Fetches a single page of torrents
+ * Fetches a URL as text, retrying on 429 rate limit errors
  * @param {string} url - URL to fetch
  * @param {number} retryCount - Current retry attempt (internal use)
- * @returns {Promise<Object>} Object with items array and isLastPage flag
+ * @returns {Promise<string>} Response body
  */
-async function fetchTorrentPage(url, retryCount = 0) {
+async function fetchText(url, retryCount = 0) {
     try {
         const response = await fetch(url);
         
@@ -111,7 +175,7 @@ async function fetchTorrentPage(url, retryCount = 0) {
                 const attempt = retryCount + 1;
                 console.log(`Rate limit (429) encountered. Retrying in 2 seconds... (Attempt ${attempt}/${MAX_RETRIES})`);
                 await sleep(RETRY_DELAY_MS);
-                return fetchTorrentPage(url, retryCount + 1);
+                return fetchText(url, retryCount + 1);
             }
             throw new Error('Rate limit exceeded after max retries');
         }
@@ -120,40 +184,90 @@ async function fetchTorrentPage(url, retryCount = 0) {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
         
-        const html = await response.text();
-        const items = parseTorrentHTML(html);
-        const isLast = isLastPage(html);
-        
-        await sleep(500); // to avoid rate limiting
-
-        console.log(`Fetched ${items.length} torrent(s) from ${url}`);
-        return { items, isLastPage: isLast };
+        return await response.text();
     } catch (error) {
         // Check if it's a rate limit error (429)
         if (isRateLimitError(error) && retryCount < MAX_RETRIES) {
             const attempt = retryCount + 1;
             console.log(`Rate limit (429) encountered. Retrying in 2 seconds... (Attempt ${attempt}/${MAX_RETRIES})`);
             await sleep(RETRY_DELAY_MS);
-            return fetchTorrentPage(url, retryCount + 1);
+            return fetchText(url, retryCount + 1);
         }
         
         // If not a rate limit error or max retries reached, throw the error
-        console.error(`Error fetching HTML: ${error.message}`);
+        console.error(`Error fetching ${url}: ${error.message}`);
         throw error;
     }
 }
 
+/**
+ * Fetches a single page of torrents
+ * @param {string} url - URL to fetch
+ * @returns {Promise<Object>} Object with items array and isLastPage flag
+ */
+async function fetchTorrentPage(url) {
+    const html = await fetchText(url);
+    const items = parseTorrentHTML(html);
+    const isLast = isLastPage(html);
+    
+    await sleep(500); // to avoid rate limiting
+
+    console.log(`Fetched ${items.length} torrent(s) from ${url}`);
+    return { items, isLastPage: isLast };
+}
+
+/**
+ * Converts a Nyaa RSS item into the same shape as a scraped listing row
+ * @param {Object} item - Item parsed by rss-parser
+ * @returns {Object|null} Torrent item or null if the item has no title or link
+ */
+function parseRssItem(item) {
+    if (!item.title || !item.link) {
+        return null;
+    }
+
+    const infoHash = normalizeInfoHash(item.infoHash);
+
+    return {
+        title: item.title.trim(),
+        link: item.link,
+        magnet: buildMagnet(infoHash, item.title.trim()),
+        infoHash: infoHash,
+        date: new Date(item.pubDate),
+        size: parseSize(item.size),
+        seeders: parseCount(item.seeders),
+        leechers: parseCount(item.leechers),
+        completed: parseCount(item.downloads),
+        trusted: item.trusted === 'Yes',
+        remake: item.remake === 'Yes'
+    };
+}
+
+/**
+ * Builds the Nyaa search query string shared by the HTML and RSS searches
+ * @param {string} animeTitle - Title of the anime to search for
+ * @param {Object} options - Search options
+ * @param {string} options.category - Nyaa category (default: "1_2", English-translated anime)
+ * @param {string} options.filter - Nyaa filter (0 = none, 1 = no remakes, 2 = trusted only)
+ * @param {string} options.querySuffix - Terms appended to the title (default: "1080p")
+ * @returns {string} Query string (without the leading "?")
+ */
+function buildSearchQuery(animeTitle, { category = '1_2', filter = '0', querySuffix = '1080p' } = {}) {
+    const terms = querySuffix ? `${animeTitle} ${querySuffix}` : animeTitle;
+    return 'q=' + encodeURIComponent(terms).replaceAll("%20", "+") +
+        `&c=${encodeURIComponent(category)}&f=${encodeURIComponent(filter)}`;
+}
+
 /**
  * Searches for torrents on Nyaa.si based on anime title
  * Handles pagination and 429 rate limit errors by retrying after 2 seconds
  * @param {string} animeTitle - Title of the anime to search for
  * @param {boolean} deepSearch - If true, searches all pages; if false, only fetches the first page (default: false)
+ * @param {Object} options - Search options (category, filter, querySuffix), see buildSearchQuery
  * @returns {Promise<Object>} Object with items array (compatible with RSS format)
  */
-export async function torrentSearch(animeTitle, deepSearch = false) {
-    const baseUrl = NYAA_BASE_URL +'/?q=' + 
-        (encodeURIComponent(animeTitle) + "+1080p").replaceAll("%20", "+") + 
-        "&c=1_2&f=0";
+export async function torrentSearch(animeTitle, deepSearch = false, options = {}) {
+    const baseUrl = NYAA_BASE_URL + '/?' + buildSearchQuery(animeTitle, options);
     
     const allItems = [];
     let pageNumber = 1;
@@ -193,3 +307,30 @@ export async function torrentSearch(animeTitle, deepSearch = false) {
     return { items: allItems };
 }
 
+
+/**
+ * Searches the Nyaa RSS feed for torrents newer than a given date
+ * The feed is a single request without pagination, so it is meant for routine checks of already scanned anime;
+ * first-time scans should use torrentSearch with deepSearch to get the full history
+ * @param {string} animeTitle - Title of the anime to search for
+ * @param {Date|number|null} since - Only return torrents published after this date (null returns the whole feed)
+ * @param {Object} options - Search options (category, filter, querySuffix), see buildSearchQuery
+ * @returns {Promise<Object>} Object with items array (same format as torrentSearch)
+ */
+export async function torrentRssSearch(animeTitle, since = null, options = {}) {
+    const url = NYAA_BASE_URL + '/?page=rss&' + buildSearchQuery(animeTitle, options);
+    console.log(`Fetching RSS feed: ${url}`);
+
+    const xml = await fetchText(url);
+    const feed = await rssParser.parseString(xml);
+    const sinceTime = since ? new Date(since).getTime() : null;
+
+    const items = (feed.items || [])
+        .map(parseRssItem)
+        .filter(item => item && (sinceTime === null || item.date.getTime() > sinceTime));
+
+    await sleep(500); // to avoid rate limiting
+
+    console.log(`Fetched ${items.length} new torrent(s) from RSS feed (${(feed.items || []).length} in feed)`);
+    return { items };
+}
@@ -0,0 +1,353 @@
+/**
+ * Release-quality preference profiles
+ * A profile describes which releases the auto-downloader should prefer for an episode:
+ * ordered subgroups, allowed resolutions, preferred codecs, batch preference and a seeder floor.
+ * Once a season has finished airing, a batch covering the missing episodes can be preferred over single episodes.
+ * With upgrades enabled, an already downloaded episode is replaced when a strictly better release shows up.
+ */
+
+import { parseReleaseInfo } from '../parsers/releaseParser.js';
+
+export const RESOLUTIONS = ['2160p', '1080p', '720p', '480p'];
+export const CODECS = ['HEVC', 'AVC', 'AV1'];
+
+export const DEFAULT_QUALITY_PROFILE = {
+    subGroups: [],
+    resolutions: [],
+    codecs: [],
+    preferBatch: false,
+    preferBatchWhenFinished: false,
+    minSeeders: 0,
+    allowUpgrades: false
+};
+
+// Score weights - a higher ranked subgroup always beats a better resolution, and so on
+const SUBGROUP_WEIGHT = 1000;
+const RESOLUTION_WEIGHT = 100;
+const CODEC_WEIGHT = 10;
+const BATCH_WEIGHT = 5;
+const VERSION_WEIGHT = 1;
+
+/**
+ * Returns the parsed release metadata of a torrent
+ * Uses the stored columns when present and parses the title otherwise
+ * @param {Object} torrent - Torrent object
+ * @returns {Object} Release info as returned by parseReleaseInfo
+ */
+function getReleaseInfo(torrent) {
+    if (torrent.resolution !== undefined && torrent.batch !== undefined) {
+        return torrent;
+    }
+    return parseReleaseInfo(torrent.title);
+}
+
+/**
+ * Normalizes a profile object, dropping unknown values and filling in defaults
+ * @param {Object|null} profile - Raw profile object
+ * @returns {Object} Normalized profile
+ */
+export function normalizeQualityProfile(profile) {
+    if (!profile || typeof profile !== 'object') {
+        return { ...DEFAULT_QUALITY_PROFILE };
+    }
+
+    const subGroups = Array.isArray(profile.subGroups)
+        ? profile.subGroups
+            .filter(name => typeof name === 'string' && name.trim())
+            .map(name => name.trim())
+        : [];
+
+    const resolutions = Array.isArray(profile.resolutions)
+        ? profile.resolutions.filter(resolution => RESOLUTIONS.includes(resolution))
+        : [];
+
+    const codecs = Array.isArray(profile.codecs)
+        ? profile.codecs.filter(codec => CODECS.includes(codec))
+        : [];
+
+    const minSeeders = Number(profile.minSeeders);
+
+    return {
+        subGroups: [...new Set(subGroups)],
+        resolutions: [...new Set(resolutions)],
+        codecs: [...new Set(codecs)],
+        preferBatch: Boolean(profile.preferBatch),
+        preferBatchWhenFinished: Boolean(profile.preferBatchWhenFinished),
+        minSeeders: Number.isFinite(minSeeders) && minSeeders > 0 ? Math.floor(minSeeders) : 0,
+        allowUpgrades: Boolean(profile.allowUpgrades)
+    };
+}
+
+/**
+ * Validates a profile coming from the API
+ * @param {*} profile - Profile object to validate
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateQualityProfile(profile) {
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        return 'profile must be an object';
+    }
+
+    for (const field of ['subGroups', 'resolutions', 'codecs']) {
+        if (profile[field] !== undefined && !Array.isArray(profile[field])) {
+            return `${field} must be an array`;
+        }
+    }
+
+    if (profile.subGroups && profile.subGroups.some(name => typeof name !== 'string')) {
+        return 'subGroups must only contain strings';
+    }
+
+    const invalidResolution = (profile.resolutions || []).find(resolution => !RESOLUTIONS.includes(resolution));
+    if (invalidResolution !== undefined) {
+        return `Invalid resolution: ${invalidResolution}. Must be one of: ${RESOLUTIONS.join(', ')}`;
+    }
+
+    const invalidCodec = (profile.codecs || []).find(codec => !CODECS.includes(codec));
+    if (invalidCodec !== undefined) {
+        return `Invalid codec: ${invalidCodec}. Must be one of: ${CODECS.join(', ')}`;
+    }
+
+    if (profile.preferBatch !== undefined && typeof profile.preferBatch !== 'boolean') {
+        return 'preferBatch must be a boolean';
+    }
+
+    if (profile.preferBatchWhenFinished !== undefined && typeof profile.preferBatchWhenFinished !== 'boolean') {
+        return 'preferBatchWhenFinished must be a boolean';
+    }
+
+    if (profile.allowUpgrades !== undefined && typeof profile.allowUpgrades !== 'boolean') {
+        return 'allowUpgrades must be a boolean';
+    }
+
+    if (profile.minSeeders !== undefined && profile.minSeeders !== null) {
+        const minSeeders = Number(profile.minSeeders);
+        if (isNaN(minSeeders) || minSeeders < 0) {
+            return 'minSeeders must be a positive number';
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Resolves the profile that applies to an anime
+ * The per-anime profile replaces the global profile entirely when set
+ * @param {Object|null} animeProfile - Per-anime profile (null to use the global one)
+ * @param {Object|null} globalProfile - Global profile
+ * @returns {Object} Effective, normalized profile
+ */
+export function resolveQualityProfile(animeProfile, globalProfile) {
+    return normalizeQualityProfile(animeProfile || globalProfile);
+}
+
+/**
+ * Scores a torrent against a profile
+ * @param {Object} torrent - Torrent object ({ title, subGroup, seeders, ... })
+ * @param {Object} profile - Normalized profile
+ * @returns {Object} { accepted, score, reasons } where reasons explain the score or the rejection
+ */
+export function scoreTorrent(torrent, profile) {
+    const reasons = [];
+    let score = 0;
+
+    const release = getReleaseInfo(torrent);
+    const resolution = release.resolution;
+    const codec = release.videoCodec;
+    const isBatch = Boolean(release.batch);
+    const version = release.version || 1;
+
+    // Hard requirements first
+    if (profile.resolutions.length > 0 && !profile.resolutions.includes(resolution)) {
+        return {
+            accepted: false,
+            score: 0,
+            reasons: [`Resolution ${resolution || 'unknown'} is not allowed`]
+        };
+    }
+
+    // Seeders are only known for some indexers, unknown counts are not rejected
+    if (profile.minSeeders > 0 && torrent.seeders !== null && torrent.seeders !== undefined && torrent.seeders < profile.minSeeders) {
+        return {
+            accepted: false,
+            score: 0,
+            reasons: [`${torrent.seeders} seeder(s), below the minimum of ${profile.minSeeders}`]
+        };
+    }
+
+    // Subgroup preference (earlier in the list is better)
+    const subGroupIndex = torrent.subGroup
+        ? profile.subGroups.findIndex(name => name.toLowerCase() === torrent.subGroup.toLowerCase())
+        : -1;
+    if (subGroupIndex !== -1) {
+        score += (profile.subGroups.length - subGroupIndex) * SUBGROUP_WEIGHT;
+        reasons.push(`Preferred subgroup #${subGroupIndex + 1} (${profile.subGroups[subGroupIndex]})`);
+    }
+
+    // Resolution preference (earlier in the list is better)
+    const resolutionIndex = profile.resolutions.indexOf(resolution);
+    if (resolutionIndex !== -1) {
+        score += (profile.resolutions.length - resolutionIndex) * RESOLUTION_WEIGHT;
+        reasons.push(`Resolution ${resolution}${profile.resolutions.length > 1 ? ` (#${resolutionIndex + 1} allowed)` : ''}`);
+    }
+
+    // Codec preference (earlier in the list is better)
+    const codecIndex = profile.codecs.indexOf(codec);
+    if (codecIndex !== -1) {
+        score += (profile.codecs.length - codecIndex) * CODEC_WEIGHT;
+        reasons.push(`Preferred codec #${codecIndex + 1} (${codec})`);
+    }
+
+    if (isBatch) {
+        if (profile.preferBatch) {
+            score += BATCH_WEIGHT;
+            reasons.push('Batch release preferred');
+        } else {
+            score -= BATCH_WEIGHT;
+            reasons.push('Batch release (single episodes preferred)');
+        }
+    }
+
+    // Revisions fix mistakes in the original release
+    if (version > 1) {
+        score += (version - 1) * VERSION_WEIGHT;
+        reasons.push(`Revision v${version}`);
+    }
+
+    if (torrent.seeders !== null && torrent.seeders !== undefined) {
+        reasons.push(`${torrent.seeders} seeder(s)`);
+    }
+
+    if (reasons.length === 0) {
+        reasons.push('No profile preference matched');
+    }
+
+    return { accepted: true, score, reasons };
+}
+
+/**
+ * Ranks torrents against a profile, best candidate first
+ * Accepted torrents come before rejected ones; ties are broken by swarm health (seeders, trusted uploader)
+ * and then by earliest release date
+ * @param {Array} torrents - Torrent objects
+ * @param {Object} profile - Normalized profile
+ * @returns {Array} Array of { torrent, accepted, score, reasons }
+ */
+export function rankTorrents(torrents, profile) {
+    return (torrents || [])
+        .map(torrent => ({ torrent, ...scoreTorrent(torrent, profile) }))
+        .sort((a, b) => {
+            if (a.accepted !== b.accepted) {
+                return a.accepted ? -1 : 1;
+            }
+            if (a.score !== b.score) {
+                return b.score - a.score;
+            }
+            const seedersA = a.torrent.seeders ?? -1;
+            const seedersB = b.torrent.seeders ?? -1;
+            if (seedersA !== seedersB) {
+                return seedersB - seedersA;
+            }
+            if (Boolean(a.torrent.trusted) !== Boolean(b.torrent.trusted)) {
+                return a.torrent.trusted ? -1 : 1;
+            }
+            const dateA = a.torrent.date ? new Date(a.torrent.date).getTime() : 0;
+            const dateB = b.torrent.date ? new Date(b.torrent.date).getTime() : 0;
+            return dateA - dateB; // Earliest first
+        });
+}
+
+/**
+ * Picks the best torrent for an episode according to a profile
+ * @param {Array} torrents - Torrent objects for the episode
+ * @param {Object} profile - Normalized profile
+ * @returns {Object|null} Best { torrent, score, reasons } or null if every torrent was rejected
+ */
+export function selectBestTorrent(torrents, profile) {
+    const ranked = rankTorrents(torrents, profile);
+    if (ranked.length === 0 || !ranked[0].accepted) {
+        return null;
+    }
+    return ranked[0];
+}
+
+/**
+ * Picks the batch torrent covering the most of the given episodes
+ * Ties are broken by the profile ranking
+ * @param {Array} episodes - Episode objects ({ episode, torrents })
+ * @param {Object} profile - Normalized profile
+ * @returns {Object|null} { torrent, score, reasons, episodes } where episodes are the covered episode numbers,
+ *                        or null if no accepted batch covers more than one episode
+ */
+export function selectBatchTorrent(episodes, profile) {
+    const batchTorrents = new Map();
+    const coveredEpisodes = new Map();
+
+    for (const episode of episodes) {
+        for (const torrent of episode.torrents || []) {
+            if (!getReleaseInfo(torrent).batch || !torrent.id) {
+                continue;
+            }
+            batchTorrents.set(torrent.id, torrent);
+            if (!coveredEpisodes.has(torrent.id)) {
+                coveredEpisodes.set(torrent.id, []);
+            }
+            coveredEpisodes.get(torrent.id).push(episode.episode);
+        }
+    }
+
+    let best = null;
+    for (const entry of rankTorrents([...batchTorrents.values()], profile)) {
+        const covered = coveredEpisodes.get(entry.torrent.id);
+        if (!entry.accepted || covered.length < 2) {
+            continue;
+        }
+        // Ranked list is best first, so only strictly larger coverage replaces the current pick
+        if (!best || covered.length > best.episodes.length) {
+            best = {
+                torrent: entry.torrent,
+                score: entry.score,
+                reasons: [
+                    `Batch covering ${covered.length} episode(s)`,
+                    ...entry.reasons.filter(reason => !reason.startsWith('Batch release'))
+                ],
+                episodes: covered
+            };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Looks for a strictly better torrent for an episode that was already downloaded
+ * @param {Array} torrents - Torrent objects for the episode
+ * @param {Set<number>} downloadedTorrentIds - IDs of torrents that have been downloaded
+ * @param {Object} profile - Normalized profile
+ * @returns {Object|null} { torrent, score, reasons, replaces } or null if no upgrade is available
+ */
+export function findUpgrade(torrents, downloadedTorrentIds, profile) {
+    if (!profile.allowUpgrades) {
+        return null;
+    }
+
+    const ranked = rankTorrents(torrents, profile);
+    const best = ranked.length > 0 && ranked[0].accepted ? ranked[0] : null;
+    // Ranked list is best first, so the first downloaded entry is the best copy we already have
+    const current = ranked.find(entry => downloadedTorrentIds.has(entry.torrent.id));
+
+    if (!best || !current || downloadedTorrentIds.has(best.torrent.id)) {
+        return null;
+    }
+
+    if (current.accepted && best.score <= current.score) {
+        return null;
+    }
+
+    return {
+        torrent: best.torrent,
+        score: best.score,
+        reasons: best.reasons,
+        replaces: current.torrent
+    };
+}
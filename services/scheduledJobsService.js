@@ -1,8 +1,15 @@
 import cron from 'node-cron';
 import { getEnabledScheduledJobs, updateScheduledJobRunTime, getScheduledJobById } from '../database/animeDB.js';
-import { scheduleUpdateQuarterTask, scheduleScanAutodownloadTask, scheduleQueueAutodownloadTask } from './taskQueue.js';
+import { scheduleUpdateQuarterTask, scheduleScanAutodownloadTask, scheduleQueueAutodownloadTask, scheduleApplyRetentionTask, scheduleSyncAniListTask } from './taskQueue.js';
+import { applyBandwidthSchedule, updateDiskSpaceGuard } from './torrentService.js';
 
 const activeCronJobs = new Map();
+// Built-in job that re-evaluates the bandwidth schedule every minute; it isn't stored in the database
+const BANDWIDTH_SCHEDULE_CRON = '* * * * *';
+let bandwidthScheduleJob = null;
+// Built-in job that checks the free space of the anime location every minute
+const DISK_SPACE_GUARD_CRON = '* * * * *';
+let diskSpaceGuardJob = null;
 
 /**
  * Calculates the next run time based on cron schedule
@@ -123,6 +130,28 @@ export async function executeScheduledJob(job) {
                 }
                 break;
             }
+            case 'APPLY_RETENTION': {
+                // Schedule the retention task
+                scheduleApplyRetentionTask();
+                
+                // Calculate and update next run time
+                const nextRun = calculateNextRun(job.cronSchedule);
+                if (nextRun) {
+                    updateScheduledJobRunTime(job.id, nextRun);
+                }
+                break;
+            }
+            case 'SYNC_ANILIST': {
+                // Schedule the AniList sync task
+                scheduleSyncAniListTask();
+                
+                // Calculate and update next run time
+                const nextRun = calculateNextRun(job.cronSchedule);
+                if (nextRun) {
+                    updateScheduledJobRunTime(job.id, nextRun);
+                }
+                break;
+            }
             default:
                 console.error(`Unknown job type: ${job.jobType}`);
         }
@@ -131,10 +160,51 @@ export async function executeScheduledJob(job) {
     }
 }
 
+/**
+ * Starts the built-in bandwidth schedule job
+ * Speed limit windows use the server's local time, so the job only ticks and leaves the time checks to the schedule
+ */
+function startBandwidthScheduleJob() {
+    if (bandwidthScheduleJob) {
+        return;
+    }
+    
+    bandwidthScheduleJob = cron.schedule(BANDWIDTH_SCHEDULE_CRON, () => {
+        try {
+            applyBandwidthSchedule();
+        } catch (error) {
+            console.error('Error applying bandwidth schedule:', error);
+        }
+    }, {
+        scheduled: true
+    });
+}
+
+/**
+ * Starts the built-in disk space guard job
+ * Downloads wait while the free space of the anime location is below the configured minimum
+ */
+function startDiskSpaceGuardJob() {
+    if (diskSpaceGuardJob) {
+        return;
+    }
+    
+    diskSpaceGuardJob = cron.schedule(DISK_SPACE_GUARD_CRON, () => {
+        updateDiskSpaceGuard().catch(error => {
+            console.error('Error checking free disk space:', error);
+        });
+    }, {
+        scheduled: true
+    });
+}
+
 /**
  * Initializes and schedules all enabled jobs
  */
 export function initializeScheduledJobs() {
+    startBandwidthScheduleJob();
+    startDiskSpaceGuardJob();
+    
     // Clear existing cron jobs
     activeCronJobs.forEach((cronJob) => {
         cronJob.stop();
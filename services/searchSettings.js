@@ -0,0 +1,129 @@
+/**
+ * Torrent search settings
+ * Settings control the queries sent to the indexers: the resolution term, Nyaa's category and trusted filter,
+ * extra terms added to every query and terms that exclude a result when they appear in its title.
+ * Global settings apply to every anime unless the anime has its own override.
+ */
+
+export const SEARCH_RESOLUTIONS = ['', '2160p', '1080p', '720p', '480p'];
+export const SEARCH_CATEGORIES = ['1_0', '1_2', '1_3', '1_4'];
+export const SEARCH_FILTERS = ['0', '1', '2'];
+
+export const DEFAULT_SEARCH_SETTINGS = {
+    resolution: '1080p',
+    category: '1_2',
+    filter: '0',
+    includeTerms: [],
+    excludeTerms: []
+};
+
+/**
+ * Normalizes a list of search terms (trimmed, non-empty, unique case-insensitively)
+ * @param {*} terms - Raw terms array
+ * @returns {Array<string>} Normalized terms
+ */
+function normalizeTerms(terms) {
+    if (!Array.isArray(terms)) {
+        return [];
+    }
+
+    const seen = new Set();
+    return terms
+        .filter(term => typeof term === 'string' && term.trim())
+        .map(term => term.trim())
+        .filter(term => {
+            const key = term.toLowerCase();
+            if (seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        });
+}
+
+/**
+ * Normalizes a settings object, dropping unknown values and filling in defaults
+ * @param {Object|null} settings - Raw settings object
+ * @returns {Object} Normalized settings
+ */
+export function normalizeSearchSettings(settings) {
+    if (!settings || typeof settings !== 'object') {
+        return { ...DEFAULT_SEARCH_SETTINGS };
+    }
+
+    return {
+        resolution: SEARCH_RESOLUTIONS.includes(settings.resolution) ? settings.resolution : DEFAULT_SEARCH_SETTINGS.resolution,
+        category: SEARCH_CATEGORIES.includes(settings.category) ? settings.category : DEFAULT_SEARCH_SETTINGS.category,
+        filter: SEARCH_FILTERS.includes(String(settings.filter)) ? String(settings.filter) : DEFAULT_SEARCH_SETTINGS.filter,
+        includeTerms: normalizeTerms(settings.includeTerms),
+        excludeTerms: normalizeTerms(settings.excludeTerms)
+    };
+}
+
+/**
+ * Validates settings coming from the API
+ * @param {*} settings - Settings object to validate
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateSearchSettings(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return 'settings must be an object';
+    }
+
+    if (settings.resolution !== undefined && !SEARCH_RESOLUTIONS.includes(settings.resolution)) {
+        return `Invalid resolution: ${settings.resolution}. Must be one of: ${SEARCH_RESOLUTIONS.filter(Boolean).join(', ')} or empty for any`;
+    }
+
+    if (settings.category !== undefined && !SEARCH_CATEGORIES.includes(settings.category)) {
+        return `Invalid category: ${settings.category}. Must be one of: ${SEARCH_CATEGORIES.join(', ')}`;
+    }
+
+    if (settings.filter !== undefined && !SEARCH_FILTERS.includes(String(settings.filter))) {
+        return `Invalid filter: ${settings.filter}. Must be one of: ${SEARCH_FILTERS.join(', ')}`;
+    }
+
+    for (const field of ['includeTerms', 'excludeTerms']) {
+        if (settings[field] === undefined) {
+            continue;
+        }
+        if (!Array.isArray(settings[field])) {
+            return `${field} must be an array`;
+        }
+        if (settings[field].some(term => typeof term !== 'string')) {
+            return `${field} must only contain strings`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Resolves the settings that apply to an anime
+ * The per-anime settings replace the global settings entirely when set
+ * @param {Object|null} animeSettings - Per-anime settings (null to use the global ones)
+ * @param {Object|null} globalSettings - Global settings
+ * @returns {Object} Effective, normalized settings
+ */
+export function resolveSearchSettings(animeSettings, globalSettings) {
+    return normalizeSearchSettings(animeSettings || globalSettings);
+}
+
+/**
+ * Builds the terms appended to a title in every indexer query (resolution and include terms)
+ * @param {Object} settings - Normalized settings
+ * @returns {string} Space separated terms (may be empty)
+ */
+export function getQuerySuffix(settings) {
+    return [settings.resolution, ...settings.includeTerms].filter(Boolean).join(' ');
+}
+
+/**
+ * Checks whether a torrent title contains one of the exclude terms (case-insensitive)
+ * @param {string} title - Torrent title
+ * @param {Object} settings - Normalized settings
+ * @returns {boolean} True if the torrent should be dropped
+ */
+export function isExcludedTitle(title, settings) {
+    const lowerTitle = (title || '').toLowerCase();
+    return settings.excludeTerms.some(term => lowerTitle.includes(term.toLowerCase()));
+}
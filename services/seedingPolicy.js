@@ -0,0 +1,156 @@
+/**
+ * Seeding policy
+ * Completed downloads of the built-in WebTorrent client are seeded until they reach a target ratio
+ * or have been seeded for a target duration, whichever comes first. Seeding can be limited to the
+ * releases of some subgroups. Seeding uploads share the configured upload speed limit.
+ */
+
+export const DEFAULT_SEEDING_POLICY = {
+    enabled: false,
+    ratio: 1,
+    durationHours: 24,
+    subGroups: []
+};
+
+// Upper bounds for the targets, to catch typos like a ratio of 100 instead of 1.00
+const MAX_RATIO = 50;
+const MAX_DURATION_HOURS = 24 * 90;
+
+/**
+ * Normalizes a target value (positive number, or null for no target)
+ * @param {*} value - Raw value
+ * @param {number} max - Upper bound
+ * @returns {number|null} Normalized value
+ */
+function normalizeTarget(value, max) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const number = Number(value);
+    if (isNaN(number) || number <= 0) {
+        return null;
+    }
+    return Math.min(number, max);
+}
+
+/**
+ * Normalizes a list of subgroup names (trimmed, non-empty, unique case-insensitively)
+ * @param {*} subGroups - Raw subgroup names
+ * @returns {Array<string>} Normalized subgroup names
+ */
+function normalizeSubGroups(subGroups) {
+    if (!Array.isArray(subGroups)) {
+        return [];
+    }
+
+    const seen = new Set();
+    return subGroups
+        .filter(name => typeof name === 'string' && name.trim())
+        .map(name => name.trim())
+        .filter(name => {
+            const key = name.toLowerCase();
+            if (seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        });
+}
+
+/**
+ * Normalizes a policy object, dropping unknown values and filling in defaults
+ * @param {Object|null} policy - Raw policy object
+ * @returns {Object} Normalized policy
+ */
+export function normalizeSeedingPolicy(policy) {
+    if (!policy || typeof policy !== 'object') {
+        return { ...DEFAULT_SEEDING_POLICY };
+    }
+
+    return {
+        enabled: Boolean(policy.enabled),
+        ratio: normalizeTarget(policy.ratio, MAX_RATIO),
+        durationHours: normalizeTarget(policy.durationHours, MAX_DURATION_HOURS),
+        subGroups: normalizeSubGroups(policy.subGroups)
+    };
+}
+
+/**
+ * Validates a policy coming from the API
+ * @param {*} policy - Policy object to validate
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateSeedingPolicy(policy) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        return 'policy must be an object';
+    }
+
+    if (policy.enabled !== undefined && typeof policy.enabled !== 'boolean') {
+        return 'enabled must be a boolean';
+    }
+
+    const targets = [
+        { field: 'ratio', max: MAX_RATIO },
+        { field: 'durationHours', max: MAX_DURATION_HOURS }
+    ];
+    for (const { field, max } of targets) {
+        const value = policy[field];
+        if (value === null || value === undefined || value === '') {
+            continue;
+        }
+        const number = Number(value);
+        if (isNaN(number) || number <= 0 || number > max) {
+            return `${field} must be a number greater than 0 and at most ${max}, or null for no target`;
+        }
+    }
+
+    if (policy.subGroups !== undefined) {
+        if (!Array.isArray(policy.subGroups)) {
+            return 'subGroups must be an array';
+        }
+        if (policy.subGroups.some(name => typeof name !== 'string')) {
+            return 'subGroups must only contain strings';
+        }
+    }
+
+    // Without a target, torrents would be seeded forever
+    const normalized = normalizeSeedingPolicy(policy);
+    if (normalized.enabled && normalized.ratio === null && normalized.durationHours === null) {
+        return 'Set a target ratio, a seeding duration or both';
+    }
+
+    return null;
+}
+
+/**
+ * Checks whether a completed download should be seeded
+ * @param {Object} policy - Normalized policy
+ * @param {string|null} subGroupName - Subgroup of the downloaded torrent, if known
+ * @returns {boolean} True if the download should be seeded
+ */
+export function shouldSeed(policy, subGroupName) {
+    if (!policy.enabled) {
+        return false;
+    }
+    if (policy.subGroups.length === 0) {
+        return true;
+    }
+    const name = (subGroupName || '').toLowerCase();
+    return policy.subGroups.some(subGroup => subGroup.toLowerCase() === name);
+}
+
+/**
+ * Checks whether a seeding torrent has reached one of the policy's targets
+ * @param {Object} policy - Normalized policy
+ * @param {Object} progress - { ratio, seedingTime } with the seeding time in milliseconds
+ * @returns {boolean} True if seeding should stop
+ */
+export function hasReachedSeedingTarget(policy, { ratio, seedingTime }) {
+    if (policy.ratio !== null && ratio >= policy.ratio) {
+        return true;
+    }
+    if (policy.durationHours !== null && seedingTime >= policy.durationHours * 60 * 60 * 1000) {
+        return true;
+    }
+    return false;
+}
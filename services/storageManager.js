@@ -0,0 +1,407 @@
+/**
+ * Storage manager
+ * Keeps the anime location from filling up: downloads wait while the free space is below a minimum, and
+ * per-anime retention policies delete old episodes. What a retention run would delete can be previewed
+ * with a dry-run report.
+ */
+
+import { statfs, stat, unlink } from 'fs/promises';
+import {
+    getConfiguration,
+    getStorageSettings,
+    getLibraryFiles,
+    getAnimeRetentionPolicies,
+    recordRetentionDeletion,
+    getAllScheduledJobs,
+    createScheduledJob
+} from '../database/animeDB.js';
+import { getActiveDownloadTorrentIds } from '../database/downloadsDB.js';
+import { getAllWatchProgress } from '../database/watchDB.js';
+import { matchEpisode } from '../parsers/episodeParser.js';
+
+// A minimum free space of 0 turns the guard off
+export const DEFAULT_STORAGE_SETTINGS = {
+    minFreeSpaceGB: 0
+};
+
+// Rules left null are not applied; a policy without rules keeps every file
+export const DEFAULT_RETENTION_POLICY = {
+    keepLastEpisodes: null,
+    deleteWatchedAfterDays: null,
+    deleteFinishedAfterDays: null
+};
+
+const BYTES_PER_GB = 1024 * 1024 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bounds, to catch typos
+const MAX_FREE_SPACE_GB = 100000;
+const MAX_KEEP_LAST_EPISODES = 1000;
+const MAX_DAYS = 3650;
+
+// Retention runs daily once an anime has a retention policy
+const DEFAULT_RETENTION_JOB_CRON = '0 4 * * *';
+
+/**
+ * Normalizes a positive whole number (null when not set)
+ * @param {*} value - Raw value
+ * @param {number} max - Upper bound
+ * @returns {number|null} Normalized value
+ */
+function normalizeCount(value, max) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const number = Math.floor(Number(value));
+    if (isNaN(number) || number <= 0) {
+        return null;
+    }
+    return Math.min(number, max);
+}
+
+/**
+ * Normalizes storage settings, filling in defaults
+ * @param {Object|null} settings - Raw settings object
+ * @returns {Object} Normalized settings
+ */
+export function normalizeStorageSettings(settings) {
+    if (!settings || typeof settings !== 'object') {
+        return { ...DEFAULT_STORAGE_SETTINGS };
+    }
+
+    const minFreeSpaceGB = Number(settings.minFreeSpaceGB);
+    return {
+        minFreeSpaceGB: isNaN(minFreeSpaceGB) || minFreeSpaceGB < 0 ? 0 : Math.min(minFreeSpaceGB, MAX_FREE_SPACE_GB)
+    };
+}
+
+/**
+ * Validates storage settings coming from the API
+ * @param {*} settings - Settings object to validate
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateStorageSettings(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return 'settings must be an object';
+    }
+
+    const { minFreeSpaceGB } = settings;
+    if (typeof minFreeSpaceGB !== 'number' || isNaN(minFreeSpaceGB) || minFreeSpaceGB < 0 || minFreeSpaceGB > MAX_FREE_SPACE_GB) {
+        return `minFreeSpaceGB must be a number between 0 and ${MAX_FREE_SPACE_GB}`;
+    }
+
+    return null;
+}
+
+/**
+ * Normalizes a retention policy, dropping unknown values
+ * @param {Object|null} policy - Raw policy object
+ * @returns {Object|null} Normalized policy, or null if it has no rules
+ */
+export function normalizeRetentionPolicy(policy) {
+    if (!policy || typeof policy !== 'object') {
+        return null;
+    }
+
+    const normalized = {
+        keepLastEpisodes: normalizeCount(policy.keepLastEpisodes, MAX_KEEP_LAST_EPISODES),
+        deleteWatchedAfterDays: normalizeCount(policy.deleteWatchedAfterDays, MAX_DAYS),
+        deleteFinishedAfterDays: normalizeCount(policy.deleteFinishedAfterDays, MAX_DAYS)
+    };
+    return Object.values(normalized).some(value => value !== null) ? normalized : null;
+}
+
+/**
+ * Validates a retention policy coming from the API
+ * @param {*} policy - Policy object to validate
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateRetentionPolicy(policy) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        return 'policy must be an object';
+    }
+
+    const limits = {
+        keepLastEpisodes: MAX_KEEP_LAST_EPISODES,
+        deleteWatchedAfterDays: MAX_DAYS,
+        deleteFinishedAfterDays: MAX_DAYS
+    };
+    for (const [field, max] of Object.entries(limits)) {
+        const value = policy[field];
+        if (value === null || value === undefined) {
+            continue;
+        }
+        if (!Number.isInteger(value) || value < 1 || value > max) {
+            return `${field} must be a whole number between 1 and ${max}, or null`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Gets the disk space of the file system holding a path
+ * @param {string} path - Path on the file system
+ * @returns {Promise<Object>} { total, free, used } in bytes; free is the space available to this process
+ */
+export async function getDiskSpace(path) {
+    const stats = await statfs(path);
+    const total = stats.blocks * stats.bsize;
+    const free = stats.bavail * stats.bsize;
+    return {
+        total,
+        free,
+        used: total - stats.bfree * stats.bsize
+    };
+}
+
+/**
+ * Checks whether the free space of the anime location is below the configured minimum
+ * @returns {Promise<boolean>} True if downloads should wait for space; false when the guard is off or the space is unknown
+ */
+export async function isBelowMinFreeSpace() {
+    const { animeLocation } = getConfiguration();
+    const { minFreeSpaceGB } = normalizeStorageSettings(getStorageSettings());
+    if (!animeLocation || !minFreeSpaceGB) {
+        return false;
+    }
+
+    try {
+        const { free } = await getDiskSpace(animeLocation);
+        return free < minFreeSpaceGB * BYTES_PER_GB;
+    } catch (error) {
+        console.warn(`[storageManager] Could not read the free space of ${animeLocation}:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Gets the size of a file
+ * @param {string} filePath - File path
+ * @returns {Promise<number|null>} Size in bytes, or null if the file is missing
+ */
+async function getFileSize(filePath) {
+    try {
+        return (await stat(filePath)).size;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Gets the disk usage of the anime location and of the downloaded files of each anime
+ * @returns {Promise<Object>} { disk, settings, belowMinFreeSpace, anime: [{ animeId, animeTitle, files, size, missingFiles, policy }], totalSize }
+ */
+export async function getStorageReport() {
+    const { animeLocation } = getConfiguration();
+    const settings = normalizeStorageSettings(getStorageSettings());
+
+    let disk = null;
+    if (animeLocation) {
+        try {
+            disk = await getDiskSpace(animeLocation);
+        } catch (error) {
+            console.warn(`[storageManager] Could not read the disk space of ${animeLocation}:`, error.message);
+        }
+    }
+
+    const policies = new Map(getAnimeRetentionPolicies().map(anime => [anime.animeId, normalizeRetentionPolicy(anime.policy)]));
+    const usageByAnime = new Map();
+    for (const file of getLibraryFiles()) {
+        if (!usageByAnime.has(file.animeId)) {
+            usageByAnime.set(file.animeId, {
+                animeId: file.animeId,
+                animeTitle: file.animeTitle,
+                files: 0,
+                size: 0,
+                missingFiles: 0,
+                policy: policies.get(file.animeId) || null
+            });
+        }
+        const usage = usageByAnime.get(file.animeId);
+        const size = await getFileSize(file.filePath);
+        if (size === null) {
+            usage.missingFiles++;
+        } else {
+            usage.files++;
+            usage.size += size;
+        }
+    }
+
+    const anime = Array.from(usageByAnime.values()).sort((a, b) => b.size - a.size);
+    return {
+        disk,
+        settings,
+        belowMinFreeSpace: Boolean(disk && settings.minFreeSpaceGB && disk.free < settings.minFreeSpaceGB * BYTES_PER_GB),
+        anime,
+        totalSize: anime.reduce((sum, usage) => sum + usage.size, 0)
+    };
+}
+
+/**
+ * Retention rules; each returns the reason a file has to be deleted, or null to keep it
+ * Rules get the file, the anime (from getAnimeRetentionPolicies), the episodes to keep, when the file's episode
+ * was watched (null if it wasn't) and the current time
+ */
+const RETENTION_RULES = [
+    ({ anime, watchedAt, now }) => {
+        const days = anime.policy.deleteWatchedAfterDays;
+        if (!days || !watchedAt || watchedAt + days * DAY_MS > now) {
+            return null;
+        }
+        return `Watched more than ${days} day(s) ago`;
+    },
+    ({ anime, now }) => {
+        const days = anime.policy.deleteFinishedAfterDays;
+        if (!days || anime.episodeCount === 0 || !anime.lastAiringAt || anime.lastAiringAt + days * DAY_MS > now) {
+            return null;
+        }
+        return `Season finished airing more than ${days} day(s) ago`;
+    },
+    ({ file, anime, keptEpisodes }) => {
+        const count = anime.policy.keepLastEpisodes;
+        if (!count || file.episode === null || keptEpisodes.has(file.episode)) {
+            return null;
+        }
+        return `Only the last ${count} episode(s) are kept`;
+    }
+];
+
+/**
+ * Works out which downloaded files the retention policies delete
+ * Files of torrents that are still downloading or seeding are never deleted
+ * @param {number} now - Current time (ms)
+ * @returns {Promise<Array>} Array of { id, animeId, animeTitle, episode, filePath, fileName, size, reason }
+ */
+async function planRetention(now = Date.now()) {
+    const policies = getAnimeRetentionPolicies();
+    if (policies.length === 0) {
+        return [];
+    }
+
+    const activeTorrentIds = getActiveDownloadTorrentIds();
+    const watchedAtByEpisode = new Map(getAllWatchProgress()
+        .filter(progress => progress.watched)
+        .map(progress => [`${progress.animeId}-${progress.episodeNumber}`, progress.watchedAt]));
+    const filesByAnime = new Map();
+    getLibraryFiles().forEach(file => {
+        if (!filesByAnime.has(file.animeId)) {
+            filesByAnime.set(file.animeId, []);
+        }
+        filesByAnime.get(file.animeId).push({
+            ...file,
+            episode: matchEpisode(file.fileName) ?? file.episodeNumber ?? null
+        });
+    });
+
+    const planned = [];
+    for (const anime of policies) {
+        const files = filesByAnime.get(anime.animeId) || [];
+        const episodes = [...new Set(files.map(file => file.episode).filter(episode => episode !== null))]
+            .sort((a, b) => b - a);
+        const keptEpisodes = new Set(episodes.slice(0, anime.policy.keepLastEpisodes || episodes.length));
+
+        for (const file of files) {
+            if (activeTorrentIds.has(file.torrentId)) {
+                continue;
+            }
+
+            const reason = RETENTION_RULES
+                .map(rule => rule({
+                    file,
+                    anime,
+                    keptEpisodes,
+                    watchedAt: file.episode === null ? null : watchedAtByEpisode.get(`${anime.animeId}-${file.episode}`) ?? null,
+                    now
+                }))
+                .find(Boolean);
+            if (!reason) {
+                continue;
+            }
+
+            const size = await getFileSize(file.filePath);
+            planned.push({
+                id: file.id,
+                animeId: file.animeId,
+                animeTitle: file.animeTitle,
+                episode: file.episode,
+                filePath: file.filePath,
+                fileName: file.fileName,
+                size: size || 0,
+                reason
+            });
+        }
+    }
+
+    return planned;
+}
+
+/**
+ * Lists what a retention run would delete without deleting anything
+ * @returns {Promise<Object>} { files, totalSize }
+ */
+export async function getRetentionReport() {
+    const files = await planRetention();
+    return {
+        files,
+        totalSize: files.reduce((sum, file) => sum + file.size, 0)
+    };
+}
+
+/**
+ * Deletes the downloaded files the retention policies no longer keep, with their file_torrent_download records
+ * The deleted episodes are recorded so auto-download doesn't download them again
+ * @returns {Promise<Object>} Summary { message, deleted, failed, freedBytes, errors }
+ */
+export async function applyRetention() {
+    const files = await planRetention();
+    const summary = { deleted: 0, failed: 0, freedBytes: 0, errors: [] };
+
+    for (const file of files) {
+        try {
+            await unlink(file.filePath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                summary.failed++;
+                summary.errors.push(`${file.fileName}: ${error.message}`);
+                console.error(`[storageManager] Error deleting ${file.filePath}:`, error);
+                continue;
+            }
+        }
+
+        recordRetentionDeletion(file);
+        summary.deleted++;
+        summary.freedBytes += file.size;
+        console.log(`[storageManager] Deleted ${file.filePath} (${file.reason})`);
+    }
+
+    return {
+        message: `Deleted ${summary.deleted} file(s), freeing ${(summary.freedBytes / BYTES_PER_GB).toFixed(2)} GB (${summary.failed} failed)`,
+        ...summary,
+        // Task results are stored in the database; keep them small
+        errors: summary.errors.slice(0, 50)
+    };
+}
+
+/**
+ * Creates the default scheduled job that applies retention policies, unless one exists
+ * Call this once an anime gets a retention policy
+ */
+export async function ensureRetentionJob() {
+    const hasRetentionJob = getAllScheduledJobs().some(job => job.jobType === 'APPLY_RETENTION');
+    if (hasRetentionJob) {
+        return;
+    }
+
+    // Imported when needed; the scheduled jobs service depends on the torrent service, which uses this module
+    const { calculateNextRun, reloadScheduledJobs } = await import('./scheduledJobsService.js');
+    createScheduledJob({
+        name: 'Default - Apply Retention',
+        jobType: 'APPLY_RETENTION',
+        cronSchedule: DEFAULT_RETENTION_JOB_CRON,
+        jobConfig: null,
+        nextRun: calculateNextRun(DEFAULT_RETENTION_JOB_CRON)
+    });
+    console.log(`Created default scheduled job: Apply Retention (${DEFAULT_RETENTION_JOB_CRON})`);
+    reloadScheduledJobs();
+}
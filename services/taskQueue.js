@@ -1,6 +1,11 @@
 import PQueue from 'p-queue';
 import { scanAnimeTorrents, getUpcomingAnime, scanAutodownloadAnimes, queueAutodownloadTorrents } from './animeService.js';
 import { scanFolderForTorrents } from './folderScanner.js';
+import { reorganizeLibrary } from './libraryOrganizer.js';
+import { verifyLibraryFiles } from './crcVerifier.js';
+import { applyRetention } from './storageManager.js';
+import { syncAniList } from './anilistSync.js';
+import { importListEntries } from './listImport.js';
 import {
     createTask,
     getTaskById,
@@ -32,6 +37,7 @@ async function executeTask(taskSnapshot) {
         switch (task.type) {
             case TASK_TYPES.SCAN_TORRENTS: {
                 const wipePrevious = Boolean(task.payload?.wipePrevious);
+                const incremental = Boolean(task.payload?.incremental);
                 
                 // Check if anime has episodes with torrents tracked
                 const database = getDB();
@@ -47,7 +53,7 @@ async function executeTask(taskSnapshot) {
                 // Perform deepSearch if wipePrevious is true OR if anime has no tracked episodes
                 const deepSearch = wipePrevious || !hasTrackedEpisodes;
                 
-                const scanResult = await scanAnimeTorrents(task.animeId, wipePrevious, deepSearch);
+                const scanResult = await scanAnimeTorrents(task.animeId, wipePrevious, deepSearch, incremental);
 
                 updateTaskStatus(task.id, TASK_STATUS.COMPLETED, {
                     result: {
@@ -99,7 +105,9 @@ async function executeTask(taskSnapshot) {
                     throw new Error('Task payload missing valid folderPath');
                 }
 
-                const result = await scanFolderForTorrents(folderPath);
+                const result = await scanFolderForTorrents(folderPath, {
+                    importOwned: Boolean(payload.importOwned)
+                });
 
                 updateTaskStatus(task.id, TASK_STATUS.COMPLETED, {
                     result,
@@ -125,6 +133,62 @@ async function executeTask(taskSnapshot) {
                 });
                 break;
             }
+            case TASK_TYPES.REORGANIZE_LIBRARY: {
+                const result = await reorganizeLibrary();
+
+                updateTaskStatus(task.id, TASK_STATUS.COMPLETED, {
+                    result,
+                    error: null
+                });
+                break;
+            }
+            case TASK_TYPES.VERIFY_CRC: {
+                const result = await verifyLibraryFiles({
+                    torrentId: task.payload?.torrentId || null,
+                    recheck: Boolean(task.payload?.recheck)
+                });
+
+                updateTaskStatus(task.id, TASK_STATUS.COMPLETED, {
+                    result,
+                    error: null
+                });
+                break;
+            }
+            case TASK_TYPES.APPLY_RETENTION: {
+                const result = await applyRetention();
+
+                updateTaskStatus(task.id, TASK_STATUS.COMPLETED, {
+                    result,
+                    error: null
+                });
+                break;
+            }
+            case TASK_TYPES.SYNC_ANILIST: {
+                const result = await syncAniList();
+
+                updateTaskStatus(task.id, TASK_STATUS.COMPLETED, {
+                    result,
+                    error: null
+                });
+                break;
+            }
+            case TASK_TYPES.IMPORT_LIST: {
+                const entries = Array.isArray(task.payload?.entries) ? task.payload.entries : [];
+                const result = await importListEntries(entries, {
+                    // Shown by the tasks monitor while the import runs
+                    onProgress: (processed, total) => {
+                        updateTaskStatus(task.id, TASK_STATUS.RUNNING, {
+                            result: { message: `Imported ${processed} of ${total} matched entries`, processed, total }
+                        });
+                    }
+                });
+
+                updateTaskStatus(task.id, TASK_STATUS.COMPLETED, {
+                    result,
+                    error: null
+                });
+                break;
+            }
             default: {
                 throw new Error(`Unsupported task type: ${task.type}`);
             }
@@ -173,7 +237,7 @@ export function initializeTaskQueue() {
     resumePendingTasks();
 }
 
-export function scheduleScanTorrentsTask({ animeId, wipePrevious = false }) {
+export function scheduleScanTorrentsTask({ animeId, wipePrevious = false, incremental = false }) {
     if (!animeId) {
         throw new Error('animeId is required to schedule scan task');
     }
@@ -186,7 +250,7 @@ export function scheduleScanTorrentsTask({ animeId, wipePrevious = false }) {
     const task = createTask({
         type: TASK_TYPES.SCAN_TORRENTS,
         animeId,
-        payload: { wipePrevious: Boolean(wipePrevious) }
+        payload: { wipePrevious: Boolean(wipePrevious), incremental: Boolean(incremental) }
     });
 
     enqueueTask(task);
@@ -233,7 +297,7 @@ export function scheduleUpdateQuarterTask({ quarter, year }) {
     return task;
 }
 
-export function scheduleScanFolderTask({ folderPath }) {
+export function scheduleScanFolderTask({ folderPath, importOwned = false }) {
     if (!folderPath || typeof folderPath !== 'string') {
         throw new Error('folderPath is required to schedule scan folder task');
     }
@@ -242,7 +306,8 @@ export function scheduleScanFolderTask({ folderPath }) {
     const existingTask = activeTasks.find(
         (task) =>
             task.type === TASK_TYPES.SCAN_FOLDER &&
-            task.payload?.folderPath === folderPath
+            task.payload?.folderPath === folderPath &&
+            Boolean(task.payload?.importOwned) === importOwned
     );
 
     if (existingTask) {
@@ -252,7 +317,8 @@ export function scheduleScanFolderTask({ folderPath }) {
     const task = createTask({
         type: TASK_TYPES.SCAN_FOLDER,
         payload: {
-            folderPath
+            folderPath,
+            importOwned
         }
     });
 
@@ -298,6 +364,106 @@ export function scheduleQueueAutodownloadTask() {
     return task;
 }
 
+export function scheduleReorganizeLibraryTask() {
+    const activeTasks = getTasksByStatuses([TASK_STATUS.PENDING, TASK_STATUS.RUNNING]);
+    const existingTask = activeTasks.find(
+        (task) => task.type === TASK_TYPES.REORGANIZE_LIBRARY
+    );
+
+    if (existingTask) {
+        return existingTask;
+    }
+
+    const task = createTask({
+        type: TASK_TYPES.REORGANIZE_LIBRARY,
+        payload: {}
+    });
+
+    enqueueTask(task);
+    return task;
+}
+
+export function scheduleVerifyCrcTask({ torrentId = null, recheck = false } = {}) {
+    // Only pending tasks are reused: a running check may have listed its files before new ones were recorded
+    const pendingTasks = getTasksByStatuses([TASK_STATUS.PENDING]);
+    const existingTask = pendingTasks.find(
+        (task) =>
+            task.type === TASK_TYPES.VERIFY_CRC &&
+            (task.payload?.torrentId || null) === torrentId &&
+            Boolean(task.payload?.recheck) === recheck
+    );
+
+    if (existingTask) {
+        return existingTask;
+    }
+
+    const task = createTask({
+        type: TASK_TYPES.VERIFY_CRC,
+        payload: {
+            torrentId,
+            recheck
+        }
+    });
+
+    enqueueTask(task);
+    return task;
+}
+
+export function scheduleApplyRetentionTask() {
+    const activeTasks = getTasksByStatuses([TASK_STATUS.PENDING, TASK_STATUS.RUNNING]);
+    const existingTask = activeTasks.find(
+        (task) => task.type === TASK_TYPES.APPLY_RETENTION
+    );
+
+    if (existingTask) {
+        return existingTask;
+    }
+
+    const task = createTask({
+        type: TASK_TYPES.APPLY_RETENTION,
+        payload: {}
+    });
+
+    enqueueTask(task);
+    return task;
+}
+
+export function scheduleSyncAniListTask() {
+    const activeTasks = getTasksByStatuses([TASK_STATUS.PENDING, TASK_STATUS.RUNNING]);
+    const existingTask = activeTasks.find(
+        (task) => task.type === TASK_TYPES.SYNC_ANILIST
+    );
+
+    if (existingTask) {
+        return existingTask;
+    }
+
+    const task = createTask({
+        type: TASK_TYPES.SYNC_ANILIST,
+        payload: {}
+    });
+
+    enqueueTask(task);
+    return task;
+}
+
+export function scheduleImportListTask({ fileName = null, entries }) {
+    if (!Array.isArray(entries)) {
+        throw new Error('entries are required to schedule list import task');
+    }
+
+    const task = createTask({
+        type: TASK_TYPES.IMPORT_LIST,
+        payload: {
+            fileName,
+            entries
+        }
+    });
+
+    enqueueTask(task);
+    return task;
+}
+
 export { getTaskById, getActiveTaskForAnime, TASK_STATUS, TASK_TYPES };
 
 
@@ -1,13 +1,41 @@
 import WebTorrent from 'webtorrent';
 import ChunkStore from 'fs-chunk-store';
-import { getConfiguration, upsertFileTorrentDownload } from '../database/animeDB.js';
-import { existsSync, mkdirSync, readdirSync, renameSync, rmdirSync, statSync } from 'fs';
+import { getConfiguration, getSeedingPolicy, getBandwidthSchedule, upsertFileTorrentDownloads, supersedeFileTorrentDownloads } from '../database/animeDB.js';
+import { matchEpisode } from '../parsers/episodeParser.js';
+import { normalizeInfoHash, parseInfoHashFromMagnet } from '../utils/magnet.js';
+import { filterFilesByType } from '../utils/fileTypes.js';
+import { FILE_TYPES } from '../config/constants.js';
+import { getActiveDownloadClient, toClientPath, toLocalPath } from './downloadClients/index.js';
+import { DOWNLOAD_STATE, createDownload, getDownloadById, findUnfinishedDownload, getUnfinishedDownloads, updateDownloadState, updateDownloadStateByInfoHash, updateDownloadPriorityByInfoHash, reorderDownloads, deleteUnfinishedDownloadsByInfoHash, getDownloadSubGroupName, getSeedingDownloads, startDownloadSeeding, updateDownloadUploaded } from '../database/downloadsDB.js';
+import { normalizeSeedingPolicy, shouldSeed, hasReachedSeedingTarget } from './seedingPolicy.js';
+import { normalizeBandwidthSchedule, getEffectiveSpeedLimits, SPEED_LIMIT_SOURCE } from './bandwidthSchedule.js';
+import { organizeTorrentFiles } from './libraryOrganizer.js';
+import { isBelowMinFreeSpace } from './storageManager.js';
+import { existsSync, mkdirSync, readdirSync, renameSync, rmdirSync, rmSync, statSync, unlinkSync } from 'fs';
 import { join, dirname } from 'path';
 
 let client = null;
 // Map to track torrents: key = torrentId or URL, value = infoHash
 const torrentTrackingMap = new Map();
-const MAX_ACTIVE_TORRENTS = 3;
+// Map of batch torrents limited to some episodes: key = infoHash, value = selected files
+const selectedFilesMap = new Map();
+// Download IDs of the torrents in the WebTorrent client: key = torrent, value = download ID
+const torrentDownloadIds = new WeakMap();
+// Torrents paused by the user; the queue leaves them paused until they are resumed
+const pausedTorrents = new WeakSet();
+// Downloads sent to an external client: key = infoHash, value = { downloadId, torrentId, replacesTorrentId, episodes, keepFileTypes, filesSelected, paused, missingPolls }
+const externalDownloads = new Map();
+const EXTERNAL_POLL_INTERVAL = 15 * 1000;
+// Downloads missing from the external client for this many polls are considered removed from it
+const MAX_MISSING_POLLS = 20;
+let pollingExternalDownloads = false;
+// Completed downloads being seeded: key = torrent, value = { downloadId, episodes, length, uploadedBefore, startedAt }
+const seedingTorrents = new WeakMap();
+const SEEDING_CHECK_INTERVAL = 60 * 1000;
+// Speed limits applied to the client: { maxDownloadSpeed, maxUploadSpeed, source, windowName }
+let currentSpeedLimits = null;
+// Set while the free space of the anime location is below the configured minimum; no download runs
+let lowDiskSpace = false;
 
 /**
  * Initializes the WebTorrent client
@@ -22,38 +50,310 @@ export function initializeTorrentClient() {
     // Apply speed limits from configuration
     applySpeedLimits();
     
+    // Keep downloads sent to an external client in sync
+    // The timers don't keep the process alive on their own, so the client can be destroyed once it is no longer used
+    setInterval(pollExternalDownloads, EXTERNAL_POLL_INTERVAL).unref();
+    
+    // Stop seeding torrents that reached the seeding policy's targets
+    setInterval(checkSeedingTorrents, SEEDING_CHECK_INTERVAL).unref();
+    
     console.log('WebTorrent client initialized');
+    
+    // Resume the downloads that were unfinished when the app stopped, and the torrents that were seeding
+    restoreDownloads();
+    restoreSeeding();
+    
     return client;
 }
 
 /**
- * Applies speed limits from configuration to the WebTorrent client
+ * Re-adds the downloads that were unfinished when the app stopped
+ * Downloads paused by the user stay paused; the queue decides which of the others start
+ */
+function restoreDownloads() {
+    let downloads = [];
+    try {
+        downloads = getUnfinishedDownloads();
+    } catch (error) {
+        console.error('Error loading unfinished downloads:', error);
+        return;
+    }
+    
+    if (downloads.length === 0) {
+        return;
+    }
+    
+    console.log(`Restoring ${downloads.length} unfinished download(s)`);
+    
+    // downloadTorrent checks the free space before adding the torrent, so the torrents are added in no set order;
+    // processQueue ranks them by their recorded downloads, so the right ones end up running once all are added
+    downloads.forEach(download => {
+        downloadTorrent(download.torrentUrl, {
+            animeTitle: download.animeTitle,
+            animeId: download.animeId,
+            torrentId: download.torrentId,
+            infoHash: download.infoHash,
+            replacesTorrentId: download.replacesTorrentId,
+            episodes: download.episodes,
+            downloadId: download.id,
+            downloadPath: download.downloadPath,
+            restoreState: download.state
+        }).catch(error => {
+            console.error(`Error restoring download ${download.id} (${download.torrentUrl}):`, error);
+        });
+    });
+}
+
+/**
+ * Seeds again the torrents that were seeding when the app stopped
+ * External clients seed on their own, so with one selected these downloads are simply marked completed
+ */
+function restoreSeeding() {
+    let downloads = [];
+    try {
+        downloads = getSeedingDownloads();
+    } catch (error) {
+        console.error('Error loading seeding downloads:', error);
+        return;
+    }
+    
+    if (downloads.length === 0) {
+        return;
+    }
+    
+    if (getActiveDownloadClient()) {
+        downloads.forEach(download => setDownloadState(download.id, DOWNLOAD_STATE.COMPLETED));
+        return;
+    }
+    
+    console.log(`Resuming seeding of ${downloads.length} torrent(s)`);
+    downloads.forEach(download => {
+        startSeeding(download.torrentUrl, {
+            downloadId: download.id,
+            downloadPath: download.downloadPath,
+            episodes: download.episodes,
+            uploaded: download.uploaded,
+            startedAt: download.seedingStartedAt || Date.now()
+        });
+    });
+}
+
+/**
+ * Checks whether a completed download should be seeded under the seeding policy
+ * @param {number|null} downloadId - Download ID
+ * @returns {boolean} True if the download should be seeded
+ */
+function shouldSeedDownload(downloadId) {
+    if (!downloadId) {
+        return false; // Downloads that weren't recorded can't be tracked while seeding
+    }
+    try {
+        return shouldSeed(normalizeSeedingPolicy(getSeedingPolicy()), getDownloadSubGroupName(downloadId));
+    } catch (error) {
+        console.error(`[seeding] Error checking the seeding policy for download ${downloadId}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Adds a completed download back to the client to seed it from where its files were moved
+ * Nothing is downloaded: every file stays deselected and WebTorrent verifies the pieces already on disk
+ * @param {string|Uint8Array} torrentSource - Torrent file, torrent URL or magnet link
+ * @param {Object} seeding - { downloadId, downloadPath, episodes, uploaded, startedAt }; uploaded counts the bytes
+ *                           uploaded before this session
+ */
+function startSeeding(torrentSource, { downloadId, downloadPath, episodes, uploaded, startedAt }) {
+    const torrent = getTorrentClient().add(torrentSource, { path: downloadPath, deselect: true });
+    seedingTorrents.set(torrent, {
+        downloadId,
+        episodes,
+        length: 0,
+        uploadedBefore: uploaded || 0,
+        startedAt
+    });
+    
+    // The ratio is computed over the files that were downloaded
+    torrent.on('ready', () => {
+        const seeding = seedingTorrents.get(torrent);
+        const files = getWantedFiles(torrent.files, episodes, getConfiguration().keepFileTypes);
+        seeding.length = files.reduce((sum, file) => sum + file.length, 0);
+        console.log(`[seeding] Seeding ${torrent.name || torrent.infoHash} from ${downloadPath}`);
+    });
+    
+    torrent.on('error', (err) => {
+        console.error(`[seeding] Error seeding torrent ${torrent.infoHash || torrentSource}: ${err.message}`);
+        setDownloadState(downloadId, DOWNLOAD_STATE.COMPLETED);
+    });
+}
+
+/**
+ * Gets how much a seeding torrent has been seeded
+ * @param {Object} torrent - Seeding WebTorrent torrent
+ * @returns {Object} { uploaded, ratio, seedingTime } with the seeding time in milliseconds
+ */
+function getSeedingProgress(torrent) {
+    const seeding = seedingTorrents.get(torrent);
+    const uploaded = seeding.uploadedBefore + (torrent.uploaded || 0);
+    return {
+        uploaded: uploaded,
+        ratio: seeding.length > 0 ? uploaded / seeding.length : 0,
+        seedingTime: Date.now() - seeding.startedAt
+    };
+}
+
+/**
+ * Stops seeding a torrent; its files are kept
+ * @param {Object} torrent - Seeding WebTorrent torrent
  */
-function applySpeedLimits() {
+function stopSeeding(torrent) {
+    const seeding = seedingTorrents.get(torrent);
+    const { uploaded } = getSeedingProgress(torrent);
+    seedingTorrents.delete(torrent);
+    
+    try {
+        updateDownloadUploaded(seeding.downloadId, uploaded);
+    } catch (error) {
+        console.error(`[seeding] Error recording uploads of download ${seeding.downloadId}:`, error);
+    }
+    setDownloadState(seeding.downloadId, DOWNLOAD_STATE.COMPLETED);
+    
+    try {
+        // Files that couldn't be moved into the library while they were seeded are moved now
+        torrent.destroy(() => {
+            organizeCompletedFiles(getDownloadById(seeding.downloadId)?.torrentId);
+        });
+        console.log(`[seeding] Stopped seeding ${torrent.name || torrent.infoHash}`);
+    } catch (error) {
+        console.error(`[seeding] Error stopping seeding of ${torrent.infoHash}:`, error);
+    }
+}
+
+/**
+ * Records the uploads of the seeding torrents and stops the ones that reached a target of the seeding policy
+ * Every torrent stops seeding when the policy is disabled
+ */
+function checkSeedingTorrents() {
     if (!client) {
         return;
     }
     
+    const policy = normalizeSeedingPolicy(getSeedingPolicy());
+    const torrents = (client.torrents || []).filter(torrent => seedingTorrents.has(torrent));
+    
+    torrents.forEach(torrent => {
+        const progress = getSeedingProgress(torrent);
+        if (!policy.enabled || hasReachedSeedingTarget(policy, progress)) {
+            stopSeeding(torrent);
+            return;
+        }
+        
+        try {
+            updateDownloadUploaded(seedingTorrents.get(torrent).downloadId, progress.uploaded);
+        } catch (error) {
+            console.error(`[seeding] Error recording uploads of ${torrent.infoHash}:`, error);
+        }
+    });
+}
+
+/**
+ * Applies the seeding policy to the torrents being seeded
+ * Call this after the seeding policy changes
+ */
+export function updateSeeding() {
+    checkSeedingTorrents();
+}
+
+/**
+ * Records a requested download in the downloads table so it can be restored after a restart
+ * Reuses the unfinished download of the same torrent if there is one
+ * @param {Object} details - Download details for createDownload
+ * @returns {number|null} Download ID, or null if it couldn't be recorded
+ */
+function recordDownload(details) {
+    try {
+        const existing = findUnfinishedDownload({ infoHash: details.infoHash, torrentUrl: details.torrentUrl });
+        if (existing) {
+            return existing.id;
+        }
+        return createDownload(details).id;
+    } catch (error) {
+        console.error(`[downloadTorrent] Error recording download ${details.torrentUrl}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Updates the state of a recorded download, logging failures instead of throwing
+ * @param {number|null} downloadId - Download ID
+ * @param {string} state - New state (see DOWNLOAD_STATE)
+ * @param {Object} options - { infoHash, error }
+ */
+function setDownloadState(downloadId, state, options = {}) {
+    if (!downloadId) {
+        return;
+    }
+    try {
+        updateDownloadState(downloadId, state, options);
+    } catch (error) {
+        console.error(`[downloadTorrent] Error updating download ${downloadId}:`, error);
+    }
+}
+
+/**
+ * Works out the speed limits in force from the configuration and the bandwidth schedule
+ * @returns {Object} { maxDownloadSpeed, maxUploadSpeed, source, windowName }
+ */
+function resolveSpeedLimits() {
     const config = getConfiguration();
+    const schedule = normalizeBandwidthSchedule(getBandwidthSchedule());
+    return getEffectiveSpeedLimits(schedule, config);
+}
+
+/**
+ * Applies the speed limits in force to the WebTorrent client
+ * @param {Object} limits - Limits from resolveSpeedLimits (resolved again when omitted)
+ */
+function applySpeedLimits(limits = resolveSpeedLimits()) {
+    if (!client) {
+        return;
+    }
+    
+    currentSpeedLimits = limits;
+    const reason = limits.source === SPEED_LIMIT_SOURCE.SCHEDULE
+        ? ` (schedule: ${limits.windowName})`
+        : limits.source === SPEED_LIMIT_SOURCE.TURTLE ? ' (turtle mode)' : '';
     
     // Set download limit (in bytes per second)
     // null or undefined means unlimited
-    if (config.maxDownloadSpeed !== null && config.maxDownloadSpeed !== undefined) {
-        client.downloadLimit = config.maxDownloadSpeed;
-        console.log(`WebTorrent download limit set to ${config.maxDownloadSpeed} bytes/sec`);
+    if (limits.maxDownloadSpeed !== null && limits.maxDownloadSpeed !== undefined) {
+        client.downloadLimit = limits.maxDownloadSpeed;
+        console.log(`WebTorrent download limit set to ${limits.maxDownloadSpeed} bytes/sec${reason}`);
     } else {
         client.downloadLimit = 0; // 0 means unlimited in WebTorrent
-        console.log('WebTorrent download limit set to unlimited');
+        console.log(`WebTorrent download limit set to unlimited${reason}`);
     }
     
     // Set upload limit (in bytes per second)
     // null or undefined means unlimited
-    if (config.maxUploadSpeed !== null && config.maxUploadSpeed !== undefined) {
-        client.uploadLimit = config.maxUploadSpeed;
-        console.log(`WebTorrent upload limit set to ${config.maxUploadSpeed} bytes/sec`);
+    if (limits.maxUploadSpeed !== null && limits.maxUploadSpeed !== undefined) {
+        client.uploadLimit = limits.maxUploadSpeed;
+        console.log(`WebTorrent upload limit set to ${limits.maxUploadSpeed} bytes/sec${reason}`);
     } else {
         client.uploadLimit = 0; // 0 means unlimited in WebTorrent
-        console.log('WebTorrent upload limit set to unlimited');
+        console.log(`WebTorrent upload limit set to unlimited${reason}`);
+    }
+    
+    // External clients only get the limits when they are set to
+    const external = getActiveDownloadClient();
+    if (external && external.settings.applySpeedLimits === 'yes') {
+        external.client.setSpeedLimits(external.settings, {
+            download: limits.maxDownloadSpeed || null,
+            upload: limits.maxUploadSpeed || null
+        }).then(() => {
+            console.log(`${external.client.name} speed limits updated`);
+        }).catch(error => {
+            console.error(`Error setting ${external.client.name} speed limits:`, error);
+        });
     }
 }
 
@@ -65,6 +365,30 @@ export function updateSpeedLimits() {
     applySpeedLimits();
 }
 
+/**
+ * Re-evaluates the bandwidth schedule and applies the limits when they changed
+ * Called every minute by the scheduled jobs service
+ */
+export function applyBandwidthSchedule() {
+    const limits = resolveSpeedLimits();
+    if (currentSpeedLimits &&
+        currentSpeedLimits.maxDownloadSpeed === limits.maxDownloadSpeed &&
+        currentSpeedLimits.maxUploadSpeed === limits.maxUploadSpeed &&
+        currentSpeedLimits.source === limits.source &&
+        currentSpeedLimits.windowName === limits.windowName) {
+        return;
+    }
+    applySpeedLimits(limits);
+}
+
+/**
+ * Gets the speed limits currently in force
+ * @returns {Object} { maxDownloadSpeed, maxUploadSpeed, source, windowName }; speeds in bytes per second, null for unlimited
+ */
+export function getCurrentSpeedLimits() {
+    return currentSpeedLimits || resolveSpeedLimits();
+}
+
 /**
  * Gets the WebTorrent client instance
  */
@@ -75,6 +399,82 @@ export function getTorrentClient() {
     return client;
 }
 
+/**
+ * Finds a torrent in the client by info hash
+ * @param {string} infoHash - Info hash of the torrent
+ * @returns {Object|null} WebTorrent torrent or null if the client doesn't have it
+ */
+function findClientTorrent(infoHash) {
+    const normalizedInfoHash = normalizeInfoHash(infoHash);
+    if (!normalizedInfoHash) {
+        return null;
+    }
+    
+    const torrents = getTorrentClient().torrents || [];
+    return torrents.find(t => t.infoHash === normalizedInfoHash) || null;
+}
+
+/**
+ * Checks whether the selected download client already has a torrent
+ * @param {string} infoHash - Info hash of the torrent
+ * @returns {Promise<boolean>} True if the torrent is in the client
+ */
+export async function hasClientTorrent(infoHash) {
+    const external = getActiveDownloadClient();
+    if (!external) {
+        return findClientTorrent(infoHash) !== null;
+    }
+    
+    const normalizedInfoHash = normalizeInfoHash(infoHash);
+    const torrents = await external.client.listTorrents(external.settings);
+    return torrents.some(t => t.infoHash === normalizedInfoHash);
+}
+
+/**
+ * Gets the files of a built-in client torrent that can be streamed
+ * Only the files selected for download are listed; the torrent has to have its metadata
+ * @param {string} infoHash - Info hash of the torrent
+ * @returns {Array|null} Array of { index, name, length, progress }, or null if the built-in client doesn't
+ *                       have the torrent (or an external client is selected)
+ */
+export function getStreamableTorrentFiles(infoHash) {
+    if (getActiveDownloadClient()) {
+        return null;
+    }
+
+    const torrent = findClientTorrent(infoHash);
+    if (!torrent || !torrent.ready || torrent.destroyed) {
+        return null;
+    }
+
+    const selectedFiles = selectedFilesMap.get(torrent.infoHash) || torrent.files;
+    return torrent.files
+        .map((file, index) => ({ file, index }))
+        .filter(({ file }) => selectedFiles.includes(file))
+        .map(({ file, index }) => ({
+            index,
+            name: file.name,
+            length: file.length,
+            progress: file.progress,
+            paused: torrent.paused
+        }));
+}
+
+/**
+ * Gets a file of a built-in client torrent to stream it
+ * Reading a range of the file downloads its pieces first
+ * @param {string} infoHash - Info hash of the torrent
+ * @param {number} fileIndex - Index of the file in the torrent
+ * @returns {Object|null} WebTorrent file, or null if it can't be streamed
+ */
+export function getStreamableTorrentFile(infoHash, fileIndex) {
+    const streamable = getStreamableTorrentFiles(infoHash);
+    if (!streamable || !streamable.some(file => file.index === fileIndex)) {
+        return null;
+    }
+    return findClientTorrent(infoHash).files[fileIndex];
+}
+
 /**
  * Sanitizes folder name by removing invalid characters
  */
@@ -86,60 +486,353 @@ function sanitizeFolderName(name) {
 }
 
 /**
- * Counts the number of active torrents (not paused, not done)
- * @returns {number} Number of active torrents
+ * Gets the status of a torrent in the WebTorrent client
+ * @param {Object} torrent - WebTorrent torrent
+ * @returns {string} seeding, completed, paused (by the user), queued, initializing or downloading
  */
-function countActiveTorrents() {
-    const torrentClient = getTorrentClient();
-    const torrents = torrentClient.torrents || [];
-    return torrents.filter(t => !t.paused && !t.done).length;
+function getTorrentStatus(torrent) {
+    if (seedingTorrents.has(torrent)) {
+        return 'seeding';
+    }
+    if (torrent.done) {
+        return 'completed';
+    }
+    if (pausedTorrents.has(torrent)) {
+        return 'paused';
+    }
+    if (torrent.paused) {
+        return 'queued'; // Torrents waiting for a free slot are paused
+    }
+    if (!torrent.ready) {
+        return 'initializing';
+    }
+    return 'downloading';
 }
 
 /**
- * Unpauses the next queued torrent if there's space for it
+ * Gets the download state to record for a torrent in the WebTorrent client
+ * @param {Object} torrent - WebTorrent torrent
+ * @returns {string} Download state (see DOWNLOAD_STATE)
  */
-function unpauseNextQueuedTorrent() {
-    const torrentClient = getTorrentClient();
-    const torrents = torrentClient.torrents || [];
+function getQueueState(torrent) {
+    if (pausedTorrents.has(torrent)) {
+        return DOWNLOAD_STATE.PAUSED;
+    }
+    return torrent.paused ? DOWNLOAD_STATE.QUEUED : DOWNLOAD_STATE.DOWNLOADING;
+}
+
+/**
+ * Gets the unfinished torrents of the WebTorrent client in queue order
+ * Torrents whose download couldn't be recorded go last, in the order they were added
+ * @returns {Array} Array of { torrent, download }, download being null for torrents that weren't recorded
+ */
+function getQueuedTorrents() {
+    const { prioritizeNewestEpisodes } = getConfiguration();
+    let downloads = [];
+    try {
+        downloads = getUnfinishedDownloads({ prioritizeNewestEpisodes });
+    } catch (error) {
+        console.error('Error loading the download queue:', error);
+    }
+    
+    const ranks = new Map(downloads.map((download, index) => [download.id, index]));
+    const getRank = ({ download }) => (download ? ranks.get(download.id) : downloads.length);
+    
+    return (getTorrentClient().torrents || [])
+        .filter(torrent => !torrent.done && !torrent.destroyed && !seedingTorrents.has(torrent))
+        .map(torrent => {
+            const downloadId = torrentDownloadIds.get(torrent);
+            return { torrent, download: ranks.has(downloadId) ? downloads[ranks.get(downloadId)] : null };
+        })
+        .sort((a, b) => getRank(a) - getRank(b));
+}
+
+/**
+ * Stops a torrent from downloading
+ * WebTorrent's pause() only refuses new peers, and the peers already connected keep sending every selected
+ * piece, so the whole torrent is deselected as well. Pieces read by a stream are still fetched
+ * @param {Object} torrent - WebTorrent torrent
+ */
+function stopTorrent(torrent) {
+    torrent.pause();
+    if (torrent.ready && torrent.pieces.length > 0) {
+        torrent.deselect(0, torrent.pieces.length - 1);
+    }
+}
+
+/**
+ * Starts a torrent stopped by stopTorrent again
+ * Partial downloads select their wanted files again, other torrents every piece
+ * @param {Object} torrent - WebTorrent torrent
+ */
+function startTorrent(torrent) {
+    if (torrent.ready && torrent.pieces.length > 0) {
+        const selectedFiles = selectedFilesMap.get(torrent.infoHash);
+        if (selectedFiles) {
+            selectedFiles.forEach(file => file.select());
+        } else {
+            torrent.select(0, torrent.pieces.length - 1);
+        }
+    }
+    torrent.resume();
+}
+
+/**
+ * Starts the first torrents of the queue, up to the configured number of active torrents, and stops the rest
+ * Call this whenever a torrent is added, finishes or is removed, and after the queue is reordered
+ */
+function processQueue() {
+    if (!client) {
+        return;
+    }
+    
+    const { maxActiveTorrents } = getConfiguration();
+    // Downloads are paused while the disk is low on space
+    let freeSlots = lowDiskSpace ? 0 : maxActiveTorrents;
+    
+    getQueuedTorrents().forEach(({ torrent, download }) => {
+        if (pausedTorrents.has(torrent)) {
+            if (!torrent.paused) {
+                stopTorrent(torrent);
+            }
+        } else if (freeSlots > 0) {
+            freeSlots--;
+            if (torrent.paused) {
+                startTorrent(torrent);
+                console.log(`Resumed queued torrent: ${torrent.name || torrent.infoHash}`);
+            }
+        } else if (!torrent.paused) {
+            stopTorrent(torrent);
+            console.log(`Queued torrent: ${torrent.name || torrent.infoHash}`);
+        }
+        
+        const state = getQueueState(torrent);
+        if (download && download.state !== state) {
+            setDownloadState(download.id, state);
+        }
+    });
+}
+
+/**
+ * Checks the free space of the anime location against the storage settings
+ * Built-in client downloads are stopped while the free space is below the minimum, running ones included, and
+ * started again once there is enough space
+ * @returns {Promise<boolean>} True if the free space is below the minimum
+ */
+export async function updateDiskSpaceGuard() {
+    let below = false;
+    try {
+        below = await isBelowMinFreeSpace();
+    } catch (error) {
+        console.error('Error checking free disk space:', error);
+    }
+    
+    if (below !== lowDiskSpace) {
+        lowDiskSpace = below;
+        console.log(below
+            ? 'Free disk space is below the configured minimum, stopping downloads'
+            : 'Free disk space is above the configured minimum, resuming downloads');
+        processQueue();
+    }
+    return lowDiskSpace;
+}
+
+/**
+ * Applies download queue settings from configuration
+ * Call this after configuration changes
+ */
+export function updateDownloadQueue() {
+    processQueue();
+}
+
+/**
+ * Stores the files of a completed download in file_torrent_download
+ * If the download is an upgrade, the old records are moved to superseded_downloads first
+ * @param {number} torrentId - Torrent ID of the download
+ * @param {number} replacesTorrentId - Torrent ID of the download it upgrades, if any
+ * @param {Array} files - Array of { filePath, fileName }
+ * @returns {Array} Files of the superseded download ({ filePath, fileName })
+ */
+function storeCompletedFiles(torrentId, replacesTorrentId, files) {
+    let supersededFiles = [];
+    if (!torrentId) {
+        return supersededFiles;
+    }
+    
+    if (replacesTorrentId) {
+        try {
+            supersededFiles = supersedeFileTorrentDownloads(replacesTorrentId, torrentId);
+            console.log(`[downloadTorrent] Torrent ID ${torrentId} supersedes torrent ID ${replacesTorrentId} (${supersededFiles.length} file(s))`);
+        } catch (error) {
+            console.error(`[downloadTorrent] Error superseding torrent ID ${replacesTorrentId}:`, error);
+        }
+    }
     
-    const activeCount = countActiveTorrents();
-    if (activeCount >= MAX_ACTIVE_TORRENTS) {
-        return; // Already at max capacity
+    try {
+        console.log(`[downloadTorrent] Storing ${files.length} file(s) in database for torrent ID ${torrentId}`);
+        upsertFileTorrentDownloads(torrentId, files);
+        console.log(`[downloadTorrent] Successfully stored ${files.length} file(s) for torrent ID ${torrentId}`);
+    } catch (error) {
+        console.error(`[downloadTorrent] Error storing files for torrent ID ${torrentId}:`, error);
+    }
+    
+    return supersededFiles;
+}
+
+/**
+ * Organizes the files of a completed download into the library, logging failures instead of throwing
+ * @param {number|null} torrentId - Torrent ID of the download
+ * @param {Object} options - { sourcesInUse } for organizeTorrentFiles
+ * @returns {Promise<void>} Resolves once the files are organized
+ */
+function organizeCompletedFiles(torrentId, options = {}) {
+    return organizeTorrentFiles(torrentId, options).then(summary => {
+        if (summary) {
+            console.log(`[downloadTorrent] Organized ${summary.organized} file(s) of torrent ID ${torrentId} (${summary.skipped} skipped, ${summary.failed} failed)`);
+        }
+    }).catch(error => {
+        console.error(`[downloadTorrent] Error organizing files of torrent ID ${torrentId}:`, error);
+    });
+}
+
+/**
+ * Queues the CRC check of the files of a completed download
+ * @param {number|null} torrentId - Torrent ID of the download
+ */
+function verifyCompletedFiles(torrentId) {
+    if (!torrentId) {
+        return;
     }
     
-    // Find the first paused torrent that's not done
-    const pausedTorrent = torrents.find(t => t.paused && !t.done);
-    if (pausedTorrent) {
-        pausedTorrent.resume();
-        console.log(`Resumed queued torrent: ${pausedTorrent.name || pausedTorrent.infoHash}`);
+    // The task queue imports this module (through the folder scanner), so it is loaded when needed
+    import('./taskQueue.js').then(({ scheduleVerifyCrcTask }) => {
+        scheduleVerifyCrcTask({ torrentId });
+    }).catch(error => {
+        console.error(`[downloadTorrent] Error queueing the CRC check of torrent ID ${torrentId}:`, error);
+    });
+}
+
+/**
+ * Deletes files of a superseded download from disk
+ * Files that were overwritten in place by the new download are kept
+ * @param {Array} supersededFiles - Array of { filePath, fileName } from the old download
+ * @param {Set<string>} newFilePaths - File paths written by the new download
+ */
+function removeSupersededFiles(supersededFiles, newFilePaths) {
+    supersededFiles.forEach(file => {
+        if (newFilePaths.has(file.filePath) || !existsSync(file.filePath)) {
+            return;
+        }
+        
+        try {
+            unlinkSync(file.filePath);
+            console.log(`[downloadTorrent] Deleted superseded file: ${file.filePath}`);
+        } catch (error) {
+            console.error(`[downloadTorrent] Error deleting superseded file ${file.filePath}:`, error);
+        }
+    });
+}
+
+/**
+ * Selects only the wanted files of a torrent
+ * @param {Object} torrent - Ready WebTorrent torrent (added with deselect)
+ * @param {Array<number>|null} episodes - Episode numbers to download from a batch torrent, null for every episode
+ * @param {Array<string>} keepFileTypes - File types to download (see FILE_TYPES)
+ * @returns {Array} Selected files
+ */
+function selectWantedFiles(torrent, episodes, keepFileTypes) {
+    const selectedFiles = getWantedFiles(torrent.files, episodes, keepFileTypes);
+    selectedFiles.forEach(file => file.select());
+    return selectedFiles;
+}
+
+/**
+ * Gets the wanted files of a torrent
+ * Files that can't be matched to a wanted episode are skipped, then files of unwanted types;
+ * when a step would leave nothing, its files are kept
+ * @param {Array} files - Torrent files with a name
+ * @param {Array<number>|null} episodes - Episode numbers, null for every episode
+ * @param {Array<string>} keepFileTypes - File types to keep (see FILE_TYPES)
+ * @returns {Array} Wanted files
+ */
+function getWantedFiles(files, episodes, keepFileTypes) {
+    let wantedFiles = files;
+    if (Array.isArray(episodes) && episodes.length > 0) {
+        const wantedEpisodes = new Set(episodes);
+        const matchedFiles = files.filter(file => wantedEpisodes.has(matchEpisode(file.name)));
+        if (matchedFiles.length > 0) {
+            wantedFiles = matchedFiles;
+        }
     }
+    return filterFilesByType(wantedFiles, keepFileTypes);
 }
 
+/**
+ * Checks whether only some files of a torrent are downloaded
+ * @param {Array<number>|null} episodes - Episode numbers to download from a batch torrent
+ * @param {Array<string>} keepFileTypes - File types to download
+ * @returns {boolean} True if files have to be selected once the file list is known
+ */
+function limitsFiles(episodes, keepFileTypes) {
+    return (Array.isArray(episodes) && episodes.length > 0) || keepFileTypes.length < FILE_TYPES.length;
+}
+
+/**
+ * Gets the progress of a torrent, limited to its selected files for partial batch downloads
+ * @param {Object} torrent - WebTorrent torrent
+ * @returns {Object} { progress, downloaded, length }
+ */
+function getTorrentProgress(torrent) {
+    const selectedFiles = selectedFilesMap.get(torrent.infoHash);
+    if (!selectedFiles) {
+        return {
+            progress: torrent.progress || 0,
+            downloaded: torrent.downloaded || 0,
+            length: torrent.length || 0
+        };
+    }
+    
+    const length = selectedFiles.reduce((sum, file) => sum + file.length, 0);
+    const downloaded = selectedFiles.reduce((sum, file) => sum + file.downloaded, 0);
+    return {
+        progress: length > 0 ? downloaded / length : 0,
+        downloaded: downloaded,
+        length: length
+    };
+}
 
 /**
  * Downloads a torrent to the specified location
  * @param {string} torrentUrl - Torrent file URL
- * @param {Object} options - Options including animeTitle, animeId, torrentId
+ * @param {Object} options - Options including animeTitle, animeId, torrentId, infoHash, replacesTorrentId
+ *                           (upgrade of a downloaded torrent) and episodes (episode numbers to download from a batch torrent).
+ *                           Downloads restored after a restart also pass downloadId, downloadPath and restoreState
  * @returns {Promise<Object>} Promise that resolves with torrent info
  */
 export async function downloadTorrent(torrentUrl, options = {}) {
-    const { animeTitle, animeId, torrentId } = options;
+    const { animeTitle, animeId, torrentId, replacesTorrentId, episodes, restoreState } = options;
+    const knownInfoHash = normalizeInfoHash(options.infoHash) || parseInfoHashFromMagnet(torrentUrl);
+    const limitToEpisodes = Array.isArray(episodes) && episodes.length > 0;
     
     console.log(`[downloadTorrent] Starting download - URL: ${torrentUrl}, Anime ID: ${animeId}, Torrent ID: ${torrentId}, Title: ${animeTitle || 'N/A'}`);
     
     // Get configuration
     const config = getConfiguration();
+    const limitFiles = limitsFiles(episodes, config.keepFileTypes);
     
     if (!config.animeLocation) {
         console.error('[downloadTorrent] Error: Anime location is not configured');
         throw new Error('Anime location is not configured');
     }
     
-    // Determine download path
+    // Determine download path; restored downloads keep the path they were started with
     let downloadPath = config.animeLocation;
     
-    // If automatic folder classification is enabled, create/find folder for anime
-    if (config.enableAutomaticAnimeFolderClassification && animeTitle) {
+    if (options.downloadPath) {
+        downloadPath = options.downloadPath;
+        console.log(`[downloadTorrent] Restoring download - Using path: ${downloadPath}`);
+    } else if (config.enableAutomaticAnimeFolderClassification && animeTitle) {
+        // If automatic folder classification is enabled, create/find folder for anime
         const sanitizedTitle = sanitizeFolderName(animeTitle);
         downloadPath = join(config.animeLocation, sanitizedTitle);
         console.log(`[downloadTorrent] Automatic folder classification enabled - Using path: ${downloadPath}`);
@@ -153,12 +846,22 @@ export async function downloadTorrent(torrentUrl, options = {}) {
         console.log(`[downloadTorrent] Created download directory: ${downloadPath}`);
     }
     
+    const external = getActiveDownloadClient();
+    const lowSpace = await updateDiskSpaceGuard();
+    if (external) {
+        // External clients have their own queue; new downloads are refused instead of queued
+        if (lowSpace && !restoreState) {
+            throw new Error('Not enough free disk space to start a new download');
+        }
+        return downloadWithExternalClient(external, torrentUrl, downloadPath, { ...options, infoHash: knownInfoHash });
+    }
+    
     const torrentClient = getTorrentClient();
     
     return new Promise((resolve, reject) => {
-        // Check if torrent is already downloading by URL
+        // Check if torrent is already downloading, by info hash when known and by URL otherwise
         const existingTorrents = torrentClient.torrents || [];
-        const existingTorrent = existingTorrents.find(t => 
+        const existingTorrent = findClientTorrent(knownInfoHash) || existingTorrents.find(t => 
             (t.torrentFile === torrentUrl || t.magnetURI === torrentUrl)
         );
         
@@ -172,15 +875,7 @@ export async function downloadTorrent(torrentUrl, options = {}) {
             }
             torrentTrackingMap.set(torrentUrl, infoHash);
             
-            // Determine status
-            let status = 'downloading';
-            if (existingTorrent.done) {
-                status = 'completed';
-            } else if (existingTorrent.paused) {
-                status = 'queued';
-            } else if (!existingTorrent.ready) {
-                status = 'initializing';
-            }
+            const status = getTorrentStatus(existingTorrent);
             
             console.log(`[downloadTorrent] Returning existing torrent with status: ${status}`);
             
@@ -195,11 +890,22 @@ export async function downloadTorrent(torrentUrl, options = {}) {
             return;
         }
         
-        // Check if we should pause this torrent (if there are already 3 active torrents)
-        const activeCount = countActiveTorrents();
-        const shouldPause = activeCount >= MAX_ACTIVE_TORRENTS;
+        // Restored downloads that were paused by the user stay paused
+        const userPaused = restoreState === DOWNLOAD_STATE.PAUSED;
         
-        console.log(`[downloadTorrent] Active torrents: ${activeCount}/${MAX_ACTIVE_TORRENTS}, Will pause: ${shouldPause}`);
+        // Record the download so it can be restored after a restart
+        // It starts queued; processQueue starts it once it has a slot
+        const downloadId = options.downloadId || recordDownload({
+            animeId,
+            torrentId,
+            replacesTorrentId,
+            torrentUrl,
+            infoHash: knownInfoHash,
+            animeTitle,
+            downloadPath,
+            episodes: limitToEpisodes ? episodes : null,
+            state: DOWNLOAD_STATE.QUEUED
+        });
         
         // Create chunks directory in the same anime directory
         const chunksDir = join(downloadPath, '.torrent-chunks');
@@ -223,9 +929,11 @@ export async function downloadTorrent(torrentUrl, options = {}) {
         console.log(`[downloadTorrent] Adding torrent to client - URL: ${torrentUrl}, Download path: ${downloadPath}`);
         
         // Add torrent using the URL directly with custom store
+        // Downloads limited to some episodes or file types start with nothing selected
         const torrent = torrentClient.add(torrentUrl, { 
             path: downloadPath,
-            store: CustomChunkStore
+            store: CustomChunkStore,
+            deselect: limitFiles
         }, (torrent) => {
             // Torrent is ready
             const infoHash = torrent.infoHash;
@@ -236,12 +944,13 @@ export async function downloadTorrent(torrentUrl, options = {}) {
                 torrentTrackingMap.set(torrentId, infoHash);
             }
             torrentTrackingMap.set(torrentUrl, infoHash);
+            setDownloadState(downloadId, getQueueState(torrent), { infoHash });
             
             const result = {
                 infoHash: infoHash,
                 torrentUrl: torrentUrl,
                 downloadPath: downloadPath,
-                status: shouldPause ? 'queued' : (torrent.ready ? 'ready' : 'downloading'),
+                status: torrent.paused ? getTorrentStatus(torrent) : (torrent.ready ? 'ready' : 'downloading'),
                 animeId: animeId,
                 torrentId: torrentId
             };
@@ -250,78 +959,84 @@ export async function downloadTorrent(torrentUrl, options = {}) {
             resolve(result);
         });
         
-        // Pause immediately if needed (before ready event)
-        if (shouldPause) {
-            torrent.pause();
-            console.log(`[downloadTorrent] Torrent paused immediately due to max active torrents limit`);
+        torrentDownloadIds.set(torrent, downloadId);
+        if (userPaused) {
+            pausedTorrents.add(torrent);
         }
         
-        // Rescan files to resume from existing chunks if they exist
-        torrent.on('ready', () => {
-            console.log(`[downloadTorrent] Torrent ready event - Rescanning files for InfoHash: ${torrent.infoHash}`);
-            torrent.rescanFiles();
-        });
+        // Start the torrent or pause it right away (before the ready event) depending on its place in the queue
+        processQueue();
+        console.log(`[downloadTorrent] Torrent ${torrent.paused ? 'paused' : 'started'} according to the download queue`);
         
-        // Set up completion listener to unpause queued torrents and store files
-        torrent.on('done', () => {
-            console.log(`[downloadTorrent] Torrent download completed - InfoHash: ${torrent.infoHash}, Name: ${torrent.name || 'N/A'}`);
+        let completed = false;
+        
+        // Stores the downloaded files, moves them out of .torrent-chunks and removes the torrent
+        const completeDownload = () => {
+            if (completed) {
+                return;
+            }
+            completed = true;
             
-            // Unpause the next queued torrent
-            unpauseNextQueuedTorrent();
+            const completedFiles = selectedFilesMap.get(torrent.infoHash) || torrent.files;
+            selectedFilesMap.delete(torrent.infoHash);
             
-            // Store files in database
-            if (torrentId) {
+            console.log(`[downloadTorrent] Torrent download completed - InfoHash: ${torrent.infoHash}, Name: ${torrent.name || 'N/A'}`);
+            
+            // Downloads covered by the seeding policy are seeded once their files are in place
+            const seed = shouldSeedDownload(downloadId);
+            if (seed) {
                 try {
-                    console.log(`[downloadTorrent] Storing ${torrent.files.length} file(s) in database for torrent ID ${torrentId}`);
-                    // Store all files from the torrent
-                    torrent.files.forEach(file => {
-                        const filePath = join(torrent.path, file.path);
-                        const fileName = file.name;
-                        upsertFileTorrentDownload(torrentId, filePath, fileName);
-                    });
-                    console.log(`[downloadTorrent] Successfully stored ${torrent.files.length} file(s) for torrent ID ${torrentId}`);
+                    startDownloadSeeding(downloadId, torrent.uploaded || 0);
                 } catch (error) {
-                    console.error(`[downloadTorrent] Error storing files for torrent ID ${torrentId}:`, error);
+                    console.error(`[downloadTorrent] Error recording seeding of download ${downloadId}:`, error);
                 }
+            } else {
+                setDownloadState(downloadId, DOWNLOAD_STATE.COMPLETED, { infoHash: torrent.infoHash });
             }
             
-            // Move final consolidated file from .torrent-chunks to torrent's download path
-            // The filename in .torrent-chunks matches the filename from the torrent's file path
+            // Store files in database, superseding the download this one upgrades
+            const supersededFiles = storeCompletedFiles(torrentId, replacesTorrentId, completedFiles.map(file => ({
+                filePath: join(torrent.path, file.path),
+                fileName: file.name
+            })));
+            
+            // Move final consolidated files from .torrent-chunks to torrent's download path
+            // Files in .torrent-chunks are stored under the same relative path as in the torrent
             try {
                 const chunksDir = join(downloadPath, '.torrent-chunks');
                 if (existsSync(chunksDir)) {
                     console.log(`[downloadTorrent] Cleaning up chunks directory: ${chunksDir}`);
                     
-                    // Move the file from chunk directory to its final location
-                    if (existsSync(chunksDir) && torrent.files.length > 0) {
-                        const file = torrent.files[0]; // Single file torrent
-                        const fileName = file.name;
-                        const srcFilePath = join(chunksDir, fileName);
+                    // Move the files from chunk directory to their final location
+                    completedFiles.forEach(file => {
+                        const srcFilePath = join(chunksDir, file.path);
                         const destFilePath = join(torrent.path, file.path);
                         
-                        if (existsSync(srcFilePath)) {
-                            // Ensure destination directory exists
-                            const destDir = dirname(destFilePath);
-                            if (!existsSync(destDir)) {
-                                mkdirSync(destDir, { recursive: true });
-                                console.log(`[downloadTorrent] Created destination directory: ${destDir}`);
-                            }
-                            
-                            // Move the file
-                            renameSync(srcFilePath, destFilePath);
-                            console.log(`[downloadTorrent] Moved ${fileName} from .torrent-chunks to ${file.path}`);
-                            
-                            // Remove the torrent's chunk directory if empty
-                            try {
-                                const remainingInTorrentDir = readdirSync(chunksDir);
-                                if (remainingInTorrentDir.length === 0) {
-                                    rmdirSync(chunksDir);
-                                    console.log(`[downloadTorrent] Removed empty torrent chunk directory`);
-                                }
-                            } catch (err) {
-                                // Directory might already be deleted or have permission issues
-                                console.log(`[downloadTorrent] Could not remove chunk directory (may already be empty): ${err.message}`);
-                            }
+                        if (!existsSync(srcFilePath)) {
+                            return;
+                        }
+                        
+                        // Ensure destination directory exists
+                        const destDir = dirname(destFilePath);
+                        if (!existsSync(destDir)) {
+                            mkdirSync(destDir, { recursive: true });
+                            console.log(`[downloadTorrent] Created destination directory: ${destDir}`);
+                        }
+                        
+                        // Move the file
+                        renameSync(srcFilePath, destFilePath);
+                        console.log(`[downloadTorrent] Moved ${file.name} from .torrent-chunks to ${file.path}`);
+                    });
+                    
+                    // Multi-file torrents keep their files in a folder named after the torrent,
+                    // which may still hold partial files of episodes that were not selected
+                    if (torrent.files.length > 1 && torrent.name) {
+                        const torrentChunksDir = join(chunksDir, torrent.name);
+                        try {
+                            rmSync(torrentChunksDir, { recursive: true, force: true });
+                            console.log(`[downloadTorrent] Removed torrent chunk directory: ${torrentChunksDir}`);
+                        } catch (err) {
+                            console.log(`[downloadTorrent] Could not remove torrent chunk directory: ${err.message}`);
                         }
                     }
                     
@@ -341,7 +1056,15 @@ export async function downloadTorrent(torrentUrl, options = {}) {
                 console.error(`[downloadTorrent] Error cleaning up .torrent-chunks folder:`, error);
             }
             
-            // Remove torrent from client
+            // Remove the files of the download this one replaces
+            if (supersededFiles.length > 0) {
+                const newFilePaths = new Set(completedFiles.map(file => join(torrent.path, file.path)));
+                removeSupersededFiles(supersededFiles, newFilePaths);
+            }
+            
+            // Remove torrent from client; its chunk store no longer holds the files
+            const seedSource = torrent.torrentFile || torrent.magnetURI || torrentUrl;
+            const uploaded = torrent.uploaded || 0;
             try {
                 console.log(`[downloadTorrent] Destroying torrent - InfoHash: ${torrent.infoHash}`);
                 torrent.destroy();
@@ -349,8 +1072,80 @@ export async function downloadTorrent(torrentUrl, options = {}) {
             } catch (error) {
                 console.error(`[downloadTorrent] Error destroying torrent ${torrent.infoHash}:`, error);
             }
+            
+            // Rename the files into the library; seeded files are only moved once seeding stops
+            // Their CRC is checked once they have been placed
+            organizeCompletedFiles(torrentId, { sourcesInUse: seed }).then(() => verifyCompletedFiles(torrentId));
+            
+            // Add it back to seed the moved files
+            if (seed) {
+                startSeeding(seedSource, {
+                    downloadId,
+                    downloadPath: torrent.path,
+                    episodes: limitToEpisodes ? episodes : null,
+                    uploaded: uploaded,
+                    startedAt: Date.now()
+                });
+            }
+            
+            // Start the next queued torrent
+            processQueue();
+        };
+        
+        // Completion runs outside of the 'done' events: WebTorrent keeps using the torrent after emitting them,
+        // so destroying it from a listener throws once the listener returns
+        let completionScheduled = false;
+        const scheduleCompletion = () => {
+            if (completionScheduled) {
+                return;
+            }
+            completionScheduled = true;
+            setImmediate(() => {
+                if (!torrent.destroyed) {
+                    completeDownload();
+                }
+            });
+        };
+        
+        // Rescan files to resume from existing chunks if they exist
+        torrent.on('ready', () => {
+            console.log(`[downloadTorrent] Torrent ready event - Rescanning files for InfoHash: ${torrent.infoHash}`);
+            
+            // Only download the files of the wanted episodes and file types; the torrent itself
+            // never completes in that case, so completion is tracked per file
+            if (limitFiles) {
+                const selectedFiles = selectWantedFiles(torrent, limitToEpisodes ? episodes : null, config.keepFileTypes);
+                selectedFilesMap.set(torrent.infoHash, selectedFiles);
+                console.log(`[downloadTorrent] Selected ${selectedFiles.length}/${torrent.files.length} file(s)${limitToEpisodes ? ` for episode(s) ${episodes.join(', ')}` : ''} (keeping ${config.keepFileTypes.join(', ')})`);
+                
+                const pendingFiles = selectedFiles.filter(file => !file.done);
+                let remainingFiles = pendingFiles.length;
+                pendingFiles.forEach(file => {
+                    file.once('done', () => {
+                        remainingFiles--;
+                        if (remainingFiles === 0) {
+                            scheduleCompletion();
+                        }
+                    });
+                });
+                
+                if (remainingFiles === 0) {
+                    scheduleCompletion();
+                    return;
+                }
+            }
+            
+            // Torrents stopped before their file list was known had nothing to deselect until now
+            if (torrent.paused) {
+                stopTorrent(torrent);
+            }
+            
+            torrent.rescanFiles();
         });
         
+        // Set up completion listener to unpause queued torrents and store files
+        torrent.on('done', scheduleCompletion);
+        
         // Handle errors
         torrent.on('error', (err) => {
             console.error(`[downloadTorrent] Torrent error - URL: ${torrentUrl}, InfoHash: ${torrent?.infoHash || 'N/A'}, Error: ${err.message}`);
@@ -360,11 +1155,15 @@ export async function downloadTorrent(torrentUrl, options = {}) {
                 torrentTrackingMap.delete(torrentId);
             }
             torrentTrackingMap.delete(torrentUrl);
+            if (torrent?.infoHash) {
+                selectedFilesMap.delete(torrent.infoHash);
+            }
+            setDownloadState(downloadId, DOWNLOAD_STATE.FAILED, { error: err.message });
             
-            // Unpause the next queued torrent if this one was active
+            // Start the next queued torrent if this one was active
             if (!torrent.paused) {
-                console.log(`[downloadTorrent] Unpausing next queued torrent due to error`);
-                unpauseNextQueuedTorrent();
+                console.log(`[downloadTorrent] Starting next queued torrent due to error`);
+                processQueue();
             }
             
             reject(new Error(`Torrent download error: ${err.message}`));
@@ -373,19 +1172,241 @@ export async function downloadTorrent(torrentUrl, options = {}) {
 }
 
 /**
- * Gets torrent status by torrent ID or URL
- * @param {number|string} torrentIdOrUrl - Torrent ID (number) or URL (string)
- * @returns {Object|null} Torrent status object or null if not found
+ * Sends a torrent to the selected external download client
+ * Completion is picked up by pollExternalDownloads, which stores the downloaded files
+ * @param {Object} external - { client, settings } from getActiveDownloadClient
+ * @param {string} torrentUrl - Torrent file URL or magnet link
+ * @param {string} downloadPath - Local download path
+ * @param {Object} options - Options passed to downloadTorrent, with infoHash normalized
+ * @returns {Promise<Object>} Torrent info
  */
-export function getTorrentStatusByTorrentIdOrUrl(torrentIdOrUrl) {
+async function downloadWithExternalClient({ client: downloadClient, settings }, torrentUrl, downloadPath, options) {
+    const { animeTitle, animeId, torrentId, replacesTorrentId, episodes, restoreState } = options;
+    const limitToEpisodes = Array.isArray(episodes) && episodes.length > 0;
+    const { keepFileTypes } = getConfiguration();
+    const paused = restoreState === DOWNLOAD_STATE.PAUSED;
+    
+    const existingTorrent = options.infoHash
+        ? (await downloadClient.listTorrents(settings)).find(t => t.infoHash === options.infoHash)
+        : null;
+    
+    let infoHash = existingTorrent?.infoHash || null;
+    if (existingTorrent) {
+        console.log(`[downloadTorrent] Torrent already in ${downloadClient.name} - InfoHash: ${infoHash}`);
+    } else {
+        const savePath = toClientPath(downloadPath, settings);
+        console.log(`[downloadTorrent] Adding torrent to ${downloadClient.name} - URL: ${torrentUrl}, Save path: ${savePath}`);
+        infoHash = normalizeInfoHash(await downloadClient.addTorrent(settings, {
+            url: torrentUrl,
+            savePath,
+            infoHash: options.infoHash
+        }));
+    }
+    
+    if (!infoHash) {
+        throw new Error(`${downloadClient.name} did not report the info hash of the torrent in time`);
+    }
+    
+    if (torrentId) {
+        torrentTrackingMap.set(torrentId, infoHash);
+    }
+    torrentTrackingMap.set(torrentUrl, infoHash);
+    
+    // Record the download so it is tracked again after a restart
+    const downloadId = options.downloadId || recordDownload({
+        animeId,
+        torrentId,
+        replacesTorrentId,
+        torrentUrl,
+        infoHash,
+        animeTitle,
+        downloadPath,
+        episodes: limitToEpisodes ? episodes : null,
+        state: DOWNLOAD_STATE.DOWNLOADING
+    });
+    setDownloadState(downloadId, paused ? DOWNLOAD_STATE.PAUSED : DOWNLOAD_STATE.DOWNLOADING, { infoHash });
+    
+    externalDownloads.set(infoHash, {
+        downloadId,
+        torrentId,
+        replacesTorrentId,
+        episodes: limitToEpisodes ? episodes : null,
+        keepFileTypes: keepFileTypes,
+        filesSelected: !limitsFiles(episodes, keepFileTypes) || Boolean(existingTorrent),
+        paused: paused,
+        missingPolls: 0
+    });
+    
+    const status = existingTorrent ? existingTorrent.state : 'queued';
+    console.log(`[downloadTorrent] Torrent sent to ${downloadClient.name} with status: ${status}`);
+    
+    return {
+        infoHash: infoHash,
+        torrentUrl: torrentUrl,
+        downloadPath: downloadPath,
+        status: status,
+        animeId: animeId,
+        torrentId: torrentId
+    };
+}
+
+/**
+ * Stores the files of a download completed by an external client
+ * Only the files selected for download are stored; the torrent stays in the client to seed
+ * @param {Object} external - { client, settings } from getActiveDownloadClient
+ * @param {Object} torrent - Client torrent
+ * @param {Object} download - Tracked download
+ */
+async function completeExternalDownload({ client: downloadClient, settings }, torrent, download) {
+    console.log(`[downloadTorrent] ${downloadClient.name} completed download - InfoHash: ${torrent.infoHash}, Name: ${torrent.name || 'N/A'}`);
+    
+    const savePath = toLocalPath(torrent.savePath, settings);
+    const files = (await downloadClient.getFiles(settings, torrent.infoHash))
+        .filter(file => file.selected)
+        .map(file => ({ filePath: join(savePath, file.path), fileName: file.name }));
+    
+    const supersededFiles = storeCompletedFiles(download.torrentId, download.replacesTorrentId, files);
+    if (supersededFiles.length > 0) {
+        removeSupersededFiles(supersededFiles, new Set(files.map(file => file.filePath)));
+    }
+    setDownloadState(download.downloadId, DOWNLOAD_STATE.COMPLETED);
+    
+    // The client keeps seeding the files from where it saved them, so they are never moved
+    organizeCompletedFiles(download.torrentId, { sourcesInUse: true }).then(() => verifyCompletedFiles(download.torrentId));
+}
+
+/**
+ * Checks the downloads sent to the external client
+ * Limits batch torrents to the wanted episodes once their file list is known
+ * and stores the files of completed downloads in file_torrent_download
+ */
+async function pollExternalDownloads() {
+    const external = getActiveDownloadClient();
+    if (!external || externalDownloads.size === 0 || pollingExternalDownloads) {
+        return;
+    }
+    
+    const { client: downloadClient, settings } = external;
+    pollingExternalDownloads = true;
+    
+    try {
+        const torrents = await downloadClient.listTorrents(settings);
+        
+        for (const [infoHash, download] of externalDownloads) {
+            const torrent = torrents.find(t => t.infoHash === infoHash);
+            if (!torrent) {
+                download.missingPolls++;
+                if (download.missingPolls >= MAX_MISSING_POLLS) {
+                    console.log(`[downloadTorrent] Torrent ${infoHash} is no longer in ${downloadClient.name}, no longer tracking it`);
+                    externalDownloads.delete(infoHash);
+                    setDownloadState(download.downloadId, DOWNLOAD_STATE.FAILED, { error: `Removed from ${downloadClient.name}` });
+                }
+                continue;
+            }
+            download.missingPolls = 0;
+            
+            try {
+                // Magnet links only list their files once the metadata is fetched
+                if (!download.filesSelected) {
+                    const files = await downloadClient.getFiles(settings, infoHash);
+                    if (files.length > 0) {
+                        const wantedFiles = getWantedFiles(files, download.episodes, download.keepFileTypes);
+                        if (wantedFiles.length < files.length) {
+                            await downloadClient.selectFiles(settings, infoHash, wantedFiles.map(file => file.index), files.length);
+                            console.log(`[downloadTorrent] Selected ${wantedFiles.length}/${files.length} file(s)${download.episodes ? ` for episode(s) ${download.episodes.join(', ')}` : ''}`);
+                        }
+                        download.filesSelected = true;
+                    }
+                    continue;
+                }
+                
+                if (torrent.state === 'completed') {
+                    externalDownloads.delete(infoHash);
+                    await completeExternalDownload(external, torrent, download);
+                } else if (torrent.state === 'error') {
+                    console.error(`[downloadTorrent] ${downloadClient.name} reports an error for torrent ${infoHash}`);
+                }
+            } catch (error) {
+                console.error(`[downloadTorrent] Error syncing torrent ${infoHash} with ${downloadClient.name}:`, error);
+            }
+        }
+    } catch (error) {
+        console.error(`[downloadTorrent] Error polling ${downloadClient.name}:`, error);
+    } finally {
+        pollingExternalDownloads = false;
+    }
+}
+
+/**
+ * Maps a torrent of an external client onto the shape returned by getAllTorrents
+ * @param {Object} torrent - Client torrent
+ * @param {Object} settings - Client settings
+ * @returns {Object} Torrent object with status information
+ */
+function describeExternalTorrent(torrent, settings) {
+    const pausedByUser = torrent.state === 'queued' && Boolean(externalDownloads.get(torrent.infoHash)?.paused);
+    return {
+        infoHash: torrent.infoHash,
+        magnetURI: torrent.magnetURI,
+        name: torrent.name || 'Unknown',
+        path: toLocalPath(torrent.savePath, settings) || '',
+        progress: Math.round(torrent.progress * 100) / 100,
+        downloadSpeed: torrent.downloadSpeed,
+        uploadSpeed: torrent.uploadSpeed,
+        numPeers: torrent.numPeers,
+        downloaded: torrent.downloaded,
+        length: torrent.length,
+        timeRemaining: torrent.timeRemaining,
+        status: pausedByUser ? 'paused' : torrent.state,
+        ready: torrent.state !== 'initializing',
+        done: torrent.state === 'completed',
+        paused: torrent.state === 'queued',
+        priority: null,
+        queuePosition: null,
+        uploaded: null,
+        ratio: null,
+        seedingTime: null
+    };
+}
+
+/**
+ * Gets torrent status by info hash, torrent ID or URL
+ * @param {number|string} torrentIdOrUrl - Info hash or magnet link (string), torrent ID (number) or URL (string)
+ * @returns {Promise<Object|null>} Torrent status object or null if not found
+ */
+export async function getTorrentStatusByTorrentIdOrUrl(torrentIdOrUrl) {
+    const external = getActiveDownloadClient();
+    if (external) {
+        const infoHash = (typeof torrentIdOrUrl === 'string'
+            ? normalizeInfoHash(torrentIdOrUrl) || parseInfoHashFromMagnet(torrentIdOrUrl)
+            : null) || torrentTrackingMap.get(torrentIdOrUrl);
+        if (!infoHash) {
+            return null;
+        }
+        
+        const torrent = (await external.client.listTorrents(external.settings)).find(t => t.infoHash === infoHash);
+        if (!torrent) {
+            return null;
+        }
+        
+        const { status, progress, downloadSpeed, ready, done, paused } = describeExternalTorrent(torrent, external.settings);
+        return { infoHash, status, progress, downloadSpeed, ready, done, paused };
+    }
+    
     const torrentClient = getTorrentClient();
     
-    // First try to get infoHash from tracking map
-    let infoHash = torrentTrackingMap.get(torrentIdOrUrl);
-    let torrent = null;
+    // Info hashes and magnet links identify the torrent directly
+    let torrent = typeof torrentIdOrUrl === 'string'
+        ? findClientTorrent(normalizeInfoHash(torrentIdOrUrl) || parseInfoHashFromMagnet(torrentIdOrUrl))
+        : null;
+    let infoHash = torrent ? torrent.infoHash : null;
     
-    if (infoHash) {
-        torrent = torrentClient.get(infoHash);
+    // Otherwise try to get infoHash from tracking map
+    if (!torrent) {
+        infoHash = torrentTrackingMap.get(torrentIdOrUrl);
+        if (infoHash) {
+            torrent = findClientTorrent(infoHash);
+        }
     }
     
     // If not found, try to find by URL in active torrents
@@ -404,21 +1425,25 @@ export function getTorrentStatusByTorrentIdOrUrl(torrentIdOrUrl) {
         return null;
     }
     
-    const progress = torrent.progress || 0;
+    const { progress } = getTorrentProgress(torrent);
     const downloadSpeed = torrent.downloadSpeed || 0;
     
-    let status = 'downloading';
-    if (torrent.done) {
-        status = 'completed';
-    } else if (torrent.paused) {
-        status = 'queued'; // Show paused torrents as queued
-    } else if (!torrent.ready) {
-        status = 'initializing';
+    // Seeding torrents are completed downloads as far as the anime views are concerned
+    if (seedingTorrents.has(torrent)) {
+        return {
+            infoHash: torrent.infoHash,
+            status: 'completed',
+            progress: 1,
+            downloadSpeed: 0,
+            ready: true,
+            done: true,
+            paused: false
+        };
     }
     
     return {
         infoHash: torrent.infoHash,
-        status: status,
+        status: getTorrentStatus(torrent),
         progress: Math.round(progress * 100) / 100,
         downloadSpeed: downloadSpeed,
         ready: torrent.ready || false,
@@ -429,28 +1454,36 @@ export function getTorrentStatusByTorrentIdOrUrl(torrentIdOrUrl) {
 
 /**
  * Gets all active torrents with their status
- * @returns {Array} Array of torrent objects with status information
+ * WebTorrent torrents are listed in queue order, with their priority and queue position, followed by the seeding torrents
+ * With an external client, only torrents sent by this app or saved under the anime location are listed;
+ * the external client manages its own queue, so these have no priority or queue position
+ * @returns {Promise<Array>} Array of torrent objects with status information
  */
-export function getAllTorrents() {
+export async function getAllTorrents() {
+    const external = getActiveDownloadClient();
+    if (external) {
+        const { animeLocation } = getConfiguration();
+        const torrents = await external.client.listTorrents(external.settings);
+        return torrents
+            .map(torrent => describeExternalTorrent(torrent, external.settings))
+            .filter(torrent => externalDownloads.has(torrent.infoHash) || (animeLocation && torrent.path.startsWith(animeLocation)));
+    }
+    
     const torrentClient = getTorrentClient();
-    const torrents = torrentClient.torrents || [];
+    const queuedTorrents = getQueuedTorrents();
+    const queuedSet = new Set(queuedTorrents.map(({ torrent }) => torrent));
+    const torrents = [
+        ...queuedTorrents,
+        ...(torrentClient.torrents || []).filter(torrent => !queuedSet.has(torrent)).map(torrent => ({ torrent, download: null }))
+    ];
     
-    return torrents.map(torrent => {
-        const progress = torrent.progress || 0;
+    return torrents.map(({ torrent, download }, index) => {
+        const { progress, downloaded, length } = getTorrentProgress(torrent);
         const downloadSpeed = torrent.downloadSpeed || 0;
         const uploadSpeed = torrent.uploadSpeed || 0;
         const numPeers = torrent.numPeers || 0;
-        const downloaded = torrent.downloaded || 0;
-        const length = torrent.length || 0;
-        
-        let status = 'downloading';
-        if (torrent.done) {
-            status = 'completed';
-        } else if (torrent.paused) {
-            status = 'queued'; // Show paused torrents as queued
-        } else if (!torrent.ready) {
-            status = 'initializing';
-        }
+        const uploaded = torrent.uploaded || 0;
+        const seeding = seedingTorrents.has(torrent) ? getSeedingProgress(torrent) : null;
         
         return {
             infoHash: torrent.infoHash,
@@ -464,32 +1497,152 @@ export function getAllTorrents() {
             downloaded: downloaded,
             length: length,
             timeRemaining: torrent.timeRemaining || Infinity,
-            status: status,
+            status: getTorrentStatus(torrent),
             ready: torrent.ready || false,
             done: torrent.done || false,
-            paused: torrent.paused || false
+            paused: torrent.paused || false,
+            priority: download ? download.priority : 0,
+            queuePosition: queuedSet.has(torrent) ? index + 1 : null,
+            uploaded: seeding ? seeding.uploaded : uploaded,
+            ratio: seeding ? seeding.ratio : (downloaded > 0 ? uploaded / downloaded : 0),
+            seedingTime: seeding ? seeding.seedingTime : null
         };
     });
 }
 
 /**
- * Removes a torrent from the client
+ * Pauses a torrent until the user resumes it
+ * Paused WebTorrent torrents free their slot in the queue
+ * @param {string} infoHash - Info hash of the torrent
+ * @returns {Promise<boolean>} True if the torrent was found
+ */
+export async function pauseTorrent(infoHash) {
+    const normalizedInfoHash = normalizeInfoHash(infoHash);
+    const external = getActiveDownloadClient();
+    if (external) {
+        await external.client.pauseTorrent(external.settings, normalizedInfoHash);
+        const download = externalDownloads.get(normalizedInfoHash);
+        if (download) {
+            download.paused = true;
+        }
+        updateDownloadStateByInfoHash(normalizedInfoHash, DOWNLOAD_STATE.PAUSED);
+        console.log(`Paused torrent ${normalizedInfoHash} in ${external.client.name}`);
+        return true;
+    }
+    
+    const torrent = findClientTorrent(normalizedInfoHash);
+    if (!torrent || seedingTorrents.has(torrent)) {
+        return false;
+    }
+    
+    pausedTorrents.add(torrent);
+    processQueue();
+    console.log(`Paused torrent ${torrent.name || normalizedInfoHash}`);
+    return true;
+}
+
+/**
+ * Resumes a torrent paused by the user
+ * WebTorrent torrents go back to their place in the queue and only start if it has a free slot
+ * @param {string} infoHash - Info hash of the torrent
+ * @returns {Promise<boolean>} True if the torrent was found
+ */
+export async function resumeTorrent(infoHash) {
+    const normalizedInfoHash = normalizeInfoHash(infoHash);
+    const external = getActiveDownloadClient();
+    if (external) {
+        await external.client.resumeTorrent(external.settings, normalizedInfoHash);
+        const download = externalDownloads.get(normalizedInfoHash);
+        if (download) {
+            download.paused = false;
+        }
+        updateDownloadStateByInfoHash(normalizedInfoHash, DOWNLOAD_STATE.DOWNLOADING);
+        console.log(`Resumed torrent ${normalizedInfoHash} in ${external.client.name}`);
+        return true;
+    }
+    
+    const torrent = findClientTorrent(normalizedInfoHash);
+    if (!torrent || seedingTorrents.has(torrent)) {
+        return false;
+    }
+    
+    pausedTorrents.delete(torrent);
+    processQueue();
+    console.log(`Resumed torrent ${torrent.name || normalizedInfoHash}`);
+    return true;
+}
+
+/**
+ * Sets the priority of a torrent in the WebTorrent queue
+ * @param {string} infoHash - Info hash of the torrent
+ * @param {number} priority - New priority (see DOWNLOAD_PRIORITY)
+ * @returns {boolean} True if the torrent was found in the queue
+ */
+export function setTorrentPriority(infoHash, priority) {
+    const updated = updateDownloadPriorityByInfoHash(normalizeInfoHash(infoHash), priority);
+    if (updated === 0) {
+        return false;
+    }
+    processQueue();
+    return true;
+}
+
+/**
+ * Reorders the WebTorrent queue
+ * Priorities still come first: torrents only move within their priority
+ * @param {Array<string>} infoHashes - Info hashes of the torrents in their new order
+ */
+export function reorderTorrents(infoHashes) {
+    reorderDownloads(infoHashes.map(normalizeInfoHash).filter(Boolean));
+    processQueue();
+}
+
+/**
+ * Removes a torrent from the selected download client
+ * Removing a seeding torrent only stops seeding it: its files are already in the library and are always kept
  * @param {string} infoHash - Info hash of the torrent to remove
+ * @param {Object} options - { deleteData }; downloaded data is kept unless deleteData is set
+ * @returns {Promise<boolean>} True if the torrent was found
  */
-export function removeTorrent(infoHash) {
+export async function removeTorrent(infoHash, { deleteData = false } = {}) {
+    const normalizedInfoHash = normalizeInfoHash(infoHash);
+    const external = getActiveDownloadClient();
+    if (external) {
+        externalDownloads.delete(normalizedInfoHash);
+        deleteUnfinishedDownloadsByInfoHash(normalizedInfoHash);
+        await external.client.removeTorrent(external.settings, normalizedInfoHash, deleteData);
+        console.log(`Removed torrent ${normalizedInfoHash} from ${external.client.name}${deleteData ? ' with its data' : ''}`);
+        return true;
+    }
+    
     const torrentClient = getTorrentClient();
-    const torrent = torrentClient.get(infoHash);
+    const torrent = findClientTorrent(normalizedInfoHash);
+    if (!torrent) {
+        return false;
+    }
+    
+    if (seedingTorrents.has(torrent)) {
+        stopSeeding(torrent);
+        return true;
+    }
+    
+    selectedFilesMap.delete(torrent.infoHash);
+    deleteUnfinishedDownloadsByInfoHash(torrent.infoHash);
     
-    if (torrent) {
-        torrentClient.remove(torrent, { destroyStore: false }, (err) => {
+    // Downloaded data lives in the chunk store until the download completes
+    await new Promise((resolve, reject) => {
+        torrentClient.remove(torrent, { destroyStore: deleteData }, (err) => {
             if (err) {
-                console.error(`Error removing torrent ${infoHash}:`, err);
-            } else {
-                console.log(`Removed torrent ${infoHash}`);
-                // Unpause the next queued torrent if there's space
-                unpauseNextQueuedTorrent();
+                console.error(`Error removing torrent ${normalizedInfoHash}:`, err);
+                reject(err);
+                return;
             }
-        });
-    }
+            console.log(`Removed torrent ${normalizedInfoHash}${deleteData ? ' with its data' : ''}`);
+            resolve();
+        }).catch(reject);
+    });
+    
+    // Start the next queued torrent
+    processQueue();
+    return true;
 }
-
@@ -0,0 +1,105 @@
+/**
+ * Watch progress
+ * Works out which downloaded episodes are still unwatched and which episode to continue with.
+ */
+
+import { getWatchProgressForAnime, getAllWatchProgress, getDownloadedEpisodes, getAnimeTitlesAndImages } from '../database/watchDB.js';
+
+/**
+ * Groups rows by anime ID
+ * @param {Array} rows - Rows with an animeId
+ * @returns {Map<number, Array>} Map of anime ID to its rows
+ */
+function groupByAnime(rows) {
+    const grouped = new Map();
+    rows.forEach(row => {
+        if (!grouped.has(row.animeId)) {
+            grouped.set(row.animeId, []);
+        }
+        grouped.get(row.animeId).push(row);
+    });
+    return grouped;
+}
+
+/**
+ * Picks the episode to continue watching
+ * That is the first unwatched downloaded episode after the last watched one; earlier unwatched episodes
+ * are only picked when nothing after it is downloaded
+ * @param {Array} downloadedEpisodes - Episodes from getDownloadedEpisodes
+ * @param {Map<number, Object>} progressByEpisode - Watch progress by episode number
+ * @returns {Object|null} { episodeNumber, downloadedAt, position, duration }, or null if every downloaded episode is watched
+ */
+export function getNextEpisode(downloadedEpisodes, progressByEpisode) {
+    const unwatched = downloadedEpisodes
+        .filter(episode => !progressByEpisode.get(episode.episodeNumber)?.watched)
+        .sort((a, b) => a.episodeNumber - b.episodeNumber);
+    if (unwatched.length === 0) {
+        return null;
+    }
+
+    const lastWatched = Math.max(0, ...Array.from(progressByEpisode.values())
+        .filter(progress => progress.watched)
+        .map(progress => progress.episodeNumber));
+    const next = unwatched.find(episode => episode.episodeNumber > lastWatched) || unwatched[0];
+    const progress = progressByEpisode.get(next.episodeNumber);
+
+    return {
+        episodeNumber: next.episodeNumber,
+        downloadedAt: next.downloadedAt,
+        position: progress?.position || 0,
+        duration: progress?.duration ?? null
+    };
+}
+
+/**
+ * Gets the watch progress of an anime with its downloaded episodes and the episode to continue with
+ * @param {number} animeId - Anime ID
+ * @returns {Object} { animeId, progress, downloadedEpisodes, nextEpisode }
+ */
+export function getAnimeWatchState(animeId) {
+    const progress = getWatchProgressForAnime(animeId);
+    const downloaded = getDownloadedEpisodes(animeId);
+    const progressByEpisode = new Map(progress.map(item => [item.episodeNumber, item]));
+
+    return {
+        animeId,
+        progress,
+        downloadedEpisodes: downloaded.map(episode => episode.episodeNumber).sort((a, b) => a - b),
+        nextEpisode: getNextEpisode(downloaded, progressByEpisode)
+    };
+}
+
+/**
+ * Lists the anime with downloaded episodes that were not watched yet
+ * @returns {Array} Array of { animeId, title, image, unwatchedEpisodes, nextEpisode, lastDownloadedAt },
+ *                  most recently downloaded first
+ */
+export function getContinueWatching() {
+    const downloadedByAnime = groupByAnime(getDownloadedEpisodes());
+    const progressByAnime = groupByAnime(getAllWatchProgress());
+
+    const entries = [];
+    downloadedByAnime.forEach((downloaded, animeId) => {
+        const progressByEpisode = new Map((progressByAnime.get(animeId) || []).map(item => [item.episodeNumber, item]));
+        const unwatched = downloaded.filter(episode => !progressByEpisode.get(episode.episodeNumber)?.watched);
+        if (unwatched.length === 0) {
+            return;
+        }
+
+        entries.push({
+            animeId,
+            unwatchedEpisodes: unwatched.map(episode => episode.episodeNumber).sort((a, b) => a - b),
+            nextEpisode: getNextEpisode(downloaded, progressByEpisode),
+            lastDownloadedAt: Math.max(...unwatched.map(episode => episode.downloadedAt))
+        });
+    });
+
+    const animeInfo = getAnimeTitlesAndImages(entries.map(entry => entry.animeId));
+    return entries
+        .map(entry => ({
+            ...entry,
+            title: animeInfo.get(entry.animeId)?.title || `Anime ${entry.animeId}`,
+            image: animeInfo.get(entry.animeId)?.image || null
+        }))
+        .sort((a, b) => b.lastDownloadedAt - a.lastDownloadedAt);
+}
@@ -3,6 +3,7 @@ import QuartersSection from './components/SeasonsSection';
 import SubgroupsSection from './components/SubgroupsSection';
 import TasksMonitor from './components/TasksMonitor';
 import AnimeScanSection from './components/AnimeScanSection';
+import IndexersSection from './components/IndexersSection';
 import './AdminView.css';
 
 function AdminView() {
@@ -48,6 +49,10 @@ function AdminView() {
         <div className="section-separator"></div>
         
         <SubgroupsSection />
+
+        <div className="section-separator"></div>
+
+        <IndexersSection />
       </div>
     </div>
   );
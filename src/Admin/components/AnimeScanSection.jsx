@@ -5,6 +5,7 @@ function AnimeScanSection({ animeLocation }) {
   const [downloads, setDownloads] = useState([]);
   const [loading, setLoading] = useState(false);
   const [scanning, setScanning] = useState(false);
+  const [importOwned, setImportOwned] = useState(false);
   const [error, setError] = useState(null);
   const [page, setPage] = useState(1);
   const [pageSize] = useState(10);
@@ -51,7 +52,7 @@ function AnimeScanSection({ animeLocation }) {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ folderPath: animeLocation }),
+        body: JSON.stringify({ folderPath: animeLocation, importOwned }),
       });
 
       const result = await response.json();
@@ -84,6 +85,18 @@ function AnimeScanSection({ animeLocation }) {
         <div className="folder-info">
           <strong>Folder Location:</strong> <span className="folder-path">{animeLocation}</span>
         </div>
+        <label
+          className="scan-import-option"
+          title="Recognizes renamed files and files from other sources by their show name, season and episode"
+        >
+          <input
+            type="checkbox"
+            checked={importOwned}
+            onChange={(e) => setImportOwned(e.target.checked)}
+            disabled={scanning}
+          />
+          <span>Import episodes without a matching torrent</span>
+        </label>
         <button
           className="scan-folder-button"
           onClick={handleScanFolder}
@@ -0,0 +1,273 @@
+import React, { useState, useEffect } from 'react';
+import SettingField from '../../Shared/components/SettingField';
+import './IndexersSection.css';
+
+function formatSize(bytes) {
+  if (!bytes) return '—';
+  const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+  const index = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, index)).toFixed(1)} ${units[index]}`;
+}
+
+function IndexersSection() {
+  const [providers, setProviders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(false);
+  const [testQuery, setTestQuery] = useState('');
+  const [testing, setTesting] = useState({});
+  const [testResults, setTestResults] = useState({});
+
+  useEffect(() => {
+    fetchProviders();
+  }, []);
+
+  const fetchProviders = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await fetch('/api/admin/indexers');
+      if (!response.ok) {
+        throw new Error('Failed to fetch indexers');
+      }
+      const data = await response.json();
+      setProviders(data.providers);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error fetching indexers:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateProvider = (id, changes) => {
+    setProviders((prev) =>
+      prev.map((provider) => (provider.id === id ? { ...provider, ...changes } : provider))
+    );
+  };
+
+  const updateSetting = (provider, key, value) => {
+    updateProvider(provider.id, { settings: { ...provider.settings, [key]: value } });
+  };
+
+  const moveProvider = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= providers.length) {
+      return;
+    }
+    const next = [...providers];
+    [next[index], next[target]] = [next[target], next[index]];
+    setProviders(next);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(false);
+      const response = await fetch('/api/admin/indexers', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          providers: providers.map(({ id, enabled, settings }) => ({ id, enabled, settings }))
+        })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save indexers');
+      }
+
+      setProviders(data.providers);
+      setSuccess(true);
+      setTimeout(() => setSuccess(false), 3000);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error saving indexers:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleTest = async (provider) => {
+    if (!testQuery.trim() || testing[provider.id]) {
+      return;
+    }
+
+    setTesting((prev) => ({ ...prev, [provider.id]: true }));
+
+    try {
+      const response = await fetch(`/api/admin/indexers/${provider.id}/test`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ query: testQuery, settings: provider.settings })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to test indexer');
+      }
+
+      setTestResults((prev) => ({ ...prev, [provider.id]: data }));
+    } catch (err) {
+      setTestResults((prev) => ({ ...prev, [provider.id]: { error: err.message } }));
+      console.error(`Error testing indexer ${provider.id}:`, err);
+    } finally {
+      setTesting((prev) => {
+        const next = { ...prev };
+        delete next[provider.id];
+        return next;
+      });
+    }
+  };
+
+  return (
+    <div className="table-container">
+      <div className="section-header">
+        <h3 className="section-title">Indexers</h3>
+      </div>
+      <p className="indexers-description">
+        Torrent sources searched by anime scans, in order. Results from every enabled indexer are merged;
+        when the same torrent (by info hash) comes from several indexers, the one listed first is kept.
+      </p>
+
+      {loading ? (
+        <div className="loading">Loading indexers...</div>
+      ) : (
+        <>
+          {error && (
+            <div className="indexers-error">
+              <strong>Error:</strong> {error}
+            </div>
+          )}
+
+          {success && (
+            <div className="indexers-success">Indexers saved successfully!</div>
+          )}
+
+          <div className="indexers-test-query">
+            <label htmlFor="indexer-test-query">Test search</label>
+            <input
+              id="indexer-test-query"
+              type="text"
+              value={testQuery}
+              onChange={(e) => setTestQuery(e.target.value)}
+              placeholder="Anime title to search for..."
+            />
+          </div>
+
+          <ol className="indexers-list">
+            {providers.map((provider, index) => {
+              const result = testResults[provider.id];
+              return (
+                <li
+                  key={provider.id}
+                  className={`indexer-card ${provider.enabled ? 'enabled' : 'disabled'}`}
+                >
+                  <div className="indexer-card-header">
+                    <label className="indexer-enabled">
+                      <input
+                        type="checkbox"
+                        checked={provider.enabled}
+                        onChange={(e) => updateProvider(provider.id, { enabled: e.target.checked })}
+                        disabled={saving}
+                      />
+                      <span className="indexer-name">{provider.name}</span>
+                    </label>
+                    <div className="indexer-actions">
+                      <button
+                        type="button"
+                        onClick={() => moveProvider(index, -1)}
+                        disabled={saving || index === 0}
+                        title="Move up"
+                      >
+                        ↑
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => moveProvider(index, 1)}
+                        disabled={saving || index === providers.length - 1}
+                        title="Move down"
+                      >
+                        ↓
+                      </button>
+                      <button
+                        type="button"
+                        className="indexer-test-button"
+                        onClick={() => handleTest(provider)}
+                        disabled={!testQuery.trim() || testing[provider.id]}
+                      >
+                        {testing[provider.id] ? 'Testing...' : 'Test'}
+                      </button>
+                    </div>
+                  </div>
+                  <p className="indexer-description">{provider.description}</p>
+
+                  <div className="indexer-settings">
+                    {provider.fields.map((field) => (
+                      <label key={field.key} className="indexer-setting">
+                        <span>{field.label}</span>
+                        <SettingField
+                          field={field}
+                          value={provider.settings[field.key]}
+                          onChange={(value) => updateSetting(provider, field.key, value)}
+                          disabled={saving}
+                        />
+                      </label>
+                    ))}
+                  </div>
+
+                  {result && (
+                    <div className="indexer-test-result">
+                      {result.error ? (
+                        <div className="indexers-error">Test failed: {result.error}</div>
+                      ) : (
+                        <>
+                          <div className="indexer-test-summary">
+                            Found {result.count} torrent(s) in {result.durationMs} ms
+                          </div>
+                          {result.items.length > 0 && (
+                            <ul className="indexer-test-items">
+                              {result.items.map((item) => (
+                                <li key={item.infoHash || item.link}>
+                                  <span className="indexer-test-title">{item.title}</span>
+                                  <span className="indexer-test-meta">
+                                    {formatSize(item.size)}
+                                    {item.seeders !== null && ` · ▲${item.seeders}`}
+                                    {!item.infoHash && ' · no info hash'}
+                                  </span>
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                        </>
+                      )}
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ol>
+
+          <div className="indexers-footer">
+            <button
+              type="button"
+              className="indexers-save-button"
+              onClick={handleSave}
+              disabled={saving}
+            >
+              {saving ? 'Saving...' : 'Save Indexers'}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default IndexersSection;
@@ -22,7 +22,12 @@ const TASK_TYPE_LABELS = {
   UPDATE_QUARTER: 'Update Quarter',
   SCAN_FOLDER: 'Scan Folder',
   SCAN_AUTODOWNLOAD: 'Scan Auto-Download',
-  QUEUE_AUTODOWNLOAD: 'Queue Auto-Download'
+  QUEUE_AUTODOWNLOAD: 'Queue Auto-Download',
+  REORGANIZE_LIBRARY: 'Reorganize Library',
+  VERIFY_CRC: 'Verify CRC',
+  APPLY_RETENTION: 'Apply Retention',
+  SYNC_ANILIST: 'Sync AniList',
+  IMPORT_LIST: 'Import List'
 };
 
 function formatDateTime(isoString) {
@@ -78,10 +83,26 @@ function renderTaskDetails(task) {
     }
   }
 
+  if (task.type === 'IMPORT_LIST' && task.payload?.fileName) {
+    details.push(`File: ${task.payload.fileName}`);
+  }
+
   if (task.result?.message) {
     details.push(task.result.message);
   }
 
+  if (task.type === 'IMPORT_LIST' && Array.isArray(task.result?.unmatched)) {
+    task.result.unmatched.slice(0, 5).forEach(title => details.push(`Not matched: ${title}`));
+    if (task.result.unmatchedCount > 5) {
+      details.push(`…and ${task.result.unmatchedCount - 5} more not matched`);
+    }
+  }
+
+  const listsErrors = ['REORGANIZE_LIBRARY', 'VERIFY_CRC', 'APPLY_RETENTION', 'SYNC_ANILIST', 'IMPORT_LIST'].includes(task.type);
+  if (listsErrors && Array.isArray(task.result?.errors)) {
+    task.result.errors.slice(0, 5).forEach(error => details.push(error));
+  }
+
   if (task.error) {
     details.push(`Error: ${task.error}`);
   }
@@ -2,6 +2,8 @@ import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import AnimeHero from './components/AnimeHero';
 import AlternativeTitlesManager from './components/AlternativeTitlesManager';
+import QualityProfileManager from './components/QualityProfileManager';
+import SearchSettingsManager from './components/SearchSettingsManager';
 import EpisodesTable from './components/EpisodesTable';
 import './AnimeView.css';
 
@@ -19,6 +21,10 @@ function AnimeView() {
   const pollTimeoutRef = useRef(null);
   const [subgroupToggling, setSubgroupToggling] = useState({});
   const [downloadedTorrentIds, setDownloadedTorrentIds] = useState(new Set());
+  const [crcStatuses, setCrcStatuses] = useState({});
+  const [ownedEpisodes, setOwnedEpisodes] = useState(new Set());
+  const [watchState, setWatchState] = useState(null);
+  const [watchUpdating, setWatchUpdating] = useState(false);
   const [config, setConfig] = useState(null);
   const [autodownloadToggling, setAutodownloadToggling] = useState(false);
 
@@ -44,6 +50,8 @@ function AnimeView() {
         if (downloadedResponse.ok) {
           const downloadedData = await downloadedResponse.json();
           setDownloadedTorrentIds(new Set(downloadedData.downloadedTorrentIds || []));
+          setCrcStatuses(downloadedData.crcStatuses || {});
+          setOwnedEpisodes(new Set(downloadedData.ownedEpisodes || []));
         }
       } catch (err) {
         console.error('Error fetching downloaded torrents:', err);
@@ -58,6 +66,17 @@ function AnimeView() {
     }
   }, [id]);
 
+  const fetchWatchState = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/anime/${id}/watch-progress`);
+      if (response.ok) {
+        setWatchState(await response.json());
+      }
+    } catch (err) {
+      console.error('Error fetching watch progress:', err);
+    }
+  }, [id]);
+
   const checkActiveTask = useCallback(async () => {
     if (!id) {
       return;
@@ -120,6 +139,12 @@ function AnimeView() {
     setSubgroupToggling({});
   }, [id]);
 
+  useEffect(() => {
+    if (id) {
+      fetchWatchState();
+    }
+  }, [id, fetchWatchState]);
+
   useEffect(() => {
     if (id) {
       checkActiveTask();
@@ -163,6 +188,35 @@ function AnimeView() {
     }
   };
 
+  const handleSetWatched = async (episodes, watched) => {
+    if (watchUpdating || episodes.length === 0) {
+      return;
+    }
+
+    try {
+      setWatchUpdating(true);
+      const response = await fetch(`/api/anime/${id}/watch-progress`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ episodes, watched }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to update watch progress');
+      }
+
+      setWatchState(await response.json());
+    } catch (err) {
+      alert(`Error: ${err.message}`);
+      console.error('Error updating watch progress:', err);
+    } finally {
+      setWatchUpdating(false);
+    }
+  };
+
   const handleToggleSubGroup = async (subGroupId, enabled) => {
     if (!anime || subgroupToggling[subGroupId]) {
       return;
@@ -280,6 +334,8 @@ function AnimeView() {
             if (downloadedResponse.ok) {
               const downloadedData = await downloadedResponse.json();
               setDownloadedTorrentIds(new Set(downloadedData.downloadedTorrentIds || []));
+              setCrcStatuses(downloadedData.crcStatuses || {});
+              setOwnedEpisodes(new Set(downloadedData.ownedEpisodes || []));
             }
           } catch (err) {
             console.error('Error refreshing downloaded torrents:', err);
@@ -364,6 +420,7 @@ function AnimeView() {
         subgroupToggling={subgroupToggling}
         onToggleAutodownload={handleToggleAutodownload}
         autodownloadToggling={autodownloadToggling}
+        nextEpisode={watchState?.nextEpisode}
       />
         <div className="container">
         {anime && (
@@ -372,9 +429,20 @@ function AnimeView() {
             onUpdate={handleAlternativeTitlesUpdate}
           />
         )}
+        {anime && (
+          <SearchSettingsManager animeId={anime.id} />
+        )}
+        {anime && (
+          <QualityProfileManager animeId={anime.id} />
+        )}
         <EpisodesTable 
           episodes={anime.episodes} 
           downloadedTorrentIds={downloadedTorrentIds}
+          crcStatuses={crcStatuses}
+          ownedEpisodes={ownedEpisodes}
+          watchState={watchState}
+          onSetWatched={handleSetWatched}
+          watchUpdating={watchUpdating}
           animeId={anime.id}
           animeTitle={anime.title?.english || anime.title?.romaji || anime.title?.native}
           config={config}
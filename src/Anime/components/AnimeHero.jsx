@@ -13,7 +13,8 @@ function AnimeHero({
   onToggleSubGroup,
   subgroupToggling = {},
   onToggleAutodownload,
-  autodownloadToggling = false
+  autodownloadToggling = false,
+  nextEpisode = null
 }) {
   const navigate = useNavigate();
 
@@ -79,6 +80,11 @@ function AnimeHero({
                   <strong>{anime.episodesTracked || 0} / {anime.totalEpisodes || 0}</strong> episodes tracked
                 </p>
               )}
+              {nextEpisode && (
+                <p className="anime-hero-continue">
+                  ▶ Continue watching: <strong>Episode {nextEpisode.episodeNumber}</strong>
+                </p>
+              )}
               {anime.startDate && (
                 <p className="anime-hero-date">
                   <strong>Start Date:</strong> {formatDate(anime.startDate)}
@@ -160,6 +166,12 @@ function AnimeHero({
                 Last scanned: {formatLastScan(anime.lastTorrentScan)}
               </p>
             )}
+            <p className="anime-hero-feeds">
+              Feed of new torrents:{' '}
+              <a href={`/api/feeds/anime/${anime.id}`} target="_blank" rel="noopener noreferrer">RSS</a>
+              {' · '}
+              <a href={`/api/feeds/anime/${anime.id}?format=atom`} target="_blank" rel="noopener noreferrer">Atom</a>
+            </p>
             {Array.isArray(anime.subGroups) && anime.subGroups.length > 0 && (
               <div className="anime-hero-subgroups">
                 <h4 className="subgroups-title">Subgroups</h4>
@@ -1,8 +1,40 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
 import TorrentItem from './TorrentItem';
 import './EpisodesTable.css';
 
-function EpisodesTable({ episodes, downloadedTorrentIds = new Set(), animeId, animeTitle, config }) {
+const TORRENT_SORTS = {
+  date: (a, b) => new Date(b.date) - new Date(a.date),
+  seeders: (a, b) => (b.seeders ?? -1) - (a.seeders ?? -1),
+  completed: (a, b) => (b.completed ?? -1) - (a.completed ?? -1),
+  size: (a, b) => (b.size ?? -1) - (a.size ?? -1)
+};
+
+function EpisodesTable({ episodes, downloadedTorrentIds = new Set(), crcStatuses = {}, ownedEpisodes = new Set(), watchState = null, onSetWatched, watchUpdating = false, animeId, animeTitle, config }) {
+  const [torrentSort, setTorrentSort] = useState('date');
+  const [hideDeadTorrents, setHideDeadTorrents] = useState(false);
+  const [hideRemakes, setHideRemakes] = useState(false);
+  const navigate = useNavigate();
+
+  const getVisibleTorrents = (torrents) => {
+    return (torrents || [])
+      .filter(torrent => !hideDeadTorrents || torrent.seeders === null || torrent.seeders === undefined || torrent.seeders > 0)
+      .filter(torrent => !hideRemakes || !torrent.remake)
+      .sort(TORRENT_SORTS[torrentSort]);
+  };
+
+  const watchedEpisodes = new Set(
+    (watchState?.progress || []).filter(progress => progress.watched).map(progress => progress.episodeNumber)
+  );
+  const downloadedEpisodes = watchState?.downloadedEpisodes || [];
+  const unwatchedDownloaded = downloadedEpisodes.filter(episode => !watchedEpisodes.has(episode));
+  const nextEpisode = watchState?.nextEpisode || null;
+
+  const formatPosition = (seconds) => {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+  };
+
   const formatAiringDate = (timestamp) => {
     if (!timestamp) return 'Unknown';
     const d = new Date(timestamp);
@@ -21,6 +53,78 @@ function EpisodesTable({ episodes, downloadedTorrentIds = new Set(), animeId, an
   return (
     <div className="episodes-section">
       <h2 className="episodes-section-title">Episodes</h2>
+      {onSetWatched && downloadedEpisodes.length > 0 && (
+        <div className="continue-watching">
+          {nextEpisode ? (
+            <span className="continue-watching-text">
+              Continue watching: <strong>Episode {nextEpisode.episodeNumber}</strong>
+              {nextEpisode.position > 0 && ` (stopped at ${formatPosition(nextEpisode.position)})`}
+              {unwatchedDownloaded.length > 1 && ` · ${unwatchedDownloaded.length} unwatched episodes downloaded`}
+            </span>
+          ) : (
+            <span className="continue-watching-text">Every downloaded episode is watched</span>
+          )}
+          <div className="continue-watching-actions">
+            {nextEpisode && (
+              <button
+                type="button"
+                className="continue-watching-button"
+                onClick={() => onSetWatched([nextEpisode.episodeNumber], true)}
+                disabled={watchUpdating}
+              >
+                Mark Episode {nextEpisode.episodeNumber} watched
+              </button>
+            )}
+            {unwatchedDownloaded.length > 0 && (
+              <button
+                type="button"
+                className="continue-watching-button"
+                onClick={() => onSetWatched(unwatchedDownloaded, true)}
+                disabled={watchUpdating}
+              >
+                Mark all downloaded watched
+              </button>
+            )}
+            {watchedEpisodes.size > 0 && (
+              <button
+                type="button"
+                className="continue-watching-button"
+                onClick={() => onSetWatched(Array.from(watchedEpisodes), false)}
+                disabled={watchUpdating}
+              >
+                Mark all unwatched
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+      <div className="episodes-toolbar">
+        <label className="episodes-toolbar-item">
+          Sort torrents by
+          <select value={torrentSort} onChange={(e) => setTorrentSort(e.target.value)}>
+            <option value="date">Date</option>
+            <option value="seeders">Seeders</option>
+            <option value="completed">Completed downloads</option>
+            <option value="size">Size</option>
+          </select>
+        </label>
+        <label className="episodes-toolbar-item">
+          <input
+            type="checkbox"
+            checked={hideDeadTorrents}
+            onChange={(e) => setHideDeadTorrents(e.target.checked)}
+          />
+          Hide torrents without seeders
+        </label>
+        <label className="episodes-toolbar-item">
+          <input
+            type="checkbox"
+            checked={hideRemakes}
+            onChange={(e) => setHideRemakes(e.target.checked)}
+          />
+          Hide remakes
+        </label>
+      </div>
       <div className="episodes-table-container">
         <table className="episodes-table">
           <thead>
@@ -36,9 +140,15 @@ function EpisodesTable({ episodes, downloadedTorrentIds = new Set(), animeId, an
               const hasDownloaded = episode.torrents && episode.torrents.some(
                 torrent => torrent.id && downloadedTorrentIds.has(torrent.id)
               );
+              // Episodes imported from the library are owned without a torrent
+              const isOwned = !hasDownloaded && ownedEpisodes.has(episode.episode);
+              const visibleTorrents = getVisibleTorrents(episode.torrents);
+              const isWatched = watchedEpisodes.has(episode.episode);
+              const isNext = nextEpisode?.episodeNumber === episode.episode;
+              const isPlayable = hasDownloaded || isOwned || downloadedEpisodes.includes(episode.episode);
               
               return (
-                <tr key={episode.episode}>
+                <tr key={episode.episode} className={isNext ? 'next-episode' : ''}>
                   <td className="episode-number">
                     <strong>Episode {episode.episode}</strong>
                     {hasDownloaded && (
@@ -46,26 +156,59 @@ function EpisodesTable({ episodes, downloadedTorrentIds = new Set(), animeId, an
                         ✓
                       </span>
                     )}
+                    {isOwned && (
+                      <span className="downloaded-icon" title="In the library (imported without a torrent)">
+                        ✓
+                      </span>
+                    )}
+                    {isNext && (
+                      <span className="next-episode-badge" title="Next episode to watch">Next</span>
+                    )}
+                    {isPlayable && (
+                      <button
+                        type="button"
+                        className="play-episode-button"
+                        onClick={() => navigate(`/anime/${animeId}/watch/${episode.episode}`)}
+                        title="Play episode"
+                      >
+                        ▶ Play
+                      </button>
+                    )}
+                    {onSetWatched && (
+                      <button
+                        type="button"
+                        className={`watched-toggle ${isWatched ? 'watched' : ''}`}
+                        onClick={() => onSetWatched([episode.episode], !isWatched)}
+                        disabled={watchUpdating}
+                        title={isWatched ? 'Mark as unwatched' : 'Mark as watched'}
+                      >
+                        {isWatched ? 'Watched' : 'Unwatched'}
+                      </button>
+                    )}
                   </td>
                   <td className="episode-airing">
                     {formatAiringDate(episode.airingAt)}
                   </td>
                   <td className="episode-torrents">
-                    {episode.torrents && episode.torrents.length > 0 ? (
+                    {visibleTorrents.length > 0 ? (
                       <div className="torrents-list">
-                        {episode.torrents.map((torrent, index) => (
+                        {visibleTorrents.map((torrent) => (
                           <TorrentItem 
-                            key={index} 
+                            key={torrent.id || torrent.link} 
                             torrent={torrent} 
                             isDownloaded={torrent.id ? downloadedTorrentIds.has(torrent.id) : false}
+                            crcStatus={torrent.id ? crcStatuses[torrent.id] : null}
                             animeId={animeId}
                             animeTitle={animeTitle}
+                            episodeNumber={episode.episode}
                             config={config}
                           />
                         ))}
                       </div>
                     ) : (
-                      <span className="no-torrents">No torrents available</span>
+                      <span className="no-torrents">
+                        {episode.torrents && episode.torrents.length > 0 ? 'All torrents are hidden by the filters' : 'No torrents available'}
+                      </span>
                     )}
                   </td>
                 </tr>
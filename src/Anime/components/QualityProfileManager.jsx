@@ -0,0 +1,101 @@
+import React, { useState, useEffect } from 'react';
+import QualityProfileFields, { EMPTY_QUALITY_PROFILE } from '../../Shared/components/QualityProfileFields';
+import './QualityProfileManager.css';
+
+function QualityProfileManager({ animeId }) {
+  const [useGlobal, setUseGlobal] = useState(true);
+  const [profile, setProfile] = useState(EMPTY_QUALITY_PROFILE);
+  const [globalProfile, setGlobalProfile] = useState(EMPTY_QUALITY_PROFILE);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchProfile();
+  }, [animeId]);
+
+  const fetchProfile = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(`/api/anime/${animeId}/quality-profile`);
+      if (!response.ok) {
+        throw new Error('Failed to fetch quality profile');
+      }
+      const data = await response.json();
+      const global = { ...EMPTY_QUALITY_PROFILE, ...data.globalProfile };
+      setGlobalProfile(global);
+      setUseGlobal(!data.profile);
+      // Start editing from the global profile when there is no override yet
+      setProfile(data.profile ? { ...EMPTY_QUALITY_PROFILE, ...data.profile } : global);
+    } catch (err) {
+      console.error('Error fetching quality profile:', err);
+      alert(`Error: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const response = await fetch(`/api/anime/${animeId}/quality-profile`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ profile: useGlobal ? null : profile }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to save quality profile');
+      }
+
+      await fetchProfile();
+    } catch (err) {
+      alert(`Error: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="quality-profile-manager">
+        <div className="loading">Loading quality profile...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="quality-profile-manager">
+      <div className="quality-profile-manager-header">
+        <h2 className="quality-profile-manager-title">Quality Profile</h2>
+        <button
+          onClick={handleSave}
+          className="save-button"
+          disabled={saving}
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+
+      <label className="quality-profile-checkbox quality-profile-use-global">
+        <input
+          type="checkbox"
+          checked={useGlobal}
+          onChange={(e) => setUseGlobal(e.target.checked)}
+          disabled={saving}
+        />
+        <span>Use the global quality profile</span>
+      </label>
+
+      <QualityProfileFields
+        profile={useGlobal ? globalProfile : profile}
+        onChange={setProfile}
+        disabled={useGlobal || saving}
+      />
+    </div>
+  );
+}
+
+export default QualityProfileManager;
@@ -0,0 +1,104 @@
+import React, { useState, useEffect } from 'react';
+import SearchSettingsFields, { EMPTY_SEARCH_SETTINGS } from '../../Shared/components/SearchSettingsFields';
+import './SearchSettingsManager.css';
+
+function SearchSettingsManager({ animeId }) {
+  const [useGlobal, setUseGlobal] = useState(true);
+  const [settings, setSettings] = useState(EMPTY_SEARCH_SETTINGS);
+  const [globalSettings, setGlobalSettings] = useState(EMPTY_SEARCH_SETTINGS);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchSettings();
+  }, [animeId]);
+
+  const fetchSettings = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(`/api/anime/${animeId}/search-settings`);
+      if (!response.ok) {
+        throw new Error('Failed to fetch search settings');
+      }
+      const data = await response.json();
+      const global = { ...EMPTY_SEARCH_SETTINGS, ...data.globalSettings };
+      setGlobalSettings(global);
+      setUseGlobal(!data.settings);
+      // Start editing from the global settings when there is no override yet
+      setSettings(data.settings ? { ...EMPTY_SEARCH_SETTINGS, ...data.settings } : global);
+    } catch (err) {
+      console.error('Error fetching search settings:', err);
+      alert(`Error: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const response = await fetch(`/api/anime/${animeId}/search-settings`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ settings: useGlobal ? null : settings }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to save search settings');
+      }
+
+      await fetchSettings();
+    } catch (err) {
+      alert(`Error: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="search-settings-manager">
+        <div className="loading">Loading search settings...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="search-settings-manager">
+      <div className="search-settings-manager-header">
+        <h2 className="search-settings-manager-title">Torrent Search</h2>
+        <button
+          onClick={handleSave}
+          className="save-button"
+          disabled={saving}
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+      <p className="search-settings-manager-hint">
+        Applied on the next torrent scan of this anime.
+      </p>
+
+      <label className="search-settings-use-global">
+        <input
+          type="checkbox"
+          checked={useGlobal}
+          onChange={(e) => setUseGlobal(e.target.checked)}
+          disabled={saving}
+        />
+        <span>Use the global search settings</span>
+      </label>
+
+      <SearchSettingsFields
+        settings={useGlobal ? globalSettings : settings}
+        onChange={setSettings}
+        disabled={useGlobal || saving}
+      />
+    </div>
+  );
+}
+
+export default SearchSettingsManager;
@@ -2,12 +2,22 @@ import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import './TorrentItem.css';
 
-function TorrentItem({ torrent, isDownloaded = false, animeId, animeTitle, config }) {
+const CRC_BADGES = {
+  verified: { label: 'CRC OK', title: 'The downloaded file matches the CRC32 of the release' },
+  mismatch: { label: 'CRC Mismatch', title: 'The downloaded file does not match the CRC32 of the release' },
+  pending: { label: 'CRC Pending', title: 'The CRC32 of the downloaded file has not been checked yet' },
+  no_crc: { label: 'No CRC', title: 'The release does not tag a CRC32 to check the file against' }
+};
+
+function TorrentItem({ torrent, isDownloaded = false, crcStatus = null, animeId, animeTitle, episodeNumber = null, config }) {
   const [downloadStatus, setDownloadStatus] = useState(null); // 'downloading', 'completed', null
   const [queuing, setQueuing] = useState(false);
   const navigate = useNavigate();
   const pollTimeoutRef = useRef(null);
   
+  const statusUrl = `/api/anime/${animeId}/torrents/${torrent.id}/status?url=${encodeURIComponent(torrent.link)}`
+    + (torrent.infoHash ? `&infoHash=${torrent.infoHash}` : '');
+
   const formatTorrentDate = (date) => {
     if (!date) return 'Unknown';
     const d = new Date(date);
@@ -33,7 +43,7 @@ function TorrentItem({ torrent, isDownloaded = false, animeId, animeTitle, confi
 
     const checkStatus = async () => {
       try {
-        const response = await fetch(`/api/anime/${animeId}/torrents/${torrent.id}/status?url=${encodeURIComponent(torrent.link)}`);
+        const response = await fetch(statusUrl);
         if (response.ok) {
           const status = await response.json();
           if (status.status && status.status !== 'not_found') {
@@ -60,7 +70,7 @@ function TorrentItem({ torrent, isDownloaded = false, animeId, animeTitle, confi
         pollTimeoutRef.current = null;
       }
     };
-  }, [animeId, torrent.id, torrent.link, isDownloaded, config]);
+  }, [animeId, torrent.id, torrent.link, torrent.infoHash, isDownloaded, config]);
 
   const handleDownload = async () => {
     // If downloading, navigate to torrents view
@@ -82,7 +92,8 @@ function TorrentItem({ torrent, isDownloaded = false, animeId, animeTitle, confi
         },
         body: JSON.stringify({
           torrentLink: torrent.link,
-          torrentTitle: torrent.title
+          torrentTitle: torrent.title,
+          infoHash: torrent.infoHash || null
         }),
       });
 
@@ -98,7 +109,7 @@ function TorrentItem({ torrent, isDownloaded = false, animeId, animeTitle, confi
       // Start polling for status
       const pollStatus = async () => {
         try {
-          const statusResponse = await fetch(`/api/anime/${animeId}/torrents/${torrent.id}/status?url=${encodeURIComponent(torrent.link)}`);
+          const statusResponse = await fetch(statusUrl);
           if (statusResponse.ok) {
             const status = await statusResponse.json();
             if (status.status === 'completed') {
@@ -120,6 +131,35 @@ function TorrentItem({ torrent, isDownloaded = false, animeId, animeTitle, confi
     }
   };
 
+  const formatSize = (bytes) => {
+    if (bytes === 0) return '0 B';
+    const k = 1024;
+    const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
+  };
+
+  const hasStats = torrent.seeders !== null && torrent.seeders !== undefined;
+
+  const formatBatchRange = () => {
+    if (torrent.batchStart == null || torrent.batchEnd == null) {
+      return 'Batch';
+    }
+    const pad = (n) => String(n).padStart(2, '0');
+    return `Batch ${pad(torrent.batchStart)}-${pad(torrent.batchEnd)}`;
+  };
+
+  const releaseTags = [
+    torrent.resolution,
+    torrent.videoCodec,
+    torrent.source,
+    torrent.audioCodec,
+    torrent.dualAudio ? 'Dual Audio' : null,
+    torrent.version > 1 ? `v${torrent.version}` : null,
+    torrent.batch ? formatBatchRange() : null,
+    torrent.container ? torrent.container.toUpperCase() : null
+  ].filter(Boolean);
+
   // Hide button if already downloaded or if file is scanned
   const shouldShowButton = config && config.animeLocation && !isDownloaded;
   const isDownloading = downloadStatus === 'downloading' || queuing;
@@ -140,6 +180,11 @@ function TorrentItem({ torrent, isDownloaded = false, animeId, animeTitle, confi
             ✓
           </span>
         )}
+        {isDownloaded && CRC_BADGES[crcStatus] && (
+          <span className={`torrent-crc-badge ${crcStatus}`} title={CRC_BADGES[crcStatus].title}>
+            {CRC_BADGES[crcStatus].label}
+          </span>
+        )}
         {shouldShowButton && (
           <button
             onClick={handleDownload}
@@ -154,11 +199,39 @@ function TorrentItem({ torrent, isDownloaded = false, animeId, animeTitle, confi
             )}
           </button>
         )}
+        {downloadStatus === 'downloading' && episodeNumber !== null && (
+          <button
+            onClick={() => navigate(`/anime/${animeId}/watch/${episodeNumber}`)}
+            className="torrent-stream-button"
+            title="Stream while downloading"
+          >
+            ▶
+          </button>
+        )}
       </div>
       <div className="torrent-meta">
         {torrent.subGroup && (
           <span className="torrent-subgroup">{torrent.subGroup}</span>
         )}
+        {torrent.trusted && (
+          <span className="torrent-flag trusted" title="Trusted uploader">Trusted</span>
+        )}
+        {torrent.remake && (
+          <span className="torrent-flag remake" title="Remake of another release">Remake</span>
+        )}
+        {releaseTags.map(tag => (
+          <span key={tag} className="torrent-release-tag">{tag}</span>
+        ))}
+        {hasStats && (
+          <span className="torrent-stats">
+            <span className="torrent-seeders" title="Seeders">▲ {torrent.seeders}</span>
+            <span className="torrent-leechers" title="Leechers">▼ {torrent.leechers ?? '?'}</span>
+            <span className="torrent-completed" title="Completed downloads">✓ {torrent.completed ?? '?'}</span>
+          </span>
+        )}
+        {torrent.size !== null && torrent.size !== undefined && (
+          <span className="torrent-size">{formatSize(torrent.size)}</span>
+        )}
         <span className="torrent-date">{formatTorrentDate(torrent.date)}</span>
       </div>
     </div>
@@ -7,6 +7,8 @@ import QuarterView from './Quarter/QuarterView';
 import AnimeView from './Anime/AnimeView';
 import TorrentView from './Torrent/TorrentView';
 import AutoDownloadView from './AutoDownload/AutoDownloadView';
+import WatchingView from './Watching/WatchingView';
+import PlayerView from './Player/PlayerView';
 import SetupView from './Setup/SetupView';
 import './App.css';
 
@@ -39,6 +41,7 @@ function App() {
   const isConfigView = location.pathname === '/config';
   const isTorrentView = location.pathname === '/torrents';
   const isAutoDownloadView = location.pathname === '/auto-download';
+  const isWatchingView = location.pathname === '/watching';
   const isAnimeView = location.pathname.startsWith('/anime/');
 
   // Check setup status on mount
@@ -71,7 +74,7 @@ function App() {
 
   // Get current quarter and year from URL or default to current
   const getCurrentParams = () => {
-    if (location.pathname.startsWith('/admin') || location.pathname.startsWith('/config') || location.pathname.startsWith('/torrents') || location.pathname.startsWith('/auto-download')) {
+    if (location.pathname.startsWith('/admin') || location.pathname.startsWith('/config') || location.pathname.startsWith('/torrents') || location.pathname.startsWith('/auto-download') || location.pathname.startsWith('/watching')) {
       return null;
     }
     const pathMatch = location.pathname.match(/\/(\d{4})\/(\w+)/);
@@ -112,6 +115,11 @@ function App() {
     setSidebarOpen(false);
   };
 
+  const handleWatchingSelect = () => {
+    navigate('/watching');
+    setSidebarOpen(false);
+  };
+
   // Show setup view if setup is true
   if (loadingSetup) {
     return (
@@ -147,10 +155,12 @@ function App() {
           onAdminSelect={handleAdminSelect}
           onTorrentSelect={handleTorrentSelect}
           onAutoDownloadSelect={handleAutoDownloadSelect}
+          onWatchingSelect={handleWatchingSelect}
           isConfigView={isConfigView}
           isAdminView={isAdminView}
           isTorrentView={isTorrentView}
           isAutoDownloadView={isAutoDownloadView}
+          isWatchingView={isWatchingView}
           isOpen={sidebarOpen}
         />
       )}
@@ -161,7 +171,9 @@ function App() {
             <Route path="/config" element={<ConfigurationView />} />
             <Route path="/torrents" element={<TorrentView />} />
             <Route path="/auto-download" element={<AutoDownloadView />} />
+            <Route path="/watching" element={<WatchingView />} />
             <Route path="/anime/:id" element={<AnimeView />} />
+            <Route path="/anime/:id/watch/:episode" element={<PlayerView />} />
             <Route path="/:year/:quarter" element={<QuarterView />} />
             <Route 
               path="/" 
@@ -343,6 +343,7 @@ function AutoDownloadView() {
                                   >
                                     {episode.torrents.map((torrent, index) => (
                                       <option key={index} value={index}>
+                                        {torrent.accepted === false ? '✕ ' : ''}
                                         {torrent.title.length > 100 ? torrent.title.slice(0, 100) + '...' : torrent.title}
                                       </option>
                                     ))}
@@ -368,6 +369,25 @@ function AutoDownloadView() {
                               ) : (
                                 <div className="no-torrents">No torrents available</div>
                               )}
+                              {episode.torrents && episode.torrents.length > 0 && (
+                                <div className="torrent-pick-explanation">
+                                  {episode.selection ? (
+                                    <>
+                                      <span className="pick-label">Auto-pick:</span>{' '}
+                                      {episode.torrents.find(t => t.id === episode.selection.torrentId)?.title || 'Unknown'}
+                                      <ul className="pick-reasons">
+                                        {episode.selection.reasons.map((reason, index) => (
+                                          <li key={index}>{reason}</li>
+                                        ))}
+                                      </ul>
+                                    </>
+                                  ) : (
+                                    <span className="pick-rejected">
+                                      No torrent matches the quality profile: {episode.torrents[0]?.reasons?.join(', ')}
+                                    </span>
+                                  )}
+                                </div>
+                              )}
                             </div>
                           ))}
                         </div>
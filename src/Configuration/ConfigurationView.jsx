@@ -1,14 +1,28 @@
 import React, { useState, useEffect } from 'react';
 import './ConfigurationView.css';
+import { FILE_TYPES } from '../../config/constants.js';
 import ScheduledJobsSection from './components/ScheduledJobsSection';
 import ConfigurationForm from './components/ConfigurationForm';
+import QualityProfileSection from './components/QualityProfileSection';
+import SearchSettingsSection from './components/SearchSettingsSection';
+import DownloadClientSection from './components/DownloadClientSection';
+import SeedingSection from './components/SeedingSection';
+import BandwidthScheduleSection from './components/BandwidthScheduleSection';
+import LibraryOrganizerSection from './components/LibraryOrganizerSection';
+import StorageSection from './components/StorageSection';
+import AniListSection from './components/AniListSection';
+import ListImportSection from './components/ListImportSection';
+import TorznabSection from './components/TorznabSection';
 
 function ConfigurationView() {
   const [config, setConfig] = useState({
     animeLocation: '',
     enableAutomaticAnimeFolderClassification: false,
     maxDownloadSpeed: '',
-    maxUploadSpeed: ''
+    maxUploadSpeed: '',
+    maxActiveTorrents: 3,
+    prioritizeNewestEpisodes: false,
+    keepFileTypes: FILE_TYPES
   });
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
@@ -38,7 +52,10 @@ function ConfigurationView() {
         animeLocation: data.animeLocation || '',
         enableAutomaticAnimeFolderClassification: data.enableAutomaticAnimeFolderClassification || false,
         maxDownloadSpeed: bytesToMB(data.maxDownloadSpeed),
-        maxUploadSpeed: bytesToMB(data.maxUploadSpeed)
+        maxUploadSpeed: bytesToMB(data.maxUploadSpeed),
+        maxActiveTorrents: data.maxActiveTorrents || 3,
+        prioritizeNewestEpisodes: data.prioritizeNewestEpisodes || false,
+        keepFileTypes: data.keepFileTypes || FILE_TYPES
       });
     } catch (err) {
       setError(err.message);
@@ -125,6 +142,56 @@ function ConfigurationView() {
           showSubmitButton={true}
         />
 
+        {/* Download Client Section - Separate Card */}
+        <div className="configuration-content" style={{ marginTop: '30px' }}>
+          <DownloadClientSection />
+        </div>
+
+        {/* Library Organizer Section - Separate Card */}
+        <div className="configuration-content" style={{ marginTop: '30px' }}>
+          <LibraryOrganizerSection />
+        </div>
+
+        {/* Storage Section - Separate Card */}
+        <div className="configuration-content" style={{ marginTop: '30px' }}>
+          <StorageSection />
+        </div>
+
+        {/* Bandwidth Schedule Section - Separate Card */}
+        <div className="configuration-content" style={{ marginTop: '30px' }}>
+          <BandwidthScheduleSection />
+        </div>
+
+        {/* Seeding Section - Separate Card */}
+        <div className="configuration-content" style={{ marginTop: '30px' }}>
+          <SeedingSection />
+        </div>
+
+        {/* Search Settings Section - Separate Card */}
+        <div className="configuration-content" style={{ marginTop: '30px' }}>
+          <SearchSettingsSection />
+        </div>
+
+        {/* Quality Profile Section - Separate Card */}
+        <div className="configuration-content" style={{ marginTop: '30px' }}>
+          <QualityProfileSection />
+        </div>
+
+        {/* AniList Section - Separate Card */}
+        <div className="configuration-content" style={{ marginTop: '30px' }}>
+          <AniListSection />
+        </div>
+
+        {/* List Import Section - Separate Card */}
+        <div className="configuration-content" style={{ marginTop: '30px' }}>
+          <ListImportSection />
+        </div>
+
+        {/* Torznab API Section - Separate Card */}
+        <div className="configuration-content" style={{ marginTop: '30px' }}>
+          <TorznabSection />
+        </div>
+
         {/* Scheduled Jobs Section - Separate Card */}
         <div className="configuration-content" style={{ marginTop: '30px' }}>
           <ScheduledJobsSection />
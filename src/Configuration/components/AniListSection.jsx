@@ -0,0 +1,235 @@
+import React, { useState, useEffect } from 'react';
+import './AniListSection.css';
+
+function formatTimestamp(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : 'Never';
+}
+
+function AniListSection() {
+  const [account, setAccount] = useState(null);
+  const [token, setToken] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [syncing, setSyncing] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    fetchAccount();
+  }, []);
+
+  const fetchAccount = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await fetch('/api/admin/anilist');
+      if (!response.ok) {
+        throw new Error('Failed to fetch AniList account');
+      }
+      setAccount(await response.json());
+    } catch (err) {
+      setError(err.message);
+      console.error('Error fetching AniList account:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showSuccess = (message) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(null), 3000);
+  };
+
+  const saveAccount = async (body, fallbackError) => {
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(null);
+      const response = await fetch('/api/admin/anilist', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || fallbackError);
+      }
+
+      const data = await response.json();
+      setAccount(data.account);
+      setToken('');
+      showSuccess(data.message);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error saving AniList account:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleLink = (e) => {
+    e.preventDefault();
+    saveAccount({ token }, 'Failed to link AniList account');
+  };
+
+  const handlePushProgressChange = (pushProgress) => {
+    saveAccount({ pushProgress }, 'Failed to save AniList settings');
+  };
+
+  const handleUnlink = async () => {
+    if (!window.confirm('Unlink the AniList account? Auto-download stays on for the anime it was turned on for.')) {
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await fetch('/api/admin/anilist', { method: 'DELETE' });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to unlink AniList account');
+      }
+
+      setAccount({ linked: false });
+      showSuccess('AniList account unlinked');
+    } catch (err) {
+      setError(err.message);
+      console.error('Error unlinking AniList account:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSync = async () => {
+    try {
+      setSyncing(true);
+      setError(null);
+      const response = await fetch('/api/admin/anilist/sync', { method: 'POST' });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to queue AniList sync');
+      }
+
+      showSuccess('AniList sync queued. Follow its progress in the Admin tasks.');
+    } catch (err) {
+      setError(err.message);
+      console.error('Error queueing AniList sync:', err);
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  if (loading || !account) {
+    return (
+      <div className="anilist-section">
+        <h3 className="section-title">AniList</h3>
+        {error ? (
+          <div className="configuration-error">
+            <strong>Error:</strong> {error}
+          </div>
+        ) : (
+          <div className="loading">Loading AniList account...</div>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="anilist-section">
+      <h3 className="section-title">AniList</h3>
+      <p className="anilist-description">
+        Link an AniList account to turn auto-download on for the anime on its Watching and Planning lists,
+        and to update its list progress when episodes are marked watched.
+      </p>
+
+      {error && (
+        <div className="configuration-error">
+          <strong>Error:</strong> {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="configuration-success">
+          {success}
+        </div>
+      )}
+
+      {account.linked ? (
+        <>
+          <div className="anilist-account">
+            <div>
+              Linked to <strong>{account.userName}</strong>
+            </div>
+            <div className="anilist-account-details">
+              Last sync: {formatTimestamp(account.lastSyncAt)}
+            </div>
+          </div>
+
+          <label className="form-checkbox-label">
+            <input
+              type="checkbox"
+              checked={account.pushProgress}
+              onChange={(e) => handlePushProgressChange(e.target.checked)}
+              disabled={saving}
+            />
+            <span>Update AniList progress when episodes are marked watched</span>
+          </label>
+
+          <div className="form-actions anilist-actions">
+            <button
+              type="button"
+              className="form-submit-button"
+              onClick={handleSync}
+              disabled={syncing}
+            >
+              {syncing ? 'Queueing...' : 'Sync Now'}
+            </button>
+            <button
+              type="button"
+              className="anilist-secondary-button"
+              onClick={handleUnlink}
+              disabled={saving}
+            >
+              Unlink
+            </button>
+          </div>
+        </>
+      ) : (
+        <form onSubmit={handleLink} className="anilist-link-form">
+          <label className="anilist-field">
+            <span className="anilist-label">Access token</span>
+            <input
+              type="password"
+              value={token}
+              onChange={(e) => setToken(e.target.value)}
+              placeholder="Paste the AniList access token"
+              autoComplete="off"
+              required
+            />
+          </label>
+          <small className="form-help-text">
+            Create an API client in the AniList developer settings, then open
+            {' '}<code>https://anilist.co/api/v2/oauth/authorize?client_id=&lt;id&gt;&amp;response_type=token</code>{' '}
+            and copy the access_token from the address it redirects to.
+          </small>
+          <div className="form-actions">
+            <button
+              type="submit"
+              className="form-submit-button"
+              disabled={saving || !token.trim()}
+            >
+              {saving ? 'Linking...' : 'Link Account'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default AniListSection;
@@ -0,0 +1,330 @@
+import React, { useState, useEffect } from 'react';
+import './BandwidthScheduleSection.css';
+
+const DAYS = [
+  { value: 0, label: 'Sun' },
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' }
+];
+
+const NEW_WINDOW = {
+  name: '',
+  days: [1, 2, 3, 4, 5],
+  start: '09:00',
+  end: '18:00',
+  maxDownloadSpeed: '2',
+  maxUploadSpeed: ''
+};
+
+// Speeds are stored in bytes/sec and edited in MB/s; empty means unlimited
+const bytesToMB = (bytes) => {
+  if (bytes === null || bytes === undefined) return '';
+  return String(Number((bytes / (1024 * 1024)).toFixed(2)));
+};
+
+const mbToBytes = (mb) => {
+  if (mb === '' || mb === null || mb === undefined) return null;
+  const mbValue = Number(mb);
+  if (isNaN(mbValue) || mbValue <= 0) return null;
+  return Math.round(mbValue * 1024 * 1024);
+};
+
+const toFormSchedule = (schedule) => ({
+  enabled: schedule.enabled,
+  turtleMode: schedule.turtleMode,
+  turtleDownloadSpeed: bytesToMB(schedule.turtleDownloadSpeed),
+  turtleUploadSpeed: bytesToMB(schedule.turtleUploadSpeed),
+  windows: schedule.windows.map(window => ({
+    ...window,
+    maxDownloadSpeed: bytesToMB(window.maxDownloadSpeed),
+    maxUploadSpeed: bytesToMB(window.maxUploadSpeed)
+  }))
+});
+
+function BandwidthScheduleSection() {
+  const [schedule, setSchedule] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(false);
+
+  useEffect(() => {
+    fetchSchedule();
+  }, []);
+
+  const fetchSchedule = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await fetch('/api/admin/bandwidth-schedule');
+      if (!response.ok) {
+        throw new Error('Failed to fetch bandwidth schedule');
+      }
+      const data = await response.json();
+      setSchedule(toFormSchedule(data.schedule));
+    } catch (err) {
+      setError(err.message);
+      console.error('Error fetching bandwidth schedule:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(false);
+      const response = await fetch('/api/admin/bandwidth-schedule', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          schedule: {
+            enabled: schedule.enabled,
+            turtleMode: schedule.turtleMode,
+            turtleDownloadSpeed: mbToBytes(schedule.turtleDownloadSpeed),
+            turtleUploadSpeed: mbToBytes(schedule.turtleUploadSpeed),
+            windows: schedule.windows.map(window => ({
+              ...window,
+              maxDownloadSpeed: mbToBytes(window.maxDownloadSpeed),
+              maxUploadSpeed: mbToBytes(window.maxUploadSpeed)
+            }))
+          }
+        })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to save bandwidth schedule');
+      }
+
+      const data = await response.json();
+      setSchedule(toFormSchedule(data.schedule));
+      setSuccess(true);
+      setTimeout(() => setSuccess(false), 3000);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error saving bandwidth schedule:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateField = (field, value) => {
+    setSchedule(prev => ({ ...prev, [field]: value }));
+  };
+
+  const updateWindow = (index, field, value) => {
+    setSchedule(prev => ({
+      ...prev,
+      windows: prev.windows.map((window, i) => (i === index ? { ...window, [field]: value } : window))
+    }));
+  };
+
+  const toggleDay = (index, day) => {
+    const window = schedule.windows[index];
+    const days = window.days.includes(day)
+      ? window.days.filter(d => d !== day)
+      : [...window.days, day].sort();
+    updateWindow(index, 'days', days);
+  };
+
+  const addWindow = () => {
+    setSchedule(prev => ({ ...prev, windows: [...prev.windows, { ...NEW_WINDOW }] }));
+  };
+
+  const removeWindow = (index) => {
+    setSchedule(prev => ({ ...prev, windows: prev.windows.filter((_, i) => i !== index) }));
+  };
+
+  if (loading || !schedule) {
+    return (
+      <div className="bandwidth-section">
+        <h3 className="section-title">Bandwidth Schedule</h3>
+        {error ? (
+          <div className="configuration-error">
+            <strong>Error:</strong> {error}
+          </div>
+        ) : (
+          <div className="loading">Loading bandwidth schedule...</div>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="bandwidth-section">
+      <h3 className="section-title">Bandwidth Schedule</h3>
+      <p className="bandwidth-description">
+        Replaces the max download and upload speeds during the windows below, using the server's local time.
+        The first matching window wins; outside every window the configured speeds apply. Empty speeds are unlimited.
+      </p>
+
+      {error && (
+        <div className="configuration-error">
+          <strong>Error:</strong> {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="configuration-success">
+          Bandwidth schedule saved successfully!
+        </div>
+      )}
+
+      <fieldset className="bandwidth-fields" disabled={saving}>
+        <label className="form-checkbox-label">
+          <input
+            type="checkbox"
+            checked={schedule.enabled}
+            onChange={(e) => updateField('enabled', e.target.checked)}
+          />
+          <span>Use the schedule</span>
+        </label>
+
+        {schedule.windows.length === 0 ? (
+          <div className="bandwidth-empty">No windows yet</div>
+        ) : (
+          <div className="bandwidth-windows">
+            {schedule.windows.map((window, index) => (
+              <div key={index} className="bandwidth-window">
+                <div className="bandwidth-row">
+                  <label className="bandwidth-field">
+                    <span className="bandwidth-label">Name</span>
+                    <input
+                      type="text"
+                      value={window.name}
+                      onChange={(e) => updateWindow(index, 'name', e.target.value)}
+                      placeholder="e.g., Work hours"
+                    />
+                  </label>
+                  <label className="bandwidth-field">
+                    <span className="bandwidth-label">From</span>
+                    <input
+                      type="time"
+                      value={window.start}
+                      onChange={(e) => updateWindow(index, 'start', e.target.value)}
+                    />
+                  </label>
+                  <label className="bandwidth-field">
+                    <span className="bandwidth-label">To</span>
+                    <input
+                      type="time"
+                      value={window.end}
+                      onChange={(e) => updateWindow(index, 'end', e.target.value)}
+                    />
+                  </label>
+                  <label className="bandwidth-field">
+                    <span className="bandwidth-label">Download (MB/s)</span>
+                    <input
+                      type="number"
+                      step="0.1"
+                      min="0"
+                      value={window.maxDownloadSpeed}
+                      onChange={(e) => updateWindow(index, 'maxDownloadSpeed', e.target.value)}
+                      placeholder="Unlimited"
+                    />
+                  </label>
+                  <label className="bandwidth-field">
+                    <span className="bandwidth-label">Upload (MB/s)</span>
+                    <input
+                      type="number"
+                      step="0.1"
+                      min="0"
+                      value={window.maxUploadSpeed}
+                      onChange={(e) => updateWindow(index, 'maxUploadSpeed', e.target.value)}
+                      placeholder="Unlimited"
+                    />
+                  </label>
+                </div>
+                <div className="bandwidth-row bandwidth-days">
+                  {DAYS.map(day => (
+                    <label key={day.value} className="bandwidth-day">
+                      <input
+                        type="checkbox"
+                        checked={window.days.includes(day.value)}
+                        onChange={() => toggleDay(index, day.value)}
+                      />
+                      <span>{day.label}</span>
+                    </label>
+                  ))}
+                  <button
+                    type="button"
+                    className="bandwidth-remove-button"
+                    onClick={() => removeWindow(index)}
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+        <div>
+          <button type="button" className="bandwidth-add-button" onClick={addWindow}>
+            Add Window
+          </button>
+        </div>
+        <small className="form-help-text">
+          A window that ends before it starts (e.g., 23:00 to 07:00) runs past midnight and belongs to the day it starts on.
+        </small>
+
+        <h4 className="bandwidth-subtitle">Turtle Mode</h4>
+        <label className="form-checkbox-label">
+          <input
+            type="checkbox"
+            checked={schedule.turtleMode}
+            onChange={(e) => updateField('turtleMode', e.target.checked)}
+          />
+          <span>Turtle mode on</span>
+        </label>
+        <div className="bandwidth-row">
+          <label className="bandwidth-field">
+            <span className="bandwidth-label">Turtle download (MB/s)</span>
+            <input
+              type="number"
+              step="0.1"
+              min="0"
+              value={schedule.turtleDownloadSpeed}
+              onChange={(e) => updateField('turtleDownloadSpeed', e.target.value)}
+              placeholder="Unlimited"
+            />
+          </label>
+          <label className="bandwidth-field">
+            <span className="bandwidth-label">Turtle upload (MB/s)</span>
+            <input
+              type="number"
+              step="0.1"
+              min="0"
+              value={schedule.turtleUploadSpeed}
+              onChange={(e) => updateField('turtleUploadSpeed', e.target.value)}
+              placeholder="Unlimited"
+            />
+          </label>
+        </div>
+        <small className="form-help-text">
+          While turtle mode is on its speeds override the schedule. It can also be switched from the Torrents page.
+        </small>
+      </fieldset>
+
+      <div className="form-actions">
+        <button
+          type="button"
+          className="form-submit-button"
+          onClick={handleSave}
+          disabled={saving}
+        >
+          {saving ? 'Saving...' : 'Save Bandwidth Schedule'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default BandwidthScheduleSection;
@@ -1,10 +1,25 @@
 import React from 'react';
+import { FILE_TYPES } from '../../../config/constants.js';
+
+const FILE_TYPE_LABELS = {
+  video: 'Video',
+  subtitles: 'Subtitles',
+  fonts: 'Fonts',
+  other: 'Other files'
+};
 
 function ConfigurationForm({ config, onChange, onSubmit, saving, error, success, showSubmitButton = true }) {
   const handleChange = (field, value) => {
     onChange(field, value);
   };
 
+  const handleFileTypeChange = (type, checked) => {
+    const types = checked
+      ? [...config.keepFileTypes, type]
+      : config.keepFileTypes.filter(t => t !== type);
+    onChange('keepFileTypes', FILE_TYPES.filter(t => types.includes(t)));
+  };
+
   return (
     <div className="configuration-content">
       {error && (
@@ -84,6 +99,61 @@ function ConfigurationForm({ config, onChange, onSubmit, saving, error, success,
           </small>
         </div>
 
+        {/* Max active torrents */}
+        <div className="form-group">
+          <label className="form-label">
+            Max Active Downloads
+          </label>
+          <input
+            type="number"
+            step="1"
+            className="form-input"
+            value={config.maxActiveTorrents}
+            onChange={(e) => handleChange('maxActiveTorrents', e.target.value)}
+            min="1"
+            max="20"
+          />
+          <small className="form-help-text">
+            Number of torrents the built-in client downloads at the same time. The others wait in the queue.
+          </small>
+        </div>
+
+        {/* Prioritize newest episodes */}
+        <div className="form-group">
+          <label className="form-checkbox-label">
+            <input
+              type="checkbox"
+              checked={config.prioritizeNewestEpisodes}
+              onChange={(e) => handleChange('prioritizeNewestEpisodes', e.target.checked)}
+            />
+            <span>Download the most recently aired episodes first</span>
+          </label>
+          <small className="form-help-text">
+            Within the same priority, queued torrents of newer episodes start before older ones.
+          </small>
+        </div>
+
+        {/* File types to keep */}
+        <div className="form-group">
+          <label className="form-label">
+            Files to Keep from Downloads
+          </label>
+          {FILE_TYPES.map(type => (
+            <label key={type} className="form-checkbox-label">
+              <input
+                type="checkbox"
+                checked={config.keepFileTypes.includes(type)}
+                disabled={config.keepFileTypes.length === 1 && config.keepFileTypes.includes(type)}
+                onChange={(e) => handleFileTypeChange(type, e.target.checked)}
+              />
+              <span>{FILE_TYPE_LABELS[type]}</span>
+            </label>
+          ))}
+          <small className="form-help-text">
+            Other file types in a torrent are not downloaded. Subtitles and fonts are often shipped as separate files next to the video.
+          </small>
+        </div>
+
         {showSubmitButton && (
           <div className="form-actions">
             <button
@@ -0,0 +1,213 @@
+import React, { useState, useEffect } from 'react';
+import SettingField from '../../Shared/components/SettingField';
+import './DownloadClientSection.css';
+
+function DownloadClientSection() {
+  const [type, setType] = useState('webtorrent');
+  const [clients, setClients] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [testing, setTesting] = useState(false);
+  const [testResult, setTestResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(false);
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  const applyData = (data) => {
+    setType(data.type);
+    setClients(data.clients);
+  };
+
+  const fetchSettings = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await fetch('/api/admin/download-client');
+      if (!response.ok) {
+        throw new Error('Failed to fetch download client');
+      }
+      applyData(await response.json());
+    } catch (err) {
+      setError(err.message);
+      console.error('Error fetching download client:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateSetting = (clientId, key, value) => {
+    setClients((prev) =>
+      prev.map((client) =>
+        client.id === clientId ? { ...client, settings: { ...client.settings, [key]: value } } : client
+      )
+    );
+  };
+
+  const handleTypeChange = (value) => {
+    setType(value);
+    setTestResult(null);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(false);
+      const response = await fetch('/api/admin/download-client', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          type,
+          clients: Object.fromEntries(clients.map((client) => [client.id, client.settings]))
+        })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save download client');
+      }
+
+      applyData(data);
+      setSuccess(true);
+      setTimeout(() => setSuccess(false), 3000);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error saving download client:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleTest = async (client) => {
+    try {
+      setTesting(true);
+      setTestResult(null);
+      const response = await fetch(`/api/admin/download-client/${client.id}/test`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ settings: client.settings })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to test download client');
+      }
+
+      setTestResult(data);
+    } catch (err) {
+      setTestResult({ error: err.message });
+      console.error(`Error testing download client ${client.id}:`, err);
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="download-client-section">
+        <h3 className="section-title">Download Client</h3>
+        <div className="loading">Loading download client...</div>
+      </div>
+    );
+  }
+
+  const selectedClient = clients.find((client) => client.id === type);
+
+  return (
+    <div className="download-client-section">
+      <h3 className="section-title">Download Client</h3>
+      <p className="download-client-description">
+        Torrent client that downloads the episodes. External clients keep their downloads across restarts and keep seeding once an episode is done.
+      </p>
+
+      {error && (
+        <div className="configuration-error">
+          <strong>Error:</strong> {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="configuration-success">
+          Download client saved successfully!
+        </div>
+      )}
+
+      <div className="download-client-field">
+        <label htmlFor="download-client-type">Client</label>
+        <select
+          id="download-client-type"
+          value={type}
+          onChange={(e) => handleTypeChange(e.target.value)}
+          disabled={saving}
+        >
+          {clients.map((client) => (
+            <option key={client.id} value={client.id}>{client.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {selectedClient && (
+        <>
+          <p className="download-client-hint">{selectedClient.description}</p>
+
+          {selectedClient.fields.length > 0 && (
+            <div className="download-client-settings">
+              {selectedClient.fields.map((field) => (
+                <label key={field.key} className="download-client-setting">
+                  <span>{field.label}</span>
+                  <SettingField
+                    field={field}
+                    value={selectedClient.settings[field.key]}
+                    onChange={(value) => updateSetting(selectedClient.id, field.key, value)}
+                    disabled={saving}
+                  />
+                </label>
+              ))}
+            </div>
+          )}
+
+          {testResult && (
+            testResult.error ? (
+              <div className="configuration-error">Connection failed: {testResult.error}</div>
+            ) : (
+              <div className="download-client-test-result">
+                Connected{testResult.version && ` to version ${testResult.version}`} in {testResult.durationMs} ms
+                {' · '}{testResult.torrentCount} torrent(s) in the client
+              </div>
+            )
+          )}
+        </>
+      )}
+
+      <div className="form-actions">
+        {selectedClient && selectedClient.fields.length > 0 && (
+          <button
+            type="button"
+            className="download-client-test-button"
+            onClick={() => handleTest(selectedClient)}
+            disabled={saving || testing}
+          >
+            {testing ? 'Testing...' : 'Test Connection'}
+          </button>
+        )}
+        <button
+          type="button"
+          className="form-submit-button"
+          onClick={handleSave}
+          disabled={saving}
+        >
+          {saving ? 'Saving...' : 'Save Download Client'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default DownloadClientSection;
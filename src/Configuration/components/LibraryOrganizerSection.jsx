@@ -0,0 +1,279 @@
+import React, { useState, useEffect } from 'react';
+import './LibraryOrganizerSection.css';
+
+const MODE_LABELS = {
+  move: 'Move (rename in place)',
+  copy: 'Copy (keep the original)',
+  hardlink: 'Hardlink (same disk, no extra space)',
+  symlink: 'Symlink (link to the original)'
+};
+
+function LibraryOrganizerSection() {
+  const [settings, setSettings] = useState(null);
+  const [layouts, setLayouts] = useState([]);
+  const [modes, setModes] = useState([]);
+  const [tokens, setTokens] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [previewing, setPreviewing] = useState(false);
+  const [reorganizing, setReorganizing] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  const fetchSettings = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await fetch('/api/admin/library-organizer');
+      if (!response.ok) {
+        throw new Error('Failed to fetch library organizer settings');
+      }
+      const data = await response.json();
+      setSettings(data.settings);
+      setLayouts(data.layouts);
+      setModes(data.modes);
+      setTokens(data.tokens);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error fetching library organizer settings:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showSuccess = (message) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(null), 3000);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(null);
+      const response = await fetch('/api/admin/library-organizer', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ settings })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to save library organizer settings');
+      }
+
+      const data = await response.json();
+      setSettings(data.settings);
+      showSuccess('Library organizer settings saved successfully!');
+    } catch (err) {
+      setError(err.message);
+      console.error('Error saving library organizer settings:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePreview = async () => {
+    try {
+      setPreviewing(true);
+      setError(null);
+      const response = await fetch('/api/admin/library-organizer/preview', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ settings })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to preview library paths');
+      }
+
+      const data = await response.json();
+      setPreview(data.files);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error previewing library paths:', err);
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleReorganize = async () => {
+    if (!window.confirm('Organize every downloaded file with the saved settings? Unsaved changes are not used.')) {
+      return;
+    }
+
+    try {
+      setReorganizing(true);
+      setError(null);
+      const response = await fetch('/api/admin/library-organizer/reorganize', { method: 'POST' });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to queue library reorganization');
+      }
+
+      showSuccess('Library reorganization queued. Follow its progress in the Admin tasks.');
+    } catch (err) {
+      setError(err.message);
+      console.error('Error queueing library reorganization:', err);
+    } finally {
+      setReorganizing(false);
+    }
+  };
+
+  const updateField = (field, value) => {
+    setSettings(prev => ({ ...prev, [field]: value }));
+    setPreview(null);
+  };
+
+  const handleLayoutChange = (layoutId) => {
+    const layout = layouts.find(l => l.id === layoutId);
+    setSettings(prev => ({
+      ...prev,
+      layout: layoutId,
+      // Custom layouts start from the template that was shown
+      template: layout?.template || prev.template
+    }));
+    setPreview(null);
+  };
+
+  if (loading || !settings) {
+    return (
+      <div className="library-organizer-section">
+        <h3 className="section-title">Library Organizer</h3>
+        {error ? (
+          <div className="configuration-error">
+            <strong>Error:</strong> {error}
+          </div>
+        ) : (
+          <div className="loading">Loading library organizer settings...</div>
+        )}
+      </div>
+    );
+  }
+
+  const isCustom = settings.layout === 'custom';
+
+  return (
+    <div className="library-organizer-section">
+      <h3 className="section-title">Library Organizer</h3>
+      <p className="library-organizer-description">
+        Renames completed episodes and their subtitles with a naming template and places them under the anime location.
+        Files are moved into the library once they are no longer seeded.
+      </p>
+
+      {error && (
+        <div className="configuration-error">
+          <strong>Error:</strong> {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="configuration-success">
+          {success}
+        </div>
+      )}
+
+      <fieldset className="library-organizer-fields" disabled={saving}>
+        <label className="form-checkbox-label">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => updateField('enabled', e.target.checked)}
+          />
+          <span>Organize completed downloads</span>
+        </label>
+
+        <div className="library-organizer-row">
+          <label className="library-organizer-field">
+            <span className="library-organizer-label">Layout</span>
+            <select value={settings.layout} onChange={(e) => handleLayoutChange(e.target.value)}>
+              {layouts.map(layout => (
+                <option key={layout.id} value={layout.id}>{layout.name}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="library-organizer-field">
+            <span className="library-organizer-label">Files</span>
+            <select value={settings.mode} onChange={(e) => updateField('mode', e.target.value)}>
+              {modes.map(mode => (
+                <option key={mode} value={mode}>{MODE_LABELS[mode] || mode}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <label className="library-organizer-field">
+          <span className="library-organizer-label">Naming template</span>
+          <input
+            type="text"
+            className="library-organizer-template"
+            value={settings.template}
+            onChange={(e) => updateField('template', e.target.value)}
+            readOnly={!isCustom}
+          />
+        </label>
+        <small className="form-help-text">
+          Tokens: {tokens.map(token => `{${token}}`).join(', ')}. Add zeros to pad numbers, e.g. {'{episode:00}'}.
+          "/" separates folders, the extension is added automatically and empty brackets are dropped.
+          {!isCustom && ' Choose the Custom layout to edit the template.'}
+        </small>
+
+        {preview && (
+          <div className="library-organizer-preview">
+            {preview.length === 0 ? (
+              <div className="library-organizer-preview-empty">No downloaded files to preview yet</div>
+            ) : (
+              preview.map(file => (
+                <div key={file.from} className="library-organizer-preview-item">
+                  <span className="library-organizer-preview-from">{file.from}</span>
+                  <span className="library-organizer-preview-to">→ {file.to || 'left where it is'}</span>
+                </div>
+              ))
+            )}
+          </div>
+        )}
+      </fieldset>
+
+      <div className="form-actions library-organizer-actions">
+        <button
+          type="button"
+          className="form-submit-button"
+          onClick={handleSave}
+          disabled={saving}
+        >
+          {saving ? 'Saving...' : 'Save Library Organizer'}
+        </button>
+        <button
+          type="button"
+          className="library-organizer-secondary-button"
+          onClick={handlePreview}
+          disabled={previewing}
+        >
+          {previewing ? 'Previewing...' : 'Preview'}
+        </button>
+        <button
+          type="button"
+          className="library-organizer-secondary-button"
+          onClick={handleReorganize}
+          disabled={reorganizing}
+        >
+          {reorganizing ? 'Queueing...' : 'Reorganize Library'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default LibraryOrganizerSection;
@@ -0,0 +1,94 @@
+import React, { useState, useRef } from 'react';
+import './ListImportSection.css';
+
+function ListImportSection() {
+  const [file, setFile] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!file) {
+      return;
+    }
+
+    try {
+      setImporting(true);
+      setError(null);
+      setSuccess(null);
+      const response = await fetch(`/api/admin/list-import?fileName=${encodeURIComponent(file.name)}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/octet-stream'
+        },
+        body: file
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to import list');
+      }
+
+      const data = await response.json();
+      setSuccess(`${data.message}. Follow its progress in the Admin tasks.`);
+      setFile(null);
+      if (fileInputRef.current) {
+        fileInputRef.current.value = '';
+      }
+    } catch (err) {
+      setError(err.message);
+      console.error('Error importing list:', err);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div className="list-import-section">
+      <h3 className="section-title">List Import</h3>
+      <p className="list-import-description">
+        Import a MyAnimeList XML export, or a Kitsu library exported in the MyAnimeList format.
+        Watching and Plan to Watch entries get auto-download turned on and watched episodes are marked watched.
+        Entries are matched by MyAnimeList ID, or by title when they have none; only anime of fetched seasons can match.
+      </p>
+
+      {error && (
+        <div className="configuration-error">
+          <strong>Error:</strong> {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="configuration-success">
+          {success}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="list-import-form">
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".xml,.gz"
+          onChange={(e) => setFile(e.target.files[0] || null)}
+          className="list-import-file"
+        />
+        <small className="form-help-text">
+          MyAnimeList: Profile → Export Lists (the .xml.gz file can be imported as is).
+        </small>
+        <div className="form-actions">
+          <button
+            type="submit"
+            className="form-submit-button"
+            disabled={importing || !file}
+          >
+            {importing ? 'Uploading...' : 'Import List'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default ListImportSection;
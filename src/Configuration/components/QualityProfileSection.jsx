@@ -0,0 +1,108 @@
+import React, { useState, useEffect } from 'react';
+import QualityProfileFields, { EMPTY_QUALITY_PROFILE } from '../../Shared/components/QualityProfileFields';
+import './QualityProfileSection.css';
+
+function QualityProfileSection() {
+  const [profile, setProfile] = useState(EMPTY_QUALITY_PROFILE);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(false);
+
+  useEffect(() => {
+    fetchProfile();
+  }, []);
+
+  const fetchProfile = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await fetch('/api/admin/quality-profile');
+      if (!response.ok) {
+        throw new Error('Failed to fetch quality profile');
+      }
+      const data = await response.json();
+      setProfile({ ...EMPTY_QUALITY_PROFILE, ...data.profile });
+    } catch (err) {
+      setError(err.message);
+      console.error('Error fetching quality profile:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(false);
+      const response = await fetch('/api/admin/quality-profile', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ profile })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to save quality profile');
+      }
+
+      const data = await response.json();
+      setProfile({ ...EMPTY_QUALITY_PROFILE, ...data.profile });
+      setSuccess(true);
+      setTimeout(() => setSuccess(false), 3000);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error saving quality profile:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="quality-profile-section">
+        <h3 className="section-title">Quality Profile</h3>
+        <div className="loading">Loading quality profile...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="quality-profile-section">
+      <h3 className="section-title">Quality Profile</h3>
+      <p className="quality-profile-description">
+        Default release preferences used by the auto-downloader. Individual anime can override this profile.
+      </p>
+
+      {error && (
+        <div className="configuration-error">
+          <strong>Error:</strong> {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="configuration-success">
+          Quality profile saved successfully!
+        </div>
+      )}
+
+      <QualityProfileFields profile={profile} onChange={setProfile} disabled={saving} />
+
+      <div className="form-actions">
+        <button
+          type="button"
+          className="form-submit-button"
+          onClick={handleSave}
+          disabled={saving}
+        >
+          {saving ? 'Saving...' : 'Save Quality Profile'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default QualityProfileSection;
@@ -313,6 +313,8 @@ function ScheduledJobsSection() {
                 <option value="SCAN_QUARTER">Scan Quarter</option>
                 <option value="SCAN_AUTODOWNLOAD">Scan Auto-Download</option>
                 <option value="QUEUE_AUTODOWNLOAD">Queue Auto-Download</option>
+                <option value="APPLY_RETENTION">Apply Retention</option>
+                <option value="SYNC_ANILIST">Sync AniList</option>
               </select>
             </div>
 
@@ -428,6 +430,8 @@ function ScheduledJobsSection() {
                       job.jobType === 'SCAN_QUARTER' ? 'Scan Quarter' :
                       job.jobType === 'SCAN_AUTODOWNLOAD' ? 'Scan Auto-Download' :
                       job.jobType === 'QUEUE_AUTODOWNLOAD' ? 'Queue Auto-Download' :
+                      job.jobType === 'APPLY_RETENTION' ? 'Apply Retention' :
+                      job.jobType === 'SYNC_ANILIST' ? 'Sync AniList' :
                       job.jobType
                     }
                   </div>
@@ -0,0 +1,108 @@
+import React, { useState, useEffect } from 'react';
+import SearchSettingsFields, { EMPTY_SEARCH_SETTINGS } from '../../Shared/components/SearchSettingsFields';
+import './SearchSettingsSection.css';
+
+function SearchSettingsSection() {
+  const [settings, setSettings] = useState(EMPTY_SEARCH_SETTINGS);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(false);
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  const fetchSettings = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await fetch('/api/admin/search-settings');
+      if (!response.ok) {
+        throw new Error('Failed to fetch search settings');
+      }
+      const data = await response.json();
+      setSettings({ ...EMPTY_SEARCH_SETTINGS, ...data.settings });
+    } catch (err) {
+      setError(err.message);
+      console.error('Error fetching search settings:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(false);
+      const response = await fetch('/api/admin/search-settings', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ settings })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to save search settings');
+      }
+
+      const data = await response.json();
+      setSettings({ ...EMPTY_SEARCH_SETTINGS, ...data.settings });
+      setSuccess(true);
+      setTimeout(() => setSuccess(false), 3000);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error saving search settings:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="search-settings-section">
+        <h3 className="section-title">Torrent Search</h3>
+        <div className="loading">Loading search settings...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="search-settings-section">
+      <h3 className="section-title">Torrent Search</h3>
+      <p className="search-settings-description">
+        Terms and filters used when searching the indexers for an anime's torrents. Individual anime can override these settings.
+      </p>
+
+      {error && (
+        <div className="configuration-error">
+          <strong>Error:</strong> {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="configuration-success">
+          Search settings saved successfully!
+        </div>
+      )}
+
+      <SearchSettingsFields settings={settings} onChange={setSettings} disabled={saving} />
+
+      <div className="form-actions">
+        <button
+          type="button"
+          className="form-submit-button"
+          onClick={handleSave}
+          disabled={saving}
+        >
+          {saving ? 'Saving...' : 'Save Search Settings'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SearchSettingsSection;
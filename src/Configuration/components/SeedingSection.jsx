@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+import { TermList } from '../../Shared/components/SearchSettingsFields';
+import './SeedingSection.css';
+
+const EMPTY_SEEDING_POLICY = {
+  enabled: false,
+  ratio: 1,
+  durationHours: 24,
+  subGroups: []
+};
+
+// Empty inputs mean "no target"
+const toFormPolicy = (policy) => ({
+  ...EMPTY_SEEDING_POLICY,
+  ...policy,
+  ratio: policy.ratio === null ? '' : String(policy.ratio),
+  durationHours: policy.durationHours === null ? '' : String(policy.durationHours)
+});
+
+function SeedingSection() {
+  const [policy, setPolicy] = useState(toFormPolicy(EMPTY_SEEDING_POLICY));
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(false);
+
+  useEffect(() => {
+    fetchPolicy();
+  }, []);
+
+  const fetchPolicy = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await fetch('/api/admin/seeding-policy');
+      if (!response.ok) {
+        throw new Error('Failed to fetch seeding policy');
+      }
+      const data = await response.json();
+      setPolicy(toFormPolicy(data.policy));
+    } catch (err) {
+      setError(err.message);
+      console.error('Error fetching seeding policy:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(false);
+      const response = await fetch('/api/admin/seeding-policy', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          policy: {
+            ...policy,
+            ratio: policy.ratio === '' ? null : Number(policy.ratio),
+            durationHours: policy.durationHours === '' ? null : Number(policy.durationHours)
+          }
+        })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to save seeding policy');
+      }
+
+      const data = await response.json();
+      setPolicy(toFormPolicy(data.policy));
+      setSuccess(true);
+      setTimeout(() => setSuccess(false), 3000);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error saving seeding policy:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateField = (field, value) => {
+    setPolicy(prev => ({ ...prev, [field]: value }));
+  };
+
+  if (loading) {
+    return (
+      <div className="seeding-section">
+        <h3 className="section-title">Seeding</h3>
+        <div className="loading">Loading seeding policy...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="seeding-section">
+      <h3 className="section-title">Seeding</h3>
+      <p className="seeding-description">
+        Keeps seeding completed downloads of the built-in client from the library until one of the targets is reached.
+        Seeding shares the max upload speed. External download clients use their own seeding settings.
+      </p>
+
+      {error && (
+        <div className="configuration-error">
+          <strong>Error:</strong> {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="configuration-success">
+          Seeding policy saved successfully!
+        </div>
+      )}
+
+      <fieldset className="seeding-fields" disabled={saving}>
+        <label className="form-checkbox-label">
+          <input
+            type="checkbox"
+            checked={policy.enabled}
+            onChange={(e) => updateField('enabled', e.target.checked)}
+          />
+          <span>Seed completed downloads</span>
+        </label>
+
+        <div className="seeding-row">
+          <label className="seeding-field">
+            <span className="seeding-label">Target ratio</span>
+            <input
+              type="number"
+              step="0.1"
+              min="0"
+              value={policy.ratio}
+              onChange={(e) => updateField('ratio', e.target.value)}
+              placeholder="No target"
+            />
+          </label>
+
+          <label className="seeding-field">
+            <span className="seeding-label">Seeding time (hours)</span>
+            <input
+              type="number"
+              step="1"
+              min="0"
+              value={policy.durationHours}
+              onChange={(e) => updateField('durationHours', e.target.value)}
+              placeholder="No target"
+            />
+          </label>
+        </div>
+        <small className="form-help-text">
+          Seeding stops at whichever target is reached first. Leave one empty to only use the other.
+        </small>
+
+        <div className="seeding-field">
+          <span className="seeding-label">Only seed releases from these subgroups</span>
+          <TermList
+            terms={policy.subGroups}
+            onChange={(subGroups) => updateField('subGroups', subGroups)}
+            placeholder="Subgroup name (e.g., SubsPlease)"
+            emptyLabel="Every subgroup"
+            disabled={saving}
+          />
+        </div>
+      </fieldset>
+
+      <div className="form-actions">
+        <button
+          type="button"
+          className="form-submit-button"
+          onClick={handleSave}
+          disabled={saving}
+        >
+          {saving ? 'Saving...' : 'Save Seeding Policy'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SeedingSection;
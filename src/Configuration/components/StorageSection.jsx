@@ -0,0 +1,389 @@
+import React, { useState, useEffect } from 'react';
+import './StorageSection.css';
+
+const BYTES_PER_GB = 1024 * 1024 * 1024;
+
+function formatSize(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+  const index = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, index)).toFixed(1)} ${units[index]}`;
+}
+
+// Retention inputs are edited as strings; empty means the rule is off
+function toPolicyInput(policy) {
+  return {
+    keepLastEpisodes: policy?.keepLastEpisodes ? String(policy.keepLastEpisodes) : '',
+    deleteWatchedAfterDays: policy?.deleteWatchedAfterDays ? String(policy.deleteWatchedAfterDays) : '',
+    deleteFinishedAfterDays: policy?.deleteFinishedAfterDays ? String(policy.deleteFinishedAfterDays) : ''
+  };
+}
+
+function fromPolicyInput(input) {
+  const policy = {
+    keepLastEpisodes: input.keepLastEpisodes === '' ? null : Number(input.keepLastEpisodes),
+    deleteWatchedAfterDays: input.deleteWatchedAfterDays === '' ? null : Number(input.deleteWatchedAfterDays),
+    deleteFinishedAfterDays: input.deleteFinishedAfterDays === '' ? null : Number(input.deleteFinishedAfterDays)
+  };
+  return Object.values(policy).some(value => value !== null) ? policy : null;
+}
+
+function StorageSection() {
+  const [report, setReport] = useState(null);
+  const [minFreeSpaceGB, setMinFreeSpaceGB] = useState('0');
+  const [policies, setPolicies] = useState({});
+  const [retentionReport, setRetentionReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [savingPolicy, setSavingPolicy] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [applying, setApplying] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    fetchReport();
+  }, []);
+
+  const fetchReport = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await fetch('/api/admin/storage');
+      if (!response.ok) {
+        throw new Error('Failed to fetch storage report');
+      }
+      const data = await response.json();
+      setReport(data);
+      setMinFreeSpaceGB(String(data.settings.minFreeSpaceGB));
+      setPolicies(Object.fromEntries(data.anime.map(anime => [anime.animeId, toPolicyInput(anime.policy)])));
+    } catch (err) {
+      setError(err.message);
+      console.error('Error fetching storage report:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showSuccess = (message) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(null), 3000);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(null);
+      const response = await fetch('/api/admin/storage', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ settings: { minFreeSpaceGB: Number(minFreeSpaceGB) } })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to save storage settings');
+      }
+
+      const data = await response.json();
+      setMinFreeSpaceGB(String(data.settings.minFreeSpaceGB));
+      setReport(prev => ({ ...prev, settings: data.settings, belowMinFreeSpace: data.belowMinFreeSpace }));
+      showSuccess('Storage settings saved successfully!');
+    } catch (err) {
+      setError(err.message);
+      console.error('Error saving storage settings:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSavePolicy = async (animeId) => {
+    try {
+      setSavingPolicy(animeId);
+      setError(null);
+      setSuccess(null);
+      const response = await fetch(`/api/anime/${animeId}/retention-policy`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ policy: fromPolicyInput(policies[animeId]) })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to save retention policy');
+      }
+
+      const data = await response.json();
+      setPolicies(prev => ({ ...prev, [animeId]: toPolicyInput(data.policy) }));
+      setRetentionReport(null);
+      showSuccess('Retention policy saved successfully!');
+    } catch (err) {
+      setError(err.message);
+      console.error('Error saving retention policy:', err);
+    } finally {
+      setSavingPolicy(null);
+    }
+  };
+
+  const handleDryRun = async () => {
+    try {
+      setPreviewing(true);
+      setError(null);
+      const response = await fetch('/api/admin/storage/retention-report');
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to build retention report');
+      }
+      setRetentionReport(await response.json());
+    } catch (err) {
+      setError(err.message);
+      console.error('Error building retention report:', err);
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleApply = async () => {
+    if (!window.confirm('Delete every file the saved retention policies no longer keep? Deleted files cannot be recovered.')) {
+      return;
+    }
+
+    try {
+      setApplying(true);
+      setError(null);
+      const response = await fetch('/api/admin/storage/retention/apply', { method: 'POST' });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to queue retention run');
+      }
+
+      setRetentionReport(null);
+      showSuccess('Retention run queued. Follow its progress in the Admin tasks.');
+    } catch (err) {
+      setError(err.message);
+      console.error('Error queueing retention run:', err);
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const updatePolicy = (animeId, field, value) => {
+    setPolicies(prev => ({ ...prev, [animeId]: { ...prev[animeId], [field]: value } }));
+  };
+
+  if (loading || !report) {
+    return (
+      <div className="storage-section">
+        <h3 className="section-title">Storage</h3>
+        {error ? (
+          <div className="configuration-error">
+            <strong>Error:</strong> {error}
+          </div>
+        ) : (
+          <div className="loading">Loading storage report...</div>
+        )}
+      </div>
+    );
+  }
+
+  const { disk } = report;
+  const usedPercent = disk && disk.total ? Math.min(100, (disk.used / disk.total) * 100) : 0;
+  const minFreePercent = disk && disk.total ? Math.min(100, (report.settings.minFreeSpaceGB * BYTES_PER_GB / disk.total) * 100) : 0;
+
+  return (
+    <div className="storage-section">
+      <h3 className="section-title">Storage</h3>
+      <p className="storage-description">
+        Downloads are paused while the free space of the anime location is below the minimum.
+        Retention policies delete old episodes of an anime; files that are still downloading or seeding are kept.
+      </p>
+
+      {error && (
+        <div className="configuration-error">
+          <strong>Error:</strong> {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="configuration-success">
+          {success}
+        </div>
+      )}
+
+      {disk ? (
+        <div className="storage-disk">
+          <div className="storage-disk-bar">
+            <div
+              className={`storage-disk-used ${report.belowMinFreeSpace ? 'low' : ''}`}
+              style={{ width: `${usedPercent}%` }}
+            />
+            {minFreePercent > 0 && (
+              <div className="storage-disk-threshold" style={{ right: `${minFreePercent}%` }} />
+            )}
+          </div>
+          <div className="storage-disk-summary">
+            <span>{formatSize(disk.used)} used of {formatSize(disk.total)}</span>
+            <span>{formatSize(disk.free)} free</span>
+            <span>{formatSize(report.totalSize)} of anime</span>
+          </div>
+          {report.belowMinFreeSpace && (
+            <div className="storage-warning">Free space is below the minimum; downloads are paused.</div>
+          )}
+        </div>
+      ) : (
+        <div className="storage-empty">The disk space of the anime location could not be read.</div>
+      )}
+
+      <fieldset className="storage-fields" disabled={saving}>
+        <label className="storage-field">
+          <span className="storage-label">Minimum free space (GiB)</span>
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={minFreeSpaceGB}
+            onChange={(e) => setMinFreeSpaceGB(e.target.value)}
+          />
+        </label>
+        <small className="form-help-text">0 turns the guard off.</small>
+      </fieldset>
+
+      <div className="form-actions">
+        <button
+          type="button"
+          className="form-submit-button"
+          onClick={handleSave}
+          disabled={saving}
+        >
+          {saving ? 'Saving...' : 'Save Storage'}
+        </button>
+      </div>
+
+      <h4 className="storage-subtitle">Disk usage by anime</h4>
+      {report.anime.length === 0 ? (
+        <div className="storage-empty">No downloaded files yet</div>
+      ) : (
+        <table className="storage-table">
+          <thead>
+            <tr>
+              <th>Anime</th>
+              <th>Files</th>
+              <th>Size</th>
+              <th>Keep last episodes</th>
+              <th>Delete after watched (days)</th>
+              <th>Delete after finished (days)</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.anime.map(anime => (
+              <tr key={anime.animeId}>
+                <td>{anime.animeTitle}</td>
+                <td>
+                  {anime.files}
+                  {anime.missingFiles > 0 && (
+                    <span className="storage-missing" title="Files recorded as downloaded that are no longer on disk">
+                      {' '}({anime.missingFiles} missing)
+                    </span>
+                  )}
+                </td>
+                <td>{formatSize(anime.size)}</td>
+                <td>
+                  <input
+                    type="number"
+                    min="1"
+                    placeholder="All"
+                    value={policies[anime.animeId]?.keepLastEpisodes ?? ''}
+                    onChange={(e) => updatePolicy(anime.animeId, 'keepLastEpisodes', e.target.value)}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    min="1"
+                    placeholder="Never"
+                    value={policies[anime.animeId]?.deleteWatchedAfterDays ?? ''}
+                    onChange={(e) => updatePolicy(anime.animeId, 'deleteWatchedAfterDays', e.target.value)}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    min="1"
+                    placeholder="Never"
+                    value={policies[anime.animeId]?.deleteFinishedAfterDays ?? ''}
+                    onChange={(e) => updatePolicy(anime.animeId, 'deleteFinishedAfterDays', e.target.value)}
+                  />
+                </td>
+                <td>
+                  <button
+                    type="button"
+                    className="storage-secondary-button"
+                    onClick={() => handleSavePolicy(anime.animeId)}
+                    disabled={savingPolicy === anime.animeId}
+                  >
+                    {savingPolicy === anime.animeId ? 'Saving...' : 'Save'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {retentionReport && (
+        <div className="storage-retention-report">
+          {retentionReport.files.length === 0 ? (
+            <div className="storage-empty">The retention policies don't delete any file right now</div>
+          ) : (
+            <>
+              <div className="storage-retention-total">
+                {retentionReport.files.length} file(s) would be deleted, freeing {formatSize(retentionReport.totalSize)}
+              </div>
+              {retentionReport.files.map(file => (
+                <div key={file.id} className="storage-retention-item">
+                  <span className="storage-retention-file">{file.animeTitle} — {file.fileName}</span>
+                  <span className="storage-retention-reason">{file.reason} · {formatSize(file.size)}</span>
+                </div>
+              ))}
+            </>
+          )}
+        </div>
+      )}
+
+      <div className="form-actions storage-actions">
+        <button
+          type="button"
+          className="storage-secondary-button"
+          onClick={handleDryRun}
+          disabled={previewing}
+        >
+          {previewing ? 'Checking...' : 'Dry Run'}
+        </button>
+        <button
+          type="button"
+          className="storage-secondary-button"
+          onClick={handleApply}
+          disabled={applying}
+        >
+          {applying ? 'Queueing...' : 'Apply Retention Now'}
+        </button>
+        <button
+          type="button"
+          className="storage-secondary-button"
+          onClick={fetchReport}
+        >
+          Refresh
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default StorageSection;
@@ -0,0 +1,102 @@
+import React, { useState, useEffect } from 'react';
+import './TorznabSection.css';
+
+function TorznabSection() {
+  const [apiKey, setApiKey] = useState('');
+  const [path, setPath] = useState('/api/torznab');
+  const [loading, setLoading] = useState(true);
+  const [regenerating, setRegenerating] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  const fetchSettings = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await fetch('/api/admin/torznab');
+      if (!response.ok) {
+        throw new Error('Failed to fetch Torznab settings');
+      }
+      const data = await response.json();
+      setApiKey(data.apiKey);
+      setPath(data.path);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error fetching Torznab settings:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRegenerate = async () => {
+    if (!window.confirm('Regenerate the API key? Tools using the current key will stop working until they are updated.')) {
+      return;
+    }
+
+    try {
+      setRegenerating(true);
+      setError(null);
+      const response = await fetch('/api/admin/torznab/api-key', { method: 'POST' });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to regenerate API key');
+      }
+      const data = await response.json();
+      setApiKey(data.apiKey);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error regenerating Torznab API key:', err);
+    } finally {
+      setRegenerating(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="torznab-section">
+        <h3 className="section-title">Torznab API</h3>
+        <div className="loading">Loading Torznab settings...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="torznab-section">
+      <h3 className="section-title">Torznab API</h3>
+      <p className="torznab-description">
+        Other tools (Sonarr, Prowlarr, Jackett clients) can use this app as a Torznab indexer over the torrents it has already matched to anime and episodes.
+      </p>
+
+      {error && (
+        <div className="configuration-error">
+          <strong>Error:</strong> {error}
+        </div>
+      )}
+
+      <div className="torznab-field">
+        <label>URL</label>
+        <input type="text" readOnly value={`${window.location.origin}${path}`} onFocus={(e) => e.target.select()} />
+      </div>
+
+      <div className="torznab-field">
+        <label>API key</label>
+        <div className="torznab-key-row">
+          <input type="text" readOnly value={apiKey} onFocus={(e) => e.target.select()} />
+          <button
+            type="button"
+            className="torznab-regenerate-button"
+            onClick={handleRegenerate}
+            disabled={regenerating}
+          >
+            {regenerating ? 'Regenerating...' : 'Regenerate'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TorznabSection;
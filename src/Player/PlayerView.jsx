@@ -0,0 +1,303 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import LoadingState from '../Shared/components/LoadingState';
+import ErrorState from '../Shared/components/ErrorState';
+import './PlayerView.css';
+
+// How often the playback position is saved while the video plays
+const SAVE_INTERVAL_SECONDS = 15;
+// Share of the episode after which it counts as watched (the ending and preview are often skipped)
+const WATCHED_RATIO = 0.9;
+
+function formatSize(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+  const index = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, index)).toFixed(1)} ${units[index]}`;
+}
+
+function getSourceLabel(source) {
+  if (source.kind === 'torrent') {
+    return `${source.fileName} (downloading, ${Math.round(source.progress * 100)}%)`;
+  }
+  return `${source.fileName} (${formatSize(source.size)})`;
+}
+
+function PlayerView() {
+  const { id, episode } = useParams();
+  const episodeNumber = parseInt(episode, 10);
+  const navigate = useNavigate();
+  const videoRef = useRef(null);
+  const lastSavedRef = useRef(0);
+  // Latest position of the video; the video element is gone when the player is left
+  const positionRef = useRef({ currentTime: 0, duration: null });
+  const resumeRef = useRef(null);
+  const watchedMarkedRef = useRef(false);
+  const [anime, setAnime] = useState(null);
+  const [sources, setSources] = useState([]);
+  const [downloadedEpisodes, setDownloadedEpisodes] = useState([]);
+  const [selectedSourceId, setSelectedSourceId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [playbackError, setPlaybackError] = useState(null);
+  const [watched, setWatched] = useState(false);
+
+  const fetchSources = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [animeResponse, sourcesResponse, watchResponse] = await Promise.all([
+        fetch(`/api/anime/id/${id}`),
+        fetch(`/api/anime/${id}/episodes/${episodeNumber}/sources`),
+        fetch(`/api/anime/${id}/watch-progress`)
+      ]);
+
+      if (!animeResponse.ok || !sourcesResponse.ok) {
+        if (animeResponse.status === 404) {
+          throw new Error('Anime not found');
+        }
+        throw new Error('Failed to fetch episode sources');
+      }
+
+      const sourcesData = await sourcesResponse.json();
+      setAnime(await animeResponse.json());
+      setSources(sourcesData.sources);
+      setSelectedSourceId(sourcesData.sources[0]?.id || null);
+      setWatched(Boolean(sourcesData.progress?.watched));
+      watchedMarkedRef.current = Boolean(sourcesData.progress?.watched);
+      resumeRef.current = sourcesData.progress?.position || 0;
+
+      if (watchResponse.ok) {
+        const watchData = await watchResponse.json();
+        setDownloadedEpisodes([...(watchData.downloadedEpisodes || [])].sort((a, b) => a - b));
+      }
+    } catch (err) {
+      setError(err.message);
+      console.error('Error fetching episode sources:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [id, episodeNumber]);
+
+  useEffect(() => {
+    fetchSources();
+  }, [fetchSources]);
+
+  const savePosition = useCallback(() => {
+    const { currentTime, duration } = positionRef.current;
+    if (!currentTime || currentTime === lastSavedRef.current) {
+      return;
+    }
+
+    lastSavedRef.current = currentTime;
+    // keepalive lets the request finish when the player is left
+    fetch(`/api/anime/${id}/episodes/${episodeNumber}/position`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ position: currentTime, duration }),
+      keepalive: true
+    }).catch(err => console.error('Error saving playback position:', err));
+  }, [id, episodeNumber]);
+
+  // Save the position when leaving the episode
+  useEffect(() => {
+    return () => savePosition();
+  }, [savePosition]);
+
+  const markWatched = async () => {
+    if (watchedMarkedRef.current) {
+      return;
+    }
+    watchedMarkedRef.current = true;
+
+    try {
+      const response = await fetch(`/api/anime/${id}/episodes/${episodeNumber}/watched`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ watched: true }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to update watch progress');
+      }
+      setWatched(true);
+    } catch (err) {
+      watchedMarkedRef.current = false;
+      console.error('Error updating watch progress:', err);
+    }
+  };
+
+  const handleLoadedMetadata = () => {
+    const video = videoRef.current;
+    const resumeAt = resumeRef.current;
+    // Episodes stopped during the ending start over
+    if (video && resumeAt > 0 && (!video.duration || resumeAt < video.duration * WATCHED_RATIO)) {
+      video.currentTime = resumeAt;
+    }
+    resumeRef.current = 0;
+  };
+
+  const handleTimeUpdate = () => {
+    const video = videoRef.current;
+    if (!video) {
+      return;
+    }
+
+    positionRef.current = {
+      currentTime: video.currentTime,
+      duration: Number.isFinite(video.duration) ? video.duration : null
+    };
+    if (Math.abs(video.currentTime - lastSavedRef.current) >= SAVE_INTERVAL_SECONDS) {
+      savePosition();
+    }
+    if (video.duration && video.currentTime >= video.duration * WATCHED_RATIO) {
+      markWatched();
+    }
+  };
+
+  const handleSourceChange = (sourceId) => {
+    // Keep the position when switching to another file of the same episode
+    resumeRef.current = videoRef.current?.currentTime || 0;
+    setPlaybackError(null);
+    setSelectedSourceId(sourceId);
+  };
+
+  const handleVideoError = () => {
+    setPlaybackError('The browser cannot play this file. Its container or codecs may not be supported; try another source or open the file from the library.');
+  };
+
+  const title = anime ? (anime.title?.english || anime.title?.romaji || anime.title?.native || 'Unknown Title') : '';
+  const selectedSource = sources.find(source => source.id === selectedSourceId) || null;
+  const previousEpisode = [...downloadedEpisodes].reverse().find(number => number < episodeNumber) ?? null;
+  const nextEpisode = downloadedEpisodes.find(number => number > episodeNumber) ?? null;
+
+  if (loading) {
+    return (
+      <div className="player-view">
+        <div className="container">
+          <LoadingState message="Loading episode..." />
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="player-view">
+        <div className="container">
+          <ErrorState
+            error={error}
+            onRetry={fetchSources}
+            retryLabel="Retry"
+          />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="player-view">
+      <div className="container">
+        <button className="back-button" onClick={() => navigate(`/anime/${id}`)}>
+          ← Back to {title}
+        </button>
+        <div className="player-header">
+          <h1 className="player-title">{title}</h1>
+          <span className="player-episode">
+            Episode {episodeNumber}
+            {watched && <span className="player-watched-badge">Watched</span>}
+          </span>
+        </div>
+
+        {sources.length === 0 ? (
+          <div className="player-empty">
+            No downloaded file or downloading torrent for this episode.
+          </div>
+        ) : (
+          <>
+            <div className="player-video-wrapper">
+              <video
+                key={selectedSource.id}
+                ref={videoRef}
+                className="player-video"
+                src={selectedSource.url}
+                controls
+                autoPlay
+                onLoadedMetadata={handleLoadedMetadata}
+                onTimeUpdate={handleTimeUpdate}
+                onPause={savePosition}
+                onEnded={markWatched}
+                onError={handleVideoError}
+              >
+                {selectedSource.subtitles.map((subtitle, index) => (
+                  <track
+                    key={subtitle.url}
+                    kind="subtitles"
+                    src={subtitle.url}
+                    label={subtitle.label}
+                    default={index === 0}
+                  />
+                ))}
+              </video>
+            </div>
+
+            {playbackError && (
+              <div className="player-error">{playbackError}</div>
+            )}
+
+            {selectedSource.kind === 'torrent' && (
+              <div className="player-note">
+                {selectedSource.paused
+                  ? 'This torrent is waiting in the download queue; it streams once its download starts.'
+                  : 'This episode is still downloading; seeking ahead waits for the pieces to arrive.'}
+              </div>
+            )}
+
+            <div className="player-controls">
+              {sources.length > 1 && (
+                <label className="player-source">
+                  Source
+                  <select value={selectedSourceId} onChange={(e) => handleSourceChange(e.target.value)}>
+                    {sources.map(source => (
+                      <option key={source.id} value={source.id}>{getSourceLabel(source)}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              {sources.length === 1 && (
+                <span className="player-source">{getSourceLabel(selectedSource)}</span>
+              )}
+              <div className="player-navigation">
+                {previousEpisode !== null && (
+                  <button
+                    type="button"
+                    className="player-nav-button"
+                    onClick={() => navigate(`/anime/${id}/watch/${previousEpisode}`)}
+                  >
+                    ← Episode {previousEpisode}
+                  </button>
+                )}
+                {nextEpisode !== null && (
+                  <button
+                    type="button"
+                    className="player-nav-button"
+                    onClick={() => navigate(`/anime/${id}/watch/${nextEpisode}`)}
+                  >
+                    Episode {nextEpisode} →
+                  </button>
+                )}
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PlayerView;
@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import ConfigurationForm from '../Configuration/components/ConfigurationForm';
-import { formatQuarterWithSeason } from '../../config/constants.js';
+import { formatQuarterWithSeason, FILE_TYPES } from '../../config/constants.js';
 import './SetupView.css';
 
 /**
@@ -25,7 +25,10 @@ function SetupView() {
     animeLocation: '',
     enableAutomaticAnimeFolderClassification: false,
     maxDownloadSpeed: '',
-    maxUploadSpeed: ''
+    maxUploadSpeed: '',
+    maxActiveTorrents: 3,
+    prioritizeNewestEpisodes: false,
+    keepFileTypes: FILE_TYPES
   });
   const [scanCurrentSeason, setScanCurrentSeason] = useState(false);
   const [selectedQuarters, setSelectedQuarters] = useState([]);
@@ -63,7 +66,10 @@ function SetupView() {
         animeLocation: data.animeLocation || '',
         enableAutomaticAnimeFolderClassification: data.enableAutomaticAnimeFolderClassification || false,
         maxDownloadSpeed: bytesToMB(data.maxDownloadSpeed),
-        maxUploadSpeed: bytesToMB(data.maxUploadSpeed)
+        maxUploadSpeed: bytesToMB(data.maxUploadSpeed),
+        maxActiveTorrents: data.maxActiveTorrents || 3,
+        prioritizeNewestEpisodes: data.prioritizeNewestEpisodes || false,
+        keepFileTypes: data.keepFileTypes || FILE_TYPES
       });
     } catch (err) {
       setError(err.message);
@@ -0,0 +1,198 @@
+import React, { useState } from 'react';
+import './QualityProfileFields.css';
+
+export const RESOLUTIONS = ['2160p', '1080p', '720p', '480p'];
+export const CODECS = ['HEVC', 'AVC', 'AV1'];
+
+export const EMPTY_QUALITY_PROFILE = {
+  subGroups: [],
+  resolutions: [],
+  codecs: [],
+  preferBatch: false,
+  preferBatchWhenFinished: false,
+  minSeeders: 0,
+  allowUpgrades: false
+};
+
+function OrderedList({ items, onChange, emptyLabel }) {
+  const moveItem = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= items.length) {
+      return;
+    }
+    const next = [...items];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  };
+
+  const removeItem = (index) => {
+    onChange(items.filter((_, i) => i !== index));
+  };
+
+  if (items.length === 0) {
+    return <div className="quality-profile-empty">{emptyLabel}</div>;
+  }
+
+  return (
+    <ol className="quality-profile-list">
+      {items.map((item, index) => (
+        <li key={item} className="quality-profile-list-item">
+          <span className="quality-profile-list-name">{item}</span>
+          <div className="quality-profile-list-actions">
+            <button type="button" onClick={() => moveItem(index, -1)} disabled={index === 0} title="Move up">
+              ↑
+            </button>
+            <button type="button" onClick={() => moveItem(index, 1)} disabled={index === items.length - 1} title="Move down">
+              ↓
+            </button>
+            <button type="button" onClick={() => removeItem(index)} title="Remove">
+              ✕
+            </button>
+          </div>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+function QualityProfileFields({ profile, onChange, disabled = false }) {
+  const [newSubGroup, setNewSubGroup] = useState('');
+
+  const updateField = (field, value) => {
+    onChange({ ...profile, [field]: value });
+  };
+
+  const handleAddSubGroup = () => {
+    const name = newSubGroup.trim();
+    if (!name || profile.subGroups.some(existing => existing.toLowerCase() === name.toLowerCase())) {
+      setNewSubGroup('');
+      return;
+    }
+    updateField('subGroups', [...profile.subGroups, name]);
+    setNewSubGroup('');
+  };
+
+  const handleAddOption = (field, value) => {
+    if (!value || profile[field].includes(value)) {
+      return;
+    }
+    updateField(field, [...profile[field], value]);
+  };
+
+  const availableResolutions = RESOLUTIONS.filter(resolution => !profile.resolutions.includes(resolution));
+  const availableCodecs = CODECS.filter(codec => !profile.codecs.includes(codec));
+
+  return (
+    <fieldset className="quality-profile-fields" disabled={disabled}>
+      <div className="quality-profile-field">
+        <label className="quality-profile-label">Preferred subgroups (in order)</label>
+        <OrderedList
+          items={profile.subGroups}
+          onChange={(items) => updateField('subGroups', items)}
+          emptyLabel="No preferred subgroups"
+        />
+        <div className="quality-profile-add">
+          <input
+            type="text"
+            value={newSubGroup}
+            onChange={(e) => setNewSubGroup(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                handleAddSubGroup();
+              }
+            }}
+            placeholder="Subgroup name (e.g., SubsPlease)"
+          />
+          <button type="button" onClick={handleAddSubGroup} disabled={!newSubGroup.trim()}>
+            Add
+          </button>
+        </div>
+      </div>
+
+      <div className="quality-profile-field">
+        <label className="quality-profile-label">Allowed resolutions (in order)</label>
+        <OrderedList
+          items={profile.resolutions}
+          onChange={(items) => updateField('resolutions', items)}
+          emptyLabel="Any resolution"
+        />
+        {availableResolutions.length > 0 && (
+          <div className="quality-profile-add">
+            <select value="" onChange={(e) => handleAddOption('resolutions', e.target.value)}>
+              <option value="">Add resolution...</option>
+              {availableResolutions.map(resolution => (
+                <option key={resolution} value={resolution}>{resolution}</option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      <div className="quality-profile-field">
+        <label className="quality-profile-label">Preferred codecs (in order)</label>
+        <OrderedList
+          items={profile.codecs}
+          onChange={(items) => updateField('codecs', items)}
+          emptyLabel="No codec preference"
+        />
+        {availableCodecs.length > 0 && (
+          <div className="quality-profile-add">
+            <select value="" onChange={(e) => handleAddOption('codecs', e.target.value)}>
+              <option value="">Add codec...</option>
+              {availableCodecs.map(codec => (
+                <option key={codec} value={codec}>{codec}</option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      <div className="quality-profile-field">
+        <label className="quality-profile-checkbox">
+          <input
+            type="checkbox"
+            checked={profile.preferBatch}
+            onChange={(e) => updateField('preferBatch', e.target.checked)}
+          />
+          <span>Prefer batch releases</span>
+        </label>
+      </div>
+
+      <div className="quality-profile-field">
+        <label className="quality-profile-checkbox">
+          <input
+            type="checkbox"
+            checked={profile.preferBatchWhenFinished}
+            onChange={(e) => updateField('preferBatchWhenFinished', e.target.checked)}
+          />
+          <span>Prefer a batch for the missing episodes once the season has finished airing</span>
+        </label>
+      </div>
+
+      <div className="quality-profile-field">
+        <label className="quality-profile-checkbox">
+          <input
+            type="checkbox"
+            checked={profile.allowUpgrades}
+            onChange={(e) => updateField('allowUpgrades', e.target.checked)}
+          />
+          <span>Upgrade downloaded episodes when a better release or a new revision (v2) appears</span>
+        </label>
+      </div>
+
+      <div className="quality-profile-field">
+        <label className="quality-profile-label">Minimum seeders</label>
+        <input
+          type="number"
+          min="0"
+          className="quality-profile-number"
+          value={profile.minSeeders}
+          onChange={(e) => updateField('minSeeders', e.target.value === '' ? 0 : parseInt(e.target.value, 10) || 0)}
+        />
+      </div>
+    </fieldset>
+  );
+}
+
+export default QualityProfileFields;
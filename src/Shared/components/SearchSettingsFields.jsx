@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import './SearchSettingsFields.css';
+
+export const SEARCH_RESOLUTIONS = [
+  { value: '', label: 'Any resolution' },
+  { value: '2160p', label: '2160p' },
+  { value: '1080p', label: '1080p' },
+  { value: '720p', label: '720p' },
+  { value: '480p', label: '480p' }
+];
+
+export const SEARCH_CATEGORIES = [
+  { value: '1_0', label: 'Anime (all)' },
+  { value: '1_2', label: 'English-translated' },
+  { value: '1_3', label: 'Non-English-translated' },
+  { value: '1_4', label: 'Raw' }
+];
+
+export const SEARCH_FILTERS = [
+  { value: '0', label: 'No filter' },
+  { value: '1', label: 'No remakes' },
+  { value: '2', label: 'Trusted only' }
+];
+
+export const EMPTY_SEARCH_SETTINGS = {
+  resolution: '1080p',
+  category: '1_2',
+  filter: '0',
+  includeTerms: [],
+  excludeTerms: []
+};
+
+export function TermList({ terms, onChange, placeholder, emptyLabel, disabled }) {
+  const [newTerm, setNewTerm] = useState('');
+
+  const handleAdd = () => {
+    const term = newTerm.trim();
+    if (term && !terms.some(existing => existing.toLowerCase() === term.toLowerCase())) {
+      onChange([...terms, term]);
+    }
+    setNewTerm('');
+  };
+
+  return (
+    <>
+      {terms.length === 0 ? (
+        <div className="search-settings-empty">{emptyLabel}</div>
+      ) : (
+        <div className="search-settings-terms">
+          {terms.map(term => (
+            <span key={term} className="search-settings-term">
+              {term}
+              <button
+                type="button"
+                onClick={() => onChange(terms.filter(existing => existing !== term))}
+                disabled={disabled}
+                title="Remove"
+              >
+                ✕
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+      <div className="search-settings-add">
+        <input
+          type="text"
+          value={newTerm}
+          onChange={(e) => setNewTerm(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              handleAdd();
+            }
+          }}
+          placeholder={placeholder}
+          disabled={disabled}
+        />
+        <button type="button" onClick={handleAdd} disabled={disabled || !newTerm.trim()}>
+          Add
+        </button>
+      </div>
+    </>
+  );
+}
+
+function SearchSettingsFields({ settings, onChange, disabled = false }) {
+  const updateField = (field, value) => {
+    onChange({ ...settings, [field]: value });
+  };
+
+  return (
+    <fieldset className="search-settings-fields" disabled={disabled}>
+      <div className="search-settings-row">
+        <label className="search-settings-field">
+          <span className="search-settings-label">Resolution term</span>
+          <select value={settings.resolution} onChange={(e) => updateField('resolution', e.target.value)}>
+            {SEARCH_RESOLUTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="search-settings-field">
+          <span className="search-settings-label">Nyaa category</span>
+          <select value={settings.category} onChange={(e) => updateField('category', e.target.value)}>
+            {SEARCH_CATEGORIES.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="search-settings-field">
+          <span className="search-settings-label">Nyaa filter</span>
+          <select value={settings.filter} onChange={(e) => updateField('filter', e.target.value)}>
+            {SEARCH_FILTERS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="search-settings-field">
+        <span className="search-settings-label">Extra terms added to every search</span>
+        <TermList
+          terms={settings.includeTerms}
+          onChange={(terms) => updateField('includeTerms', terms)}
+          placeholder="Term (e.g., HEVC)"
+          emptyLabel="No extra terms"
+          disabled={disabled}
+        />
+      </div>
+
+      <div className="search-settings-field">
+        <span className="search-settings-label">Exclude results whose title contains</span>
+        <TermList
+          terms={settings.excludeTerms}
+          onChange={(terms) => updateField('excludeTerms', terms)}
+          placeholder="Term (e.g., Dub)"
+          emptyLabel="Nothing excluded"
+          disabled={disabled}
+        />
+      </div>
+    </fieldset>
+  );
+}
+
+export default SearchSettingsFields;
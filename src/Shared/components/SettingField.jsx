@@ -0,0 +1,37 @@
+import React from 'react';
+
+function SettingField({ field, value, onChange, disabled }) {
+  if (field.type === 'select') {
+    return (
+      <select value={value ?? ''} onChange={(e) => onChange(e.target.value)} disabled={disabled}>
+        {field.options.map((option) => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    );
+  }
+
+  if (field.type === 'number') {
+    return (
+      <input
+        type="number"
+        min={field.min}
+        max={field.max}
+        value={value ?? ''}
+        onChange={(e) => onChange(e.target.value === '' ? '' : parseInt(e.target.value, 10))}
+        disabled={disabled}
+      />
+    );
+  }
+
+  return (
+    <input
+      type={field.type === 'password' ? 'password' : 'text'}
+      value={value ?? ''}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+    />
+  );
+}
+
+export default SettingField;
@@ -16,7 +16,7 @@ function getCurrentQuarter() {
   return "Q4";                      // Oct-Dec (Fall)
 }
 
-function Sidebar({ selectedQuarter, selectedYear, onQuarterSelect, onConfigSelect, onAdminSelect, onTorrentSelect, onAutoDownloadSelect, isConfigView = false, isAdminView = false, isTorrentView = false, isAutoDownloadView = false, isOpen = false }) {
+function Sidebar({ selectedQuarter, selectedYear, onQuarterSelect, onConfigSelect, onAdminSelect, onTorrentSelect, onAutoDownloadSelect, onWatchingSelect, isConfigView = false, isAdminView = false, isTorrentView = false, isAutoDownloadView = false, isWatchingView = false, isOpen = false }) {
   const [quarters, setQuarters] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -70,7 +70,7 @@ function Sidebar({ selectedQuarter, selectedYear, onQuarterSelect, onConfigSelec
       ) : quarters.length >= 1 ? (
         <ul className="season-list">
           {quarters.map((item, index) => {
-            const isSelected = !isAdminView && !isConfigView && !isTorrentView && !isAutoDownloadView && item.quarter === selectedQuarter && item.year === parseInt(selectedYear);
+            const isSelected = !isAdminView && !isConfigView && !isTorrentView && !isAutoDownloadView && !isWatchingView && item.quarter === selectedQuarter && item.year === parseInt(selectedYear);
             return (
               <li key={index} className={isSelected ? 'season-item selected' : 'season-item'}>
                 <button
@@ -87,6 +87,12 @@ function Sidebar({ selectedQuarter, selectedYear, onQuarterSelect, onConfigSelec
         </ul>
       ) : <><p>No seasons found</p></>}
       <div className="sidebar-footer">
+        <button
+          onClick={onWatchingSelect}
+          className={`watching-link ${isWatchingView ? 'selected' : ''}`}
+        >
+          Continue Watching
+        </button>
         <button
           onClick={onAutoDownloadSelect}
           className={`auto-download-link ${isAutoDownloadView ? 'selected' : ''}`}
@@ -1,10 +1,22 @@
 import React, { useState, useEffect } from 'react';
 import './TorrentView.css';
 
+const PRIORITY_OPTIONS = [
+  { value: 1, label: 'High' },
+  { value: 0, label: 'Normal' },
+  { value: -1, label: 'Low' }
+];
+
 function TorrentView() {
   const [torrents, setTorrents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [busyInfoHash, setBusyInfoHash] = useState(null);
+  const [draggedInfoHash, setDraggedInfoHash] = useState(null);
+  const [dropTargetInfoHash, setDropTargetInfoHash] = useState(null);
+  const [speedLimits, setSpeedLimits] = useState(null);
+  const [togglingTurtle, setTogglingTurtle] = useState(false);
 
   const fetchTorrents = async () => {
     try {
@@ -23,15 +35,160 @@ function TorrentView() {
     }
   };
 
+  const fetchSpeedLimits = async () => {
+    try {
+      const response = await fetch('/api/admin/speed-limits');
+      if (!response.ok) {
+        throw new Error('Failed to fetch speed limits');
+      }
+      setSpeedLimits(await response.json());
+    } catch (err) {
+      console.error('Error fetching speed limits:', err);
+    }
+  };
+
   useEffect(() => {
     fetchTorrents();
+    fetchSpeedLimits();
 
-    // Refresh every second
+    // Refresh every second; limits only change with the schedule or the configuration
     const interval = setInterval(fetchTorrents, 1000);
+    const limitsInterval = setInterval(fetchSpeedLimits, 30000);
 
-    return () => clearInterval(interval);
+    return () => {
+      clearInterval(interval);
+      clearInterval(limitsInterval);
+    };
   }, []);
 
+  const handleToggleTurtle = async () => {
+    try {
+      setTogglingTurtle(true);
+      setActionError(null);
+      const response = await fetch('/api/admin/turtle-mode', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ enabled: speedLimits?.source !== 'turtle' })
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to toggle turtle mode');
+      }
+      const data = await response.json();
+      setSpeedLimits(data.current);
+    } catch (err) {
+      setActionError(err.message);
+      console.error('Failed to toggle turtle mode:', err);
+    } finally {
+      setTogglingTurtle(false);
+    }
+  };
+
+  const runTorrentAction = async (infoHash, url, options, failureMessage) => {
+    try {
+      setBusyInfoHash(infoHash);
+      setActionError(null);
+      const response = await fetch(url, options);
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || failureMessage);
+      }
+      await fetchTorrents();
+    } catch (err) {
+      setActionError(err.message);
+      console.error(`${failureMessage}:`, err);
+    } finally {
+      setBusyInfoHash(null);
+    }
+  };
+
+  const handlePause = (torrent) => {
+    runTorrentAction(torrent.infoHash, `/api/admin/torrents/${torrent.infoHash}/pause`, { method: 'POST' }, 'Failed to pause torrent');
+  };
+
+  const handleResume = (torrent) => {
+    runTorrentAction(torrent.infoHash, `/api/admin/torrents/${torrent.infoHash}/resume`, { method: 'POST' }, 'Failed to resume torrent');
+  };
+
+  const handleCancel = (torrent, deleteData) => {
+    const message = deleteData
+      ? `Cancel "${torrent.name}" and delete its downloaded data?`
+      : `Cancel "${torrent.name}"? Downloaded data is kept.`;
+    if (!window.confirm(message)) {
+      return;
+    }
+    runTorrentAction(
+      torrent.infoHash,
+      `/api/admin/torrents/${torrent.infoHash}${deleteData ? '?deleteData=true' : ''}`,
+      { method: 'DELETE' },
+      'Failed to cancel torrent'
+    );
+  };
+
+  const handleStopSeeding = (torrent) => {
+    if (!window.confirm(`Stop seeding "${torrent.name}"? Its files are kept.`)) {
+      return;
+    }
+    runTorrentAction(torrent.infoHash, `/api/admin/torrents/${torrent.infoHash}`, { method: 'DELETE' }, 'Failed to stop seeding');
+  };
+
+  const handlePriorityChange = (torrent, priority) => {
+    runTorrentAction(
+      torrent.infoHash,
+      `/api/admin/torrents/${torrent.infoHash}/priority`,
+      {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ priority: Number(priority) })
+      },
+      'Failed to set torrent priority'
+    );
+  };
+
+  // Torrents can only be dragged within their priority, since priorities always come first in the queue
+  const canDropOn = (torrent) => {
+    const dragged = torrents.find(t => t.infoHash === draggedInfoHash);
+    return Boolean(dragged) &&
+      dragged.infoHash !== torrent.infoHash &&
+      torrent.queuePosition !== null &&
+      dragged.priority === torrent.priority;
+  };
+
+  const handleDragEnd = () => {
+    setDraggedInfoHash(null);
+    setDropTargetInfoHash(null);
+  };
+
+  const handleDrop = (torrent) => {
+    if (!canDropOn(torrent)) {
+      handleDragEnd();
+      return;
+    }
+
+    // Move the dragged torrent to the place of the one it was dropped on
+    const queued = torrents.filter(t => t.queuePosition !== null);
+    const fromIndex = queued.findIndex(t => t.infoHash === draggedInfoHash);
+    const toIndex = queued.findIndex(t => t.infoHash === torrent.infoHash);
+    const reordered = [...queued];
+    const [moved] = reordered.splice(fromIndex, 1);
+    reordered.splice(toIndex, 0, moved);
+
+    setTorrents([...reordered, ...torrents.filter(t => t.queuePosition === null)]);
+    handleDragEnd();
+    runTorrentAction(
+      moved.infoHash,
+      '/api/admin/torrents/reorder',
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ infoHashes: reordered.map(t => t.infoHash) })
+      },
+      'Failed to reorder torrents'
+    );
+  };
+
   const formatBytes = (bytes) => {
     if (bytes === 0) return '0 B';
     const k = 1024;
@@ -45,6 +202,22 @@ function TorrentView() {
     return formatBytes(bytesPerSecond) + '/s';
   };
 
+  const formatLimit = (bytesPerSecond) => {
+    if (!bytesPerSecond) return 'Unlimited';
+    return formatSpeed(bytesPerSecond);
+  };
+
+  const describeLimitSource = (limits) => {
+    switch (limits.source) {
+      case 'turtle':
+        return 'Turtle mode';
+      case 'schedule':
+        return `Schedule: ${limits.windowName}`;
+      default:
+        return 'Configured limits';
+    }
+  };
+
   const formatTime = (seconds) => {
     if (seconds === Infinity || !isFinite(seconds)) return '∞';
     if (seconds < 60) return `${Math.round(seconds)}s`;
@@ -56,21 +229,32 @@ function TorrentView() {
     return (progress * 100).toFixed(1) + '%';
   };
 
+  const formatRatio = (ratio) => {
+    return (ratio || 0).toFixed(2);
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'completed':
         return '#22c55e';
       case 'downloading':
         return '#667eea';
+      case 'seeding':
+        return '#14b8a6';
       case 'paused':
         return '#f59e0b';
       case 'initializing':
         return '#6b7280';
+      case 'error':
+        return '#ef4444';
       default:
         return '#6b7280';
     }
   };
 
+  const downloads = torrents.filter(t => t.status !== 'seeding');
+  const seeding = torrents.filter(t => t.status === 'seeding');
+
   if (loading && torrents.length === 0) {
     return (
       <div className="torrent-view">
@@ -93,15 +277,73 @@ function TorrentView() {
           </div>
         )}
 
-        {torrents.length === 0 ? (
+        {actionError && (
+          <div className="torrent-error">
+            <strong>Error:</strong> {actionError}
+          </div>
+        )}
+
+        {speedLimits && (
+          <div className={`torrent-speed-limits torrent-speed-limits-${speedLimits.source}`}>
+            <div className="torrent-speed-limits-values">
+              <span>↓ {formatLimit(speedLimits.maxDownloadSpeed)}</span>
+              <span>↑ {formatLimit(speedLimits.maxUploadSpeed)}</span>
+              <span className="torrent-speed-limits-source">{describeLimitSource(speedLimits)}</span>
+            </div>
+            <button
+              type="button"
+              className="torrent-action-button"
+              onClick={handleToggleTurtle}
+              disabled={togglingTurtle}
+            >
+              {speedLimits.source === 'turtle' ? 'Turn Off Turtle Mode' : 'Turtle Mode'}
+            </button>
+          </div>
+        )}
+
+        {seeding.length > 0 && (
+          <h2 className="torrent-section-title">Downloads</h2>
+        )}
+
+        {downloads.length === 0 ? (
           <div className="torrent-empty">
             No active torrents
           </div>
         ) : (
           <div className="torrent-list">
-            {torrents.map((torrent) => (
-              <div key={torrent.infoHash} className="torrent-card">
+            {downloads.map((torrent) => (
+              <div
+                key={torrent.infoHash}
+                className={[
+                  'torrent-card',
+                  torrent.queuePosition !== null ? 'torrent-card-queued' : '',
+                  draggedInfoHash === torrent.infoHash ? 'torrent-card-dragging' : '',
+                  dropTargetInfoHash === torrent.infoHash ? 'torrent-card-drop-target' : ''
+                ].filter(Boolean).join(' ')}
+                draggable={torrent.queuePosition !== null}
+                onDragStart={(e) => {
+                  e.dataTransfer.effectAllowed = 'move';
+                  setDraggedInfoHash(torrent.infoHash);
+                }}
+                onDragOver={(e) => {
+                  if (canDropOn(torrent)) {
+                    e.preventDefault();
+                    setDropTargetInfoHash(torrent.infoHash);
+                  }
+                }}
+                onDragLeave={() => setDropTargetInfoHash(null)}
+                onDrop={(e) => {
+                  e.preventDefault();
+                  handleDrop(torrent);
+                }}
+                onDragEnd={handleDragEnd}
+              >
                 <div className="torrent-card-header">
+                  {torrent.queuePosition !== null && (
+                    <span className="torrent-queue-position" title="Drag to reorder the queue">
+                      #{torrent.queuePosition}
+                    </span>
+                  )}
                   <h3 className="torrent-name" title={torrent.name}>
                     {torrent.name}
                   </h3>
@@ -172,10 +414,137 @@ function TorrentView() {
                     </span>
                   </div>
                 </div>
+
+                {!torrent.done && (
+                  <div className="torrent-actions">
+                    {torrent.queuePosition !== null && (
+                      <label className="torrent-priority">
+                        <span>Priority:</span>
+                        <select
+                          value={torrent.priority}
+                          onChange={(e) => handlePriorityChange(torrent, e.target.value)}
+                          disabled={busyInfoHash === torrent.infoHash}
+                        >
+                          {PRIORITY_OPTIONS.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                          ))}
+                        </select>
+                      </label>
+                    )}
+                    {torrent.status === 'paused' ? (
+                      <button
+                        className="torrent-action-button"
+                        onClick={() => handleResume(torrent)}
+                        disabled={busyInfoHash === torrent.infoHash}
+                      >
+                        Resume
+                      </button>
+                    ) : (
+                      <button
+                        className="torrent-action-button"
+                        onClick={() => handlePause(torrent)}
+                        disabled={busyInfoHash === torrent.infoHash}
+                      >
+                        Pause
+                      </button>
+                    )}
+                    <button
+                      className="torrent-action-button torrent-action-danger"
+                      onClick={() => handleCancel(torrent, false)}
+                      disabled={busyInfoHash === torrent.infoHash}
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      className="torrent-action-button torrent-action-danger"
+                      onClick={() => handleCancel(torrent, true)}
+                      disabled={busyInfoHash === torrent.infoHash}
+                    >
+                      Cancel &amp; Delete Data
+                    </button>
+                  </div>
+                )}
               </div>
             ))}
           </div>
         )}
+
+        {seeding.length > 0 && (
+          <>
+            <h2 className="torrent-section-title">Seeding</h2>
+            <div className="torrent-list">
+              {seeding.map((torrent) => (
+                <div key={torrent.infoHash} className="torrent-card">
+                  <div className="torrent-card-header">
+                    <h3 className="torrent-name" title={torrent.name}>
+                      {torrent.name}
+                    </h3>
+                    <span
+                      className="torrent-status"
+                      style={{ backgroundColor: getStatusColor(torrent.status) }}
+                    >
+                      {torrent.status}
+                    </span>
+                  </div>
+
+                  <div className="torrent-details">
+                    <div className="torrent-detail-item">
+                      <span className="torrent-detail-label">Uploaded:</span>
+                      <span className="torrent-detail-value">
+                        {formatBytes(torrent.uploaded)}
+                      </span>
+                    </div>
+
+                    <div className="torrent-detail-item">
+                      <span className="torrent-detail-label">Ratio:</span>
+                      <span className="torrent-detail-value">
+                        {formatRatio(torrent.ratio)}
+                      </span>
+                    </div>
+
+                    <div className="torrent-detail-item">
+                      <span className="torrent-detail-label">Upload Speed:</span>
+                      <span className="torrent-detail-value">
+                        {formatSpeed(torrent.uploadSpeed)}
+                      </span>
+                    </div>
+
+                    <div className="torrent-detail-item">
+                      <span className="torrent-detail-label">Peers:</span>
+                      <span className="torrent-detail-value">
+                        {torrent.numPeers}
+                      </span>
+                    </div>
+
+                    <div className="torrent-detail-item">
+                      <span className="torrent-detail-label">Seeding For:</span>
+                      <span className="torrent-detail-value">
+                        {formatTime(torrent.seedingTime / 1000)}
+                      </span>
+                    </div>
+
+                    <div className="torrent-detail-item">
+                      <span className="torrent-detail-label">Path:</span>
+                      <span className="torrent-detail-value torrent-path" title={torrent.path}>
+                        {torrent.path}
+                      </span>
+                    </div>
+                  </div>
+
+                  <div className="torrent-actions">
+                    <button
+                      className="torrent-action-button torrent-action-danger"
+                      onClick={() => handleStopSeeding(torrent)}
+                      disabled={busyInfoHash === torrent.infoHash}
+                    >
+                      Stop Seeding
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
       </div>
     </div>
   );
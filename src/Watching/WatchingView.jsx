@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import LoadingState from '../Shared/components/LoadingState';
+import ErrorState from '../Shared/components/ErrorState';
+import './WatchingView.css';
+
+function formatEpisodes(episodes) {
+  if (episodes.length <= 5) {
+    return episodes.join(', ');
+  }
+  return `${episodes.slice(0, 5).join(', ')} and ${episodes.length - 5} more`;
+}
+
+function formatDownloadedAt(timestamp) {
+  if (!timestamp) return 'Unknown';
+  const diffDays = Math.floor((Date.now() - timestamp) / (1000 * 60 * 60 * 24));
+  if (diffDays <= 0) return 'Today';
+  if (diffDays === 1) return 'Yesterday';
+  if (diffDays <= 7) return `${diffDays} days ago`;
+  return new Date(timestamp).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+function WatchingView() {
+  const [animes, setAnimes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [updating, setUpdating] = useState({});
+  const navigate = useNavigate();
+
+  const fetchAnimes = async ({ showLoading = true } = {}) => {
+    try {
+      if (showLoading) {
+        setLoading(true);
+      }
+      setError(null);
+      const response = await fetch('/api/anime/continue-watching');
+      if (!response.ok) {
+        throw new Error('Failed to fetch continue watching list');
+      }
+      setAnimes(await response.json());
+    } catch (err) {
+      setError(err.message);
+      console.error('Error fetching continue watching list:', err);
+    } finally {
+      if (showLoading) {
+        setLoading(false);
+      }
+    }
+  };
+
+  useEffect(() => {
+    fetchAnimes();
+  }, []);
+
+  const handleMarkWatched = async (anime) => {
+    if (!anime.nextEpisode || updating[anime.animeId]) {
+      return;
+    }
+
+    setUpdating(prev => ({ ...prev, [anime.animeId]: true }));
+    try {
+      const response = await fetch(`/api/anime/${anime.animeId}/episodes/${anime.nextEpisode.episodeNumber}/watched`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ watched: true }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to update watch progress');
+      }
+
+      await fetchAnimes({ showLoading: false });
+    } catch (err) {
+      alert(`Error: ${err.message}`);
+      console.error('Error updating watch progress:', err);
+    } finally {
+      setUpdating(prev => {
+        const next = { ...prev };
+        delete next[anime.animeId];
+        return next;
+      });
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="watching-view">
+        <div className="container">
+          <h1 className="watching-title">Continue Watching</h1>
+          <LoadingState message="Loading unwatched episodes..." />
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="watching-view">
+        <div className="container">
+          <h1 className="watching-title">Continue Watching</h1>
+          <ErrorState 
+            error={error} 
+            onRetry={() => fetchAnimes()}
+            retryLabel="Retry"
+          />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="watching-view">
+      <div className="container">
+        <h1 className="watching-title">Continue Watching</h1>
+        {animes.length === 0 ? (
+          <div className="no-watching">No unwatched downloaded episodes</div>
+        ) : (
+          <>
+            <p className="watching-count">
+              {animes.length} anime with unwatched episodes, most recently downloaded first
+            </p>
+            <div className="watching-list">
+              {animes.map(anime => (
+                <div key={anime.animeId} className="watching-item">
+                  {anime.image ? (
+                    <img
+                      src={anime.image}
+                      alt={anime.title}
+                      className="watching-image"
+                      onClick={() => navigate(`/anime/${anime.animeId}`)}
+                    />
+                  ) : (
+                    <div className="watching-image placeholder">No Image</div>
+                  )}
+                  <div className="watching-info">
+                    <h3 className="watching-name" onClick={() => navigate(`/anime/${anime.animeId}`)}>
+                      {anime.title}
+                    </h3>
+                    {anime.nextEpisode && (
+                      <div className="watching-next">
+                        Next: <strong>Episode {anime.nextEpisode.episodeNumber}</strong>
+                      </div>
+                    )}
+                    <div className="watching-details">
+                      {anime.unwatchedEpisodes.length} unwatched: {formatEpisodes(anime.unwatchedEpisodes)}
+                    </div>
+                    <div className="watching-details">
+                      Downloaded {formatDownloadedAt(anime.lastDownloadedAt)}
+                    </div>
+                  </div>
+                  {anime.nextEpisode && (
+                    <button
+                      type="button"
+                      className="watching-button"
+                      onClick={() => navigate(`/anime/${anime.animeId}/watch/${anime.nextEpisode.episodeNumber}`)}
+                    >
+                      ▶ Play Episode {anime.nextEpisode.episodeNumber}
+                    </button>
+                  )}
+                  {anime.nextEpisode && (
+                    <button
+                      type="button"
+                      className="watching-button"
+                      onClick={() => handleMarkWatched(anime)}
+                      disabled={Boolean(updating[anime.animeId])}
+                    >
+                      {updating[anime.animeId] ? 'Saving...' : `Mark Episode ${anime.nextEpisode.episodeNumber} watched`}
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default WatchingView;
@@ -0,0 +1,182 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// List entries of the mock AniList user by media ID: { status, progress, episodes }
+const remoteList = new Map();
+// GraphQL requests received by the mock: { query, variables, authorization }
+const requests = [];
+// Error the mock answers every request with, when set
+let failWith = null;
+
+const VIEWER = { id: 4242, name: 'TestViewer' };
+
+function sendJson(res, status, value) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(value));
+}
+
+/**
+ * Answers the queries and mutations the app sends to AniList
+ * @param {Object} payload - { query, variables }
+ * @returns {Object} GraphQL data
+ */
+function resolveGraphQL({ query, variables }) {
+    if (query.includes('SaveMediaListEntry')) {
+        const entry = remoteList.get(variables.mediaId) || { episodes: null };
+        remoteList.set(variables.mediaId, { ...entry, status: variables.status, progress: variables.progress });
+        return { SaveMediaListEntry: { progress: variables.progress, status: variables.status } };
+    }
+    if (query.includes('Viewer')) {
+        return { Viewer: VIEWER };
+    }
+    if (query.includes('MediaListCollection')) {
+        const entries = [...remoteList.entries()]
+            .filter(([, entry]) => variables.statuses.includes(entry.status))
+            .map(([mediaId, entry]) => ({ mediaId, status: entry.status, progress: entry.progress, media: { episodes: entry.episodes } }));
+        return { MediaListCollection: { lists: [{ entries }] } };
+    }
+    if (query.includes('mediaListEntry')) {
+        const entry = remoteList.get(variables.mediaId);
+        return {
+            Media: {
+                episodes: entry?.episodes ?? null,
+                mediaListEntry: entry?.status ? { status: entry.status, progress: entry.progress } : null
+            }
+        };
+    }
+    throw new Error(`Unexpected query: ${query}`);
+}
+
+// Local stand-in of the AniList GraphQL API; the endpoint has to be set before the app modules are loaded
+const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const payload = JSON.parse(body);
+        requests.push({ ...payload, authorization: req.headers.authorization || null });
+        if (failWith) {
+            sendJson(res, failWith.status, { data: null, errors: [{ message: failWith.message, status: failWith.status }] });
+            return;
+        }
+        sendJson(res, 200, { data: resolveGraphQL(payload) });
+    });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+const workDir = mkdtempSync(join(tmpdir(), 'asd-anilist-'));
+process.env.ANIME_DB_PATH = join(workDir, 'anime.db');
+process.env.ANILIST_GRAPHQL_URL = `http://127.0.0.1:${server.address().port}/`;
+
+const { getDB, getAllScheduledJobs, createScheduledJob } = await import('../database/animeDB.js');
+const { setEpisodesWatched } = await import('../database/watchDB.js');
+const { linkAniListAccount, syncAniList, pushAniListProgress, describeAniListAccount } = await import('../services/anilistSync.js');
+
+/**
+ * Adds anime of a fetched season to the library
+ * @param {Array<Object>} anime - { id, autodownload }
+ */
+function addAnime(anime) {
+    const database = getDB();
+    database.prepare(`INSERT OR IGNORE INTO queries (quarter, year, lastFetched) VALUES ('Q1', 2024, ?)`).run(Date.now());
+    const insert = database.prepare(`INSERT INTO anime (id, quarter, year, title_romaji, autodownload) VALUES (?, 'Q1', 2024, ?, ?)`);
+    anime.forEach(({ id, autodownload = false }) => insert.run(id, `Anime ${id}`, autodownload ? 1 : 0));
+}
+
+function isAutodownloadOn(animeId) {
+    return getDB().prepare(`SELECT autodownload FROM anime WHERE id = ?`).get(animeId).autodownload === 1;
+}
+
+function getMutations() {
+    return requests.filter(request => request.query.includes('SaveMediaListEntry')).map(request => request.variables);
+}
+
+before(() => {
+    // The jobs linking and auto-download would create are there already, so no cron task is started
+    const jobTypes = new Set(getAllScheduledJobs().map(job => job.jobType));
+    ['SYNC_ANILIST', 'SCAN_AUTODOWNLOAD', 'QUEUE_AUTODOWNLOAD']
+        .filter(jobType => !jobTypes.has(jobType))
+        .forEach(jobType => createScheduledJob({ name: `Test - ${jobType}`, jobType, cronSchedule: '0 0 * * *' }));
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    getDB().close();
+    rmSync(workDir, { recursive: true, force: true });
+});
+
+test('linkAniListAccount stores the viewer of the access token', async () => {
+    const account = await linkAniListAccount('good-token');
+
+    assert.equal(requests.at(-1).authorization, 'Bearer good-token');
+    assert.equal(account.linked, true);
+    assert.equal(account.userId, VIEWER.id);
+    assert.equal(account.userName, VIEWER.name);
+    assert.equal(account.pushProgress, true);
+    assert.equal(account.token, undefined);
+});
+
+test('syncAniList turns auto-download on for the Watching and Planning entries in the library', async () => {
+    addAnime([{ id: 101 }, { id: 102 }, { id: 103, autodownload: true }, { id: 104 }]);
+    remoteList.set(101, { status: 'CURRENT', progress: 2, episodes: 12 });
+    remoteList.set(102, { status: 'PLANNING', progress: 0, episodes: 12 });
+    remoteList.set(103, { status: 'CURRENT', progress: 1, episodes: 12 });
+    remoteList.set(104, { status: 'COMPLETED', progress: 12, episodes: 12 });
+    remoteList.set(999, { status: 'CURRENT', progress: 0, episodes: 24 });
+
+    const result = await syncAniList();
+
+    const listRequest = requests.find(request => request.query.includes('MediaListCollection'));
+    assert.deepEqual(listRequest.variables, { userId: VIEWER.id, statuses: ['CURRENT', 'PLANNING'] });
+    assert.equal(isAutodownloadOn(101), true);
+    assert.equal(isAutodownloadOn(102), true);
+    assert.equal(isAutodownloadOn(103), true);
+    assert.equal(isAutodownloadOn(104), false, 'completed entries are left alone');
+    assert.equal(result.enabled, 2);
+    assert.equal(result.alreadyEnabled, 1);
+    assert.equal(result.notInLibrary, 1);
+    assert.deepEqual(result.errors, []);
+    assert.ok(describeAniListAccount().lastSyncAt);
+});
+
+test('pushAniListProgress only ever raises the list progress', async () => {
+    addAnime([{ id: 201 }]);
+    remoteList.set(201, { status: 'CURRENT', progress: 5, episodes: 12 });
+
+    setEpisodesWatched(201, [1, 2, 3], true);
+    assert.equal(await pushAniListProgress(201), null);
+    assert.deepEqual(getMutations().filter(mutation => mutation.mediaId === 201), []);
+
+    setEpisodesWatched(201, [6, 7], true);
+    assert.equal(await pushAniListProgress(201), 7);
+    assert.deepEqual(getMutations().filter(mutation => mutation.mediaId === 201), [{ mediaId: 201, progress: 7, status: 'CURRENT' }]);
+});
+
+test('pushAniListProgress marks an anime completed at its last episode', async () => {
+    addAnime([{ id: 202 }]);
+    remoteList.set(202, { status: 'CURRENT', progress: 10, episodes: 12 });
+
+    setEpisodesWatched(202, [11, 12], true);
+    assert.equal(await pushAniListProgress(202), 12);
+    assert.deepEqual(getMutations().filter(mutation => mutation.mediaId === 202), [{ mediaId: 202, progress: 12, status: 'COMPLETED' }]);
+    assert.equal(remoteList.get(202).status, 'COMPLETED');
+});
+
+test('GraphQL errors are thrown', async () => {
+    addAnime([{ id: 203 }]);
+    setEpisodesWatched(203, [1], true);
+    try {
+        failWith = { status: 400, message: 'Invalid token' };
+        await assert.rejects(linkAniListAccount('bad-token'), /AniList request failed: Invalid token/);
+        assert.equal(describeAniListAccount().userName, VIEWER.name, 'the linked account is kept');
+
+        failWith = { status: 200, message: 'Too Many Requests.' };
+        await assert.rejects(pushAniListProgress(203), /AniList request failed: Too Many Requests\./);
+        await assert.rejects(syncAniList(), /AniList request failed: Too Many Requests\./);
+    } finally {
+        failWith = null;
+    }
+});
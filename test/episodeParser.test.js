@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseEpisode, matchEpisode } from '../parsers/episodeParser.js';
+
+const titles = [
+    '[SubsPlease] Kaiju No. 8 - 07 (1080p) [4F1E2A3B].mkv',
+    '[Erai-raws] Sousou no Frieren - 12v2 [1080p][Multiple Subtitle].mkv',
+    'Frieren S01E05 1080p WEB H264.mkv',
+    '[Judas] Kaiju No. 8 (Season 1) [1080p][HEVC x265 10bit][Multi-Subs].mkv'
+];
+
+test('matchEpisode finds the same episode as parseEpisode', (t) => {
+    t.mock.method(console, 'log', () => {});
+    titles.forEach(title => assert.equal(matchEpisode(title), parseEpisode(title), title));
+    assert.equal(matchEpisode('[SubsPlease] Kaiju No. 8 - 07 (1080p) [4F1E2A3B].mkv'), 7);
+    assert.equal(matchEpisode(null), null);
+});
+
+test('matchEpisode does not log', (t) => {
+    const log = t.mock.method(console, 'log', () => {});
+    titles.forEach(title => matchEpisode(title));
+    assert.equal(log.mock.callCount(), 0);
+});
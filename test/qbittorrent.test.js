@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { qBittorrentClient } from '../services/downloadClients/qbittorrent.js';
+
+/**
+ * Starts a local stand-in for the qBittorrent Web API
+ * @param {Function} handler - (req, res, body) handling every request but the login
+ * @param {Object} options - { cookies } sent by the successive logins; no Set-Cookie header once they run out
+ * @returns {Promise<Object>} { settings, requests, close }
+ */
+async function startMockServer(handler, { cookies = [] } = {}) {
+    const requests = [];
+    let logins = 0;
+    const server = createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ path: req.url.split('?')[0], cookie: req.headers.cookie || null });
+            if (req.url === '/api/v2/auth/login') {
+                const cookie = cookies[logins++];
+                res.writeHead(200, cookie ? { 'Set-Cookie': `${cookie}; HttpOnly; path=/` } : {});
+                res.end('Ok.');
+                return;
+            }
+            handler(req, res, body);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        settings: { url: `http://127.0.0.1:${server.address().port}`, username: 'admin', password: 'secret' },
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+function sendJson(res, value) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(value));
+}
+
+test('logs in once when qBittorrent skips authentication and sends no cookie', async () => {
+    const mock = await startMockServer((req, res) => sendJson(res, []));
+    try {
+        await qBittorrentClient.listTorrents(mock.settings);
+        await qBittorrentClient.listTorrents(mock.settings);
+        await qBittorrentClient.listTorrents(mock.settings);
+
+        assert.equal(mock.requests.filter(request => request.path === '/api/v2/auth/login').length, 1);
+        assert.equal(mock.requests.filter(request => request.path === '/api/v2/torrents/info').length, 3);
+        assert.ok(mock.requests.every(request => request.cookie === null));
+    } finally {
+        await mock.close();
+    }
+});
+
+test('sends the session cookie and logs in again once it expires', async () => {
+    let expired = false;
+    const mock = await startMockServer((req, res) => {
+        if (expired && req.headers.cookie === 'SID=first') {
+            res.writeHead(403);
+            res.end('Forbidden');
+            return;
+        }
+        sendJson(res, []);
+    }, { cookies: ['SID=first', 'SID=second'] });
+    try {
+        await qBittorrentClient.listTorrents(mock.settings);
+        expired = true;
+        await qBittorrentClient.listTorrents(mock.settings);
+        await qBittorrentClient.listTorrents(mock.settings);
+
+        const infoCookies = mock.requests
+            .filter(request => request.path === '/api/v2/torrents/info')
+            .map(request => request.cookie);
+        assert.deepEqual(infoCookies, ['SID=first', 'SID=first', 'SID=second', 'SID=second']);
+        assert.equal(mock.requests.filter(request => request.path === '/api/v2/auth/login').length, 2);
+    } finally {
+        await mock.close();
+    }
+});
+
+test('returns the info hash of a torrent added by URL once it shows up under its lookup tag', async () => {
+    const hash = 'c9e15763f722f23e98a29decdfae341b98d53056';
+    let infoCalls = 0;
+    const mock = await startMockServer((req, res) => {
+        if (req.url.startsWith('/api/v2/torrents/info')) {
+            infoCalls++;
+            sendJson(res, infoCalls < 2 ? [] : [{ hash: hash.toUpperCase() }]);
+            return;
+        }
+        res.writeHead(200);
+        res.end('Ok.');
+    });
+    try {
+        const infoHash = await qBittorrentClient.addTorrent(mock.settings, { url: 'http://example.invalid/1.torrent', savePath: '/anime' });
+
+        assert.equal(infoHash, hash);
+        assert.ok(mock.requests.some(request => request.path === '/api/v2/torrents/deleteTags'));
+    } finally {
+        await mock.close();
+    }
+});
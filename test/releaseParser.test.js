@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { parseRelease, parseBatchRange } from '../parsers/releaseParser.js';
+
+// Nyaa titles with the release metadata they describe
+const fixtures = JSON.parse(readFileSync(new URL('./fixtures/nyaaReleases.json', import.meta.url), 'utf8'));
+
+for (const { title, expected } of fixtures) {
+    test(`parseRelease: ${title}`, () => {
+        const release = parseRelease(title);
+        const actual = Object.fromEntries(Object.keys(expected).map(key => [key, release[key]]));
+        assert.deepEqual(actual, expected);
+    });
+}
+
+test('parseBatchRange keeps numbered titles with a spaced dash as single episodes', () => {
+    assert.equal(parseBatchRange('[SubsPlease] Kaiju No. 8 - 07 (1080p) [4F1E2A3B].mkv'), null);
+    assert.equal(parseBatchRange('[SubsPlease] Mob Psycho 100 III - 05 (1080p) [B1C2D3E4].mkv'), null);
+});
+
+test('parseRelease returns empty metadata for missing titles', () => {
+    const release = parseRelease(null);
+    assert.equal(release.group, null);
+    assert.equal(release.crc, null);
+    assert.equal(release.resolution, null);
+    assert.equal(release.batch, false);
+});
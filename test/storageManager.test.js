@@ -0,0 +1,94 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// The database and the library live in a temporary folder; the database path has to be set before
+// the database module is loaded
+const workDir = mkdtempSync(join(tmpdir(), 'asd-storage-'));
+const animeFolder = join(workDir, 'anime', 'Retained Show');
+process.env.ANIME_DB_PATH = join(workDir, 'anime.db');
+
+const {
+    getDB,
+    getAnimeById,
+    setAnimeRetentionPolicy,
+    upsertFileTorrentDownload,
+    getDownloadedTorrentIdsForAnime,
+    getOwnedEpisodeNumbersForAnime,
+    getRetentionDeletedEpisodeNumbersForAnime
+} = await import('../database/animeDB.js');
+const { applyRetention } = await import('../services/storageManager.js');
+const { getUndownloadedEpisodes } = await import('../services/animeService.js');
+
+const ANIME_ID = 2001;
+const EPISODES = [1, 2, 3];
+
+/**
+ * Adds an anime with one downloaded single-episode torrent per episode
+ * @returns {Array<string>} Paths of the downloaded files, by episode
+ */
+function addDownloadedAnime() {
+    const database = getDB();
+    database.prepare(`INSERT INTO queries (quarter, year, lastFetched) VALUES ('Q1', 2024, ?)`).run(Date.now());
+    database.prepare(`INSERT INTO anime (id, quarter, year, title_romaji) VALUES (?, 'Q1', 2024, 'Retained Show')`).run(ANIME_ID);
+    // Only torrents of the anime's enabled sub groups are listed with its episodes
+    const subGroup = database.prepare(`INSERT INTO sub_groups (name) VALUES ('Test')`).run();
+    database.prepare(`INSERT INTO anime_sub_groups (anime_id, sub_group_id, enabled) VALUES (?, ?, 1)`).run(ANIME_ID, subGroup.lastInsertRowid);
+    mkdirSync(animeFolder, { recursive: true });
+
+    return EPISODES.map(episodeNumber => {
+        const episode = database.prepare(`INSERT INTO episodes (anime_id, episode_number, airingAt) VALUES (?, ?, ?)`)
+            .run(ANIME_ID, episodeNumber, Date.now());
+        const fileName = `[Test] Retained Show - 0${episodeNumber} (1080p).mkv`;
+        const torrent = database.prepare(`INSERT INTO torrents (episode_id, title, link, date, episode_number, sub_group_id) VALUES (?, ?, ?, ?, ?, ?)`)
+            .run(episode.lastInsertRowid, fileName, `https://nyaa.si/view/${episodeNumber}`, Date.now(), episodeNumber, subGroup.lastInsertRowid);
+        database.prepare(`INSERT INTO torrent_episodes (torrent_id, episode_id) VALUES (?, ?)`)
+            .run(torrent.lastInsertRowid, episode.lastInsertRowid);
+
+        const filePath = join(animeFolder, fileName);
+        writeFileSync(filePath, 'video');
+        upsertFileTorrentDownload(Number(torrent.lastInsertRowid), filePath, fileName);
+        return filePath;
+    });
+}
+
+/**
+ * Gets the episode numbers auto-download would queue for the anime
+ * @param {boolean} skipRetentionDeletions - Whether episodes deleted by retention count as downloaded
+ * @returns {Array<number>} Episode numbers
+ */
+function getEpisodesToQueue(skipRetentionDeletions = true) {
+    const skippedEpisodeNumbers = new Set([
+        ...getOwnedEpisodeNumbersForAnime(ANIME_ID),
+        ...(skipRetentionDeletions ? getRetentionDeletedEpisodeNumbersForAnime(ANIME_ID) : [])
+    ]);
+    return getUndownloadedEpisodes(getAnimeById(ANIME_ID).episodes, getDownloadedTorrentIdsForAnime(ANIME_ID), skippedEpisodeNumbers)
+        .map(episode => episode.episode);
+}
+
+after(() => {
+    getDB().close();
+    rmSync(workDir, { recursive: true, force: true });
+});
+
+test('episodes deleted by a retention policy are not queued for auto-download again', async () => {
+    const filePaths = addDownloadedAnime();
+    assert.deepEqual(getEpisodesToQueue(), []);
+
+    setAnimeRetentionPolicy(ANIME_ID, { keepLastEpisodes: 1 });
+    const result = await applyRetention();
+
+    assert.equal(result.deleted, 2);
+    assert.ok(!existsSync(filePaths[0]) && !existsSync(filePaths[1]), 'the older episodes are deleted');
+    assert.ok(existsSync(filePaths[2]), 'the last episode is kept');
+    assert.deepEqual([...getRetentionDeletedEpisodeNumbersForAnime(ANIME_ID)].sort(), [1, 2]);
+
+    // Without the recorded deletions the deleted episodes look undownloaded
+    assert.deepEqual(getEpisodesToQueue(false).sort(), [1, 2]);
+    assert.deepEqual(getEpisodesToQueue(), []);
+
+    const secondRun = await applyRetention();
+    assert.equal(secondRun.deleted, 0);
+});
@@ -0,0 +1,44 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// The database path has to be set before the database module is loaded
+const workDir = mkdtempSync(join(tmpdir(), 'asd-index-'));
+process.env.ANIME_DB_PATH = join(workDir, 'anime.db');
+
+const { getDB, searchTorrentIndex } = await import('../database/animeDB.js');
+
+const TITLES = [
+    '[SubsPlease] Re Zero kara Hajimeru Isekai Seikatsu - 01 (1080p) [AAAAAAAA].mkv',
+    '[Test] Re_Zero - 01 (1080p) [BBBBBBBB].mkv',
+    '[Test] 100% Pascal-sensei - 01 (1080p) [CCCCCCCC].mkv',
+    '[Test] 1000 Pascal-sensei - 01 (1080p) [DDDDDDDD].mkv'
+];
+
+const database = getDB();
+database.prepare(`INSERT INTO queries (quarter, year, lastFetched) VALUES ('Q1', 2024, ?)`).run(Date.now());
+database.prepare(`INSERT INTO anime (id, quarter, year, title_romaji) VALUES (1, 'Q1', 2024, 'Index Show')`).run();
+const { lastInsertRowid: episodeId } = database.prepare(`INSERT INTO episodes (anime_id, episode_number, airingAt) VALUES (1, 1, ?)`).run(Date.now());
+const insertTorrent = database.prepare(`INSERT INTO torrents (episode_id, title, link, date, episode_number) VALUES (?, ?, ?, ?, 1)`);
+TITLES.forEach((title, index) => insertTorrent.run(episodeId, title, `https://nyaa.si/view/${index}`, Date.now() - index));
+
+after(() => {
+    database.close();
+    rmSync(workDir, { recursive: true, force: true });
+});
+
+function searchTitles(query) {
+    return searchTorrentIndex({ query }).torrents.map(torrent => torrent.title).sort();
+}
+
+test('searchTorrentIndex matches % and _ in the query literally', () => {
+    assert.deepEqual(searchTitles('100%'), [TITLES[2]]);
+    assert.deepEqual(searchTitles('re_zero'), [TITLES[1]]);
+});
+
+test('searchTorrentIndex matches every word of the query anywhere in the titles', () => {
+    assert.deepEqual(searchTitles('pascal 01'), [TITLES[2], TITLES[3]].sort());
+    assert.deepEqual(searchTitles('zero hajimeru'), [TITLES[0]]);
+});
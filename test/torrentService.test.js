@@ -0,0 +1,243 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, mkdirSync, readFileSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { basename, join } from 'path';
+import { randomBytes } from 'crypto';
+import WebTorrent from 'webtorrent';
+
+// The database and the anime location live in a temporary folder; the database path has to be set before
+// the database module is loaded
+const workDir = mkdtempSync(join(tmpdir(), 'asd-torrents-'));
+const animeLocation = join(workDir, 'anime');
+process.env.ANIME_DB_PATH = join(workDir, 'anime.db');
+
+const { getDB, saveConfiguration, saveStorageSettings } = await import('../database/animeDB.js');
+const { downloadTorrent, pauseTorrent, resumeTorrent, removeTorrent, getTorrentClient, updateDiskSpaceGuard } = await import('../services/torrentService.js');
+
+// Upload rate of the local seeder, slow enough to watch a download while it runs
+const THROTTLED_UPLOAD = 256 * 1024;
+
+// Local client seeding the test torrents; private torrents are never announced, peers are added by hand
+let seeder = null;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Waits until a condition holds
+ * @param {Function} condition - Checked every 100 ms
+ * @param {string} description - Described in the error when the wait times out
+ * @param {number} timeout - Milliseconds to wait
+ */
+async function waitFor(condition, description, timeout = 30000) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${description}`);
+        }
+        await sleep(100);
+    }
+}
+
+/**
+ * Writes a torrent folder and seeds it from the local seeder
+ * @param {string} name - Torrent name (folder name)
+ * @param {Object} files - Relative path → content
+ * @returns {Promise<string>} Path of the .torrent file
+ */
+async function seedFolder(name, files) {
+    const folder = join(workDir, 'seed', name);
+    Object.entries(files).forEach(([relativePath, content]) => {
+        mkdirSync(join(folder, relativePath, '..'), { recursive: true });
+        writeFileSync(join(folder, relativePath), content);
+    });
+
+    const torrent = await new Promise(resolve => seeder.seed(folder, { announce: [], private: true }, resolve));
+    const torrentPath = join(workDir, `${name}.torrent`);
+    writeFileSync(torrentPath, torrent.torrentFile);
+    return torrentPath;
+}
+
+/**
+ * Connects a torrent of the app's client to the local seeder
+ * @param {string} infoHash - Info hash of the torrent
+ * @returns {Object} WebTorrent torrent of the app's client
+ */
+function connectToSeeder(infoHash) {
+    const torrent = getTorrentClient().torrents.find(t => t.infoHash === infoHash);
+    torrent.addPeer(`127.0.0.1:${seeder.torrentPort}`);
+    return torrent;
+}
+
+/**
+ * Adds an anime, an episode and a torrent for it, so the files of a download can be recorded
+ * @param {number} animeId - Anime ID
+ * @param {string} title - Torrent title
+ * @returns {number} Torrent ID
+ */
+function createTorrentRecord(animeId, title) {
+    const database = getDB();
+    database.prepare(`INSERT OR IGNORE INTO queries (quarter, year, lastFetched) VALUES ('Q1', 2024, ?)`).run(Date.now());
+    database.prepare(`INSERT INTO anime (id, quarter, year, title_romaji) VALUES (?, 'Q1', 2024, ?)`).run(animeId, title);
+    const episode = database.prepare(`INSERT INTO episodes (anime_id, episode_number, airingAt) VALUES (?, 1, ?)`).run(animeId, Date.now());
+    const torrent = database.prepare(`INSERT INTO torrents (episode_id, title, link, date, episode_number) VALUES (?, ?, ?, ?, NULL)`)
+        .run(episode.lastInsertRowid, title, `https://nyaa.si/view/${animeId}`, Date.now());
+    return Number(torrent.lastInsertRowid);
+}
+
+/**
+ * Gets the files recorded for a torrent in file_torrent_download
+ * @param {number} torrentId - Torrent ID
+ * @returns {Array} Array of { filePath, fileName }, by path
+ */
+function getRecordedFiles(torrentId) {
+    return getDB().prepare(`SELECT file_path AS filePath, file_name AS fileName FROM file_torrent_download WHERE torrent_id = ?`)
+        .all(torrentId)
+        .sort((a, b) => (a.filePath < b.filePath ? -1 : 1));
+}
+
+/**
+ * Downloads a seeded torrent with the app's client and waits for it to complete
+ * @param {string} torrentPath - Path of the .torrent file
+ * @param {Object} options - Options for downloadTorrent
+ */
+async function downloadToCompletion(torrentPath, options) {
+    const { infoHash } = await downloadTorrent(torrentPath, options);
+    const torrent = connectToSeeder(infoHash);
+    // The completed torrent is destroyed once its files are recorded and moved
+    await waitFor(() => torrent.destroyed, 'the download to complete');
+}
+
+// Batch of one episode with its subtitles and fonts in nested folders
+const BATCH_FILES = {
+    'Season 1/Batch Show - 01.mkv': randomBytes(768 * 1024),
+    'Season 1/Subtitles/Batch Show - 01.ass': '[Script Info]\nScriptType: v4.00+\n\n[Events]\nFormat: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text\nDialogue: 0,0:00:01.00,0:00:03.00,Default,,0,0,0,,Hello\n',
+    'Fonts/Batch Sans.ttf': randomBytes(96 * 1024)
+};
+
+before(async () => {
+    mkdirSync(animeLocation, { recursive: true });
+    saveConfiguration({ animeLocation, maxActiveTorrents: 3 });
+
+    seeder = new WebTorrent({ dht: false, lsd: false, tracker: false, utPex: false, natUpnp: false, natPmp: false });
+    await new Promise(resolve => (seeder.listening ? resolve() : seeder.once('listening', resolve)));
+});
+
+after(async () => {
+    await new Promise(resolve => getTorrentClient().destroy(resolve));
+    await new Promise(resolve => seeder.destroy(resolve));
+    rmSync(workDir, { recursive: true, force: true });
+});
+
+test('a paused download stops taking data from the peers it is connected to', { timeout: 60000 }, async () => {
+    seeder.throttleUpload(THROTTLED_UPLOAD);
+    const torrentPath = await seedFolder('Paused Show', {
+        'Paused Show - 01.mkv': randomBytes(8 * 1024 * 1024)
+    });
+
+    const { infoHash } = await downloadTorrent(torrentPath, { animeTitle: 'Paused Show' });
+    const torrent = connectToSeeder(infoHash);
+    await waitFor(() => torrent.received > 0, 'the download to start');
+
+    assert.equal(await pauseTorrent(infoHash), true);
+    // Blocks requested before the pause are still delivered
+    await sleep(3000);
+    const received = torrent.received;
+    await sleep(3000);
+
+    assert.ok(torrent.wires.length > 0, 'the seeder stays connected');
+    assert.equal(torrent.received, received);
+    assert.ok(!torrent.done);
+
+    assert.equal(await resumeTorrent(infoHash), true);
+    await waitFor(() => torrent.received > received, 'the download to go on after it is resumed');
+
+    await removeTorrent(infoHash, { deleteData: true });
+});
+
+test('a running download stops taking data while the disk is low on space', { timeout: 60000 }, async () => {
+    seeder.throttleUpload(THROTTLED_UPLOAD);
+    const torrentPath = await seedFolder('Low Space Show', {
+        'Low Space Show - 01.mkv': randomBytes(8 * 1024 * 1024)
+    });
+
+    const { infoHash } = await downloadTorrent(torrentPath, { animeTitle: 'Low Space Show' });
+    const torrent = connectToSeeder(infoHash);
+    await waitFor(() => torrent.received > 0, 'the download to start');
+
+    // No disk has this much free space
+    saveStorageSettings({ minFreeSpaceGB: 100000 });
+    assert.equal(await updateDiskSpaceGuard(), true);
+    await sleep(3000);
+    const received = torrent.received;
+    await sleep(3000);
+
+    assert.ok(torrent.wires.length > 0, 'the seeder stays connected');
+    assert.equal(torrent.received, received);
+
+    saveStorageSettings({ minFreeSpaceGB: 0 });
+    assert.equal(await updateDiskSpaceGuard(), false);
+    await waitFor(() => torrent.received > received, 'the download to go on once there is space again');
+
+    await removeTorrent(infoHash, { deleteData: true });
+});
+
+test('a completed multi-file download is moved out of .torrent-chunks with its folders and recorded', { timeout: 60000 }, async () => {
+    seeder.throttleUpload(-1);
+    saveConfiguration({ animeLocation, maxActiveTorrents: 3 });
+    const torrentPath = await seedFolder('Batch Show', BATCH_FILES);
+    const torrentId = createTorrentRecord(1001, '[Test] Batch Show (01) [Batch]');
+
+    await downloadToCompletion(torrentPath, { animeTitle: 'Batch Show', animeId: 1001, torrentId });
+
+    const expectedPaths = Object.keys(BATCH_FILES).map(relativePath => join(animeLocation, 'Batch Show', relativePath));
+    Object.entries(BATCH_FILES).forEach(([relativePath, content], index) => {
+        assert.deepEqual(readFileSync(expectedPaths[index]), Buffer.from(content), `${relativePath} is in place`);
+    });
+    assert.ok(!existsSync(join(animeLocation, '.torrent-chunks', 'Batch Show')), 'nothing is left in .torrent-chunks');
+
+    assert.deepEqual(getRecordedFiles(torrentId), [...expectedPaths].sort().map(filePath => ({ filePath, fileName: basename(filePath) })));
+});
+
+test('only the kept file types of a torrent are downloaded, moved and recorded', { timeout: 60000 }, async () => {
+    seeder.throttleUpload(-1);
+    saveConfiguration({ animeLocation, maxActiveTorrents: 3, keepFileTypes: ['video', 'subtitles'] });
+    try {
+        const torrentPath = await seedFolder('Kept Types Show', BATCH_FILES);
+        const torrentId = createTorrentRecord(1002, '[Test] Kept Types Show (01) [Batch]');
+
+        await downloadToCompletion(torrentPath, { animeTitle: 'Kept Types Show', animeId: 1002, torrentId });
+
+        const folder = join(animeLocation, 'Kept Types Show');
+        const keptPaths = [
+            join(folder, 'Season 1', 'Batch Show - 01.mkv'),
+            join(folder, 'Season 1', 'Subtitles', 'Batch Show - 01.ass')
+        ];
+        keptPaths.forEach(filePath => assert.ok(existsSync(filePath), `${filePath} is in place`));
+        assert.ok(!existsSync(join(folder, 'Fonts', 'Batch Sans.ttf')), 'the font is not downloaded');
+        assert.ok(!existsSync(join(animeLocation, '.torrent-chunks', 'Kept Types Show')), 'partial pieces of the font are removed');
+
+        assert.deepEqual(getRecordedFiles(torrentId).map(file => file.filePath), [...keptPaths].sort());
+    } finally {
+        // Later downloads keep every file again, also when an assertion failed
+        saveConfiguration({ animeLocation, maxActiveTorrents: 3, keepFileTypes: ['video', 'subtitles', 'fonts', 'other'] });
+    }
+});
+
+test('downloading some episodes of a batch completes without destroying the torrent inside its done events', { timeout: 60000 }, async () => {
+    seeder.throttleUpload(-1);
+    const torrentPath = await seedFolder('Episode Pick Show', {
+        'Episode Pick Show - 01.mkv': randomBytes(512 * 1024),
+        'Episode Pick Show - 02.mkv': randomBytes(512 * 1024)
+    });
+    const torrentId = createTorrentRecord(1003, '[Test] Episode Pick Show (01-02) [Batch]');
+
+    // An exception thrown by WebTorrent after completion fails this test as an uncaught error
+    await downloadToCompletion(torrentPath, { animeTitle: 'Episode Pick Show', animeId: 1003, torrentId, episodes: [2] });
+    await sleep(500);
+
+    const folder = join(animeLocation, 'Episode Pick Show');
+    assert.ok(existsSync(join(folder, 'Episode Pick Show - 02.mkv')));
+    assert.ok(!existsSync(join(folder, 'Episode Pick Show - 01.mkv')), 'the other episode is not downloaded');
+    assert.deepEqual(getRecordedFiles(torrentId).map(file => file.fileName), ['Episode Pick Show - 02.mkv']);
+});
@@ -0,0 +1,54 @@
+import { createReadStream } from 'fs';
+
+// Lookup table for the reflected CRC-32 polynomial used by release tags (same as zip/PNG)
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Updates a running CRC32 with a chunk of data
+ * @param {number} crc - CRC32 of the previous data (0 to start)
+ * @param {Buffer} buffer - Next chunk of data
+ * @returns {number} CRC32 including the chunk
+ */
+export function updateCrc32(crc, buffer) {
+    let c = (crc ^ 0xFFFFFFFF) >>> 0;
+    for (let i = 0; i < buffer.length; i++) {
+        c = CRC32_TABLE[(c ^ buffer[i]) & 0xFF] ^ (c >>> 8);
+    }
+    return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Formats a CRC32 the way release tags write it
+ * @param {number} crc - CRC32 value
+ * @returns {string} 8-character uppercase hex string (e.g. "6A4FD99F")
+ */
+export function formatCrc32(crc) {
+    return crc.toString(16).toUpperCase().padStart(8, '0');
+}
+
+/**
+ * Computes the CRC32 of a file by streaming it from disk
+ * @param {string} filePath - Path of the file
+ * @returns {Promise<string>} 8-character uppercase hex CRC32
+ */
+export function computeFileCrc32(filePath) {
+    return new Promise((resolve, reject) => {
+        let crc = 0;
+        const stream = createReadStream(filePath, { highWaterMark: 1024 * 1024 });
+        stream.on('data', (chunk) => {
+            crc = updateCrc32(crc, chunk);
+        });
+        stream.on('error', reject);
+        stream.on('end', () => resolve(formatCrc32(crc)));
+    });
+}
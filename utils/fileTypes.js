@@ -0,0 +1,41 @@
+import { extname } from 'path';
+import { FILE_TYPES, FILE_TYPE_EXTENSIONS } from '../config/constants.js';
+
+/**
+ * Gets the type of a file from its extension
+ * @param {string} fileName - File name or path
+ * @returns {string} One of FILE_TYPES
+ */
+export function getFileType(fileName) {
+    const extension = extname(fileName || '').toLowerCase();
+    const type = Object.keys(FILE_TYPE_EXTENSIONS).find(key => FILE_TYPE_EXTENSIONS[key].includes(extension));
+    return type || 'other';
+}
+
+/**
+ * Normalizes a list of file types to keep (known types only, in FILE_TYPES order)
+ * @param {*} types - Raw list of file types
+ * @returns {Array<string>|null} Normalized types, or null if none are valid
+ */
+export function normalizeKeepFileTypes(types) {
+    if (!Array.isArray(types)) {
+        return null;
+    }
+    const normalized = FILE_TYPES.filter(type => types.includes(type));
+    return normalized.length > 0 ? normalized : null;
+}
+
+/**
+ * Keeps the files of the wanted types
+ * @param {Array} files - Files with a name or path
+ * @param {Array<string>} keepFileTypes - File types to keep
+ * @returns {Array} Files of the wanted types, or every file if none of them match
+ *                  (so a torrent of unusual files is never skipped entirely)
+ */
+export function filterFilesByType(files, keepFileTypes) {
+    if (keepFileTypes.length === FILE_TYPES.length) {
+        return files;
+    }
+    const kept = files.filter(file => keepFileTypes.includes(getFileType(file.name || file.path)));
+    return kept.length > 0 ? kept : files;
+}
@@ -0,0 +1,72 @@
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Decodes a base32 info hash (32 characters) into its hex form
+ * @param {string} value - Base32 encoded info hash
+ * @returns {string|null} Lowercase hex info hash or null if invalid
+ */
+function base32ToHex(value) {
+    let bits = '';
+    for (const char of value.toUpperCase()) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            return null;
+        }
+        bits += index.toString(2).padStart(5, '0');
+    }
+
+    let hex = '';
+    for (let i = 0; i + 4 <= bits.length; i += 4) {
+        hex += parseInt(bits.slice(i, i + 4), 2).toString(16);
+    }
+    return hex.length === 40 ? hex : null;
+}
+
+/**
+ * Normalizes an info hash to lowercase hex
+ * @param {string} infoHash - Hex (40 characters) or base32 (32 characters) info hash
+ * @returns {string|null} Lowercase hex info hash or null if invalid
+ */
+export function normalizeInfoHash(infoHash) {
+    if (!infoHash || typeof infoHash !== 'string') {
+        return null;
+    }
+
+    const value = infoHash.trim();
+    if (/^[a-f0-9]{40}$/i.test(value)) {
+        return value.toLowerCase();
+    }
+    if (/^[a-z2-7]{32}$/i.test(value)) {
+        return base32ToHex(value);
+    }
+    return null;
+}
+
+/**
+ * Extracts the info hash from a magnet link
+ * @param {string} magnet - Magnet URI
+ * @returns {string|null} Lowercase hex info hash or null if the link has none
+ */
+export function parseInfoHashFromMagnet(magnet) {
+    if (!magnet || typeof magnet !== 'string' || !magnet.startsWith('magnet:')) {
+        return null;
+    }
+
+    const match = magnet.match(/xt=urn:btih:([a-z0-9]+)/i);
+    return match ? normalizeInfoHash(match[1]) : null;
+}
+
+/**
+ * Builds a trackerless magnet link from an info hash (peers are found through DHT)
+ * @param {string} infoHash - Hex info hash
+ * @param {string} name - Display name
+ * @returns {string|null} Magnet URI or null if no info hash was given
+ */
+export function buildMagnet(infoHash, name) {
+    if (!infoHash) {
+        return null;
+    }
+
+    const displayName = name ? `&dn=${encodeURIComponent(name)}` : '';
+    return `magnet:?xt=urn:btih:${infoHash}${displayName}`;
+}
@@ -0,0 +1,122 @@
+import { extname } from 'path';
+
+// Subtitle formats that can be converted to WebVTT for the browser player
+export const WEBVTT_CONVERTIBLE_EXTENSIONS = ['.vtt', '.srt', '.ass', '.ssa'];
+
+/**
+ * Escapes cue text for WebVTT
+ * @param {string} text - Cue text
+ * @returns {string} Escaped text
+ */
+function escapeCueText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Converts an ASS/SSA timestamp (H:MM:SS.cc) to a WebVTT timestamp (HH:MM:SS.mmm)
+ * @param {string} value - ASS timestamp
+ * @returns {string|null} WebVTT timestamp or null if invalid
+ */
+function assTimeToVtt(value) {
+    const match = /^(\d+):(\d{1,2}):(\d{1,2})(?:[.,](\d{1,3}))?$/.exec((value || '').trim());
+    if (!match) {
+        return null;
+    }
+    const [, hours, minutes, seconds, fraction = '0'] = match;
+    const milliseconds = Math.round(Number(`0.${fraction}`) * 1000);
+    return `${hours.padStart(2, '0')}:${minutes.padStart(2, '0')}:${seconds.padStart(2, '0')}.${String(milliseconds).padStart(3, '0')}`;
+}
+
+/**
+ * Converts SubRip subtitles to WebVTT
+ * Formatting tags other than <b>, <i> and <u> are dropped
+ * @param {string} content - SRT content
+ * @returns {string} WebVTT content
+ */
+function srtToVtt(content) {
+    const body = content
+        .replace(/(\d{1,2}:\d{2}:\d{2}),(\d{3})/g, '$1.$2')
+        // Some releases put ASS override tags such as {\an8} in SRT files
+        .replace(/\{\\[^}]*\}/g, '')
+        .replace(/<(?!\/?[biu]>)[^>]*>/gi, '');
+    return `WEBVTT\n\n${body.trim()}\n`;
+}
+
+/**
+ * Converts the dialogue of ASS/SSA subtitles to WebVTT
+ * Styles, positioning and drawings are dropped; only the text and its timing are kept
+ * @param {string} content - ASS/SSA content
+ * @returns {string} WebVTT content
+ */
+function assToVtt(content) {
+    const cues = [];
+    let inEvents = false;
+    let format = null;
+
+    for (const rawLine of content.split('\n')) {
+        const line = rawLine.trim();
+        if (/^\[.*\]$/.test(line)) {
+            inEvents = line.toLowerCase() === '[events]';
+            continue;
+        }
+        if (!inEvents) {
+            continue;
+        }
+        if (/^format:/i.test(line)) {
+            format = line.slice(line.indexOf(':') + 1).split(',').map(field => field.trim().toLowerCase());
+            continue;
+        }
+        if (!format || !/^dialogue:/i.test(line)) {
+            continue;
+        }
+
+        // Text is the last field and may itself contain commas
+        const values = line.slice(line.indexOf(':') + 1).split(',');
+        const fields = values.slice(0, format.length - 1).map(value => value.trim());
+        fields.push(values.slice(format.length - 1).join(','));
+        const getField = (name) => fields[format.indexOf(name)] ?? '';
+
+        const rawText = getField('text');
+        // Drawing mode renders vector shapes, not text
+        if (/\{[^}]*\\p[1-9]/.test(rawText)) {
+            continue;
+        }
+        const text = rawText
+            .replace(/\{[^}]*\}/g, '')
+            .replace(/\\N/gi, '\n')
+            .replace(/\\h/g, ' ')
+            .trim();
+        const start = assTimeToVtt(getField('start'));
+        const end = assTimeToVtt(getField('end'));
+        if (!text || !start || !end) {
+            continue;
+        }
+        cues.push({ start, end, text: escapeCueText(text) });
+    }
+
+    cues.sort((a, b) => a.start.localeCompare(b.start));
+    return `WEBVTT\n\n${cues.map(cue => `${cue.start} --> ${cue.end}\n${cue.text}`).join('\n\n')}\n`;
+}
+
+/**
+ * Converts a subtitle file to WebVTT
+ * @param {string} content - Subtitle file content
+ * @param {string} fileName - Subtitle file name, used to tell the format
+ * @returns {string} WebVTT content
+ */
+export function toWebVtt(content, fileName) {
+    const normalized = String(content || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const extension = extname(fileName || '').toLowerCase();
+
+    switch (extension) {
+        case '.vtt':
+            return normalized.startsWith('WEBVTT') ? normalized : `WEBVTT\n\n${normalized}`;
+        case '.srt':
+            return srtToVtt(normalized);
+        case '.ass':
+        case '.ssa':
+            return assToVtt(normalized);
+        default:
+            throw new Error(`Unsupported subtitle format: ${extension || fileName}`);
+    }
+}
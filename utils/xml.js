@@ -0,0 +1,31 @@
+/**
+ * Escapes a value for use in XML text or attribute values
+ * @param {*} value - Value to escape (null and undefined become an empty string)
+ * @returns {string} Escaped string
+ */
+export function escapeXml(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Builds a self-closing XML element
+ * Attributes with null or undefined values are left out
+ * @param {string} name - Element name
+ * @param {Object} attributes - Attribute values keyed by name
+ * @returns {string} XML element
+ */
+export function xmlEmptyElement(name, attributes = {}) {
+    const attributeText = Object.entries(attributes)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+        .join('');
+    return `<${name}${attributeText}/>`;
+}